@@ -13,11 +13,22 @@ const chatRoutes = require("./routes/chatRoutes");
 const sharingRoutes = require("./routes/sharingRoutes");
 const groupChatRoutes = require("./routes/groupChatRoutes");
 const fcmRoutes = require("./routes/fcmRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const paymentRoutes = require("./routes/paymentRoutes");
+const ticketRoutes = require("./routes/ticketRoutes");
 
 const app = express();
 
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Payment webhooks are verified against the body exactly as it was signed
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/api/payments/webhook/")) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 // Root endpoint for basic connectivity testing
 app.get("/", (req, res) => {
@@ -25,7 +36,7 @@ app.get("/", (req, res) => {
     status: "ok",
     message: "KajSiVaka API server is running",
     timestamp: new Date().toISOString(),
-    endpoints: ["/api/auth", "/api/venues", "/api/events", "/api/ratings", "/api/bookmarks", "/api/bookings", "/api/friends", "/api/chat", "/api/sharing", "/api/groups"]
+    endpoints: ["/api/auth", "/api/venues", "/api/events", "/api/ratings", "/api/bookmarks", "/api/bookings", "/api/friends", "/api/chat", "/api/sharing", "/api/groups", "/api/notifications", "/api/payments", "/api/tickets", "/api/admin"]
   });
 });
 
@@ -40,5 +51,9 @@ app.use("/api/chat", chatRoutes);
 app.use("/api/sharing", sharingRoutes);
 app.use("/api/groups", groupChatRoutes);
 app.use("/api/users", fcmRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/tickets", ticketRoutes);
+app.use("/api/admin", adminRoutes);
 
 module.exports = app;
@@ -1,7 +1,6 @@
 const dotenv = require("dotenv");
 const mysql = require("mysql2");
 const path = require("path");
-const fs = require("fs");
 
 // Load environment variables from .env file
 dotenv.config({ path: path.resolve(__dirname, "../.env") });
@@ -50,59 +49,7 @@ const checkAndCreateDatabase = async () => {
     if (rows.length === 0) {
       // Database not found, creating it
       await tempPool.query(`CREATE DATABASE IF NOT EXISTS \`${dbConfig.database}\``);
-      // Database created successfully
-
-      // Create tables
-      await tempPool.query(`USE \`${dbConfig.database}\``);
-
-      // Read and execute the SQL setup file
-      const sqlPath = path.resolve(__dirname, "../database_setup.sql");
-      if (fs.existsSync(sqlPath)) {
-        const sql = fs.readFileSync(sqlPath, 'utf8');
-        const statements = sql.split(';').filter(stmt => stmt.trim() !== '');
-
-        for (const statement of statements) {
-          await tempPool.query(statement);
-        }
-        // Database tables and sample data created successfully
-      } else {
-        // SQL setup file not found, creating basic tables
-
-        // Create venues table
-        await tempPool.query(`
-          CREATE TABLE IF NOT EXISTS venues (
-            id INT AUTO_INCREMENT PRIMARY KEY,
-            name VARCHAR(255) NOT NULL,
-            type VARCHAR(100),
-            location VARCHAR(255),
-            description TEXT,
-            rating DECIMAL(3,1),
-            price_range VARCHAR(10),
-            features TEXT,
-            opening_hours VARCHAR(255),
-            image VARCHAR(255),
-            images TEXT,
-            premium BOOLEAN DEFAULT 0,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-          )
-        `);
-
-        // Create events table
-        await tempPool.query(`
-          CREATE TABLE IF NOT EXISTS events (
-            id INT AUTO_INCREMENT PRIMARY KEY,
-            venue VARCHAR(255) NOT NULL,
-            event_date DATE NOT NULL,
-            description TEXT,
-            image VARCHAR(255),
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-          )
-        `);
-
-        // Basic tables created successfully
-      }
+      // Database created successfully; tables are created by `npm run migrate`
     } else {
       // Database already exists
     }
@@ -30,6 +30,66 @@ try {
   console.error('Error initializing Firebase Admin SDK:', error);
 }
 
+// Errors FCM returns for tokens that will never work again (app uninstalled, token rotated or malformed)
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+// FCM accepts at most 500 tokens per multicast request
+const MULTICAST_LIMIT = 500;
+
+/**
+ * Check if an FCM error means the token is stale and should be deleted
+ * @param {object} error - Error thrown or returned by the FCM API
+ * @returns {boolean}
+ */
+function isInvalidTokenError(error) {
+  if (!error) return false;
+
+  if (INVALID_TOKEN_ERRORS.includes(error.code)) return true;
+
+  return error.code === 'messaging/invalid-argument' && !!error.message && error.message.includes('token');
+}
+
+/**
+ * Build the parts of an FCM message shared by single and multicast sends
+ * @param {object} notification - Notification object with title and body
+ * @param {object} data - Data payload to send with the message
+ * @returns {object} - Message without a target
+ */
+function buildMessage(notification, data) {
+  // Convert all data values to strings as required by FCM
+  const stringifiedData = {};
+  if (data) {
+    Object.keys(data).forEach(key => {
+      // Convert all values to strings, including null/undefined
+      stringifiedData[key] = data[key] != null ? String(data[key]) : '';
+    });
+  }
+
+  return {
+    notification,
+    data: stringifiedData,
+    android: {
+      priority: 'high',
+      notification: {
+        channelId: getChannelId(data?.type),
+        sound: 'default'
+      }
+    },
+    apns: {
+      payload: {
+        aps: {
+          sound: 'default',
+          badge: 1,
+          contentAvailable: true
+        }
+      }
+    }
+  };
+}
+
 /**
  * Send a Firebase Cloud Messaging (FCM) message to a specific device
  * @param {string} token - FCM token of the device
@@ -50,47 +110,16 @@ async function sendFCMMessage(token, notification, data) {
   }
 
   try {
-    // Convert all data values to strings as required by FCM
-    const stringifiedData = {};
-    if (data) {
-      Object.keys(data).forEach(key => {
-        // Convert all values to strings, including null/undefined
-        stringifiedData[key] = data[key] != null ? String(data[key]) : '';
-      });
-    }
+    const message = { token, ...buildMessage(notification, data) };
 
-    console.log('Sending FCM message with stringified data:', stringifiedData);
-
-    const message = {
-      token,
-      notification,
-      data: stringifiedData,
-      android: {
-        priority: 'high',
-        notification: {
-          channelId: getChannelId(data?.type),
-          sound: 'default'
-        }
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: 'default',
-            badge: 1,
-            contentAvailable: true
-          }
-        }
-      }
-    };
+    console.log('Sending FCM message with stringified data:', message.data);
 
     const response = await admin.messaging().send(message);
     console.log('FCM message sent successfully:', response);
     return response;
   } catch (error) {
     console.error('Error sending FCM message:', error);
-    if (error.code === 'messaging/invalid-argument' && error.message.includes('token')) {
-      console.error('Invalid FCM token provided:', token);
-    } else if (error.code === 'messaging/registration-token-not-registered') {
+    if (isInvalidTokenError(error)) {
       console.error('FCM token is no longer valid:', token);
     }
     return null;
@@ -102,7 +131,9 @@ async function sendFCMMessage(token, notification, data) {
  * @param {string[]} tokens - Array of FCM tokens
  * @param {object} notification - Notification object with title and body
  * @param {object} data - Data payload to send with the message
- * @returns {Promise} - Promise that resolves with the messaging response
+ * @returns {Promise} - Promise that resolves with { successCount, failureCount, messageIds, invalidTokens, retryableTokens },
+ * where invalidTokens are the tokens FCM reported as unregistered or invalid and retryableTokens
+ * the ones that failed for another reason (FCM unavailable, network errors) and can be tried again
  */
 async function sendFCMMessageToMultipleDevices(tokens, notification, data) {
   if (!firebaseInitialized) {
@@ -110,154 +141,52 @@ async function sendFCMMessageToMultipleDevices(tokens, notification, data) {
     return null;
   }
 
-  if (!tokens || tokens.length === 0) {
+  const uniqueTokens = [...new Set((tokens || []).filter(token => token && token.trim() !== ''))];
+
+  if (uniqueTokens.length === 0) {
     console.warn('No tokens provided, cannot send FCM message');
     return null;
   }
 
-  try {
-    // Convert all data values to strings as required by FCM
-    const stringifiedData = {};
-    if (data) {
-      Object.keys(data).forEach(key => {
-        // Convert all values to strings, including null/undefined
-        stringifiedData[key] = data[key] != null ? String(data[key]) : '';
-      });
-    }
-
-    console.log('Sending FCM multicast message with stringified data:', JSON.stringify(stringifiedData));
-    console.log('Number of tokens:', tokens.length);
-
-    // For debugging, log a sample token
-    if (tokens.length > 0) {
-      console.log('Sample token (first 20 chars):', tokens[0].substring(0, 20));
-    }
-
-    // Instead of using multicast, send individual messages to avoid potential issues
-    // This is less efficient but more reliable for debugging
-    const responses = [];
-    let successCount = 0;
-    let failureCount = 0;
-
-    // Send to a maximum of 10 devices during testing to avoid overwhelming the server
-    const testLimit = Math.min(tokens.length, 10);
-
-    for (let i = 0; i < testLimit; i++) {
-      const token = tokens[i];
-
-      try {
-        // Create message for a single device
-        const message = {
-          token,
-          notification,
-          data: stringifiedData,
-          android: {
-            priority: 'high',
-            notification: {
-              channelId: getChannelId(data?.type),
-              sound: 'default'
-            }
-          },
-          apns: {
-            payload: {
-              aps: {
-                sound: 'default',
-                badge: 1,
-                contentAvailable: true
-              }
-            }
-          }
-        };
-
-        // Send message to a single device
-        const response = await admin.messaging().send(message);
-        console.log(`FCM message sent successfully to token ${i+1}/${testLimit}`);
-        responses.push(response);
-        successCount++;
-      } catch (err) {
-        console.error(`Error sending to token ${i+1}/${testLimit}:`, err.message);
-        failureCount++;
-
-        // Check for specific error types
-        if (err.code === 'messaging/invalid-argument') {
-          console.error('Invalid argument error - token may be malformed');
-        } else if (err.code === 'messaging/registration-token-not-registered') {
-          console.error('Token is no longer valid and should be removed');
-        }
-      }
-    }
+  const message = buildMessage(notification, data);
+  const result = { successCount: 0, failureCount: 0, messageIds: [], invalidTokens: [], retryableTokens: [], lastError: null };
 
-    console.log(`Individual FCM messages: ${successCount} successful, ${failureCount} failed`);
+  console.log('Sending FCM multicast message with stringified data:', JSON.stringify(message.data));
+  console.log('Number of tokens:', uniqueTokens.length);
 
-    // If all test messages succeeded, try sending to the rest using multicast for efficiency
-    if (successCount > 0 && failureCount === 0 && tokens.length > testLimit) {
-      console.log(`Sending to remaining ${tokens.length - testLimit} tokens via multicast`);
+  for (let i = 0; i < uniqueTokens.length; i += MULTICAST_LIMIT) {
+    const chunk = uniqueTokens.slice(i, i + MULTICAST_LIMIT);
 
-      try {
-        // Split remaining tokens into chunks of 500 (FCM limit)
-        const remainingTokens = tokens.slice(testLimit);
-        const tokenChunks = [];
-        for (let i = 0; i < remainingTokens.length; i += 500) {
-          tokenChunks.push(remainingTokens.slice(i, i + 500));
-        }
-
-        for (const chunk of tokenChunks) {
-          const message = {
-            tokens: chunk,
-            notification,
-            data: stringifiedData,
-            android: {
-              priority: 'high',
-              notification: {
-                channelId: getChannelId(data?.type),
-                sound: 'default'
-              }
-            },
-            apns: {
-              payload: {
-                aps: {
-                  sound: 'default',
-                  badge: 1,
-                  contentAvailable: true
-                }
-              }
-            }
-          };
-
-          const response = await admin.messaging().sendMulticast(message);
-          console.log(`FCM multicast message sent: ${response.successCount} successful, ${response.failureCount} failed`);
-          responses.push(response);
-        }
-      } catch (multicastErr) {
-        console.error('Error sending multicast messages to remaining tokens:', multicastErr);
-      }
-    }
-
-    return responses.length > 0 ? responses : null;
-  } catch (error) {
-    console.error('Error in sendFCMMessageToMultipleDevices:', error);
-    console.error('Error details:', error.message);
-    console.error('Error code:', error.code);
-
-    // Try to send a test message to verify Firebase connectivity
     try {
-      console.log('Attempting to send a test message to verify Firebase connectivity...');
-      const testMessage = {
-        topic: 'test',
-        notification: {
-          title: 'Test',
-          body: 'Test message'
+      const response = await admin.messaging().sendEachForMulticast({ tokens: chunk, ...message });
+
+      result.successCount += response.successCount;
+      result.failureCount += response.failureCount;
+
+      response.responses.forEach((sendResponse, index) => {
+        if (sendResponse.success) {
+          result.messageIds.push(sendResponse.messageId);
+        } else if (isInvalidTokenError(sendResponse.error)) {
+          result.invalidTokens.push(chunk[index]);
+        } else {
+          console.error(`Error sending FCM message to token ${i + index + 1}/${uniqueTokens.length}:`, sendResponse.error?.message);
+          result.retryableTokens.push(chunk[index]);
+          result.lastError = sendResponse.error?.message || 'Unknown FCM error';
         }
-      };
-      await admin.messaging().send(testMessage);
-      console.log('Test message sent successfully');
-    } catch (testError) {
-      console.error('Test message failed:', testError.message);
-      console.error('Firebase configuration may be incorrect or service account may be invalid');
+      });
+    } catch (error) {
+      // The whole request failed (credentials, network); the tokens themselves may be fine
+      console.error('Error sending FCM multicast message:', error.message);
+      console.error('Error code:', error.code);
+      result.failureCount += chunk.length;
+      result.retryableTokens.push(...chunk);
+      result.lastError = error.message;
     }
-
-    return null;
   }
+
+  console.log(`FCM multicast message sent: ${result.successCount} successful, ${result.failureCount} failed, ${result.invalidTokens.length} invalid tokens`);
+
+  return result;
 }
 
 /**
@@ -281,5 +210,6 @@ module.exports = {
   admin,
   firebaseInitialized,
   sendFCMMessage,
-  sendFCMMessageToMultipleDevices
+  sendFCMMessageToMultipleDevices,
+  isInvalidTokenError
 };
@@ -0,0 +1,55 @@
+const nodemailer = require('nodemailer');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Sender of every email; SMTP servers may reject addresses of other domains
+const MAIL_FROM = process.env.MAIL_FROM || 'Kaj Si Vaka <no-reply@localhost>';
+
+// Email is only available when an SMTP server is configured. For local
+// testing point SMTP_HOST/SMTP_PORT at a catch-all server such as MailHog
+// (localhost:1025), which accepts everything without authentication.
+let transporter = null;
+
+if (process.env.SMTP_HOST) {
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+  console.log(`Email enabled via SMTP server ${process.env.SMTP_HOST}`);
+} else {
+  console.warn('SMTP_HOST not set, email notifications will not be sent');
+}
+
+/**
+ * Check if email can be sent
+ * @returns {boolean}
+ */
+function isMailConfigured() {
+  return transporter !== null;
+}
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise} - Promise that resolves with the SMTP server's response, or null if email is not configured
+ */
+async function sendMail({ to, subject, text, html }) {
+  if (!transporter) {
+    console.warn('Email is not configured, cannot send message');
+    return null;
+  }
+
+  return transporter.sendMail({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
@@ -0,0 +1,62 @@
+/**
+ * Local stand-in for Firebase Cloud Messaging, used when PUSH_TRANSPORT=stub.
+ * Pushes are recorded in memory instead of being sent, so the notification
+ * pipeline can be run without Firebase credentials. Tokens can simulate
+ * FCM errors:
+ *   "invalid-..." - reported as unregistered (the token gets pruned)
+ *   "fail-..."    - fails with a transient error (the push gets retried)
+ */
+
+// Pushes "sent" since startup or the last reset, oldest first
+const sentMessages = [];
+
+/**
+ * Record a message for several devices, mirroring firebase.sendFCMMessageToMultipleDevices
+ * @param {string[]} tokens - Array of device tokens
+ * @param {object} notification - Notification object with title and body
+ * @param {object} data - Data payload to send with the message
+ * @returns {Promise} - Promise that resolves with { successCount, failureCount, messageIds, invalidTokens, retryableTokens }
+ */
+async function sendFCMMessageToMultipleDevices(tokens, notification, data) {
+  const uniqueTokens = [...new Set((tokens || []).filter(token => token && token.trim() !== ''))];
+
+  if (uniqueTokens.length === 0) {
+    console.warn('No tokens provided, cannot send stub message');
+    return null;
+  }
+
+  const result = { successCount: 0, failureCount: 0, messageIds: [], invalidTokens: [], retryableTokens: [], lastError: null };
+
+  uniqueTokens.forEach(token => {
+    if (token.startsWith('invalid-')) {
+      result.failureCount++;
+      result.invalidTokens.push(token);
+    } else if (token.startsWith('fail-')) {
+      result.failureCount++;
+      result.retryableTokens.push(token);
+      result.lastError = 'Simulated FCM outage';
+    } else {
+      const messageId = `stub-${sentMessages.length + 1}`;
+      sentMessages.push({ messageId, token, notification, data, sentAt: new Date() });
+      result.successCount++;
+      result.messageIds.push(messageId);
+    }
+  });
+
+  console.log(`Stub push "${notification.title}": ${result.successCount} sent, ${result.failureCount} failed`);
+
+  return result;
+}
+
+/**
+ * Forget the recorded messages
+ */
+function reset() {
+  sentMessages.length = 0;
+}
+
+module.exports = {
+  sentMessages,
+  sendFCMMessageToMultipleDevices,
+  reset
+};
@@ -0,0 +1,93 @@
+const outboxService = require('../services/outboxService');
+
+/**
+ * List notification outbox jobs, newest first (?status=dead for the dead letters)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOutboxJobs = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = (page - 1) * limit;
+  const status = req.query.status || null;
+
+  if (status && !outboxService.isValidStatus(status)) {
+    return res.status(400).json({ success: false, message: 'Status must be one of: pending, processing, sent, dead' });
+  }
+
+  try {
+    const { jobs, totalCount } = await outboxService.list({ status, limit, offset });
+    const counts = await outboxService.getCounts();
+
+    return res.status(200).json({
+      success: true,
+      jobs,
+      counts,
+      totalCount,
+      page,
+      limit,
+      totalPages: Math.ceil(totalCount / limit)
+    });
+  } catch (error) {
+    console.error('Error getting outbox jobs:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Get one notification outbox job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOutboxJob = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const job = await outboxService.getById(id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Outbox job not found' });
+    }
+
+    return res.status(200).json({ success: true, job });
+  } catch (error) {
+    console.error('Error getting outbox job:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Deliver a dead or waiting outbox job again right away, with a fresh set of attempts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const retryOutboxJob = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const job = await outboxService.getById(id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Outbox job not found' });
+    }
+
+    if (!(await outboxService.retry(id))) {
+      return res.status(409).json({ success: false, message: `Job is ${job.status} and can't be retried` });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Outbox job scheduled for delivery',
+      job: await outboxService.getById(id)
+    });
+  } catch (error) {
+    console.error('Error retrying outbox job:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getOutboxJobs,
+  getOutboxJob,
+  retryOutboxJob
+};
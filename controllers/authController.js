@@ -3,6 +3,8 @@ const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const dotenv = require("dotenv");
 const path = require("path");
+const tokenService = require("../services/tokenService");
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, isSupportedLocale } = require("../utils/i18n");
 
 // Ensure environment variables are loaded
 dotenv.config({ path: path.resolve(__dirname, "../.env") });
@@ -15,6 +17,30 @@ console.log("JWT Config:", {
   refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN
 });
 
+/**
+ * Map refresh token store errors to a response body
+ * @param {Error} err - Error thrown by the token service
+ * @returns {object|null} - Response body, or null if the error is not a refresh token error
+ */
+const getRefreshTokenErrorResponse = (err) => {
+  if (err.name === 'RefreshTokenReuseError') {
+    return {
+      success: false,
+      message: "Refresh token was already used. All sessions for this device have been signed out, please log in again.",
+      error: err.name
+    };
+  }
+
+  if (err.name === 'RefreshTokenRevokedError' || err.name === 'RefreshTokenInvalidError') {
+    return {
+      success: false,
+      message: "Session is no longer valid. Please log in again.",
+      error: err.name
+    };
+  }
+
+  return null;
+};
 
 exports.login = async (req, res) => {
   const { email, password } = req.body;
@@ -56,30 +82,15 @@ exports.login = async (req, res) => {
 
     console.log(`Password verified for user: ${user.id}`);
 
-    // Use environment variables with fallbacks for token expiration
-    const jwtOptions = {
-      expiresIn: process.env.JWT_EXPIRES_IN || '1h'
-    };
-
-    console.log('JWT sign options:', jwtOptions);
-
     try {
-      const accessToken = jwt.sign(
-        { id: user.id },
-        process.env.JWT_SECRET,
-        jwtOptions
-      );
-
-      const refreshToken = jwt.sign(
-        { id: user.id },
-        process.env.JWT_REFRESH_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-      );
+      // Every login starts a new refresh token family (one per device session)
+      const { accessToken, refreshToken } = await tokenService.issueTokenPair(user.id, {
+        userAgent: req.get("user-agent"),
+        ipAddress: req.ip
+      });
 
       console.log("Tokens generated successfully");
 
-      // Optional: save refreshToken to DB for logout-from-all-devices functionality
-
       delete user.password;
 
       return res.json({
@@ -105,7 +116,11 @@ exports.login = async (req, res) => {
 
 
 exports.register = async (req, res) => {
-  const { fullName, email, password, phone, isBusiness } = req.body;
+  const { fullName, email, password, phone, isBusiness, locale } = req.body;
+
+  if (locale !== undefined && !isSupportedLocale(locale)) {
+    return res.status(400).json({ success: false, message: `locale must be one of: ${SUPPORTED_LOCALES.join(", ")}` });
+  }
 
   try {
     const [existing] = await db.execute(
@@ -120,8 +135,8 @@ exports.register = async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10); // 👈 Hash the password
 
     await db.execute(
-      "INSERT INTO users (full_name, email, password, phone, is_business) VALUES (?, ?, ?, ?, ?)",
-      [fullName, email, hashedPassword, phone, isBusiness ? 1 : 0]
+      "INSERT INTO users (full_name, email, password, phone, is_business, locale) VALUES (?, ?, ?, ?, ?, ?)",
+      [fullName, email, hashedPassword, phone, isBusiness ? 1 : 0, locale || DEFAULT_LOCALE]
     );
 
     return res.status(201).json({ success: true, message: "Registration successful" });
@@ -137,13 +152,7 @@ exports.updateProfile = async (req, res) => {
     const { userId } = req.params;
     const userData = req.body;
 
-    // Verify that the authenticated user is updating their own profile
-    if (req.userId !== parseInt(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: "You can only update your own profile"
-      });
-    }
+    // Access is checked by the requireSelfOrAdmin policy on the route
 
     // Remove sensitive fields that shouldn't be updated directly
     delete userData.password;
@@ -173,6 +182,19 @@ exports.updateProfile = async (req, res) => {
       updateValues.push(userData.avatar);
     }
 
+    // Language used for the user's notifications
+    if (userData.locale !== undefined) {
+      if (!isSupportedLocale(userData.locale)) {
+        return res.status(400).json({
+          success: false,
+          message: `locale must be one of: ${SUPPORTED_LOCALES.join(", ")}`
+        });
+      }
+
+      updateFields.push("locale = ?");
+      updateValues.push(userData.locale);
+    }
+
     // If no fields to update, return early
     if (updateFields.length === 0) {
       return res.status(400).json({
@@ -197,7 +219,7 @@ exports.updateProfile = async (req, res) => {
 
     // Get the updated user data
     const [updatedUserRows] = await db.execute(
-      "SELECT id, username, email, full_name, phone, is_business, avatar, created_at, updated_at FROM users WHERE id = ?",
+      "SELECT id, username, email, full_name, phone, is_business, avatar, locale, created_at, updated_at FROM users WHERE id = ?",
       [userId]
     );
 
@@ -228,13 +250,7 @@ exports.updateAvatar = async (req, res) => {
     const { userId } = req.params;
     const { avatar } = req.body;
 
-    // Verify that the authenticated user is updating their own avatar
-    if (req.userId !== parseInt(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: "You can only update your own avatar"
-      });
-    }
+    // Access is checked by the requireSelfOrAdmin policy on the route
 
     // Validate avatar URL
     if (!avatar) {
@@ -297,35 +313,25 @@ exports.refreshAccessToken = async (req, res) => {
   }
 
   try {
-    console.log('Verifying refresh token...');
-    const payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    console.log('Refresh token verified successfully. Payload:', payload);
-
-    const jwtOptions = {
-      expiresIn: process.env.JWT_EXPIRES_IN || '1h'
-    };
-
-    console.log('JWT sign options for new access token:', jwtOptions);
-
-    try {
-      const newAccessToken = jwt.sign(
-        { id: payload.id },
-        process.env.JWT_SECRET,
-        jwtOptions
-      );
+    // Refresh tokens are single use: the presented token is revoked and replaced
+    console.log('Rotating refresh token...');
+    const tokens = await tokenService.rotateRefreshToken(refreshToken, {
+      userAgent: req.get("user-agent"),
+      ipAddress: req.ip
+    });
 
-      console.log("New access token generated successfully");
+    console.log(`Refresh token rotated successfully for user ${tokens.userId}`);
 
-      res.json({ success: true, accessToken: newAccessToken });
-    } catch (tokenErr) {
-      console.error("Token generation error:", tokenErr.message);
-      console.error("Token error details:", tokenErr);
-      return res.status(500).json({ success: false, message: `Token generation error: ${tokenErr.message}` });
-    }
+    res.json({ success: true, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken });
   } catch (err) {
     console.error("Refresh error:", err.message);
     console.error("Error details:", err);
 
+    const refreshTokenResponse = getRefreshTokenErrorResponse(err);
+    if (refreshTokenResponse) {
+      return res.status(401).json(refreshTokenResponse);
+    }
+
     // Provide more specific error messages based on the error type
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({
@@ -372,7 +378,7 @@ exports.biometricLogin = async (req, res) => {
   }
 
   try {
-    // Verify the refresh token
+    // Verify the refresh token before rotating it
     console.log('Verifying refresh token...');
     const payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
     console.log('Refresh token verified successfully. Payload:', payload);
@@ -385,7 +391,7 @@ exports.biometricLogin = async (req, res) => {
 
     // Get the user data from the database
     const [userRows] = await db.execute(
-      "SELECT id, username, email, full_name, phone, is_business, avatar, created_at, updated_at FROM users WHERE id = ?",
+      "SELECT id, username, email, full_name, phone, is_business, avatar, locale, created_at, updated_at FROM users WHERE id = ?",
       [userId]
     );
 
@@ -397,46 +403,30 @@ exports.biometricLogin = async (req, res) => {
     const user = userRows[0];
     console.log(`User found: ${user.id} (${user.full_name})`);
 
-    // Generate new tokens
-    const jwtOptions = {
-      expiresIn: process.env.JWT_EXPIRES_IN || '1h'
-    };
-
-    console.log('JWT sign options for new tokens:', jwtOptions);
-
-    try {
-      // Generate new access token
-      const accessToken = jwt.sign(
-        { id: user.id },
-        process.env.JWT_SECRET,
-        jwtOptions
-      );
-
-      // Generate new refresh token
-      const newRefreshToken = jwt.sign(
-        { id: user.id },
-        process.env.JWT_REFRESH_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-      );
+    // Rotate the stored refresh token (same device session, new token pair)
+    const tokens = await tokenService.rotateRefreshToken(refreshToken, {
+      userAgent: req.get("user-agent"),
+      ipAddress: req.ip
+    });
 
-      console.log("New tokens generated successfully for biometric login");
+    console.log("New tokens generated successfully for biometric login");
 
-      return res.json({
-        success: true,
-        message: "Biometric login successful",
-        accessToken,
-        refreshToken: newRefreshToken,
-        user
-      });
-    } catch (tokenErr) {
-      console.error("Token generation error:", tokenErr.message);
-      console.error("Token error details:", tokenErr);
-      return res.status(500).json({ success: false, message: `Token generation error: ${tokenErr.message}` });
-    }
+    return res.json({
+      success: true,
+      message: "Biometric login successful",
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      user
+    });
   } catch (err) {
     console.error("Biometric login error:", err.message);
     console.error("Error details:", err);
 
+    const refreshTokenResponse = getRefreshTokenErrorResponse(err);
+    if (refreshTokenResponse) {
+      return res.status(401).json(refreshTokenResponse);
+    }
+
     // Provide more specific error messages based on the error type
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({
@@ -460,6 +450,47 @@ exports.biometricLogin = async (req, res) => {
   }
 };
 
+exports.logout = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: "Missing refresh token" });
+  }
+
+  try {
+    // Revoke the whole session the token belongs to, including any rotated tokens
+    const userId = await tokenService.revokeRefreshToken(refreshToken, 'logout');
+
+    if (userId) {
+      console.log(`User ${userId} logged out`);
+    } else {
+      console.log('Logout requested with an unknown refresh token');
+    }
+
+    // Respond with success either way so logout is idempotent for the client
+    return res.json({ success: true, message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Logout error:", err.message);
+    return res.status(500).json({ success: false, message: `Server error: ${err.message}` });
+  }
+};
+
+exports.logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await tokenService.revokeAllForUser(req.userId, 'logout_all');
+    console.log(`User ${req.userId} logged out from all devices (${revokedCount} sessions revoked)`);
+
+    return res.json({
+      success: true,
+      message: "Logged out from all devices",
+      revokedSessions: revokedCount
+    });
+  } catch (err) {
+    console.error("Logout all error:", err.message);
+    return res.status(500).json({ success: false, message: `Server error: ${err.message}` });
+  }
+};
+
 exports.deleteAccount = async (req, res) => {
   try {
     const { userId } = req.params;
@@ -1,26 +1,77 @@
 const db = require('../config/db');
-const notificationService = require('../services/notificationService');
+const outboxService = require('../services/outboxService');
+const policyService = require('../services/policyService');
+const availabilityService = require('../services/availabilityService');
+const bookingService = require('../services/bookingService');
+const waitlistService = require('../services/waitlistService');
+const groupBookingService = require('../services/groupBookingService');
+const bookingReportService = require('../services/bookingReportService');
+const paymentService = require('../services/paymentService');
+const { isValidDate } = require('../utils/time');
+
+// Load a booking with its date and time as "YYYY-MM-DD" and "HH:MM", optionally locking the row
+const loadBooking = async (connection, id, lock = false) => {
+  const [rows] = await connection.execute(
+    `SELECT id, venue_id, user_id, group_id, guest_count, note, status,
+      DATE_FORMAT(booking_date, '%Y-%m-%d') as booking_date,
+      TIME_FORMAT(booking_time, '%H:%i') as booking_time
+     FROM venue_bookings WHERE id = ?${lock ? ' FOR UPDATE' : ''}`,
+    [id]
+  );
+  return rows[0] || null;
+};
+
+// Params of the system messages posted into a group booking's thread
+const messageParams = (booking, venue) => ({
+  venue: venue.name,
+  date: booking.booking_date,
+  time: booking.booking_time,
+  guests: booking.guest_count
+});
+
+// Push a group booking's new system message to the members once it is committed
+const pushSystemMessage = (groupId, messageId) => {
+  if (!messageId) return;
+
+  groupBookingService.pushSystemMessages(groupId, [messageId])
+    .catch(error => console.error(`Failed to push booking message to group ${groupId}:`, error.message));
+};
+
+// Send the refunds of a cancellation to the payment provider once it is committed
+const sendRefunds = (paymentIds) => {
+  if (paymentIds.length === 0) return;
+
+  paymentService.processRefunds(paymentIds)
+    .catch(error => console.error(`Failed to send refunds for payments ${paymentIds.join(', ')}:`, error.message));
+};
 
 // Create a new booking
 exports.createBooking = async (req, res) => {
   try {
-    const { venue_id, user_id, booking_date, booking_time, guest_count, note, status } = req.body;
+    const { venue_id, booking_date, booking_time, note } = req.body;
+    const group_id = req.body.group_id ? parseInt(req.body.group_id) : null;
+
+    // A group booking starts with the organizer's own party; the members' RSVPs add to it
+    const guest_count = req.body.guest_count || (group_id ? 1 : null);
 
     // Validate required fields
-    if (!venue_id || !user_id || !booking_date || !booking_time || !guest_count) {
+    if (!venue_id || !booking_date || !booking_time || !guest_count) {
       return res.status(400).json({
         success: false,
-        message: "Venue ID, User ID, booking date, booking time, and guest count are required"
+        message: "Venue ID, booking date, booking time, and guest count are required"
       });
     }
 
-    // Check if the venue exists
-    const [venueRows] = await db.execute("SELECT * FROM venues WHERE id = ?", [venue_id]);
-    if (venueRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Venue not found"
-      });
+    // Bookings are made for the authenticated user; only admins may book on behalf of someone else
+    let user_id = req.userId;
+    if (req.body.user_id && parseInt(req.body.user_id) !== req.userId) {
+      if (!(await policyService.isPlatformAdmin(req.userId))) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only create bookings for yourself"
+        });
+      }
+      user_id = parseInt(req.body.user_id);
     }
 
     // Check if the user exists
@@ -32,42 +83,132 @@ exports.createBooking = async (req, res) => {
       });
     }
 
-    // Insert the booking into the database
-    const [result] = await db.execute(
-      `INSERT INTO venue_bookings
-      (venue_id, user_id, booking_date, booking_time, guest_count, note, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [venue_id, user_id, booking_date, booking_time, guest_count, note || null, status || 'pending']
-    );
+    // Only the venue owner (or an admin) may create a booking that is already confirmed
+    let status = 'pending';
+    if (req.body.status && req.body.status !== 'pending') {
+      if (req.body.status !== 'confirmed') {
+        return res.status(400).json({
+          success: false,
+          message: "A new booking can only be pending or confirmed"
+        });
+      }
+      if (!(await policyService.canManageVenue(req.userId, venue_id))) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the venue owner can set the booking status"
+        });
+      }
+      status = req.body.status;
+    }
 
-    // Get the newly created booking
-    const [bookings] = await db.execute(
-      "SELECT * FROM venue_bookings WHERE id = ?",
-      [result.insertId]
-    );
+    const guests = parseInt(guest_count);
+    if (isNaN(guests) || guests < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Guest count must be a positive number"
+      });
+    }
+
+    // Group bookings are made by a member of the group
+    if (group_id && !(await policyService.isGroupMember(user_id, group_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Group bookings can only be made by members of the group"
+      });
+    }
+
+    if (group_id && guests > groupBookingService.getMaxGuestsPerRsvp()) {
+      return res.status(400).json({
+        success: false,
+        message: `A member can bring at most ${groupBookingService.getMaxGuestsPerRsvp()} guests, themselves included`
+      });
+    }
+
+    let bookingId;
+    let messageId = null;
+    let deposit = 0;
+    const connection = await db.getConnection();
 
-    // Send notification to venue owner about the new booking (asynchronously)
     try {
-      notificationService.sendNewBookingNotification(result.insertId)
-        .then(notificationResult => {
-          if (notificationResult) {
-            console.log(`New booking notification sent successfully for booking ${result.insertId}`);
-          } else {
-            console.log(`Failed to send new booking notification for booking ${result.insertId}`);
-          }
-        })
-        .catch(err => {
-          console.error(`Error sending new booking notification for booking ${result.insertId}:`, err);
+      await connection.beginTransaction();
+
+      // Lock the venue row so concurrent bookings for this venue are checked one at a time
+      const [venueRows] = await connection.execute("SELECT * FROM venues WHERE id = ? FOR UPDATE", [venue_id]);
+      if (venueRows.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({
+          success: false,
+          message: "Venue not found"
+        });
+      }
+
+      // Make sure the slot is bookable and still has room for the party
+      const check = await availabilityService.checkSlot(connection, venueRows[0], booking_date, booking_time, guests);
+      if (!check.ok) {
+        await connection.rollback();
+        return res.status(check.status).json({
+          success: false,
+          message: check.message,
+          remainingCapacity: check.remaining
+        });
+      }
+
+      // Large tables at some premium venues need a deposit, which is paid once the booking is made
+      deposit = paymentService.getDepositAmount(venueRows[0], guests);
+      if (deposit > 0 && !paymentService.getProvider()) {
+        await connection.rollback();
+        return res.status(503).json({
+          success: false,
+          message: "This booking needs a deposit, but payments are not available right now"
         });
-    } catch (notificationError) {
-      console.error("Error sending new booking notification:", notificationError);
-      // Continue with the response even if notification fails
+      }
+
+      // Insert the booking into the database
+      const [result] = await connection.execute(
+        `INSERT INTO venue_bookings
+        (venue_id, user_id, group_id, booking_date, booking_time, guest_count, note, status, payment_status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [venue_id, user_id, group_id, booking_date, booking_time, guests, note || null, status, deposit > 0 ? 'pending' : 'none']
+      );
+      bookingId = result.insertId;
+
+      // Queue the venue owner's notification with the booking so it can't be lost
+      await outboxService.enqueue('sendNewBookingNotification', [bookingId], connection);
+
+      // The organizer is in; the rest of the group is asked to RSVP
+      if (group_id) {
+        const booking = { id: bookingId, group_id, booking_date, booking_time, guest_count: guests };
+        await groupBookingService.saveRsvp(connection, bookingId, user_id, 'in', guests);
+        messageId = await groupBookingService.postSystemMessage(
+          connection, booking, user_id, 'created', { user: userRows[0].full_name || userRows[0].username, ...messageParams(booking, venueRows[0]) }
+        );
+        await outboxService.enqueue('sendGroupBookingNotification', [bookingId], connection);
+      }
+
+      await connection.commit();
+      res.locals.committed = true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
     }
 
+    pushSystemMessage(group_id, messageId);
+
+    const depositResult = deposit > 0 ? await paymentService.startDeposit(bookingId) : {};
+
+    // Get the newly created booking
+    const [bookings] = await db.execute(
+      "SELECT * FROM venue_bookings WHERE id = ?",
+      [bookingId]
+    );
+
     res.status(201).json({
       success: true,
       message: "Booking created successfully",
-      booking: bookings[0]
+      booking: bookings[0],
+      ...depositResult
     });
   } catch (error) {
     console.error("Error creating booking:", error.message);
@@ -95,7 +236,8 @@ exports.getUserBookings = async (req, res) => {
 
     // Get all bookings for the user with venue details
     const [bookings] = await db.execute(
-      `SELECT vb.*, v.name as venue_name, v.image as venue_image, v.location as venue_location
+      `SELECT vb.*, v.name as venue_name, v.image as venue_image, v.location as venue_location,
+              v.cancellation_cutoff_minutes
        FROM venue_bookings vb
        JOIN venues v ON vb.venue_id = v.id
        WHERE vb.user_id = ?
@@ -117,11 +259,19 @@ exports.getUserBookings = async (req, res) => {
   }
 };
 
-// Get all bookings for a venue
+// Get the bookings of a venue in a date range (the coming week by default), optionally filtered by status
 exports.getVenueBookings = async (req, res) => {
   try {
     const venueId = req.params.venueId;
 
+    const filters = bookingReportService.parseFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({
+        success: false,
+        message: filters.error
+      });
+    }
+
     // Check if the venue exists
     const [venueRows] = await db.execute("SELECT * FROM venues WHERE id = ?", [venueId]);
     if (venueRows.length === 0) {
@@ -131,18 +281,16 @@ exports.getVenueBookings = async (req, res) => {
       });
     }
 
-    // Get all bookings for the venue with user details
-    const [bookings] = await db.execute(
-      `SELECT vb.*, u.full_name as user_name, u.email as user_email, u.phone as user_phone
-       FROM venue_bookings vb
-       JOIN users u ON vb.user_id = u.id
-       WHERE vb.venue_id = ?
-       ORDER BY vb.booking_date ASC, vb.booking_time ASC`,
-      [venueId]
-    );
+    // Without a range the list shows the coming week
+    const { from, to } = bookingReportService.resolveRange(venueRows[0], filters);
+
+    // Bookings with user details, including how often the user didn't show up
+    const bookings = await bookingReportService.getBookings(venueId, { ...filters, from, to });
 
     res.status(200).json({
       success: true,
+      from,
+      to,
       bookings: bookings
     });
   } catch (error) {
@@ -155,37 +303,381 @@ exports.getVenueBookings = async (req, res) => {
   }
 };
 
-// Update booking status
-exports.updateBookingStatus = async (req, res) => {
+// Get a venue's covers and guest totals per day and its busiest hours
+exports.getVenueBookingDashboard = async (req, res) => {
+  try {
+    const venueId = req.params.venueId;
+
+    const filters = bookingReportService.parseFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({
+        success: false,
+        message: filters.error
+      });
+    }
+
+    const [venueRows] = await db.execute("SELECT * FROM venues WHERE id = ?", [venueId]);
+    if (venueRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Venue not found"
+      });
+    }
+
+    // Without a range the dashboard shows the coming week
+    const { from, to } = bookingReportService.resolveRange(venueRows[0], filters);
+
+    const bookings = await bookingReportService.getBookings(venueId, { ...filters, from, to });
+
+    res.status(200).json({
+      success: true,
+      venueId: venueRows[0].id,
+      from,
+      to,
+      ...bookingReportService.summarize(bookings)
+    });
+  } catch (error) {
+    console.error("Error fetching booking dashboard:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch booking dashboard",
+      error: error.message
+    });
+  }
+};
+
+// Download a day's reservation sheet (or a date range) as CSV
+exports.exportVenueBookings = async (req, res) => {
+  try {
+    const venueId = req.params.venueId;
+    const { date } = req.query;
+
+    if (date && !isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: "Date must be in YYYY-MM-DD format"
+      });
+    }
+
+    const filters = bookingReportService.parseFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({
+        success: false,
+        message: filters.error
+      });
+    }
+
+    const [venueRows] = await db.execute("SELECT * FROM venues WHERE id = ?", [venueId]);
+    if (venueRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Venue not found"
+      });
+    }
+
+    // A single day (today by default) unless a range is given
+    let { from, to } = filters;
+    if (date || (!from && !to)) {
+      from = to = date || bookingReportService.getToday(venueRows[0]);
+    } else if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: "Both from and to are required to export a date range"
+      });
+    }
+
+    const bookings = await bookingReportService.getBookings(venueId, { ...filters, from, to });
+    const filename = from === to ? `bookings-${venueId}-${from}.csv` : `bookings-${venueId}-${from}-to-${to}.csv`;
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(bookingReportService.toCsv(bookings));
+  } catch (error) {
+    console.error("Error exporting venue bookings:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export bookings",
+      error: error.message
+    });
+  }
+};
+
+// Create (or replace) the secret URL of a venue's booking calendar feed
+exports.createVenueCalendarFeed = async (req, res) => {
+  try {
+    const venueId = req.params.venueId;
+
+    const [venueRows] = await db.execute("SELECT id FROM venues WHERE id = ?", [venueId]);
+    if (venueRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Venue not found"
+      });
+    }
+
+    // The URL is only shown now; creating a new one stops the old one from working
+    const token = await bookingReportService.createFeedToken(venueId);
+    const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/venue/${venueId}/calendar.ics?token=${token}`;
+
+    res.status(201).json({
+      success: true,
+      message: "Calendar feed created successfully",
+      feedUrl
+    });
+  } catch (error) {
+    console.error("Error creating calendar feed:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create calendar feed",
+      error: error.message
+    });
+  }
+};
+
+// Turn off a venue's booking calendar feed
+exports.deleteVenueCalendarFeed = async (req, res) => {
+  try {
+    await bookingReportService.revokeFeedToken(req.params.venueId);
+
+    res.status(200).json({
+      success: true,
+      message: "Calendar feed turned off successfully"
+    });
+  } catch (error) {
+    console.error("Error deleting calendar feed:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to turn off calendar feed",
+      error: error.message
+    });
+  }
+};
+
+// Get a venue's bookings as an iCalendar feed (authenticated by the token in the feed URL)
+exports.getVenueCalendarFeed = async (req, res) => {
+  try {
+    const venue = await bookingReportService.findVenueByFeedToken(req.params.venueId, req.query.token);
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: "Calendar feed not found"
+      });
+    }
+
+    // Cancelled bookings stay in the feed so calendars drop the events they already have
+    const bookings = await bookingReportService.getBookings(venue.id, {
+      ...bookingReportService.getFeedRange(venue),
+      statuses: ['pending', 'confirmed', 'rescheduled', 'completed', 'cancelled']
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.status(200).send(bookingReportService.toIcs(venue, bookings));
+  } catch (error) {
+    console.error("Error fetching calendar feed:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch calendar feed",
+      error: error.message
+    });
+  }
+};
+
+// Get free booking slots for a venue on a given day
+exports.getVenueAvailability = async (req, res) => {
+  try {
+    const venueId = req.params.venueId;
+    const { date } = req.query;
+    const guestCount = parseInt(req.query.guest_count) || 1;
+
+    if (!date || !availabilityService.isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: "Date is required in YYYY-MM-DD format"
+      });
+    }
+
+    // Check if the venue exists
+    const [venueRows] = await db.execute("SELECT * FROM venues WHERE id = ?", [venueId]);
+    if (venueRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Venue not found"
+      });
+    }
+
+    const availability = await availabilityService.getAvailability(venueRows[0], date, guestCount);
+
+    res.status(200).json({
+      success: true,
+      venueId: venueRows[0].id,
+      guestCount: guestCount,
+      ...availability
+    });
+  } catch (error) {
+    console.error("Error fetching venue availability:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch availability",
+      error: error.message
+    });
+  }
+};
+
+// Change the date, time or guest count of a booking
+exports.updateBooking = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { booking_date, booking_time, guest_count } = req.body;
 
-    // Validate required fields
-    if (!status || !['pending', 'confirmed', 'cancelled'].includes(status)) {
+    if (booking_date === undefined && booking_time === undefined && guest_count === undefined) {
       return res.status(400).json({
         success: false,
-        message: "Valid status (pending, confirmed, cancelled) is required"
+        message: "Booking date, booking time or guest count is required"
       });
     }
 
+    let guests = null;
+    if (guest_count !== undefined) {
+      guests = parseInt(guest_count);
+      if (isNaN(guests) || guests < 1) {
+        return res.status(400).json({
+          success: false,
+          message: "Guest count must be a positive number"
+        });
+      }
+    }
+
     // Check if the booking exists
-    const [bookingRows] = await db.execute("SELECT * FROM venue_bookings WHERE id = ?", [id]);
-    if (bookingRows.length === 0) {
+    const booking = await loadBooking(db, id);
+    if (!booking) {
       return res.status(404).json({
         success: false,
         message: "Booking not found"
       });
     }
 
-    // Get the current status to check if it's actually changing
-    const currentStatus = bookingRows[0].status;
+    // Only the booker or the venue owner may change a booking
+    const role = await policyService.getBookingRole(req.userId, booking);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this booking"
+      });
+    }
+
+    if (booking.group_id && guests !== null && guests !== booking.guest_count) {
+      return res.status(400).json({
+        success: false,
+        message: "The guest count of a group booking follows its RSVPs"
+      });
+    }
 
-    // Update the booking status
-    await db.execute(
-      "UPDATE venue_bookings SET status = ? WHERE id = ?",
-      [status, id]
-    );
+    let messageId = null;
+    let deposit = 0;
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Lock the venue row so the new slot is checked against concurrent bookings
+      const [venueRows] = await connection.execute("SELECT * FROM venues WHERE id = ? FOR UPDATE", [booking.venue_id]);
+      const venue = venueRows[0];
+      const current = await loadBooking(connection, id, true);
+
+      const allowed = role === 'booker'
+        ? bookingService.checkBookerChange(current, venue)
+        : { ok: bookingService.isOpen(current.status), status: 400, message: `A ${current.status} booking can no longer be changed` };
+      if (!allowed.ok) {
+        await connection.rollback();
+        return res.status(allowed.status).json({
+          success: false,
+          message: allowed.message
+        });
+      }
+
+      const updated = {
+        booking_date: booking_date !== undefined ? booking_date : current.booking_date,
+        booking_time: booking_time !== undefined ? booking_time : current.booking_time,
+        guest_count: guests !== null ? guests : current.guest_count
+      };
+
+      const changed = updated.booking_date !== current.booking_date ||
+        updated.booking_time !== current.booking_time ||
+        updated.guest_count !== current.guest_count;
+
+      if (changed) {
+        // The new slot must be bookable and have room, not counting this booking's own seats
+        const check = await availabilityService.checkSlot(
+          connection, venue, updated.booking_date, updated.booking_time, updated.guest_count, current.id
+        );
+        if (!check.ok) {
+          await connection.rollback();
+          return res.status(check.status).json({
+            success: false,
+            message: check.message,
+            remainingCapacity: check.remaining
+          });
+        }
+
+        if (bookingService.getStartInstant(updated, venue) <= new Date()) {
+          await connection.rollback();
+          return res.status(400).json({
+            success: false,
+            message: "The new booking time has already passed"
+          });
+        }
+
+        // A bigger party can owe (more) deposit
+        if (updated.guest_count > current.guest_count) {
+          deposit = await paymentService.getOwedDeposit(connection, current.id, venue, updated.guest_count);
+          if (deposit > 0 && !paymentService.getProvider()) {
+            await connection.rollback();
+            return res.status(503).json({
+              success: false,
+              message: "This booking needs a deposit, but payments are not available right now"
+            });
+          }
+        }
+
+        // A confirmed booking changed by the booker needs to be confirmed again by the venue
+        const status = role === 'booker' && current.status === 'confirmed' ? 'rescheduled' : current.status;
+
+        await connection.execute(
+          "UPDATE venue_bookings SET booking_date = ?, booking_time = ?, guest_count = ?, status = ? WHERE id = ?",
+          [updated.booking_date, updated.booking_time, updated.guest_count, status, id]
+        );
+
+        if (deposit > 0) {
+          await paymentService.requestDeposit(connection, current.id);
+        }
+
+        // Moving the booking or making it smaller frees seats for the waitlist
+        await waitlistService.offerFreedSeats(connection, venue, current.booking_date);
+
+        // Tell the other side about the change
+        if (role === 'booker') {
+          await outboxService.enqueue('sendBookingChangedNotification', [current.id], connection);
+        } else {
+          await outboxService.enqueue('sendBookingStatusNotification', [current.id, 'rescheduled'], connection);
+        }
+
+        messageId = await groupBookingService.postSystemMessage(
+          connection, current, req.userId, 'moved', messageParams(updated, venue)
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    pushSystemMessage(booking.group_id, messageId);
+
+    const depositResult = deposit > 0 ? await paymentService.startDeposit(booking.id) : {};
 
     // Get the updated booking
     const [updatedBooking] = await db.execute(
@@ -193,27 +685,146 @@ exports.updateBookingStatus = async (req, res) => {
       [id]
     );
 
-    // Send notification if status is changing to confirmed or cancelled
-    if (currentStatus !== status && (status === 'confirmed' || status === 'cancelled')) {
-      try {
-        // Send notification asynchronously (don't await)
-        notificationService.sendBookingStatusNotification(id, status)
-          .then(result => {
-            if (result) {
-              console.log(`Booking notification sent successfully for booking ${id}`);
-            } else {
-              console.log(`Failed to send booking notification for booking ${id}`);
-            }
-          })
-          .catch(err => {
-            console.error(`Error sending booking notification for booking ${id}:`, err);
+    res.status(200).json({
+      success: true,
+      message: "Booking updated successfully",
+      booking: updatedBooking[0],
+      ...depositResult
+    });
+  } catch (error) {
+    console.error("Error updating booking:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update booking",
+      error: error.message
+    });
+  }
+};
+
+// Update booking status
+exports.updateBookingStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    const statuses = bookingService.getSettableStatuses();
+
+    // Validate required fields
+    if (!status || !statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Valid status (${statuses.join(", ")}) is required`
+      });
+    }
+
+    // Check if the booking exists
+    const booking = await loadBooking(db, id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found"
+      });
+    }
+
+    // The venue owner manages the booking; the booker may only cancel their own booking
+    const role = await policyService.getBookingRole(req.userId, booking);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this booking"
+      });
+    }
+
+    let messageId = null;
+    let refundIds = [];
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [venueRows] = await connection.execute(
+        "SELECT * FROM venues WHERE id = ? FOR UPDATE",
+        [booking.venue_id]
+      );
+      const current = await loadBooking(connection, id, true);
+
+      // Get the current status to check if it's actually changing
+      const currentStatus = current.status;
+
+      // Only allowed status changes, and bookers only before the venue's cancellation cutoff
+      const transition = bookingService.checkTransition(current, venueRows[0], status, role);
+      if (!transition.ok) {
+        await connection.rollback();
+        return res.status(transition.status).json({
+          success: false,
+          message: transition.message
+        });
+      }
+
+      // Reopening a cancelled booking takes its seats back, so the slot must still have room
+      if (currentStatus === 'cancelled' && status !== 'cancelled') {
+        const check = await availabilityService.checkSlot(
+          connection,
+          venueRows[0],
+          current.booking_date,
+          current.booking_time,
+          current.guest_count,
+          current.id
+        );
+
+        // Only capacity matters here; the venue may have changed its slots since the booking was made
+        if (!check.ok && check.status === 409) {
+          await connection.rollback();
+          return res.status(409).json({
+            success: false,
+            message: check.message,
+            remainingCapacity: check.remaining
           });
-      } catch (notificationError) {
-        console.error("Error sending booking notification:", notificationError);
-        // Continue with the response even if notification fails
+        }
       }
+
+      // Update the booking status
+      await connection.execute(
+        "UPDATE venue_bookings SET status = ? WHERE id = ?",
+        [status, id]
+      );
+
+      await bookingService.updateNoShowCount(connection, current.user_id, currentStatus, status);
+
+      // Seats freed by a cancellation go to the waitlist first, and the deposit is refunded by the venue's policy
+      if (bookingService.isOpen(currentStatus) && status === 'cancelled') {
+        await waitlistService.offerFreedSeats(connection, venueRows[0], current.booking_date);
+        refundIds = await paymentService.cancelBookingPayments(connection, current, venueRows[0], role);
+      }
+
+      // Tell the booker when the booking is confirmed or cancelled
+      if (currentStatus !== status && (status === 'confirmed' || status === 'cancelled')) {
+        await outboxService.enqueue('sendBookingStatusNotification', [id, status], connection);
+      }
+
+      // Keep the group posted on its booking
+      if (currentStatus !== status) {
+        messageId = await groupBookingService.postSystemMessage(
+          connection, current, req.userId, status, messageParams(current, venueRows[0])
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
     }
 
+    pushSystemMessage(booking.group_id, messageId);
+    sendRefunds(refundIds);
+
+    // Get the updated booking
+    const [updatedBooking] = await db.execute(
+      "SELECT * FROM venue_bookings WHERE id = ?",
+      [id]
+    );
+
     res.status(200).json({
       success: true,
       message: "Booking status updated successfully",
@@ -235,16 +846,74 @@ exports.deleteBooking = async (req, res) => {
     const { id } = req.params;
 
     // Check if the booking exists
-    const [bookingRows] = await db.execute("SELECT * FROM venue_bookings WHERE id = ?", [id]);
-    if (bookingRows.length === 0) {
+    const booking = await loadBooking(db, id);
+    if (!booking) {
       return res.status(404).json({
         success: false,
         message: "Booking not found"
       });
     }
 
-    // Delete the booking
-    await db.execute("DELETE FROM venue_bookings WHERE id = ?", [id]);
+    // Only the booker or the venue owner may delete a booking
+    const role = await policyService.getBookingRole(req.userId, booking);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this booking"
+      });
+    }
+
+    // Deleting an open booking cancels it, so the booker is held to the venue's cutoff
+    if (role === 'booker' && bookingService.isOpen(booking.status)) {
+      const [venueRows] = await db.execute("SELECT * FROM venues WHERE id = ?", [booking.venue_id]);
+      const check = bookingService.checkBookerChange(booking, venueRows[0]);
+      if (!check.ok) {
+        return res.status(check.status).json({
+          success: false,
+          message: check.message
+        });
+      }
+    }
+
+    let messageId = null;
+    let refundIds = [];
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [venueRows] = await connection.execute(
+        "SELECT * FROM venues WHERE id = ? FOR UPDATE",
+        [booking.venue_id]
+      );
+
+      // Deleting an open booking cancels it, so its deposit is refunded by the venue's policy
+      if (bookingService.isOpen(booking.status)) {
+        refundIds = await paymentService.cancelBookingPayments(connection, booking, venueRows[0], role);
+      }
+
+      // Delete the booking
+      await connection.execute("DELETE FROM venue_bookings WHERE id = ?", [id]);
+
+      messageId = await groupBookingService.postSystemMessage(
+        connection, booking, req.userId, 'deleted', messageParams(booking, venueRows[0])
+      );
+
+      // The seats it held go to the waitlist first
+      if (bookingService.isOpen(booking.status)) {
+        await waitlistService.offerFreedSeats(connection, venueRows[0], booking.booking_date);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    pushSystemMessage(booking.group_id, messageId);
+    sendRefunds(refundIds);
 
     res.status(200).json({
       success: true,
@@ -259,3 +928,220 @@ exports.deleteBooking = async (req, res) => {
     });
   }
 };
+
+// RSVP in or out of a group booking; the booking's guest count follows the "in" RSVPs
+exports.rsvpGroupBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { response } = req.body;
+    const maxGuests = groupBookingService.getMaxGuestsPerRsvp();
+
+    if (response !== 'in' && response !== 'out') {
+      return res.status(400).json({
+        success: false,
+        message: "Response must be 'in' or 'out'"
+      });
+    }
+
+    const guests = req.body.guests !== undefined ? parseInt(req.body.guests) : 1;
+    if (isNaN(guests) || guests < 1 || guests > maxGuests) {
+      return res.status(400).json({
+        success: false,
+        message: `Guests must be between 1 and ${maxGuests}, yourself included`
+      });
+    }
+
+    // Check if the booking exists and belongs to a group the user is in
+    const booking = await loadBooking(db, id);
+    if (!booking || !booking.group_id) {
+      return res.status(404).json({
+        success: false,
+        message: "Group booking not found"
+      });
+    }
+
+    if (!(await policyService.isGroupMember(req.userId, booking.group_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Only members of the group can RSVP to its booking"
+      });
+    }
+
+    let deposit = 0;
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Lock the venue row so a bigger party is checked against concurrent bookings
+      const [venueRows] = await connection.execute("SELECT * FROM venues WHERE id = ? FOR UPDATE", [booking.venue_id]);
+      const venue = venueRows[0];
+      const current = await loadBooking(connection, id, true);
+
+      // RSVPs change the booking, so they close at the venue's cancellation cutoff
+      const allowed = bookingService.checkBookerChange(current, venue);
+      if (!allowed.ok) {
+        await connection.rollback();
+        return res.status(allowed.status).json({
+          success: false,
+          message: allowed.message
+        });
+      }
+
+      const total = await groupBookingService.saveRsvp(connection, current.id, req.userId, response, guests);
+      if (total === 0) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: "At least one member must stay in; cancel the booking instead"
+        });
+      }
+
+      // A bigger party needs room at the venue
+      if (total > current.guest_count) {
+        const check = await availabilityService.checkSlot(
+          connection, venue, current.booking_date, current.booking_time, total, current.id
+        );
+        if (!check.ok) {
+          await connection.rollback();
+          return res.status(check.status).json({
+            success: false,
+            message: check.message,
+            remainingCapacity: check.remaining
+          });
+        }
+
+        // The organizer owes the deposit for the bigger party
+        deposit = await paymentService.getOwedDeposit(connection, current.id, venue, total);
+        if (deposit > 0 && !paymentService.getProvider()) {
+          await connection.rollback();
+          return res.status(503).json({
+            success: false,
+            message: "This booking needs a deposit, but payments are not available right now"
+          });
+        }
+      }
+
+      if (total !== current.guest_count) {
+        await connection.execute("UPDATE venue_bookings SET guest_count = ? WHERE id = ?", [total, current.id]);
+
+        if (deposit > 0) {
+          await paymentService.requestDeposit(connection, current.id);
+        }
+
+        // Seats given up go to the waitlist first
+        if (total < current.guest_count) {
+          await waitlistService.offerFreedSeats(connection, venue, current.booking_date);
+        }
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const depositResult = deposit > 0 ? await paymentService.startDeposit(booking.id) : {};
+
+    const [bookings] = await db.execute("SELECT * FROM venue_bookings WHERE id = ?", [id]);
+    const rsvps = await groupBookingService.getRsvps(db, id);
+
+    res.status(200).json({
+      success: true,
+      message: "RSVP saved successfully",
+      booking: bookings[0],
+      rsvps,
+      // Only the organizer pays, so only they get the payment's client secret
+      ...(booking.user_id === req.userId ? depositResult : {})
+    });
+  } catch (error) {
+    console.error("Error saving RSVP:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save RSVP",
+      error: error.message
+    });
+  }
+};
+
+// Get the RSVPs of a group booking
+exports.getBookingRsvps = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await loadBooking(db, id);
+    if (!booking || !booking.group_id) {
+      return res.status(404).json({
+        success: false,
+        message: "Group booking not found"
+      });
+    }
+
+    // Members of the group and the venue see who is coming
+    const isMember = await policyService.isGroupMember(req.userId, booking.group_id);
+    if (!isMember && !(await policyService.getBookingRole(req.userId, booking))) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this booking"
+      });
+    }
+
+    const rsvps = await groupBookingService.getRsvps(db, id);
+
+    res.status(200).json({
+      success: true,
+      guestCount: booking.guest_count,
+      rsvps
+    });
+  } catch (error) {
+    console.error("Error fetching RSVPs:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch RSVPs",
+      error: error.message
+    });
+  }
+};
+
+// Get the bookings of a group chat
+exports.getGroupBookings = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    if (!(await policyService.isGroupMember(req.userId, groupId))) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not a member of this group"
+      });
+    }
+
+    // Get bookings with venue info and the member's own RSVP
+    const [bookings] = await db.execute(
+      `SELECT vb.*, v.name as venue_name, v.image as venue_image, v.location as venue_location,
+        u.username as organizer_username, u.full_name as organizer_full_name,
+        r.response as my_response, r.guests as my_guests
+       FROM venue_bookings vb
+       JOIN venues v ON vb.venue_id = v.id
+       JOIN users u ON vb.user_id = u.id
+       LEFT JOIN group_booking_rsvps r ON r.booking_id = vb.id AND r.user_id = ?
+       WHERE vb.group_id = ?
+       ORDER BY vb.booking_date DESC, vb.booking_time DESC`,
+      [req.userId, groupId]
+    );
+
+    res.status(200).json({
+      success: true,
+      count: bookings.length,
+      bookings
+    });
+  } catch (error) {
+    console.error("Error fetching group bookings:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch group bookings",
+      error: error.message
+    });
+  }
+};
@@ -3,13 +3,14 @@ const db = require("../config/db");
 // Toggle bookmark status for a venue
 exports.toggleVenueBookmark = async (req, res) => {
   try {
-    const { venue_id, user_id } = req.body;
+    const { venue_id } = req.body;
+    const user_id = req.userId; // From auth middleware
 
     // Validate required fields
-    if (!venue_id || !user_id) {
+    if (!venue_id) {
       return res.status(400).json({
         success: false,
-        message: "Venue ID and User ID are required"
+        message: "Venue ID is required"
       });
     }
 
@@ -112,13 +113,13 @@ exports.getUserBookmarks = async (req, res) => {
 exports.getVenueBookmarkStatus = async (req, res) => {
   try {
     const venueId = req.params.venueId;
-    const userId = req.query.user_id;
+    const userId = req.userId; // From auth middleware
 
     // Validate required fields
-    if (!venueId || !userId) {
+    if (!venueId) {
       return res.status(400).json({
         success: false,
-        message: "Venue ID and User ID are required"
+        message: "Venue ID is required"
       });
     }
 
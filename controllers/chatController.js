@@ -1,5 +1,22 @@
 const db = require('../config/db');
-const notificationService = require('../services/notificationService');
+const outboxService = require('../services/outboxService');
+const realtimeService = require('../services/realtimeService');
+
+/**
+ * Tell a user that the friend they wrote to has read their messages
+ * @param {number} senderId - ID of the user whose messages were read
+ * @param {number} readerId - ID of the user who read them
+ * @param {number} count - Number of messages marked as read
+ */
+const pushReadReceipt = (senderId, readerId, count) => {
+  if (count === 0) return;
+
+  realtimeService.sendToUser(senderId, 'messagesRead', {
+    readerId: parseInt(readerId),
+    count,
+    readAt: new Date().toISOString()
+  });
+};
 
 /**
  * Get chat history with a specific user
@@ -29,11 +46,12 @@ const getChatHistory = async (req, res) => {
     `, [userId, friendId, friendId, userId]);
 
     // Mark messages as read
-    await db.execute(`
+    const [readResult] = await db.execute(`
       UPDATE chat_messages
       SET is_read = 1
       WHERE sender_id = ? AND receiver_id = ? AND is_read = 0
     `, [friendId, userId]);
+    pushReadReceipt(friendId, userId, readResult.affectedRows);
 
     return res.status(200).json({ success: true, messages });
   } catch (error) {
@@ -137,22 +155,50 @@ const sendMessage = async (req, res) => {
       });
     }
 
-    // Insert the message
-    const [result] = await db.execute(
-      'INSERT INTO chat_messages (sender_id, receiver_id, message) VALUES (?, ?, ?)',
-      [senderId, receiverId, message]
-    );
+    // Fall back to an FCM notification when the receiver is offline, queued with the message itself
+    const online = realtimeService.isOnline(receiverId);
+    let newMessage;
+    const connection = await db.getConnection();
 
-    // Get the inserted message
-    const [messages] = await db.execute(
-      'SELECT * FROM chat_messages WHERE id = ?',
-      [result.insertId]
-    );
+    try {
+      await connection.beginTransaction();
 
-    // Send FCM notification to receiver
-    await notificationService.sendChatMessageNotification(senderId, receiverId, message);
+      // Insert the message
+      const [result] = await connection.execute(
+        'INSERT INTO chat_messages (sender_id, receiver_id, message) VALUES (?, ?, ?)',
+        [senderId, receiverId, message]
+      );
 
-    return res.status(201).json({ success: true, message: 'Message sent successfully', data: messages[0] });
+      // Get the inserted message
+      const [messages] = await connection.execute(
+        'SELECT * FROM chat_messages WHERE id = ?',
+        [result.insertId]
+      );
+      newMessage = messages[0];
+
+      if (!online) {
+        await outboxService.enqueue('sendChatMessageNotification', [senderId, receiverId, message], connection);
+      }
+
+      await connection.commit();
+      res.locals.committed = true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // Push the message to the receiver's open connections and the sender's other devices
+    const delivered = realtimeService.sendToUser(receiverId, 'newMessage', newMessage);
+    realtimeService.sendToUser(senderId, 'newMessage', newMessage);
+
+    // The receiver went offline in the meantime
+    if (online && !delivered) {
+      await outboxService.enqueue('sendChatMessageNotification', [senderId, receiverId, message]);
+    }
+
+    return res.status(201).json({ success: true, message: 'Message sent successfully', data: newMessage, delivered });
   } catch (error) {
     console.error('Error sending message:', error.message);
     return res.status(500).json({ success: false, message: 'Server error', error: error.message });
@@ -192,10 +238,11 @@ const markAsRead = async (req, res) => {
 
   try {
     // Mark messages as read
-    await db.execute(
+    const [result] = await db.execute(
       'UPDATE chat_messages SET is_read = 1 WHERE sender_id = ? AND receiver_id = ? AND is_read = 0',
       [friendId, userId]
     );
+    pushReadReceipt(friendId, userId, result.affectedRows);
 
     return res.status(200).json({ success: true, message: 'Messages marked as read' });
   } catch (error) {
@@ -1,5 +1,95 @@
 const db = require("../config/db");
 const notificationService = require("../services/notificationService");
+const outboxService = require("../services/outboxService");
+const policyService = require("../services/policyService");
+const eventOccurrenceService = require("../services/eventOccurrenceService");
+const paymentService = require("../services/paymentService");
+const ticketService = require("../services/ticketService");
+const eventRsvpService = require("../services/eventRsvpService");
+const { buildGeoFilter, roundDistance } = require("../utils/geo");
+const { addDays, daysBetween, isValidDate } = require("../utils/time");
+
+// Read the amount charged for entry (in the currency's minor unit); null or "" means entry isn't paid for
+const parsePriceAmount = (value) => {
+  if (value === null || value === '') return { value: null };
+
+  const amount = Number(value);
+  if (!Number.isInteger(amount) || amount < 1) {
+    return { error: "price_amount must be a whole number of at least 1, in the currency's minor unit, or null" };
+  }
+  return { value: amount };
+};
+
+// Send the refunds of a cancellation to the payment provider once it is committed
+const sendRefunds = (paymentIds) => {
+  if (paymentIds.length === 0) return;
+
+  paymentService.processRefunds(paymentIds)
+    .catch(error => console.error(`Failed to send refunds for payments ${paymentIds.join(', ')}:`, error.message));
+};
+
+// Longest date range that recurring events are expanded for in one request
+const MAX_OCCURRENCE_RANGE_DAYS = 366;
+
+// Read and validate the ?from=&to= occurrence date range (defaults to the next 30 days)
+const parseDateRange = (query) => {
+  const defaults = eventOccurrenceService.getDefaultRange();
+  const from = query.from || defaults.from;
+  const to = query.to || addDays(from, 30);
+
+  if (!isValidDate(from) || !isValidDate(to) || to < from) {
+    return { error: "from and to must be YYYY-MM-DD dates with from before to" };
+  }
+  if (daysBetween(from, to) > MAX_OCCURRENCE_RANGE_DAYS) {
+    return { error: `Date range can be at most ${MAX_OCCURRENCE_RANGE_DAYS} days` };
+  }
+
+  return { from, to };
+};
+
+// Set the location shown for an event
+const setDisplayLocation = (event) => {
+  // If venue_id is not null, use venue_location, otherwise use custom_location
+  if (event.venue_id && event.venue_location) {
+    event.display_location = event.venue_location;
+  } else if (event.custom_location) {
+    event.display_location = event.custom_location;
+  } else {
+    event.display_location = event.venue; // Fallback to venue field
+  }
+
+  return event;
+};
+
+// Find the occurrence of an event a user RSVPs to; returns { event, occurrenceDate }, or { status, error }
+const loadRsvpOccurrence = async (eventId, date) => {
+  const [eventRows] = await db.execute("SELECT * FROM events WHERE id = ?", [eventId]);
+  const event = eventRows[0];
+  if (!event) {
+    return { status: 404, error: "Event not found" };
+  }
+
+  if (event.status === 'cancelled') {
+    return { status: 409, error: "This event has been cancelled" };
+  }
+
+  // One-off events have a single occurrence on their own date; recurring events need the occurrence
+  const occurrenceDate = date || (event.recurrence_rule ? null : eventOccurrenceService.getEventDay(event));
+  if (!occurrenceDate) {
+    return { status: 400, error: "Occurrence date is required for recurring events" };
+  }
+
+  if (!(await eventOccurrenceService.isValidOccurrence(event, occurrenceDate))) {
+    return { status: 404, error: "Occurrence not found" };
+  }
+
+  const exception = await eventOccurrenceService.getException(event.id, occurrenceDate);
+  if (exception && exception.status === 'cancelled') {
+    return { status: 409, error: "This occurrence has been cancelled" };
+  }
+
+  return { event, occurrenceDate };
+};
 
 // Get all events with optional search and pagination
 exports.getAllEvents = async (req, res) => {
@@ -10,75 +100,129 @@ exports.getAllEvents = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
 
-    // Check if the events table has a custom_location column
-    let hasCustomLocationColumn = false;
-    try {
-      const [columns] = await db.execute("SHOW COLUMNS FROM events LIKE 'custom_location'");
-      hasCustomLocationColumn = columns.length > 0;
-      // Events table has custom_location column check
-    } catch (error) {
-      console.error('Error checking for custom_location column:', error.message);
-    }
-
     let sql, countSql;
     let params = [], countParams = [];
 
-    if (searchQuery.trim() === '') {
-      // If no search query, return paginated events ordered by date
-      if (hasCustomLocationColumn) {
-        // Use LEFT JOIN to get venue location when venue_id is not null
-        sql = `
-          SELECT e.*, v.location as venue_location
-          FROM events e
-          LEFT JOIN venues v ON e.venue_id = v.id
-          ORDER BY e.event_date ASC
-          LIMIT ? OFFSET ?
-        `;
-        countSql = `
-          SELECT COUNT(*) as total
-          FROM events e
-        `;
-      } else {
-        sql = "SELECT * FROM events ORDER BY event_date ASC LIMIT ? OFFSET ?";
-        countSql = "SELECT COUNT(*) as total FROM events";
+    // Location-based search: "near me" radius or map bounding box
+    const geoFilter = buildGeoFilter(req.query, "e.latitude", "e.longitude");
+    if (geoFilter && geoFilter.error) {
+      return res.status(400).json({
+        success: false,
+        message: geoFilter.error
+      });
+    }
+
+    // Date range: list occurrences, expanding recurring events
+    if (req.query.from || req.query.to) {
+      const range = parseDateRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
       }
 
-      params = [limit, offset];
+      // Series that can have an occurrence in the range
+      const conditions = [
+        `e.event_date < ?`,
+        `((e.recurrence_rule IS NULL AND e.event_date >= ?) OR
+          (e.recurrence_rule IS NOT NULL AND (e.recurrence_until IS NULL OR e.recurrence_until >= ?)))`
+      ];
+      const whereParams = [addDays(range.to, 1), range.from, range.from];
+
+      if (searchQuery.trim() !== '') {
+        const searchParam = `%${searchQuery}%`;
+        conditions.push("(e.name LIKE ? OR e.venue LIKE ? OR e.custom_location LIKE ?)");
+        whereParams.push(searchParam, searchParam, searchParam);
+      }
 
-      // Get total count of events
-      const [countResult] = await db.execute(countSql);
-      const totalCount = countResult[0].total;
+      if (geoFilter) {
+        conditions.push(geoFilter.where);
+        whereParams.push(...geoFilter.whereParams);
+      }
 
-      // Get paginated events - use template literals for LIMIT and OFFSET to avoid MySQL prepared statement issues
-      if (sql.includes('LIMIT ? OFFSET ?')) {
-        sql = sql.replace('LIMIT ? OFFSET ?', `LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`);
-        params = params.slice(0, -2); // Remove limit and offset from params
+      const selectDistance = geoFilter && geoFilter.distance ? `, ${geoFilter.distance} as distance_km` : "";
+      const [series] = await db.execute(
+        `SELECT e.*, v.location as venue_location${selectDistance}
+         FROM events e
+         LEFT JOIN venues v ON e.venue_id = v.id
+         WHERE ${conditions.join(" AND ")}`,
+        [...(geoFilter ? geoFilter.distanceParams : []), ...whereParams]
+      );
+
+      const occurrences = await eventOccurrenceService.expandEvents(series, range.from, range.to);
+
+      // Soonest first (closest first within a day when searching near a point)
+      occurrences.sort((a, b) =>
+        a.occurrence_date.localeCompare(b.occurrence_date) ||
+        (a.distance_km || 0) - (b.distance_km || 0) ||
+        String(a.starting_time || '').localeCompare(String(b.starting_time || ''))
+      );
+
+      const totalCount = occurrences.length;
+      const processedEvents = occurrences.slice(offset, offset + limit).map(event => {
+        if (event.distance_km !== undefined) {
+          event.distance_km = roundDistance(event.distance_km);
+        }
+        return setDisplayLocation(event);
+      });
+
+      // RSVP counts, and the friends going when the viewer is signed in
+      await eventRsvpService.attachSocial(processedEvents, req.userId);
+
+      return res.status(200).json({
+        success: true,
+        events: processedEvents,
+        from: range.from,
+        to: range.to,
+        totalCount: totalCount,
+        page: page,
+        limit: limit,
+        totalPages: Math.ceil(totalCount / limit)
+      });
+    }
+
+    if (geoFilter) {
+      const conditions = [geoFilter.where];
+      countParams = [...geoFilter.whereParams];
+
+      if (searchQuery.trim() !== '') {
+        const searchParam = `%${searchQuery}%`;
+        conditions.push("(e.name LIKE ? OR e.venue LIKE ? OR e.custom_location LIKE ?)");
+        countParams.push(searchParam, searchParam, searchParam);
       }
+
+      const whereSql = conditions.join(" AND ");
+
+      // Get total count of matching events
+      const [countResult] = await db.execute(`SELECT COUNT(*) as total FROM events e WHERE ${whereSql}`, countParams);
+      const totalCount = countResult[0].total;
+
+      // Closest events first when a center point was given, otherwise by date
+      const selectDistance = geoFilter.distance ? `, ${geoFilter.distance} as distance_km` : "";
+      const orderBy = geoFilter.distance ? "distance_km ASC, e.event_date ASC" : "e.event_date ASC";
+
+      sql = `
+        SELECT e.*, v.location as venue_location${selectDistance}
+        FROM events e
+        LEFT JOIN venues v ON e.venue_id = v.id
+        WHERE ${whereSql}
+        ORDER BY ${orderBy}
+        LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
+      `;
+      params = [...geoFilter.distanceParams, ...countParams];
+
       const [events] = await db.execute(sql, params);
 
-      // Process events to set the correct location
       const processedEvents = events.map(event => {
-        if (hasCustomLocationColumn) {
-          // If venue_id is not null, use venue_location, otherwise use custom_location
-          if (event.venue_id && event.venue_location) {
-            event.display_location = event.venue_location;
-          } else if (event.custom_location) {
-            event.display_location = event.custom_location;
-          } else {
-            event.display_location = event.venue; // Fallback to venue field
-          }
-        } else {
-          event.display_location = event.venue; // Fallback to venue field
-        }
-
-        // Make sure interested_count is included
-        if (event.interested_count === undefined) {
-          event.interested_count = 0;
+        if (geoFilter.distance) {
+          event.distance_km = roundDistance(event.distance_km);
         }
-
-        return event;
+        return setDisplayLocation(event);
       });
 
+      await eventRsvpService.attachSocial(processedEvents, req.userId);
+
       return res.status(200).json({
         success: true,
         events: processedEvents,
@@ -89,32 +233,67 @@ exports.getAllEvents = async (req, res) => {
       });
     }
 
-    // Search in name, venue, and custom_location if available with pagination
-    if (hasCustomLocationColumn) {
+    if (searchQuery.trim() === '') {
+      // If no search query, return paginated events ordered by date
+      // Use LEFT JOIN to get venue location when venue_id is not null
       sql = `
         SELECT e.*, v.location as venue_location
         FROM events e
         LEFT JOIN venues v ON e.venue_id = v.id
-        WHERE e.name LIKE ? OR e.venue LIKE ? OR e.custom_location LIKE ?
         ORDER BY e.event_date ASC
         LIMIT ? OFFSET ?
       `;
       countSql = `
         SELECT COUNT(*) as total
         FROM events e
-        WHERE e.name LIKE ? OR e.venue LIKE ? OR e.custom_location LIKE ?
       `;
-      const searchParam = `%${searchQuery}%`;
-      params = [searchParam, searchParam, searchParam, limit, offset];
-      countParams = [searchParam, searchParam, searchParam];
-    } else {
-      sql = "SELECT * FROM events WHERE name LIKE ? OR venue LIKE ? ORDER BY event_date ASC LIMIT ? OFFSET ?";
-      countSql = "SELECT COUNT(*) as total FROM events WHERE name LIKE ? OR venue LIKE ?";
-      const searchParam = `%${searchQuery}%`;
-      params = [searchParam, searchParam, limit, offset];
-      countParams = [searchParam, searchParam];
+
+      params = [limit, offset];
+
+      // Get total count of events
+      const [countResult] = await db.execute(countSql);
+      const totalCount = countResult[0].total;
+
+      // Get paginated events - use template literals for LIMIT and OFFSET to avoid MySQL prepared statement issues
+      if (sql.includes('LIMIT ? OFFSET ?')) {
+        sql = sql.replace('LIMIT ? OFFSET ?', `LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`);
+        params = params.slice(0, -2); // Remove limit and offset from params
+      }
+      const [events] = await db.execute(sql, params);
+
+      // Process events to set the correct location
+      const processedEvents = events.map(event => setDisplayLocation(event));
+
+      await eventRsvpService.attachSocial(processedEvents, req.userId);
+
+      return res.status(200).json({
+        success: true,
+        events: processedEvents,
+        totalCount: totalCount,
+        page: page,
+        limit: limit,
+        totalPages: Math.ceil(totalCount / limit)
+      });
     }
 
+    // Search in name, venue, and custom_location with pagination
+    sql = `
+      SELECT e.*, v.location as venue_location
+      FROM events e
+      LEFT JOIN venues v ON e.venue_id = v.id
+      WHERE e.name LIKE ? OR e.venue LIKE ? OR e.custom_location LIKE ?
+      ORDER BY e.event_date ASC
+      LIMIT ? OFFSET ?
+    `;
+    countSql = `
+      SELECT COUNT(*) as total
+      FROM events e
+      WHERE e.name LIKE ? OR e.venue LIKE ? OR e.custom_location LIKE ?
+    `;
+    const searchParam = `%${searchQuery}%`;
+    params = [searchParam, searchParam, searchParam, limit, offset];
+    countParams = [searchParam, searchParam, searchParam];
+
     // Get total count of matching events
     const [countResult] = await db.execute(countSql, countParams);
     const totalCount = countResult[0].total;
@@ -127,27 +306,9 @@ exports.getAllEvents = async (req, res) => {
     const [events] = await db.execute(sql, params);
 
     // Process events to set the correct location
-    const processedEvents = events.map(event => {
-      if (hasCustomLocationColumn) {
-        // If venue_id is not null, use venue_location, otherwise use custom_location
-        if (event.venue_id && event.venue_location) {
-          event.display_location = event.venue_location;
-        } else if (event.custom_location) {
-          event.display_location = event.custom_location;
-        } else {
-          event.display_location = event.venue; // Fallback to venue field
-        }
-      } else {
-        event.display_location = event.venue; // Fallback to venue field
-      }
-
-      // Make sure interested_count is included
-      if (event.interested_count === undefined) {
-        event.interested_count = 0;
-      }
+    const processedEvents = events.map(event => setDisplayLocation(event));
 
-      return event;
-    });
+    await eventRsvpService.attachSocial(processedEvents, req.userId);
 
     res.status(200).json({
       success: true,
@@ -184,42 +345,30 @@ exports.createEvent = async (req, res) => {
       });
     }
 
-    // Check if we have either venue_id or custom location (venue + coordinates)
-    if (!venue_id && (!venue || !latitude || !longitude)) {
+    // Optional recurrence (RRULE string or recurrence object)
+    const recurrence = eventOccurrenceService.parseRecurrence(req.body);
+    if (recurrence && recurrence.error) {
       return res.status(400).json({
         success: false,
-        message: "Either venue_id or custom location (venue name + coordinates) is required"
+        message: recurrence.error
       });
     }
 
-    // Check if the events table has a name column
-    let hasNameColumn = false;
-    try {
-      const [columns] = await db.execute("SHOW COLUMNS FROM events LIKE 'name'");
-      hasNameColumn = columns.length > 0;
-      // Events table has name column check
-    } catch (error) {
-      console.error('Error checking for name column:', error.message);
-    }
-
-    // Check if the events table has a custom_location column
-    let hasCustomLocationColumn = false;
-    try {
-      const [columns] = await db.execute("SHOW COLUMNS FROM events LIKE 'custom_location'");
-      hasCustomLocationColumn = columns.length > 0;
-      // Events table has custom_location column check
-    } catch (error) {
-      console.error('Error checking for custom_location column:', error.message);
+    // Optional paid entry
+    const priceAmount = req.body.price_amount !== undefined ? parsePriceAmount(req.body.price_amount) : { value: null };
+    if (priceAmount.error) {
+      return res.status(400).json({
+        success: false,
+        message: priceAmount.error
+      });
     }
 
-    // Check if the events table has an images column
-    let hasImagesColumn = false;
-    try {
-      const [columns] = await db.execute("SHOW COLUMNS FROM events LIKE 'images'");
-      hasImagesColumn = columns.length > 0;
-      console.log('Events table has images column:', hasImagesColumn);
-    } catch (error) {
-      console.error('Error checking for images column:', error.message);
+    // Check if we have either venue_id or custom location (venue + coordinates)
+    if (!venue_id && (!venue || !latitude || !longitude)) {
+      return res.status(400).json({
+        success: false,
+        message: "Either venue_id or custom location (venue name + coordinates) is required"
+      });
     }
 
     let sql;
@@ -237,6 +386,14 @@ exports.createEvent = async (req, res) => {
         });
       }
 
+      // Only the venue owner can publish events at their venue
+      if (!(await policyService.canManageVenue(req.userId, venue_id))) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the venue owner can create events for this venue"
+        });
+      }
+
       // Get venue name and location for the event
       const venueName = venueRows[0].name;
       const venueLocation = venueRows[0].location || null;
@@ -246,234 +403,47 @@ exports.createEvent = async (req, res) => {
       const venueLatitude = venueRows[0].latitude || null;
       const venueLongitude = venueRows[0].longitude || null;
 
-      if (hasNameColumn) {
-        if (hasCustomLocationColumn) {
-          if (hasImagesColumn) {
-            sql = `INSERT INTO events
-              (name, venue, venue_id, description, event_date, starting_time, price, image, images, latitude, longitude, custom_location)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-            params = [
-              name,           // Event name
-              venueName,      // Use the venue name for the 'venue' field
-              venue_id,       // Store the venue ID reference
-              description,
-              event_date,
-              starting_time || null,
-              price || null,
-              image || null,
-              images || null, // Store all images as JSON string
-              venueLatitude,
-              venueLongitude,
-              venueLocation   // Use venue's location as the location for the event
-            ];
-          } else {
-            sql = `INSERT INTO events
-              (name, venue, venue_id, description, event_date, starting_time, price, image, latitude, longitude, custom_location)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-            params = [
-              name,           // Event name
-              venueName,      // Use the venue name for the 'venue' field
-              venue_id,       // Store the venue ID reference
-              description,
-              event_date,
-              starting_time || null,
-              price || null,
-              image || null,
-              venueLatitude,
-              venueLongitude,
-              venueLocation   // Use venue's location as the location for the event
-            ];
-          }
-        } else {
-          if (hasImagesColumn) {
-            sql = `INSERT INTO events
-              (name, venue, venue_id, description, event_date, starting_time, price, image, images, latitude, longitude)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-            params = [
-              name,           // Event name
-              venueName,      // Use the venue name for the 'venue' field
-              venue_id,       // Store the venue ID reference
-              description,
-              event_date,
-              starting_time || null,
-              price || null,
-              image || null,
-              images || null, // Store all images as JSON string
-              venueLatitude,
-              venueLongitude
-            ];
-          } else {
-            sql = `INSERT INTO events
-              (name, venue, venue_id, description, event_date, starting_time, price, image, latitude, longitude)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-            params = [
-              name,           // Event name
-              venueName,      // Use the venue name for the 'venue' field
-              venue_id,       // Store the venue ID reference
-              description,
-              event_date,
-              starting_time || null,
-              price || null,
-              image || null,
-              venueLatitude,
-              venueLongitude
-            ];
-          }
-        }
-      } else {
-        // Fallback if name column doesn't exist
-        if (hasCustomLocationColumn) {
-          sql = `INSERT INTO events
-            (venue, venue_id, description, event_date, starting_time, price, image, latitude, longitude, custom_location)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-          params = [
-            venueName,      // Use the venue name for the 'venue' field
-            venue_id,       // Store the venue ID reference
-            description,
-            event_date,
-            starting_time || null,
-            price || null,
-            image || null,
-            venueLatitude,
-            venueLongitude,
-            venueLocation   // Use venue's location as the location for the event
-          ];
-        } else {
-          sql = `INSERT INTO events
-            (venue, venue_id, description, event_date, starting_time, price, image, latitude, longitude)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-          params = [
-            venueName,      // Use the venue name for the 'venue' field
-            venue_id,       // Store the venue ID reference
-            description,
-            event_date,
-            starting_time || null,
-            price || null,
-            image || null,
-            venueLatitude,
-            venueLongitude
-          ];
-        }
-      }
+      sql = `INSERT INTO events
+        (name, venue, venue_id, description, event_date, starting_time, price, price_amount, image, images, latitude, longitude, custom_location, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+      params = [
+        name,           // Event name
+        venueName,      // Use the venue name for the 'venue' field
+        venue_id,       // Store the venue ID reference
+        description,
+        event_date,
+        starting_time || null,
+        price || null,
+        priceAmount.value,
+        image || null,
+        images || null, // Store all images as JSON string
+        venueLatitude,
+        venueLongitude,
+        venueLocation,  // Use venue's location as the location for the event
+        req.userId
+      ];
     } else {
       // Case 2: Using a custom location
-      // Using custom location for event
-
-      if (hasNameColumn) {
-        if (hasCustomLocationColumn) {
-          if (hasImagesColumn) {
-            sql = `INSERT INTO events
-              (name, venue, description, event_date, starting_time, price, image, images, latitude, longitude, custom_location)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-            params = [
-              name,           // Event name
-              venue,          // Custom location name for the 'venue' field
-              description,
-              event_date,
-              starting_time || null,
-              price || null,
-              image || null,
-              images || null, // Store all images as JSON string
-              latitude,
-              longitude,
-              venue           // Store the custom location name in custom_location field
-            ];
-          } else {
-            sql = `INSERT INTO events
-              (name, venue, description, event_date, starting_time, price, image, latitude, longitude, custom_location)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-            params = [
-              name,           // Event name
-              venue,          // Custom location name for the 'venue' field
-              description,
-              event_date,
-              starting_time || null,
-              price || null,
-              image || null,
-              latitude,
-              longitude,
-              venue           // Store the custom location name in custom_location field
-            ];
-          }
-        } else {
-          if (hasImagesColumn) {
-            sql = `INSERT INTO events
-              (name, venue, description, event_date, starting_time, price, image, images, latitude, longitude)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-            params = [
-              name,           // Event name
-              venue,          // Custom location name
-              description,
-              event_date,
-              starting_time || null,
-              price || null,
-              image || null,
-              images || null, // Store all images as JSON string
-              latitude,
-              longitude
-            ];
-          } else {
-            sql = `INSERT INTO events
-              (name, venue, description, event_date, starting_time, price, image, latitude, longitude)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-            params = [
-              name,           // Event name
-              venue,          // Custom location name
-              description,
-              event_date,
-              starting_time || null,
-              price || null,
-              image || null,
-              latitude,
-              longitude
-            ];
-          }
-        }
-      } else {
-        // Fallback if name column doesn't exist
-        if (hasCustomLocationColumn) {
-          sql = `INSERT INTO events
-            (venue, description, event_date, starting_time, price, image, latitude, longitude, custom_location)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-          params = [
-            venue,          // Custom location name
-            description,
-            event_date,
-            starting_time || null,
-            price || null,
-            image || null,
-            latitude,
-            longitude,
-            venue           // Store the custom location name in custom_location field
-          ];
-        } else {
-          sql = `INSERT INTO events
-            (venue, description, event_date, starting_time, price, image, latitude, longitude)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
-
-          params = [
-            venue,          // Custom location name
-            description,
-            event_date,
-            starting_time || null,
-            price || null,
-            image || null,
-            latitude,
-            longitude
-          ];
-        }
-      }
+      sql = `INSERT INTO events
+        (name, venue, description, event_date, starting_time, price, price_amount, image, images, latitude, longitude, custom_location, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+      params = [
+        name,           // Event name
+        venue,          // Custom location name for the 'venue' field
+        description,
+        event_date,
+        starting_time || null,
+        price || null,
+        priceAmount.value,
+        image || null,
+        images || null, // Store all images as JSON string
+        latitude,
+        longitude,
+        venue,          // Store the custom location name in custom_location field
+        req.userId      // The creator owns custom-location events
+      ];
     }
 
     // Executing SQL for event creation
@@ -481,24 +451,33 @@ exports.createEvent = async (req, res) => {
     console.log('Creating event with SQL:', sql);
     console.log('Event parameters:', params);
 
-    const [result] = await db.execute(sql, params);
+    let eventId;
+    const connection = await db.getConnection();
 
-    // Get the newly created event
-    const eventId = result.insertId;
-    const [events] = await db.execute("SELECT * FROM events WHERE id = ?", [eventId]);
+    try {
+      await connection.beginTransaction();
 
-    // Send notification about the new event (asynchronously)
-    notificationService.sendNewEventNotification(eventId)
-      .then(notificationResult => {
-        if (notificationResult) {
-          console.log(`New event notification sent successfully for event ${eventId}`);
-        } else {
-          console.log(`Failed to send new event notification for event ${eventId}`);
-        }
-      })
-      .catch(err => {
-        console.error(`Error sending new event notification for event ${eventId}:`, err);
-      });
+      const [result] = await connection.execute(sql, params);
+      eventId = result.insertId;
+
+      // Queue the announcement with the event so it can't be lost
+      await outboxService.enqueue('sendNewEventNotification', [eventId], connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // Save the recurrence rule of repeating events
+    if (recurrence && recurrence.rule) {
+      const [dateRows] = await db.execute("SELECT DATE_FORMAT(event_date, '%Y-%m-%d') as event_day FROM events WHERE id = ?", [eventId]);
+      await eventOccurrenceService.saveRecurrence(eventId, dateRows[0].event_day, recurrence);
+    }
+
+    const [events] = await db.execute("SELECT * FROM events WHERE id = ?", [eventId]);
 
     res.status(201).json({
       success: true,
@@ -520,33 +499,307 @@ exports.getEventById = async (req, res) => {
   try {
     const eventId = req.params.id;
 
-    // Check if the events table has a custom_location column
-    let hasCustomLocationColumn = false;
+    // Use LEFT JOIN to get venue location when venue_id is not null
+    const [events] = await db.execute(
+      `SELECT e.*, v.location as venue_location
+       FROM events e
+       LEFT JOIN venues v ON e.venue_id = v.id
+       WHERE e.id = ?`,
+      [eventId]
+    );
+
+    if (events.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found"
+      });
+    }
+
+    const event = setDisplayLocation(events[0]);
+    await eventRsvpService.attachSocial([event], req.userId);
+
+    res.status(200).json({
+      success: true,
+      event: event
+    });
+  } catch (error) {
+    console.error("Error fetching event details:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch event details",
+      error: error.message
+    });
+  }
+};
+
+// Update an event
+exports.updateEvent = async (req, res) => {
+  try {
+    const eventId = req.params.id;
+
+    // Get the current event data
+    const [currentEvents] = await db.execute("SELECT * FROM events WHERE id = ?", [eventId]);
+    if (currentEvents.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found"
+      });
+    }
+
+    const currentEvent = currentEvents[0];
+
+    if (currentEvent.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: "Cancelled events cannot be updated"
+      });
+    }
+
+    // Fields that can be edited; venue events keep the venue's name and coordinates
+    const editableFields = ['name', 'description', 'event_date', 'starting_time', 'price', 'image', 'images'];
+    if (!currentEvent.venue_id) {
+      editableFields.push('venue', 'custom_location', 'latitude', 'longitude');
+    }
+
+    const updates = {};
+    editableFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field] === '' ? null : req.body[field];
+      }
+    });
+
+    // Payments already made keep the amount they were made for
+    if (req.body.price_amount !== undefined) {
+      const priceAmount = parsePriceAmount(req.body.price_amount);
+      if (priceAmount.error) {
+        return res.status(400).json({
+          success: false,
+          message: priceAmount.error
+        });
+      }
+      updates.price_amount = priceAmount.value;
+    }
+
+    // Changing the recurrence applies to the whole series
+    const recurrence = eventOccurrenceService.parseRecurrence(req.body);
+    if (recurrence && recurrence.error) {
+      return res.status(400).json({
+        success: false,
+        message: recurrence.error
+      });
+    }
+
+    if (Object.keys(updates).length === 0 && !recurrence) {
+      return res.status(400).json({
+        success: false,
+        message: "No editable fields provided"
+      });
+    }
+
+    // Required fields can't be cleared
+    for (const field of ['name', 'description', 'event_date']) {
+      if (field in updates && !updates[field]) {
+        return res.status(400).json({
+          success: false,
+          message: "Name, description, and date are required"
+        });
+      }
+    }
+
+    const fields = Object.keys(updates);
+    let updatedEvent, changedFields;
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      if (fields.length > 0) {
+        await connection.execute(
+          `UPDATE events SET ${fields.map(field => `${field} = ?`).join(", ")} WHERE id = ?`,
+          [...fields.map(field => updates[field]), eventId]
+        );
+      }
+
+      if (recurrence) {
+        const [dateRows] = await connection.execute("SELECT DATE_FORMAT(event_date, '%Y-%m-%d') as event_day FROM events WHERE id = ?", [eventId]);
+        await eventOccurrenceService.saveRecurrence(eventId, dateRows[0].event_day, recurrence, connection);
+      }
+
+      // Get the updated event
+      const [events] = await connection.execute("SELECT * FROM events WHERE id = ?", [eventId]);
+      updatedEvent = events[0];
+
+      // Work out which fields actually changed so attendees only hear about real changes
+      changedFields = [...fields, ...(recurrence ? ['recurrence_rule'] : [])]
+        .filter(field => String(currentEvent[field]) !== String(updatedEvent[field]));
+
+      if (changedFields.length > 0) {
+        // Queue a notification for interested users
+        await outboxService.enqueue('sendEventUpdatedNotification', [eventId, changedFields], connection);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Event updated successfully",
+      event: updatedEvent,
+      changedFields: changedFields
+    });
+  } catch (error) {
+    console.error("Error updating event:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update event",
+      error: error.message
+    });
+  }
+};
+
+// Cancel an event
+exports.cancelEvent = async (req, res) => {
+  try {
+    const eventId = req.params.id;
+    const { reason } = req.body;
+
+    const [eventRows] = await db.execute("SELECT * FROM events WHERE id = ?", [eventId]);
+    if (eventRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found"
+      });
+    }
+
+    if (eventRows[0].status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: "Event is already cancelled"
+      });
+    }
+
+    let refundIds = [];
+    const connection = await db.getConnection();
+
     try {
-      const [columns] = await db.execute("SHOW COLUMNS FROM events LIKE 'custom_location'");
-      hasCustomLocationColumn = columns.length > 0;
-      // Events table has custom_location column check
+      await connection.beginTransaction();
+
+      await connection.execute(
+        "UPDATE events SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = ? WHERE id = ?",
+        [reason || null, eventId]
+      );
+
+      // Queue a notification for interested users with the cancellation
+      await outboxService.enqueue('sendEventCancelledNotification', [eventId], connection);
+
+      // Everyone who paid for entry gets their money back, and their tickets no longer let them in
+      refundIds = await paymentService.cancelEventPayments(connection, eventId);
+      await ticketService.cancelEventTickets(connection, eventId);
+
+      await connection.commit();
     } catch (error) {
-      console.error('Error checking for custom_location column:', error.message);
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
     }
 
-    let sql;
-    if (hasCustomLocationColumn) {
-      // Use LEFT JOIN to get venue location when venue_id is not null
-      sql = `
-        SELECT e.*, v.location as venue_location
-        FROM events e
-        LEFT JOIN venues v ON e.venue_id = v.id
-        WHERE e.id = ?
-      `;
-    } else {
-      sql = "SELECT * FROM events WHERE id = ?";
+    sendRefunds(refundIds);
+
+    const [events] = await db.execute("SELECT * FROM events WHERE id = ?", [eventId]);
+
+    res.status(200).json({
+      success: true,
+      message: "Event cancelled successfully",
+      event: events[0]
+    });
+  } catch (error) {
+    console.error("Error cancelling event:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel event",
+      error: error.message
+    });
+  }
+};
+
+// Delete an event
+exports.deleteEvent = async (req, res) => {
+  try {
+    const eventId = req.params.id;
+
+    const [eventRows] = await db.execute("SELECT * FROM events WHERE id = ?", [eventId]);
+    if (eventRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found"
+      });
     }
 
-    // Make sure interested_count is included in the response
-    // If the column doesn't exist yet, we'll add it to the query result later
+    const event = eventRows[0];
+
+    // Collect the interested users before the delete cascades to event_interests
+    const userIds = await notificationService.getEventAttendeeIds(eventId);
+
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute("DELETE FROM events WHERE id = ?", [eventId]);
+
+      // Attendees of an already cancelled event have been told; otherwise tell them now
+      if (event.status !== 'cancelled') {
+        await outboxService.enqueue('sendEventCancelledNotification', [event.id, { event, userIds, deleted: true }], connection);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Event deleted successfully"
+    });
+  } catch (error) {
+    console.error("Error deleting event:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete event",
+      error: error.message
+    });
+  }
+};
+
+// Get the occurrences of an event within a date range
+exports.getEventOccurrences = async (req, res) => {
+  try {
+    const eventId = req.params.id;
 
-    const [events] = await db.execute(sql, [eventId]);
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const [events] = await db.execute(
+      `SELECT e.*, v.location as venue_location
+       FROM events e
+       LEFT JOIN venues v ON e.venue_id = v.id
+       WHERE e.id = ?`,
+      [eventId]
+    );
 
     if (events.length === 0) {
       return res.status(404).json({
@@ -555,62 +808,192 @@ exports.getEventById = async (req, res) => {
       });
     }
 
-    const event = events[0];
+    const occurrences = await eventOccurrenceService.getOccurrences(events[0], range.from, range.to);
+    await eventRsvpService.attachSocial(occurrences, req.userId);
 
-    // Set the display_location field
-    if (hasCustomLocationColumn) {
-      // If venue_id is not null, use venue_location, otherwise use custom_location
-      if (event.venue_id && event.venue_location) {
-        event.display_location = event.venue_location;
-      } else if (event.custom_location) {
-        event.display_location = event.custom_location;
-      } else {
-        event.display_location = event.venue; // Fallback to venue field
-      }
-    } else {
-      event.display_location = event.venue; // Fallback to venue field
+    res.status(200).json({
+      success: true,
+      recurrence_rule: events[0].recurrence_rule,
+      from: range.from,
+      to: range.to,
+      occurrences: occurrences.map(event => setDisplayLocation(event, true))
+    });
+  } catch (error) {
+    console.error("Error fetching event occurrences:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch event occurrences",
+      error: error.message
+    });
+  }
+};
+
+// Edit a single occurrence of a recurring event
+exports.updateEventOccurrence = async (req, res) => {
+  try {
+    const { id: eventId, date } = req.params;
+
+    const [eventRows] = await db.execute("SELECT * FROM events WHERE id = ?", [eventId]);
+    const event = eventRows[0];
+
+    if (!event.recurrence_rule) {
+      return res.status(400).json({
+        success: false,
+        message: "Only recurring events have occurrences; update the event instead"
+      });
     }
 
-    // Make sure interested_count is included
-    if (event.interested_count === undefined) {
-      event.interested_count = 0;
+    if (!(await eventOccurrenceService.isValidOccurrence(event, date))) {
+      return res.status(404).json({
+        success: false,
+        message: "Occurrence not found"
+      });
     }
 
+    const overrides = eventOccurrenceService.pickOverrides(req.body);
+    if (Object.keys(overrides).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No editable fields provided"
+      });
+    }
+
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await eventOccurrenceService.saveException(event.id, date, overrides, connection);
+
+      // Queue a notification for users interested in this occurrence
+      await outboxService.enqueue('sendEventUpdatedNotification', [event.id, Object.keys(overrides), date], connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const [occurrence] = await eventOccurrenceService.getOccurrences(event, date, date);
+
     res.status(200).json({
       success: true,
-      event: event
+      message: "Occurrence updated successfully",
+      occurrence: occurrence
     });
   } catch (error) {
-    console.error("Error fetching event details:", error.message);
+    console.error("Error updating event occurrence:", error.message);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch event details",
+      message: "Failed to update event occurrence",
+      error: error.message
+    });
+  }
+};
+
+// Cancel a single occurrence of a recurring event
+exports.cancelEventOccurrence = async (req, res) => {
+  try {
+    const { id: eventId, date } = req.params;
+    const { reason } = req.body;
+
+    const [eventRows] = await db.execute("SELECT * FROM events WHERE id = ?", [eventId]);
+    const event = eventRows[0];
+
+    if (!event.recurrence_rule) {
+      return res.status(400).json({
+        success: false,
+        message: "Only recurring events have occurrences; cancel the event instead"
+      });
+    }
+
+    if (!(await eventOccurrenceService.isValidOccurrence(event, date))) {
+      return res.status(404).json({
+        success: false,
+        message: "Occurrence not found"
+      });
+    }
+
+    const exception = await eventOccurrenceService.getException(event.id, date);
+    if (exception && exception.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: "Occurrence is already cancelled"
+      });
+    }
+
+    const connection = await db.getConnection();
+    let refundIds = [];
+
+    try {
+      await connection.beginTransaction();
+
+      await eventOccurrenceService.saveException(event.id, date, {
+        status: 'cancelled',
+        cancellation_reason: reason || null
+      }, connection);
+
+      // Queue a notification for users interested in this occurrence
+      await outboxService.enqueue('sendEventCancelledNotification', [event.id, {
+        event: { ...event, cancellation_reason: reason || null },
+        occurrenceDate: date
+      }], connection);
+
+      // Everyone who paid for this occurrence gets their money back, and their tickets no longer let them in
+      refundIds = await paymentService.cancelEventPayments(connection, event.id, date);
+      await ticketService.cancelEventTickets(connection, event.id, date);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    sendRefunds(refundIds);
+
+    const [occurrence] = await eventOccurrenceService.getOccurrences(event, date, date);
+
+    res.status(200).json({
+      success: true,
+      message: "Occurrence cancelled successfully",
+      occurrence: occurrence
+    });
+  } catch (error) {
+    console.error("Error cancelling event occurrence:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel event occurrence",
       error: error.message
     });
   }
 };
 
-// Toggle event interest
+// Toggle event interest (interested or going counts as interested; toggling it off clears the RSVP)
 exports.toggleEventInterest = async (req, res) => {
   try {
-    const { event_id, user_id } = req.body;
+    const { event_id, occurrence_date } = req.body;
+    const user_id = req.userId; // From auth middleware
 
     // Validate required fields
-    if (!event_id || !user_id) {
+    if (!event_id) {
       return res.status(400).json({
         success: false,
-        message: "Event ID and User ID are required"
+        message: "Event ID is required"
       });
     }
 
-    // Check if the event exists
-    const [eventRows] = await db.execute("SELECT * FROM events WHERE id = ?", [event_id]);
-    if (eventRows.length === 0) {
-      return res.status(404).json({
+    const occurrence = await loadRsvpOccurrence(event_id, occurrence_date);
+    if (occurrence.error) {
+      return res.status(occurrence.status).json({
         success: false,
-        message: "Event not found"
+        message: occurrence.error
       });
     }
+    const { event, occurrenceDate } = occurrence;
 
     // Check if the user exists
     const [userRows] = await db.execute("SELECT * FROM users WHERE id = ?", [user_id]);
@@ -621,76 +1004,89 @@ exports.toggleEventInterest = async (req, res) => {
       });
     }
 
-    // Check if the user is already interested in this event
-    const [interestRows] = await db.execute(
-      "SELECT * FROM event_interests WHERE event_id = ? AND user_id = ?",
-      [event_id, user_id]
-    );
+    const current = await eventRsvpService.getRsvp(event.id, user_id, occurrenceDate);
+    const isInterested = !eventRsvpService.getAttendingStatuses().includes(current);
 
-    let isInterested = false;
+    await eventRsvpService.setRsvp(event.id, user_id, occurrenceDate, isInterested ? 'interested' : null);
 
-    if (interestRows.length > 0) {
-      // User is already interested, so remove the interest
-      await db.execute(
-        "DELETE FROM event_interests WHERE event_id = ? AND user_id = ?",
-        [event_id, user_id]
-      );
+    // Counts per occurrence for recurring events
+    const counts = await eventRsvpService.getCounts(event.id, event.recurrence_rule ? occurrenceDate : null);
 
-      // Decrease the interested_count in the events table
-      await db.execute(
-        "UPDATE events SET interested_count = GREATEST(interested_count - 1, 0) WHERE id = ?",
-        [event_id]
-      );
-    } else {
-      // User is not interested yet, so add the interest
-      await db.execute(
-        "INSERT INTO event_interests (event_id, user_id) VALUES (?, ?)",
-        [event_id, user_id]
-      );
+    res.status(200).json({
+      success: true,
+      message: isInterested ? "Interest added successfully" : "Interest removed successfully",
+      interested: isInterested,
+      rsvp_status: isInterested ? 'interested' : null,
+      going_count: counts.going,
+      interested_count: counts.interested,
+      not_going_count: counts.not_going,
+      occurrence_date: occurrenceDate
+    });
+  } catch (error) {
+    console.error("Error toggling event interest:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to toggle event interest",
+      error: error.message
+    });
+  }
+};
 
-      // Increase the interested_count in the events table
-      await db.execute(
-        "UPDATE events SET interested_count = interested_count + 1 WHERE id = ?",
-        [event_id]
-      );
+// RSVP to an event occurrence: going, interested, not_going, or null to clear the RSVP
+exports.setEventRsvp = async (req, res) => {
+  try {
+    const { status, occurrence_date } = req.body;
 
-      isInterested = true;
+    if (status === undefined || (status !== null && !eventRsvpService.isValidStatus(status))) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${eventRsvpService.getStatuses().join(', ')}, or null to clear the RSVP`
+      });
     }
 
-    // Get the updated interested count
-    const [updatedEventRows] = await db.execute(
-      "SELECT interested_count FROM events WHERE id = ?",
-      [event_id]
-    );
-    const interestedCount = updatedEventRows[0].interested_count;
+    const occurrence = await loadRsvpOccurrence(req.params.id, occurrence_date);
+    if (occurrence.error) {
+      return res.status(occurrence.status).json({
+        success: false,
+        message: occurrence.error
+      });
+    }
+    const { event, occurrenceDate } = occurrence;
+
+    await eventRsvpService.setRsvp(event.id, req.userId, occurrenceDate, status);
+
+    const counts = await eventRsvpService.getCounts(event.id, event.recurrence_rule ? occurrenceDate : null);
 
     res.status(200).json({
       success: true,
-      message: isInterested ? "Interest added successfully" : "Interest removed successfully",
-      interested: isInterested,
-      interested_count: interestedCount
+      message: status ? "RSVP saved successfully" : "RSVP removed successfully",
+      rsvp_status: status,
+      going_count: counts.going,
+      interested_count: counts.interested,
+      not_going_count: counts.not_going,
+      occurrence_date: occurrenceDate
     });
   } catch (error) {
-    console.error("Error toggling event interest:", error.message);
+    console.error("Error saving event RSVP:", error.message);
     res.status(500).json({
       success: false,
-      message: "Failed to toggle event interest",
+      message: "Failed to save event RSVP",
       error: error.message
     });
   }
 };
 
-// Get event interest status
+// Get event interest status, with the user's RSVPs
 exports.getEventInterestStatus = async (req, res) => {
   try {
     const eventId = req.params.id;
-    const userId = req.query.user_id;
+    const userId = req.userId; // From auth middleware
 
     // Validate required fields
-    if (!eventId || !userId) {
+    if (!eventId) {
       return res.status(400).json({
         success: false,
-        message: "Event ID and User ID are required"
+        message: "Event ID is required"
       });
     }
 
@@ -712,25 +1108,38 @@ exports.getEventInterestStatus = async (req, res) => {
       });
     }
 
-    // Check if the user is interested in this event
-    const [interestRows] = await db.execute(
-      "SELECT * FROM event_interests WHERE event_id = ? AND user_id = ?",
-      [eventId, userId]
-    );
+    // A specific occurrence can be asked for with ?occurrence_date=
+    const occurrenceDate = req.query.occurrence_date || null;
+    if (occurrenceDate && !isValidDate(occurrenceDate)) {
+      return res.status(400).json({
+        success: false,
+        message: "occurrence_date must be in YYYY-MM-DD format"
+      });
+    }
 
-    const isInterested = interestRows.length > 0;
+    // Check which occurrences the user answered, and which of them they are interested in or going to
+    const rsvps = await eventRsvpService.getUserRsvps(eventId, userId);
+    const attendingStatuses = eventRsvpService.getAttendingStatuses();
+    const interestedDates = rsvps.filter(rsvp => attendingStatuses.includes(rsvp.status)).map(rsvp => rsvp.occurrence_date);
 
-    // Get the total interested count
-    const [eventData] = await db.execute(
-      "SELECT interested_count FROM events WHERE id = ?",
-      [eventId]
-    );
-    const interestedCount = eventData[0].interested_count;
+    const isInterested = occurrenceDate ? interestedDates.includes(occurrenceDate) : interestedDates.length > 0;
+
+    // One-off events have a single occurrence to report the RSVP of
+    const rsvpDate = occurrenceDate || (eventRows[0].recurrence_rule ? null : eventOccurrenceService.getEventDay(eventRows[0]));
+    const rsvp = rsvps.find(row => row.occurrence_date === rsvpDate);
+
+    // Get the counts (per occurrence when one was asked for on a recurring event)
+    const counts = await eventRsvpService.getCounts(eventId, occurrenceDate && eventRows[0].recurrence_rule ? occurrenceDate : null);
 
     res.status(200).json({
       success: true,
       interested: isInterested,
-      interested_count: interestedCount
+      rsvp_status: rsvp ? rsvp.status : null,
+      going_count: counts.going,
+      interested_count: counts.interested,
+      not_going_count: counts.not_going,
+      interested_occurrences: interestedDates,
+      rsvps: rsvps
     });
   } catch (error) {
     console.error("Error getting event interest status:", error.message);
@@ -740,4 +1149,4 @@ exports.getEventInterestStatus = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
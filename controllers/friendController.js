@@ -1,5 +1,5 @@
 const db = require('../config/db');
-const notificationService = require('../services/notificationService');
+const outboxService = require('../services/outboxService');
 
 /**
  * Send a friend request to another user
@@ -73,14 +73,27 @@ const sendFriendRequest = async (req, res) => {
       });
     }
 
-    // Create a new friend request
-    await db.execute(
-      'INSERT INTO friend_requests (sender_id, receiver_id) VALUES (?, ?)',
-      [senderId, receiverId]
-    );
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Create a new friend request
+      await connection.execute(
+        'INSERT INTO friend_requests (sender_id, receiver_id) VALUES (?, ?)',
+        [senderId, receiverId]
+      );
+
+      // Queue the notification to the receiver with the request
+      await outboxService.enqueue('sendFriendRequestNotification', [senderId, receiverId], connection);
 
-    // Send FCM notification to receiver
-    await notificationService.sendFriendRequestNotification(senderId, receiverId);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
     return res.status(201).json({ success: true, message: 'Friend request sent successfully' });
   } catch (error) {
@@ -115,21 +128,34 @@ const respondToFriendRequest = async (req, res) => {
 
     const friendRequest = request[0];
 
-    // Update the request status
-    await db.execute(
-      'UPDATE friend_requests SET status = ?, updated_at = NOW() WHERE id = ?',
-      [action === 'accept' ? 'accepted' : 'rejected', requestId]
-    );
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
 
-    // If accepted, create friendship entries
-    if (action === 'accept') {
-      await db.execute(
-        'INSERT INTO friends (user_id, friend_id) VALUES (?, ?), (?, ?)',
-        [userId, friendRequest.sender_id, friendRequest.sender_id, userId]
+      // Update the request status
+      await connection.execute(
+        'UPDATE friend_requests SET status = ?, updated_at = NOW() WHERE id = ?',
+        [action === 'accept' ? 'accepted' : 'rejected', requestId]
       );
 
-      // Send FCM notification to the friend
-      await notificationService.sendFriendRequestAcceptedNotification(userId, friendRequest.sender_id);
+      // If accepted, create friendship entries
+      if (action === 'accept') {
+        await connection.execute(
+          'INSERT INTO friends (user_id, friend_id) VALUES (?, ?), (?, ?)',
+          [userId, friendRequest.sender_id, friendRequest.sender_id, userId]
+        );
+
+        // Queue the notification to the friend
+        await outboxService.enqueue('sendFriendRequestAcceptedNotification', [userId, friendRequest.sender_id], connection);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
     }
 
     return res.status(200).json({
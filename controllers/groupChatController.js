@@ -1,5 +1,65 @@
 const db = require('../config/db');
-const notificationService = require('../services/notificationService');
+const outboxService = require('../services/outboxService');
+const policyService = require('../services/policyService');
+const realtimeService = require('../services/realtimeService');
+
+/**
+ * Get the IDs of all members of a group
+ * @param {number} groupId - ID of the group
+ * @returns {Promise<Array<number>>}
+ */
+const getGroupMemberIds = async (groupId) => {
+  const [members] = await db.execute('SELECT user_id FROM chat_group_members WHERE group_id = ?', [groupId]);
+  return members.map(member => member.user_id);
+};
+
+/**
+ * Push a real-time event to the members of a group
+ * @param {number} groupId - ID of the group
+ * @param {string} type - Event type
+ * @param {object} data - Event payload
+ * @param {object} options - { excludeUserId, extraUserIds } to skip the actor or reach users who just left
+ * @returns {Promise<Array<number>>} - IDs of the recipients who were offline
+ */
+const pushToGroup = async (groupId, type, data, { excludeUserId = null, extraUserIds = [] } = {}) => {
+  const memberIds = await getGroupMemberIds(groupId);
+  const recipients = [...new Set([...memberIds, ...extraUserIds.map(Number)])]
+    .filter(memberId => memberId !== excludeUserId);
+
+  return realtimeService.sendToUsers(recipients, type, data);
+};
+
+/**
+ * Tell the other members of a group which messages a user has read
+ * @param {number} groupId - ID of the group
+ * @param {number} userId - ID of the reader
+ * @param {Array<number>} messageIds - IDs of the messages that were just marked as read
+ */
+const pushGroupReadReceipt = (groupId, userId, messageIds) => {
+  if (messageIds.length === 0) return;
+
+  pushToGroup(groupId, 'groupMessagesRead', {
+    groupId: parseInt(groupId),
+    userId,
+    messageIds,
+    readAt: new Date().toISOString()
+  }, { excludeUserId: userId })
+    .catch(error => console.error(`Failed to push read receipt for group ${groupId}:`, error.message));
+};
+
+/**
+ * Tell a user they were added to a group, by WebSocket or with FCM when offline
+ * @param {object} group - chat_groups row
+ * @param {number} memberId - ID of the added user
+ * @param {number} addedBy - ID of the user who added them
+ */
+const notifyAddedToGroup = (group, memberId, addedBy) => {
+  const delivered = realtimeService.sendToUser(memberId, 'addedToGroup', { group, addedBy });
+
+  // The inbox copy is always stored; the push is only needed when the user is offline
+  outboxService.enqueue('sendAddedToGroupNotification', [group.id, memberId, addedBy, { push: !delivered }])
+    .catch(error => console.error(`Failed to queue group addition notification for user ${memberId}:`, error.message));
+};
 
 /**
  * Create a new group chat
@@ -68,10 +128,9 @@ const createGroup = async (req, res) => {
       // Release the connection back to the pool
       connection.release();
 
-      // Send notifications to all added members (async, don't wait)
+      // Notify all added members (async, don't wait)
       for (const memberId of addedMembers) {
-        notificationService.sendAddedToGroupNotification(groupId, memberId, userId)
-          .catch(error => console.error(`Failed to send group addition notification to user ${memberId}:`, error));
+        notifyAddedToGroup(groups[0], memberId, userId);
       }
 
       return res.status(201).json({
@@ -167,12 +226,7 @@ const getGroupDetails = async (req, res) => {
 
   try {
     // Check if user is a member of the group
-    const [membership] = await db.execute(
-      'SELECT * FROM chat_group_members WHERE group_id = ? AND user_id = ?',
-      [groupId, userId]
-    );
-
-    if (membership.length === 0) {
+    if (!(await policyService.isGroupMember(userId, groupId))) {
       return res.status(403).json({ success: false, message: 'You are not a member of this group' });
     }
 
@@ -216,12 +270,7 @@ const getGroupMembers = async (req, res) => {
 
   try {
     // Check if user is a member of the group
-    const [membership] = await db.execute(
-      'SELECT * FROM chat_group_members WHERE group_id = ? AND user_id = ?',
-      [groupId, userId]
-    );
-
-    if (membership.length === 0) {
+    if (!(await policyService.isGroupMember(userId, groupId))) {
       return res.status(403).json({ success: false, message: 'You are not a member of this group' });
     }
 
@@ -262,13 +311,8 @@ const addGroupMember = async (req, res) => {
   }
 
   try {
-    // Check if user is an admin of the group
-    const [admin] = await db.execute(
-      'SELECT * FROM chat_group_members WHERE group_id = ? AND user_id = ? AND is_admin = 1',
-      [groupId, userId]
-    );
-
-    if (admin.length === 0) {
+    // Check if user is an admin of the group (or a platform admin)
+    if (!(await policyService.canManageGroup(userId, groupId))) {
       return res.status(403).json({ success: false, message: 'Only group admins can add members' });
     }
 
@@ -288,9 +332,13 @@ const addGroupMember = async (req, res) => {
       [groupId, memberId]
     );
 
-    // Send notification to the added member (async, don't wait)
-    notificationService.sendAddedToGroupNotification(groupId, memberId, userId)
-      .catch(error => console.error(`Failed to send group addition notification to user ${memberId}:`, error));
+    // Tell the other members, then the added member (async, don't wait)
+    pushToGroup(groupId, 'groupMemberAdded', { groupId: parseInt(groupId), userId: parseInt(memberId), addedBy: userId }, {
+      excludeUserId: parseInt(memberId)
+    }).catch(error => console.error(`Failed to push member addition for group ${groupId}:`, error.message));
+
+    const [groups] = await db.execute('SELECT * FROM chat_groups WHERE id = ?', [groupId]);
+    notifyAddedToGroup(groups[0], memberId, userId);
 
     return res.status(200).json({
       success: true,
@@ -312,13 +360,8 @@ const removeGroupMember = async (req, res) => {
   const userId = req.userId; // From auth middleware
 
   try {
-    // Check if user is an admin of the group
-    const [admin] = await db.execute(
-      'SELECT * FROM chat_group_members WHERE group_id = ? AND user_id = ? AND is_admin = 1',
-      [groupId, userId]
-    );
-
-    if (admin.length === 0) {
+    // Check if user is an admin of the group (or a platform admin)
+    if (!(await policyService.canManageGroup(userId, groupId))) {
       return res.status(403).json({ success: false, message: 'Only group admins can remove members' });
     }
 
@@ -350,6 +393,11 @@ const removeGroupMember = async (req, res) => {
       [groupId, memberId]
     );
 
+    // Tell the remaining members and the removed member (async, don't wait)
+    pushToGroup(groupId, 'groupMemberRemoved', { groupId: parseInt(groupId), userId: parseInt(memberId), removedBy: userId }, {
+      extraUserIds: [memberId]
+    }).catch(error => console.error(`Failed to push member removal for group ${groupId}:`, error.message));
+
     return res.status(200).json({
       success: true,
       message: 'Member removed successfully'
@@ -380,6 +428,8 @@ const leaveGroup = async (req, res) => {
       return res.status(403).json({ success: false, message: 'You are not a member of this group' });
     }
 
+    let newAdminId = null;
+
     // Check if the user is the only admin
     if (membership[0].is_admin) {
       const [admins] = await db.execute(
@@ -400,6 +450,7 @@ const leaveGroup = async (req, res) => {
             'UPDATE chat_group_members SET is_admin = 1 WHERE group_id = ? AND user_id = ?',
             [groupId, members[0].user_id]
           );
+          newAdminId = members[0].user_id;
         }
       }
     }
@@ -410,6 +461,11 @@ const leaveGroup = async (req, res) => {
       [groupId, userId]
     );
 
+    // Tell the remaining members and the user's other devices (async, don't wait)
+    pushToGroup(groupId, 'groupMemberRemoved', { groupId: parseInt(groupId), userId, removedBy: userId, newAdminId }, {
+      extraUserIds: [userId]
+    }).catch(error => console.error(`Failed to push member leaving group ${groupId}:`, error.message));
+
     return res.status(200).json({
       success: true,
       message: 'Left group successfully'
@@ -435,13 +491,8 @@ const updateGroup = async (req, res) => {
   }
 
   try {
-    // Check if user is an admin of the group
-    const [admin] = await db.execute(
-      'SELECT * FROM chat_group_members WHERE group_id = ? AND user_id = ? AND is_admin = 1',
-      [groupId, userId]
-    );
-
-    if (admin.length === 0) {
+    // Check if user is an admin of the group (or a platform admin)
+    if (!(await policyService.canManageGroup(userId, groupId))) {
       return res.status(403).json({ success: false, message: 'Only group admins can update group details' });
     }
 
@@ -457,6 +508,10 @@ const updateGroup = async (req, res) => {
       [groupId]
     );
 
+    // Tell the members about the new details (async, don't wait)
+    pushToGroup(groupId, 'groupUpdated', { group: groups[0], updatedBy: userId })
+      .catch(error => console.error(`Failed to push update of group ${groupId}:`, error.message));
+
     return res.status(200).json({
       success: true,
       message: 'Group updated successfully',
@@ -478,22 +533,22 @@ const deleteGroup = async (req, res) => {
   const userId = req.userId; // From auth middleware
 
   try {
-    // Check if user is an admin of the group
-    const [admin] = await db.execute(
-      'SELECT * FROM chat_group_members WHERE group_id = ? AND user_id = ? AND is_admin = 1',
-      [groupId, userId]
-    );
-
-    if (admin.length === 0) {
+    // Check if user is an admin of the group (or a platform admin)
+    if (!(await policyService.canManageGroup(userId, groupId))) {
       return res.status(403).json({ success: false, message: 'Only group admins can delete the group' });
     }
 
+    // Remember the members before they are deleted with the group
+    const memberIds = await getGroupMemberIds(groupId);
+
     // Delete the group (cascade will delete members and messages)
     await db.execute(
       'DELETE FROM chat_groups WHERE id = ?',
       [groupId]
     );
 
+    realtimeService.sendToUsers(memberIds, 'groupDeleted', { groupId: parseInt(groupId), deletedBy: userId });
+
     return res.status(200).json({
       success: true,
       message: 'Group deleted successfully'
@@ -515,12 +570,7 @@ const getGroupMessages = async (req, res) => {
 
   try {
     // Check if user is a member of the group
-    const [membership] = await db.execute(
-      'SELECT * FROM chat_group_members WHERE group_id = ? AND user_id = ?',
-      [groupId, userId]
-    );
-
-    if (membership.length === 0) {
+    if (!(await policyService.isGroupMember(userId, groupId))) {
       return res.status(403).json({ success: false, message: 'You are not a member of this group' });
     }
 
@@ -539,13 +589,15 @@ const getGroupMessages = async (req, res) => {
 
     // Mark messages as read - simplified version without transaction
     const messageIds = messages.map(m => m.id);
+    const readIds = [];
     if (messageIds.length > 0) {
       for (const messageId of messageIds) {
         try {
-          await db.execute(`
+          const [result] = await db.execute(`
             INSERT IGNORE INTO chat_group_message_reads (message_id, user_id)
             VALUES (?, ?)
           `, [messageId, userId]);
+          if (result.affectedRows > 0) readIds.push(messageId);
         } catch (err) {
           console.error(`Error marking message ${messageId} as read:`, err.message);
           // Continue with other messages even if one fails
@@ -553,6 +605,8 @@ const getGroupMessages = async (req, res) => {
       }
     }
 
+    pushGroupReadReceipt(groupId, userId, readIds);
+
     return res.status(200).json({ success: true, messages });
   } catch (error) {
     console.error('Error getting group messages:', error.message);
@@ -576,12 +630,7 @@ const sendGroupMessage = async (req, res) => {
 
   try {
     // Check if user is a member of the group
-    const [membership] = await db.execute(
-      'SELECT * FROM chat_group_members WHERE group_id = ? AND user_id = ?',
-      [groupId, userId]
-    );
-
-    if (membership.length === 0) {
+    if (!(await policyService.isGroupMember(userId, groupId))) {
       return res.status(403).json({ success: false, message: 'You are not a member of this group' });
     }
 
@@ -609,6 +658,7 @@ const sendGroupMessage = async (req, res) => {
       'INSERT INTO chat_group_messages (group_id, sender_id, message) VALUES (?, ?, ?)',
       [groupId, userId, message]
     );
+    res.locals.committed = true;
 
     // Get the inserted message with sender details
     const [messages] = await db.execute(`
@@ -630,8 +680,14 @@ const sendGroupMessage = async (req, res) => {
       [newMessage.id, userId]
     );
 
-    // Send FCM notification to all group members
-    await notificationService.sendGroupMessageNotification(userId, groupId, message);
+    // Push the message to connected members (including the sender's other devices)
+    const offlineIds = (await pushToGroup(groupId, 'newGroupMessage', newMessage))
+      .filter(memberId => memberId !== userId);
+
+    // Fall back to FCM notifications for members who are offline
+    if (offlineIds.length > 0) {
+      await outboxService.enqueue('sendGroupMessageNotification', [userId, groupId, message, offlineIds]);
+    }
 
     return res.status(200).json({
       success: true,
@@ -655,12 +711,7 @@ const markGroupMessagesAsRead = async (req, res) => {
 
   try {
     // Check if user is a member of the group
-    const [membership] = await db.execute(
-      'SELECT * FROM chat_group_members WHERE group_id = ? AND user_id = ?',
-      [groupId, userId]
-    );
-
-    if (membership.length === 0) {
+    if (!(await policyService.isGroupMember(userId, groupId))) {
       return res.status(403).json({ success: false, message: 'You are not a member of this group' });
     }
 
@@ -674,6 +725,7 @@ const markGroupMessagesAsRead = async (req, res) => {
 
     // Mark messages as read - simplified version without transaction
     let markedCount = 0;
+    const readIds = [];
     if (unreadMessages.length > 0) {
       for (const message of unreadMessages) {
         try {
@@ -681,6 +733,7 @@ const markGroupMessagesAsRead = async (req, res) => {
             'INSERT IGNORE INTO chat_group_message_reads (message_id, user_id) VALUES (?, ?)',
             [message.id, userId]
           );
+          readIds.push(message.id);
           markedCount++;
         } catch (err) {
           console.error(`Error marking message ${message.id} as read:`, err.message);
@@ -689,6 +742,8 @@ const markGroupMessagesAsRead = async (req, res) => {
       }
     }
 
+    pushGroupReadReceipt(groupId, userId, readIds);
+
     return res.status(200).json({
       success: true,
       message: 'Messages marked as read',
@@ -0,0 +1,257 @@
+const inboxService = require('../services/inboxService');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
+const channelService = require('../services/channelService');
+const { isValidTimezone } = require('../utils/openingHours');
+const { timeToMinutes, minutesToTime } = require('../utils/time');
+
+/**
+ * Validate a notification preferences update
+ * @param {object} body - { types, channels, quiet_hours, timezone, muted_groups }
+ * @returns {object} - Changes for notificationPreferenceService.updatePreferences, or { error }
+ */
+const validatePreferences = (body) => {
+  const changes = {};
+  const { types, channels, quiet_hours, timezone, muted_groups } = body;
+
+  if (types !== undefined) {
+    if (!types || typeof types !== 'object' || Array.isArray(types)) {
+      return { error: 'types must be an object of notification type => true/false' };
+    }
+
+    const allowed = notificationPreferenceService.getPreferenceTypes();
+    for (const [type, enabled] of Object.entries(types)) {
+      if (!allowed.includes(type)) {
+        return { error: `Unknown notification type "${type}". Allowed types: ${allowed.join(', ')}` };
+      }
+      if (typeof enabled !== 'boolean') {
+        return { error: `types.${type} must be true or false` };
+      }
+    }
+    changes.types = types;
+  }
+
+  if (channels !== undefined) {
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+      return { error: 'channels must be an object of notification type => { channel: true/false }' };
+    }
+
+    const allowedTypes = notificationPreferenceService.getPreferenceTypes();
+    const allowedChannels = channelService.getChannelNames();
+    for (const [type, typeChannels] of Object.entries(channels)) {
+      if (!allowedTypes.includes(type)) {
+        return { error: `Unknown notification type "${type}". Allowed types: ${allowedTypes.join(', ')}` };
+      }
+      if (!typeChannels || typeof typeChannels !== 'object' || Array.isArray(typeChannels)) {
+        return { error: `channels.${type} must be an object of channel => true/false` };
+      }
+      for (const [channel, enabled] of Object.entries(typeChannels)) {
+        if (!allowedChannels.includes(channel)) {
+          return { error: `Unknown channel "${channel}". Allowed channels: ${allowedChannels.join(', ')}` };
+        }
+        if (typeof enabled !== 'boolean') {
+          return { error: `channels.${type}.${channel} must be true or false` };
+        }
+      }
+    }
+    changes.channels = channels;
+  }
+
+  if (quiet_hours === null) {
+    changes.quietHours = null;
+  } else if (quiet_hours !== undefined) {
+    const start = timeToMinutes(quiet_hours && quiet_hours.start);
+    const end = timeToMinutes(quiet_hours && quiet_hours.end);
+
+    if (start === null || end === null) {
+      return { error: 'quiet_hours must have start and end times in HH:MM format, or be null' };
+    }
+    if (start === end) {
+      return { error: 'quiet_hours start and end must differ' };
+    }
+    changes.quietHours = { start: minutesToTime(start), end: minutesToTime(end) };
+  }
+
+  if (timezone !== undefined) {
+    if (!timezone || !isValidTimezone(timezone)) {
+      return { error: 'Timezone must be a valid IANA timezone name (e.g. Europe/Skopje)' };
+    }
+    changes.timezone = timezone;
+  }
+
+  if (muted_groups !== undefined) {
+    if (!Array.isArray(muted_groups) || muted_groups.some(id => !Number.isInteger(Number(id)) || Number(id) <= 0)) {
+      return { error: 'muted_groups must be an array of group IDs' };
+    }
+    changes.mutedGroups = [...new Set(muted_groups.map(Number))];
+  }
+
+  return changes;
+};
+
+/**
+ * Get the current user's notifications, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getNotifications = async (req, res) => {
+  const userId = req.userId; // From auth middleware
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = (page - 1) * limit;
+  const unreadOnly = req.query.unread === 'true';
+
+  try {
+    const { notifications, totalCount } = await inboxService.list(userId, { limit, offset, unreadOnly });
+    const unreadCount = await inboxService.getUnreadCount(userId);
+
+    return res.status(200).json({
+      success: true,
+      notifications,
+      unreadCount,
+      totalCount,
+      page,
+      limit,
+      totalPages: Math.ceil(totalCount / limit)
+    });
+  } catch (error) {
+    console.error('Error getting notifications:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Get the number of unread notifications for the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUnreadCount = async (req, res) => {
+  const userId = req.userId; // From auth middleware
+
+  try {
+    const unreadCount = await inboxService.getUnreadCount(userId);
+
+    return res.status(200).json({ success: true, unreadCount });
+  } catch (error) {
+    console.error('Error getting unread notification count:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Mark a notification as read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const markAsRead = async (req, res) => {
+  const { id } = req.params;
+  const userId = req.userId; // From auth middleware
+
+  try {
+    const found = await inboxService.markRead(userId, id);
+
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    return res.status(200).json({ success: true, message: 'Notification marked as read' });
+  } catch (error) {
+    console.error('Error marking notification as read:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const markAllAsRead = async (req, res) => {
+  const userId = req.userId; // From auth middleware
+
+  try {
+    const count = await inboxService.markAllRead(userId);
+
+    return res.status(200).json({ success: true, message: 'All notifications marked as read', count });
+  } catch (error) {
+    console.error('Error marking all notifications as read:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Delete a notification
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteNotification = async (req, res) => {
+  const { id } = req.params;
+  const userId = req.userId; // From auth middleware
+
+  try {
+    const deleted = await inboxService.remove(userId, id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    return res.status(200).json({ success: true, message: 'Notification deleted' });
+  } catch (error) {
+    console.error('Error deleting notification:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Get the current user's notification preferences
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPreferences = async (req, res) => {
+  const userId = req.userId; // From auth middleware
+
+  try {
+    const preferences = await notificationPreferenceService.getPreferences(userId);
+
+    return res.status(200).json({ success: true, preferences });
+  } catch (error) {
+    console.error('Error getting notification preferences:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Update the current user's notification preferences
+ * Body: { types: { event: false, ... }, channels: { reservation: { email: false }, ... }, quiet_hours: { start, end } | null, timezone, muted_groups: [groupId] }
+ * Fields that are left out keep their current value.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updatePreferences = async (req, res) => {
+  const userId = req.userId; // From auth middleware
+
+  try {
+    const changes = validatePreferences(req.body || {});
+
+    if (changes.error) {
+      return res.status(400).json({ success: false, message: changes.error });
+    }
+
+    await notificationPreferenceService.updatePreferences(userId, changes);
+    const preferences = await notificationPreferenceService.getPreferences(userId);
+
+    return res.status(200).json({ success: true, message: 'Notification preferences updated', preferences });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,206 @@
+const db = require('../config/db');
+const bookingService = require('../services/bookingService');
+const eventOccurrenceService = require('../services/eventOccurrenceService');
+const paymentService = require('../services/paymentService');
+const ticketService = require('../services/ticketService');
+
+// Most entries a user can pay for at once
+const MAX_EVENT_QUANTITY = 10;
+
+/**
+ * Get the authenticated user's payments
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyPayments = async (req, res) => {
+  try {
+    const payments = await paymentService.getUserPayments(req.userId);
+    res.status(200).json({ success: true, payments });
+  } catch (error) {
+    console.error('Error fetching payments:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch payments', error: error.message });
+  }
+};
+
+/**
+ * Get one of the authenticated user's payments, with the client secret while it is unpaid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPayment = async (req, res) => {
+  try {
+    const payment = await paymentService.getPayment(db, req.params.id);
+    if (!payment || payment.user_id !== req.userId) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    res.status(200).json({ success: true, payment: paymentService.format(payment, true) });
+  } catch (error) {
+    console.error('Error fetching payment:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch payment', error: error.message });
+  }
+};
+
+/**
+ * Pay (or retry paying) the deposit of one of the user's bookings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const payBookingDeposit = async (req, res) => {
+  try {
+    const [bookings] = await db.execute(
+      'SELECT id, user_id, status, payment_status FROM venue_bookings WHERE id = ?',
+      [req.params.bookingId]
+    );
+    const booking = bookings[0];
+    if (!booking || booking.user_id !== req.userId) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    if (!bookingService.isOpen(booking.status) || !['pending', 'failed'].includes(booking.payment_status)) {
+      return res.status(409).json({ success: false, message: 'This booking has no deposit waiting to be paid' });
+    }
+
+    if (!paymentService.getProvider()) {
+      return res.status(503).json({ success: false, message: 'Payments are not available right now' });
+    }
+
+    const payment = await paymentService.createDeposit(booking.id);
+    if (!payment) {
+      return res.status(409).json({ success: false, message: 'This booking has no deposit waiting to be paid' });
+    }
+
+    res.status(201).json({ success: true, message: 'Deposit payment created successfully', payment: paymentService.format(payment, true) });
+  } catch (error) {
+    console.error('Error creating deposit payment:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to create deposit payment', error: error.message });
+  }
+};
+
+/**
+ * Pay for entry to an event, or to one occurrence of a recurring event
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const payForEvent = async (req, res) => {
+  try {
+    const quantity = req.body.quantity !== undefined ? parseInt(req.body.quantity) : 1;
+    if (isNaN(quantity) || quantity < 1 || quantity > MAX_EVENT_QUANTITY) {
+      return res.status(400).json({ success: false, message: `Quantity must be between 1 and ${MAX_EVENT_QUANTITY}` });
+    }
+
+    const [events] = await db.execute('SELECT * FROM events WHERE id = ?', [req.params.eventId]);
+    const event = events[0];
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(409).json({ success: false, message: 'This event has been cancelled' });
+    }
+
+    if (!event.price_amount) {
+      return res.status(400).json({ success: false, message: 'Entry to this event is not paid for in the app' });
+    }
+
+    if (await ticketService.hasTiers(event.id)) {
+      return res.status(409).json({ success: false, message: 'This event sells tickets; buy them from one of its ticket tiers instead' });
+    }
+
+    // One-off events have a single occurrence on their own date; recurring events need the occurrence
+    const occurrenceDate = req.body.occurrence_date || (event.recurrence_rule ? null : eventOccurrenceService.getEventDay(event));
+    if (!occurrenceDate) {
+      return res.status(400).json({ success: false, message: 'Occurrence date is required for recurring events' });
+    }
+
+    if (!(await eventOccurrenceService.isValidOccurrence(event, occurrenceDate))) {
+      return res.status(404).json({ success: false, message: 'Occurrence not found' });
+    }
+
+    const exception = await eventOccurrenceService.getException(event.id, occurrenceDate);
+    if (exception && exception.status === 'cancelled') {
+      return res.status(409).json({ success: false, message: 'This occurrence has been cancelled' });
+    }
+
+    if (!paymentService.getProvider()) {
+      return res.status(503).json({ success: false, message: 'Payments are not available right now' });
+    }
+
+    const payment = await paymentService.createPayment({
+      userId: req.userId,
+      purpose: 'event',
+      eventId: event.id,
+      occurrenceDate,
+      quantity,
+      amount: event.price_amount * quantity
+    });
+
+    res.status(201).json({ success: true, message: 'Event payment created successfully', payment: paymentService.format(payment, true) });
+  } catch (error) {
+    console.error('Error creating event payment:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to create event payment', error: error.message });
+  }
+};
+
+/**
+ * Receive a signed webhook from a payment provider
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleWebhook = async (req, res) => {
+  try {
+    if (!req.rawBody) {
+      return res.status(400).json({ success: false, message: 'Webhook body is required' });
+    }
+
+    const result = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+    if (!result.ok) {
+      console.warn(`Rejected ${req.params.provider} payment webhook: ${result.message}`);
+    }
+
+    res.status(result.status).json({ success: result.ok, message: result.message });
+  } catch (error) {
+    // A server error makes the provider deliver the webhook again
+    console.error('Error handling payment webhook:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to handle webhook', error: error.message });
+  }
+};
+
+/**
+ * Complete one of the user's payments as if it was paid or declined (fake provider, outside production)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const simulatePayment = async (req, res) => {
+  try {
+    const { outcome } = req.body;
+    if (outcome !== 'succeeded' && outcome !== 'failed') {
+      return res.status(400).json({ success: false, message: "Outcome must be 'succeeded' or 'failed'" });
+    }
+
+    const payment = await paymentService.getPayment(db, req.params.id);
+    if (!payment || payment.user_id !== req.userId) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const result = await paymentService.simulatePayment(payment, outcome);
+    if (!result) {
+      return res.status(400).json({ success: false, message: 'Payments can only be simulated with the fake provider outside production, with PAYMENT_WEBHOOK_SECRET set' });
+    }
+
+    const updated = await paymentService.getPayment(db, payment.id);
+    res.status(200).json({ success: true, message: 'Payment simulated successfully', payment: paymentService.format(updated) });
+  } catch (error) {
+    console.error('Error simulating payment:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to simulate payment', error: error.message });
+  }
+};
+
+module.exports = {
+  getMyPayments,
+  getPayment,
+  payBookingDeposit,
+  payForEvent,
+  handleWebhook,
+  simulatePayment
+};
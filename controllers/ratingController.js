@@ -4,13 +4,13 @@ const db = require("../config/db");
 exports.submitRating = async (req, res) => {
   try {
     const { venue_id, rating, comment } = req.body;
-    const user_id = req.user ? req.user.id : req.body.user_id; // Get user ID from auth middleware or request body
+    const user_id = req.userId; // From auth middleware
 
     // Validate required fields
     if (!venue_id || !rating || !user_id) {
       return res.status(400).json({
         success: false,
-        message: "Venue ID, rating, and user ID are required"
+        message: "Venue ID and rating are required"
       });
     }
 
@@ -159,7 +159,7 @@ exports.getVenueRatings = async (req, res) => {
 exports.getUserVenueRating = async (req, res) => {
   try {
     const { venueId } = req.params;
-    const userId = req.user ? req.user.id : req.query.user_id; // Get user ID from auth middleware or query param
+    const userId = req.userId; // From auth middleware
 
     if (!userId) {
       return res.status(400).json({
@@ -0,0 +1,379 @@
+const db = require('../config/db');
+const eventOccurrenceService = require('../services/eventOccurrenceService');
+const paymentService = require('../services/paymentService');
+const ticketService = require('../services/ticketService');
+
+/**
+ * Work out which occurrence of an event a request is for. One-off events
+ * have a single occurrence on their own date; recurring events need it named.
+ * @param {object} event - events row
+ * @param {string} date - Requested occurrence ("YYYY-MM-DD"), if any
+ * @returns {Promise<object>} - { ok, occurrenceDate } or { ok: false, status, message }
+ */
+const resolveOccurrence = async (event, date) => {
+  const occurrenceDate = date || (event.recurrence_rule ? null : eventOccurrenceService.getEventDay(event));
+  if (!occurrenceDate) {
+    return { ok: false, status: 400, message: 'Occurrence date is required for recurring events' };
+  }
+
+  if (!(await eventOccurrenceService.isValidOccurrence(event, occurrenceDate))) {
+    return { ok: false, status: 404, message: 'Occurrence not found' };
+  }
+
+  return { ok: true, occurrenceDate };
+};
+
+/**
+ * Load an event by the ID in the route
+ * @param {string} id - ID of the event
+ * @returns {Promise<object|null>} - events row
+ */
+const loadEvent = async (id) => {
+  const [events] = await db.execute('SELECT * FROM events WHERE id = ?', [id]);
+  return events[0] || null;
+};
+
+/**
+ * Get an event's ticket tiers, with the tickets left for one occurrence
+ * Query: { occurrence_date } (required for recurring events to get the remaining counts)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getEventTiers = async (req, res) => {
+  try {
+    const event = await loadEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    let occurrenceDate = null;
+    if (req.query.occurrence_date || !event.recurrence_rule) {
+      const occurrence = await resolveOccurrence(event, req.query.occurrence_date);
+      if (!occurrence.ok) {
+        return res.status(occurrence.status).json({ success: false, message: occurrence.message });
+      }
+      occurrenceDate = occurrence.occurrenceDate;
+    }
+
+    const tiers = await ticketService.getTiers(event.id, occurrenceDate);
+    res.status(200).json({ success: true, occurrence_date: occurrenceDate, currency: paymentService.getCurrency(), tiers });
+  } catch (error) {
+    console.error('Error fetching ticket tiers:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch ticket tiers', error: error.message });
+  }
+};
+
+/**
+ * Add a ticket tier to an event
+ * Body: { name, description, price_amount, quantity, max_per_user, sales_start, sales_end, active }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createTier = async (req, res) => {
+  try {
+    const { fields, error } = ticketService.parseTier(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const event = await loadEvent(req.params.id);
+    if (event.status === 'cancelled') {
+      return res.status(409).json({ success: false, message: 'This event has been cancelled' });
+    }
+
+    const columns = Object.keys(fields);
+    const [result] = await db.execute(
+      `INSERT INTO event_ticket_tiers (event_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+      [event.id, ...columns.map(column => fields[column])]
+    );
+
+    const tier = await ticketService.getTier(db, result.insertId);
+    res.status(201).json({ success: true, message: 'Ticket tier created successfully', tier });
+  } catch (error) {
+    console.error('Error creating ticket tier:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to create ticket tier', error: error.message });
+  }
+};
+
+/**
+ * Update a ticket tier. The quantity can't go below the tickets already taken for any occurrence.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateTier = async (req, res) => {
+  try {
+    const tier = await ticketService.getTier(db, req.params.tierId);
+    if (!tier || String(tier.event_id) !== String(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Ticket tier not found' });
+    }
+
+    const { fields, error } = ticketService.parseTier(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      return res.status(400).json({ success: false, message: 'No fields to update' });
+    }
+
+    const salesStart = fields.sales_start !== undefined ? fields.sales_start : tier.sales_start;
+    const salesEnd = fields.sales_end !== undefined ? fields.sales_end : tier.sales_end;
+    if (salesStart && salesEnd && new Date(salesEnd) <= new Date(salesStart)) {
+      return res.status(400).json({ success: false, message: 'sales_end must be after sales_start' });
+    }
+
+    if (fields.quantity !== undefined) {
+      const sold = await ticketService.getMostSold(tier.id);
+      if (fields.quantity < sold) {
+        return res.status(409).json({ success: false, message: `${sold} tickets of this tier are already taken for one occurrence` });
+      }
+    }
+
+    await db.execute(
+      `UPDATE event_ticket_tiers SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => fields[column]), tier.id]
+    );
+
+    const updated = await ticketService.getTier(db, tier.id);
+    res.status(200).json({ success: true, message: 'Ticket tier updated successfully', tier: updated });
+  } catch (error) {
+    console.error('Error updating ticket tier:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to update ticket tier', error: error.message });
+  }
+};
+
+/**
+ * Delete a ticket tier that has no tickets; tiers with tickets can only be switched off
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteTier = async (req, res) => {
+  try {
+    const tier = await ticketService.getTier(db, req.params.tierId);
+    if (!tier || String(tier.event_id) !== String(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Ticket tier not found' });
+    }
+
+    if (await ticketService.hasTickets(tier.id)) {
+      return res.status(409).json({ success: false, message: 'Tickets of this tier have been issued; set it inactive instead' });
+    }
+
+    await db.execute('DELETE FROM event_ticket_tiers WHERE id = ?', [tier.id]);
+    res.status(200).json({ success: true, message: 'Ticket tier deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting ticket tier:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to delete ticket tier', error: error.message });
+  }
+};
+
+/**
+ * Buy or reserve tickets of one tier. Paid tickets are held while the returned payment is completed.
+ * Body: { tier_id, quantity, occurrence_date }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const buyTickets = async (req, res) => {
+  try {
+    const maxQuantity = ticketService.getMaxTicketsPerOrder();
+    const quantity = req.body.quantity !== undefined ? parseInt(req.body.quantity) : 1;
+    if (isNaN(quantity) || quantity < 1 || quantity > maxQuantity) {
+      return res.status(400).json({ success: false, message: `Quantity must be between 1 and ${maxQuantity}` });
+    }
+
+    if (!req.body.tier_id) {
+      return res.status(400).json({ success: false, message: 'Ticket tier ID is required' });
+    }
+
+    const event = await loadEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(409).json({ success: false, message: 'This event has been cancelled' });
+    }
+
+    const occurrence = await resolveOccurrence(event, req.body.occurrence_date);
+    if (!occurrence.ok) {
+      return res.status(occurrence.status).json({ success: false, message: occurrence.message });
+    }
+    const { occurrenceDate } = occurrence;
+
+    const exception = await eventOccurrenceService.getException(event.id, occurrenceDate);
+    if (exception && exception.status === 'cancelled') {
+      return res.status(409).json({ success: false, message: 'This occurrence has been cancelled' });
+    }
+
+    const tier = await ticketService.getTier(db, req.body.tier_id);
+    if (!tier || tier.event_id !== event.id) {
+      return res.status(404).json({ success: false, message: 'Ticket tier not found' });
+    }
+
+    if (tier.price_amount > 0 && !paymentService.getProvider()) {
+      return res.status(503).json({ success: false, message: 'Payments are not available right now' });
+    }
+
+    const connection = await db.getConnection();
+    let result;
+
+    try {
+      await connection.beginTransaction();
+
+      const locked = await ticketService.getTier(connection, tier.id, true);
+      result = await ticketService.issueTickets(connection, locked, req.userId, occurrenceDate, quantity);
+      if (!result.ok) {
+        await connection.rollback();
+        return res.status(result.status).json({ success: false, message: result.message });
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    let payment = null;
+    if (result.amount > 0) {
+      try {
+        payment = await paymentService.createPayment({
+          userId: req.userId,
+          purpose: 'event',
+          eventId: event.id,
+          occurrenceDate,
+          quantity,
+          amount: result.amount
+        });
+        await ticketService.attachPayment(result.ticketIds, payment.id);
+      } catch (error) {
+        // Give the places back rather than hold them for a payment that doesn't exist
+        await ticketService.releaseTickets(result.ticketIds);
+        throw error;
+      }
+    }
+
+    // The tickets are kept from here on (paid ones with their payment), so a retry must not buy more
+    res.locals.committed = true;
+
+    const tickets = await Promise.all(result.ticketIds.map(id => ticketService.getTicket(db, id)));
+
+    res.status(201).json({
+      success: true,
+      message: payment ? 'Tickets reserved; complete the payment to confirm them' : 'Tickets issued successfully',
+      tickets: tickets.map(ticket => ticketService.format(ticket, true)),
+      payment: payment ? paymentService.format(payment, true) : null,
+      hold_minutes: payment ? ticketService.getHoldMinutes() : null
+    });
+  } catch (error) {
+    console.error('Error buying tickets:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to buy tickets', error: error.message });
+  }
+};
+
+/**
+ * List the tickets of an event for its manager, with counts per status
+ * Query: { occurrence_date }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getEventTickets = async (req, res) => {
+  try {
+    const occurrenceDate = req.query.occurrence_date || null;
+    const tickets = await ticketService.getEventTickets(req.params.id, occurrenceDate);
+
+    const counts = { reserved: 0, valid: 0, used: 0 };
+    tickets.forEach(ticket => { counts[ticket.status]++; });
+
+    res.status(200).json({ success: true, occurrence_date: occurrenceDate, counts, tickets });
+  } catch (error) {
+    console.error('Error fetching event tickets:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch event tickets', error: error.message });
+  }
+};
+
+/**
+ * Check a ticket in at the door by its scanned QR payload
+ * Body: { qr_payload, occurrence_date }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const checkInTicket = async (req, res) => {
+  try {
+    const { qr_payload, occurrence_date } = req.body;
+    if (!qr_payload) {
+      return res.status(400).json({ success: false, message: 'QR payload is required' });
+    }
+
+    const event = await loadEvent(req.params.id);
+    const result = await ticketService.checkIn(event, qr_payload, req.userId, occurrence_date || null);
+
+    res.status(result.status).json({ success: result.ok, message: result.message, ticket: result.ticket || null });
+  } catch (error) {
+    console.error('Error checking in ticket:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to check in ticket', error: error.message });
+  }
+};
+
+/**
+ * Get the authenticated user's tickets, with the QR payload of valid ones
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyTickets = async (req, res) => {
+  try {
+    const tickets = await ticketService.getUserTickets(req.userId);
+    res.status(200).json({ success: true, tickets });
+  } catch (error) {
+    console.error('Error fetching tickets:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch tickets', error: error.message });
+  }
+};
+
+/**
+ * Get one of the authenticated user's tickets, with its QR payload while it is valid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTicket = async (req, res) => {
+  try {
+    const ticket = await ticketService.getTicket(db, req.params.id);
+    if (!ticket || ticket.user_id !== req.userId) {
+      return res.status(404).json({ success: false, message: 'Ticket not found' });
+    }
+
+    res.status(200).json({ success: true, ticket: ticketService.format(ticket, true) });
+  } catch (error) {
+    console.error('Error fetching ticket:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch ticket', error: error.message });
+  }
+};
+
+/**
+ * Cancel one of the authenticated user's free or not yet paid tickets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelTicket = async (req, res) => {
+  try {
+    const result = await ticketService.cancelTicket(req.userId, req.params.id);
+    res.status(result.status).json({ success: result.ok, message: result.message, ...(result.ok ? { cancelled: result.cancelled } : {}) });
+  } catch (error) {
+    console.error('Error cancelling ticket:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to cancel ticket', error: error.message });
+  }
+};
+
+module.exports = {
+  getEventTiers,
+  createTier,
+  updateTier,
+  deleteTier,
+  buyTickets,
+  getEventTickets,
+  checkInTicket,
+  getMyTickets,
+  getTicket,
+  cancelTicket
+};
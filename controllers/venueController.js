@@ -1,29 +1,110 @@
 const db = require("../config/db");
-const notificationService = require("../services/notificationService");
+const outboxService = require("../services/outboxService");
+const policyService = require("../services/policyService");
+const availabilityService = require("../services/availabilityService");
+const openingHoursService = require("../services/openingHoursService");
+const paymentService = require("../services/paymentService");
+const { buildGeoFilter, roundDistance } = require("../utils/geo");
+const { isValidTimezone, validateSchedule } = require("../utils/openingHours");
+
+// Most venues returned by a location search (radius or map bounding box)
+const GEO_RESULT_LIMIT = 500;
+
+// Keep only the venues that are open at a point in time (venues without structured hours are left out)
+const filterOpenVenues = async (venues, instant) => {
+  const openStatus = await openingHoursService.getOpenStatus(venues, instant);
+  return venues.filter(venue => openStatus.get(venue.id) === true);
+};
+
+// Save the booking settings (capacity, slot length, bookable hours, cancellation cutoff, deposits) sent for a venue
+const saveBookingSettings = async (venueId, settings) => {
+  const fields = Object.keys(settings);
+  if (fields.length === 0) return;
+
+  await db.execute(
+    `UPDATE venues SET ${fields.map(field => `${field} = ?`).join(", ")} WHERE id = ?`,
+    [...fields.map(field => settings[field]), venueId]
+  );
+};
 
-// Get all venues with optional search
+// Get all venues with optional search and location filter
 exports.getAllVenues = async (req, res) => {
   try {
     const searchQuery = req.query.search || '';
 
-    if (searchQuery.trim() === '') {
+    // Optional "near me" (lat/lng/radius) or map bounding box filter
+    const geoFilter = buildGeoFilter(req.query, "latitude", "longitude");
+    if (geoFilter && geoFilter.error) {
+      return res.status(400).json({
+        success: false,
+        message: geoFilter.error
+      });
+    }
+
+    // Optional "open now" / "open at" filter, checked in each venue's own timezone
+    let openAt = null;
+    if (req.query.open_at) {
+      openAt = new Date(req.query.open_at);
+      if (isNaN(openAt.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "open_at must be an ISO 8601 date-time"
+        });
+      }
+    } else if (req.query.open_now === 'true') {
+      openAt = new Date();
+    }
+
+    if (searchQuery.trim() === '' && !geoFilter) {
       // If no search query, return all venues
       const [venues] = await db.execute("SELECT * FROM venues");
       return res.status(200).json({
         success: true,
-        venues: venues
+        venues: openAt ? await filterOpenVenues(venues, openAt) : venues
       });
     }
 
+    const conditions = [];
+    const params = [];
+    let selectDistance = "";
+
+    if (geoFilter && geoFilter.distance) {
+      selectDistance = `, ${geoFilter.distance} as distance_km`;
+      params.push(...geoFilter.distanceParams);
+    }
+
     // Search in name, location, and features
-    let sql = "SELECT * FROM venues WHERE name LIKE ? OR location LIKE ? OR features LIKE ?";
-    const searchParam = `%${searchQuery}%`;
+    if (searchQuery.trim() !== '') {
+      const searchParam = `%${searchQuery}%`;
+      conditions.push("(name LIKE ? OR location LIKE ? OR features LIKE ?)");
+      params.push(searchParam, searchParam, searchParam);
+    }
 
-    const [venues] = await db.execute(sql, [searchParam, searchParam, searchParam]);
+    if (geoFilter) {
+      conditions.push(geoFilter.where);
+      params.push(...geoFilter.whereParams);
+    }
+
+    let sql = `SELECT *${selectDistance} FROM venues WHERE ${conditions.join(" AND ")}`;
+
+    if (geoFilter) {
+      // Closest venues first; cap the result so a zoomed-out map stays fast
+      const limit = Math.min(parseInt(req.query.limit) || GEO_RESULT_LIMIT, GEO_RESULT_LIMIT);
+      sql += geoFilter.distance ? " ORDER BY distance_km ASC" : " ORDER BY premium DESC, rating DESC";
+      sql += ` LIMIT ${parseInt(limit)}`;
+    }
+
+    const [venues] = await db.execute(sql, params);
+
+    if (geoFilter && geoFilter.distance) {
+      venues.forEach(venue => {
+        venue.distance_km = roundDistance(venue.distance_km);
+      });
+    }
 
     res.status(200).json({
       success: true,
-      venues: venues
+      venues: openAt ? await filterOpenVenues(venues, openAt) : venues
     });
   } catch (error) {
     console.error("Error fetching venues:", error.message);
@@ -129,7 +210,7 @@ exports.getUserVenues = async (req, res) => {
 // Create a new venue
 exports.createVenue = async (req, res) => {
   try {
-    const { name, description, type, location, premium, latitude, longitude, image, images, user_id, opening_hours, features } = req.body;
+    const { name, description, type, location, premium, latitude, longitude, image, images, opening_hours, features } = req.body;
 
     // Validate required fields
     if (!name || !description || !type || !location) {
@@ -139,77 +220,87 @@ exports.createVenue = async (req, res) => {
       });
     }
 
-    // Check if the images column exists in the venues table
-    let hasImagesColumn = false;
-    try {
-      const [columns] = await db.execute("SHOW COLUMNS FROM venues LIKE 'images'");
-      hasImagesColumn = columns.length > 0;
-    } catch (error) {
-      console.warn("Error checking for images column:", error.message);
+    // Validate booking settings (capacity, slot length, bookable hours, cancellation cutoff)
+    const bookingSettings = availabilityService.parseBookingSettings(req.body);
+    if (bookingSettings.error) {
+      return res.status(400).json({
+        success: false,
+        message: bookingSettings.error
+      });
+    }
+
+    // Validate deposit settings (deposit per guest, party size it applies from, refund policy)
+    const depositSettings = paymentService.parseDepositSettings(req.body);
+    if (depositSettings.error) {
+      return res.status(400).json({
+        success: false,
+        message: depositSettings.error
+      });
+    }
+
+    if (depositSettings.settings.deposit_per_guest && !premium) {
+      return res.status(403).json({
+        success: false,
+        message: "Only premium venues can take deposits"
+      });
     }
 
-    let sql, params;
-
-    if (hasImagesColumn) {
-      // Insert the new venue into the database with images column
-      sql = `INSERT INTO venues
-        (name, description, type, location, premium, latitude, longitude, image, images, user_id, opening_hours, features)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-      params = [
-        name,
-        description,
-        type,
-        location,
-        premium ? 1 : 0,
-        latitude || null,
-        longitude || null,
-        image || null,
-        images || null,
-        user_id || null,
-        opening_hours || null,
-        features || null
-      ];
-    } else {
-      // Fallback to original query without images column
-      sql = `INSERT INTO venues
-        (name, description, type, location, premium, latitude, longitude, image, user_id, opening_hours, features)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-      params = [
-        name,
-        description,
-        type,
-        location,
-        premium ? 1 : 0,
-        latitude || null,
-        longitude || null,
-        image || null,
-        user_id || null,
-        opening_hours || null,
-        features || null
-      ];
+    // The authenticated user becomes the owner; only admins may assign a venue to someone else
+    let user_id = req.userId;
+    if (req.body.user_id && parseInt(req.body.user_id) !== req.userId) {
+      if (!(await policyService.isPlatformAdmin(req.userId))) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only create venues for yourself"
+        });
+      }
+      user_id = parseInt(req.body.user_id);
     }
 
-    const [result] = await db.execute(sql, params);
+    // Insert the new venue into the database
+    const sql = `INSERT INTO venues
+      (name, description, type, location, premium, latitude, longitude, image, images, user_id, opening_hours, features)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+    const params = [
+      name,
+      description,
+      type,
+      location,
+      premium ? 1 : 0,
+      latitude || null,
+      longitude || null,
+      image || null,
+      images || null,
+      user_id || null,
+      opening_hours || null,
+      features || null
+    ];
+
+    let venueId;
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(sql, params);
+      venueId = result.insertId;
+
+      // Queue the announcement with the venue so it can't be lost
+      await outboxService.enqueue('sendNewVenueNotification', [venueId], connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
     // Get the newly created venue
-    const venueId = result.insertId;
+    await saveBookingSettings(venueId, { ...bookingSettings.settings, ...depositSettings.settings });
     const [venues] = await db.execute("SELECT * FROM venues WHERE id = ?", [venueId]);
 
-    // Send notification about the new venue (asynchronously)
-    notificationService.sendNewVenueNotification(venueId)
-      .then(notificationResult => {
-        if (notificationResult) {
-          console.log(`New venue notification sent successfully for venue ${venueId}`);
-        } else {
-          console.log(`Failed to send new venue notification for venue ${venueId}`);
-        }
-      })
-      .catch(err => {
-        console.error(`Error sending new venue notification for venue ${venueId}:`, err);
-      });
-
     res.status(201).json({
       success: true,
       message: "Venue created successfully",
@@ -239,6 +330,10 @@ exports.getVenueById = async (req, res) => {
       });
     }
 
+    // Whether the venue is open right now (null if it has no structured opening hours)
+    const openStatus = await openingHoursService.getOpenStatus(venues);
+    venues[0].is_open_now = openStatus.get(venues[0].id);
+
     res.status(200).json({
       success: true,
       venue: venues[0]
@@ -253,6 +348,86 @@ exports.getVenueById = async (req, res) => {
   }
 };
 
+// Get the structured opening hours of a venue
+exports.getVenueHours = async (req, res) => {
+  try {
+    const venueId = req.params.id;
+    const [venues] = await db.execute("SELECT * FROM venues WHERE id = ?", [venueId]);
+
+    if (venues.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Venue not found"
+      });
+    }
+
+    const schedule = await openingHoursService.getSchedule(venues[0]);
+    const openStatus = await openingHoursService.getOpenStatus(venues);
+
+    res.status(200).json({
+      success: true,
+      ...schedule,
+      is_open_now: openStatus.get(venues[0].id)
+    });
+  } catch (error) {
+    console.error("Error fetching venue hours:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch venue hours",
+      error: error.message
+    });
+  }
+};
+
+// Replace the structured opening hours of a venue
+exports.updateVenueHours = async (req, res) => {
+  try {
+    const venueId = req.params.id;
+    const { timezone } = req.body;
+
+    const [venues] = await db.execute("SELECT * FROM venues WHERE id = ?", [venueId]);
+    if (venues.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Venue not found"
+      });
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Timezone must be a valid IANA timezone name (e.g. Europe/Skopje)"
+      });
+    }
+
+    const schedule = validateSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        message: schedule.error
+      });
+    }
+
+    await openingHoursService.replaceSchedule(venues[0].id, schedule, timezone);
+
+    const [updatedVenues] = await db.execute("SELECT * FROM venues WHERE id = ?", [venueId]);
+    const updatedSchedule = await openingHoursService.getSchedule(updatedVenues[0]);
+
+    res.status(200).json({
+      success: true,
+      message: "Opening hours updated successfully",
+      ...updatedSchedule
+    });
+  } catch (error) {
+    console.error("Error updating venue hours:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update venue hours",
+      error: error.message
+    });
+  }
+};
+
 // Update a venue
 exports.updateVenue = async (req, res) => {
   try {
@@ -294,63 +469,67 @@ exports.updateVenue = async (req, res) => {
       });
     }
 
-    // Check if the images column exists in the venues table
-    let hasImagesColumn = false;
-    try {
-      const [columns] = await db.execute("SHOW COLUMNS FROM venues LIKE 'images'");
-      hasImagesColumn = columns.length > 0;
-    } catch (error) {
-      console.warn("Error checking for images column:", error.message);
+    // Validate booking settings (capacity, slot length, bookable hours, cancellation cutoff)
+    const bookingSettings = availabilityService.parseBookingSettings(req.body);
+    if (bookingSettings.error) {
+      return res.status(400).json({
+        success: false,
+        message: bookingSettings.error
+      });
     }
 
-    let sql, params;
-
-    if (hasImagesColumn) {
-      // Update the venue in the database with images column
-      sql = `UPDATE venues
-        SET name = ?, description = ?, type = ?, location = ?, premium = ?,
-        latitude = ?, longitude = ?, image = ?, images = ?, user_id = ?, opening_hours = ?, features = ?
-        WHERE id = ?`;
-
-      params = [
-        name,
-        description,
-        type,
-        location,
-        premium ? 1 : 0,
-        latitude || null,
-        longitude || null,
-        image || null,
-        images || null,
-        user_id || null,
-        opening_hours || null,
-        features || null,
-        venueId
-      ];
-    } else {
-      // Fallback to original query without images column
-      sql = `UPDATE venues
-        SET name = ?, description = ?, type = ?, location = ?, premium = ?,
-        latitude = ?, longitude = ?, image = ?, user_id = ?, opening_hours = ?, features = ?
-        WHERE id = ?`;
-
-      params = [
-        name,
-        description,
-        type,
-        location,
-        premium ? 1 : 0,
-        latitude || null,
-        longitude || null,
-        image || null,
-        user_id || null,
-        opening_hours || null,
-        features || null,
-        venueId
-      ];
+    // Validate deposit settings (deposit per guest, party size it applies from, refund policy)
+    const depositSettings = paymentService.parseDepositSettings(req.body);
+    if (depositSettings.error) {
+      return res.status(400).json({
+        success: false,
+        message: depositSettings.error
+      });
     }
 
+    const depositPerGuest = depositSettings.settings.deposit_per_guest !== undefined
+      ? depositSettings.settings.deposit_per_guest
+      : currentVenue.deposit_per_guest;
+    if (depositPerGuest && !premium) {
+      return res.status(403).json({
+        success: false,
+        message: "Only premium venues can take deposits"
+      });
+    }
+
+    // Transferring ownership is an admin-only operation
+    if (req.body.user_id !== undefined && parseInt(req.body.user_id) !== currentVenue.user_id &&
+      !(await policyService.isPlatformAdmin(req.userId))) {
+      return res.status(403).json({
+        success: false,
+        message: "Only an administrator can change the venue owner"
+      });
+    }
+
+    // Update the venue in the database
+    const sql = `UPDATE venues
+      SET name = ?, description = ?, type = ?, location = ?, premium = ?,
+      latitude = ?, longitude = ?, image = ?, images = ?, user_id = ?, opening_hours = ?, features = ?
+      WHERE id = ?`;
+
+    const params = [
+      name,
+      description,
+      type,
+      location,
+      premium ? 1 : 0,
+      latitude || null,
+      longitude || null,
+      image || null,
+      images || null,
+      user_id || null,
+      opening_hours || null,
+      features || null,
+      venueId
+    ];
+
     const [result] = await db.execute(sql, params);
+    await saveBookingSettings(venueId, { ...bookingSettings.settings, ...depositSettings.settings });
 
     if (result.affectedRows === 0) {
       return res.status(404).json({
@@ -0,0 +1,296 @@
+const db = require('../config/db');
+const outboxService = require('../services/outboxService');
+const availabilityService = require('../services/availabilityService');
+const bookingService = require('../services/bookingService');
+const waitlistService = require('../services/waitlistService');
+const paymentService = require('../services/paymentService');
+
+/**
+ * Run a waitlist change in a transaction that holds the venue row lock
+ * @param {number} venueId - ID of the venue
+ * @param {Function} work - async (connection, venue) => result; may call connection.rollback() to abort
+ * @returns {Promise} - Result of work
+ */
+const withVenueLock = async (venueId, work) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [venueRows] = await connection.execute('SELECT * FROM venues WHERE id = ? FOR UPDATE', [venueId]);
+    const result = await work(connection, venueRows[0] || null);
+
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Join the waitlist for a full booking slot
+ * Body: { venue_id, booking_date, booking_time, guest_count, note }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const { venue_id, booking_date, booking_time, guest_count, note } = req.body;
+
+    if (!venue_id || !booking_date || !booking_time || !guest_count) {
+      return res.status(400).json({
+        success: false,
+        message: 'Venue ID, booking date, booking time, and guest count are required'
+      });
+    }
+
+    const guests = parseInt(guest_count);
+    if (isNaN(guests) || guests < 1) {
+      return res.status(400).json({ success: false, message: 'Guest count must be a positive number' });
+    }
+
+    const result = await withVenueLock(venue_id, async (connection, venue) => {
+      if (!venue) {
+        return { status: 404, message: 'Venue not found' };
+      }
+
+      // Only full slots have a waitlist; anything else is either bookable or not a slot at all
+      const check = await availabilityService.checkSlot(connection, venue, booking_date, booking_time, guests);
+      if (check.ok) {
+        return { status: 409, message: 'This time slot still has room, book it directly', remainingCapacity: check.remaining };
+      }
+      if (check.status !== 409) {
+        return { status: check.status, message: check.message };
+      }
+
+      if (bookingService.getStartInstant({ booking_date, booking_time }, venue) <= new Date()) {
+        return { status: 400, message: 'This time slot has already started' };
+      }
+
+      if (await waitlistService.isQueued(connection, req.userId, venue.id, booking_date, booking_time)) {
+        return { status: 409, message: 'You are already on the waitlist for this time slot' };
+      }
+
+      const [insert] = await connection.execute(
+        `INSERT INTO booking_waitlist (venue_id, user_id, booking_date, booking_time, guest_count, note)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [venue.id, req.userId, booking_date, booking_time, guests, note || null]
+      );
+
+      const entry = await waitlistService.getEntry(connection, insert.insertId);
+      return { entry, position: await waitlistService.getPosition(connection, entry) };
+    });
+
+    if (!result.entry) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        remainingCapacity: result.remainingCapacity
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist',
+      entry: result.entry,
+      position: result.position
+    });
+  } catch (error) {
+    console.error('Error joining waitlist:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * List the current user's waitlist entries that are still in the queue
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyWaitlist = async (req, res) => {
+  try {
+    const [entries] = await db.execute(
+      `SELECT w.id, w.venue_id, w.guest_count, w.note, w.status, w.offer_expires_at, w.created_at,
+              DATE_FORMAT(w.booking_date, '%Y-%m-%d') as booking_date,
+              TIME_FORMAT(w.booking_time, '%H:%i') as booking_time,
+              v.name as venue_name, v.image as venue_image, v.location as venue_location
+       FROM booking_waitlist w
+       JOIN venues v ON w.venue_id = v.id
+       WHERE w.user_id = ? AND w.status IN ('waiting', 'offered')
+       ORDER BY w.booking_date ASC, w.booking_time ASC`,
+      [req.userId]
+    );
+
+    for (const entry of entries) {
+      entry.position = await waitlistService.getPosition(db, entry);
+    }
+
+    return res.status(200).json({ success: true, entries });
+  } catch (error) {
+    console.error('Error getting waitlist:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * List the waitlist of a venue (venue owner)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getVenueWaitlist = async (req, res) => {
+  try {
+    const [entries] = await db.execute(
+      `SELECT w.id, w.user_id, w.guest_count, w.note, w.status, w.offer_expires_at, w.created_at,
+              DATE_FORMAT(w.booking_date, '%Y-%m-%d') as booking_date,
+              TIME_FORMAT(w.booking_time, '%H:%i') as booking_time,
+              u.full_name as user_name, u.no_show_count as user_no_show_count
+       FROM booking_waitlist w
+       JOIN users u ON w.user_id = u.id
+       WHERE w.venue_id = ? AND w.status IN ('waiting', 'offered')
+       ORDER BY w.booking_date ASC, w.booking_time ASC, w.created_at ASC`,
+      [req.params.venueId]
+    );
+
+    return res.status(200).json({ success: true, entries });
+  } catch (error) {
+    console.error('Error getting venue waitlist:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Load the current user's waitlist entry for a request
+ * @param {Object} req - Express request object
+ * @returns {Promise<object>} - { entry } or { status, message }
+ */
+const findOwnEntry = async (req) => {
+  const entry = await waitlistService.getEntry(db, req.params.id);
+  if (!entry) {
+    return { status: 404, message: 'Waitlist entry not found' };
+  }
+  if (entry.user_id !== req.userId) {
+    return { status: 403, message: 'You do not have access to this waitlist entry' };
+  }
+  return { entry };
+};
+
+/**
+ * Claim offered seats, turning the waitlist entry into a booking
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const claimOffer = async (req, res) => {
+  try {
+    const found = await findOwnEntry(req);
+    if (!found.entry) {
+      return res.status(found.status).json({ success: false, message: found.message });
+    }
+
+    const result = await withVenueLock(found.entry.venue_id, async (connection, venue) => {
+      const entry = await waitlistService.getEntry(connection, found.entry.id, true);
+
+      if (entry.status !== 'offered' || !entry.offer_valid) {
+        return { status: 409, message: 'There is no open offer for this waitlist entry' };
+      }
+
+      // The offer stops holding the seats once claimed, so the booking takes them over
+      await connection.execute("UPDATE booking_waitlist SET status = 'claimed' WHERE id = ?", [entry.id]);
+
+      const check = await availabilityService.checkSlot(
+        connection, venue, entry.booking_date, entry.booking_time, entry.guest_count
+      );
+      if (!check.ok) {
+        await connection.rollback();
+        return { status: check.status, message: check.message };
+      }
+
+      // The same deposit as booking directly
+      const deposit = paymentService.getDepositAmount(venue, entry.guest_count);
+      if (deposit > 0 && !paymentService.getProvider()) {
+        await connection.rollback();
+        return { status: 503, message: 'This booking needs a deposit, but payments are not available right now' };
+      }
+
+      const [insert] = await connection.execute(
+        `INSERT INTO venue_bookings
+        (venue_id, user_id, booking_date, booking_time, guest_count, note, status, payment_status)
+        VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)`,
+        [entry.venue_id, entry.user_id, entry.booking_date, entry.booking_time, entry.guest_count, entry.note, deposit > 0 ? 'pending' : 'none']
+      );
+
+      await connection.execute('UPDATE booking_waitlist SET booking_id = ? WHERE id = ?', [insert.insertId, entry.id]);
+      await outboxService.enqueue('sendNewBookingNotification', [insert.insertId], connection);
+
+      return { bookingId: insert.insertId, deposit };
+    });
+
+    if (!result.bookingId) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    const depositResult = result.deposit > 0 ? await paymentService.startDeposit(result.bookingId) : {};
+
+    const [bookings] = await db.execute('SELECT * FROM venue_bookings WHERE id = ?', [result.bookingId]);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Booking created successfully',
+      booking: bookings[0],
+      ...depositResult
+    });
+  } catch (error) {
+    console.error('Error claiming waitlist offer:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Pass on offered seats to the next person, or leave the waitlist
+ * @param {string} status - 'declined' to pass on an offer, 'cancelled' to leave
+ * @returns {Function} - Express handler
+ */
+const releaseEntry = (status) => async (req, res) => {
+  try {
+    const found = await findOwnEntry(req);
+    if (!found.entry) {
+      return res.status(found.status).json({ success: false, message: found.message });
+    }
+
+    const result = await withVenueLock(found.entry.venue_id, async (connection, venue) => {
+      const entry = await waitlistService.getEntry(connection, found.entry.id, true);
+
+      if (status === 'declined' ? entry.status !== 'offered' : !waitlistService.isActive(entry.status)) {
+        return { status: 409, message: status === 'declined' ? 'There is no open offer for this waitlist entry' : 'This waitlist entry is no longer active' };
+      }
+
+      await waitlistService.release(connection, venue, entry, status);
+      return { ok: true };
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: status === 'declined' ? 'Offer passed on' : 'Removed from the waitlist'
+    });
+  } catch (error) {
+    console.error('Error updating waitlist entry:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+const declineOffer = releaseEntry('declined');
+const leaveWaitlist = releaseEntry('cancelled');
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  getVenueWaitlist,
+  claimOffer,
+  declineOffer,
+  leaveWaitlist
+};
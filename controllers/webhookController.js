@@ -0,0 +1,156 @@
+const webhookService = require('../services/webhookService');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
+
+/**
+ * Validate the fields of a webhook
+ * @param {object} body - { url, types, active }
+ * @param {boolean} creating - true if url is required
+ * @returns {Promise<object>} - Changes for webhookService, or { error }
+ */
+const validateWebhook = async (body, creating) => {
+  const changes = {};
+  const { url, types, active } = body;
+
+  if (url !== undefined || creating) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+
+    // Plain http is only accepted outside production, e.g. for a test receiver
+    const protocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+    if (!parsed || !protocols.includes(parsed.protocol) || url.length > 2048) {
+      return { error: `url must be a valid ${protocols.map(p => p.replace(':', '')).join(' or ')} URL` };
+    }
+
+    // Webhooks are posted from the server, so they must not reach its internal network
+    const refused = await webhookService.checkUrl(url);
+    if (refused) {
+      return { error: refused };
+    }
+    changes.url = url;
+  }
+
+  if (types === null) {
+    changes.types = null;
+  } else if (types !== undefined) {
+    const allowed = notificationPreferenceService.getNotificationTypes();
+    if (!Array.isArray(types) || types.length === 0 || types.some(type => !allowed.includes(type))) {
+      return { error: `types must be a non-empty array of notification types (${allowed.join(', ')}), or null for all` };
+    }
+    changes.types = [...new Set(types)];
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    changes.active = active;
+  }
+
+  return changes;
+};
+
+/**
+ * List the current user's webhooks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await webhookService.list(req.userId);
+
+    return res.status(200).json({ success: true, webhooks });
+  } catch (error) {
+    console.error('Error getting webhooks:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Register a webhook for the current user's notifications
+ * Body: { url, types: [notification type] | null }
+ * The response contains the signing secret; it is not shown again.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const changes = await validateWebhook(req.body || {}, true);
+
+    if (changes.error) {
+      return res.status(400).json({ success: false, message: changes.error });
+    }
+
+    const webhook = await webhookService.create(req.userId, changes);
+
+    if (!webhook) {
+      return res.status(409).json({ success: false, message: 'You have reached the maximum number of webhooks' });
+    }
+
+    return res.status(201).json({ success: true, message: 'Webhook created', webhook });
+  } catch (error) {
+    console.error('Error creating webhook:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Update one of the current user's webhooks
+ * Body: { url, types, active } (all optional)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateWebhook = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const changes = await validateWebhook(req.body || {}, false);
+
+    if (changes.error) {
+      return res.status(400).json({ success: false, message: changes.error });
+    }
+
+    const webhook = await webhookService.update(req.userId, id, changes);
+
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+
+    return res.status(200).json({ success: true, message: 'Webhook updated', webhook });
+  } catch (error) {
+    console.error('Error updating webhook:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Delete one of the current user's webhooks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteWebhook = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await webhookService.remove(req.userId, id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+
+    return res.status(200).json({ success: true, message: 'Webhook deleted' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook
+};
@@ -1,6 +1,6 @@
-const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
 const path = require('path');
+const tokenService = require('../services/tokenService');
 
 // Ensure environment variables are loaded
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
@@ -40,7 +40,7 @@ exports.verifyToken = (req, res, next) => {
   // Verify the token
   try {
     console.log('Verifying token...');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = tokenService.verifyAccessToken(token);
     console.log('Token verified successfully. User ID:', decoded.id);
     
     // Add the user ID to the request object
@@ -74,3 +74,15 @@ exports.verifyToken = (req, res, next) => {
     });
   }
 };
+
+/**
+ * Middleware that authenticates the request when a token is present.
+ * Anonymous requests continue without req.userId; a bad token is still rejected.
+ */
+exports.optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  return exports.verifyToken(req, res, next);
+};
@@ -0,0 +1,86 @@
+const idempotencyService = require('../services/idempotencyService');
+
+/**
+ * Idempotency middleware
+ * Honours the Idempotency-Key header on create endpoints so clients can
+ * safely retry them. Must run after verifyToken: keys are scoped per user.
+ * Requests without the header are handled as usual. Handlers set
+ * res.locals.committed once their writes are committed, so a server error
+ * after that point is stored rather than retried.
+ */
+
+/**
+ * Replay the stored response for a repeated Idempotency-Key, or run the
+ * request and store its JSON response
+ */
+exports.idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!idempotencyService.isValidKey(key)) {
+    return res.status(400).json({ success: false, message: 'Idempotency-Key must be between 1 and 255 characters' });
+  }
+
+  let claim;
+  try {
+    const requestHash = idempotencyService.hashRequest(req.method, req.originalUrl.split('?')[0], req.body);
+    claim = await idempotencyService.begin(req.userId, key, requestHash);
+  } catch (error) {
+    console.error('Error checking idempotency key:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+
+  if (claim.state === 'mismatch') {
+    return res.status(422).json({
+      success: false,
+      message: 'This Idempotency-Key was already used for a different request'
+    });
+  }
+
+  if (claim.state === 'processing') {
+    return res.status(409).json({
+      success: false,
+      message: 'A request with this Idempotency-Key is still being processed'
+    });
+  }
+
+  if (claim.state === 'replay') {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.record.response_status).json(JSON.parse(claim.record.response_body));
+  }
+
+  // Store the response before sending it, so a retry arriving right after gets the same one.
+  // Server errors release the key instead, so the request can be retried, unless the
+  // handler already committed its work (res.locals.committed): retrying would repeat it.
+  const recordId = claim.record.id;
+  const json = res.json.bind(res);
+  let settled = false;
+
+  res.json = (body) => {
+    settled = true;
+    const store = res.statusCode >= 500 && !res.locals.committed
+      ? idempotencyService.release(recordId)
+      : idempotencyService.complete(recordId, res.statusCode, body);
+
+    store
+      .catch(error => console.error('Error storing idempotent response:', error.message))
+      .then(() => json(body));
+    return res;
+  };
+
+  // The request ended without a JSON response (e.g. an unhandled error)
+  res.on('finish', () => {
+    if (settled) {
+      return;
+    }
+
+    const store = res.locals.committed
+      ? idempotencyService.complete(recordId, res.statusCode, { success: false, message: 'Server error' })
+      : idempotencyService.release(recordId);
+    store.catch(error => console.error('Error storing idempotent response:', error.message));
+  });
+
+  next();
+};
@@ -0,0 +1,80 @@
+const db = require('../config/db');
+const policyService = require('../services/policyService');
+
+/**
+ * Policy middleware
+ * Route-level guards built on the policy service. They must run after verifyToken.
+ */
+
+/**
+ * Only allow the user named in a route parameter (or a platform admin)
+ * @param {string} paramName - Name of the route parameter holding the user ID
+ */
+exports.requireSelfOrAdmin = (paramName = 'userId') => async (req, res, next) => {
+  try {
+    if (await policyService.canActForUser(req.userId, req.params[paramName])) {
+      return next();
+    }
+
+    return res.status(403).json({ success: false, message: 'You can only access your own data' });
+  } catch (error) {
+    console.error('Error checking user access:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Only allow the owner of the venue named in a route parameter (or a platform admin)
+ * @param {string} paramName - Name of the route parameter holding the venue ID
+ */
+exports.requireVenueOwner = (paramName = 'venueId') => async (req, res, next) => {
+  try {
+    if (await policyService.canManageVenue(req.userId, req.params[paramName])) {
+      return next();
+    }
+
+    return res.status(403).json({ success: false, message: 'Only the venue owner can perform this action' });
+  } catch (error) {
+    console.error('Error checking venue ownership:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Only allow the user who manages the event named in a route parameter:
+ * the owner of the event's venue, the creator of a custom-location event, or a platform admin
+ * @param {string} paramName - Name of the route parameter holding the event ID
+ */
+exports.requireEventManager = (paramName = 'id') => async (req, res, next) => {
+  try {
+    const [events] = await db.execute('SELECT * FROM events WHERE id = ?', [req.params[paramName]]);
+    if (events.length === 0) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    if (await policyService.canManageEvent(req.userId, events[0])) {
+      return next();
+    }
+
+    return res.status(403).json({ success: false, message: 'Only the venue owner can manage this event' });
+  } catch (error) {
+    console.error('Error checking event access:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Only allow platform administrators
+ */
+exports.requireAdmin = async (req, res, next) => {
+  try {
+    if (await policyService.isPlatformAdmin(req.userId)) {
+      return next();
+    }
+
+    return res.status(403).json({ success: false, message: 'Administrator access required' });
+  } catch (error) {
+    console.error('Error checking admin access:', error.message);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,203 @@
+/**
+ * Database Migration Runner
+ *
+ * Applies the versioned scripts in migrations/ (NNN_description.js, each
+ * exporting async up(connection) and down(connection)) and records them in
+ * the schema_migrations table. Migrations applied in the same run share a
+ * batch number, and a rollback reverts the whole latest batch.
+ *
+ * Usage:
+ *   npm run migrate            apply all pending migrations
+ *   npm run migrate:status     list applied and pending migrations
+ *   npm run migrate:rollback   revert the latest batch
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const config = require('./config/config');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^\d{3}_[a-z0-9_]+\.js$/;
+
+/**
+ * Create the table that records applied migrations
+ * @param {object} connection - mysql2 promise connection
+ * @returns {Promise}
+ */
+const ensureMigrationsTable = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL UNIQUE,
+      batch INT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+/**
+ * List the migration files in version order
+ * @returns {Array<string>} - Migration names (file names without .js)
+ */
+const listMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => file.replace(/\.js$/, ''));
+};
+
+/**
+ * Load a migration module
+ * @param {string} name - Migration name
+ * @returns {object} - { up, down }
+ */
+const loadMigration = (name) => {
+  const migration = require(path.join(MIGRATIONS_DIR, `${name}.js`));
+
+  if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+    throw new Error(`Migration ${name} must export up() and down()`);
+  }
+
+  return migration;
+};
+
+/**
+ * Get the applied migrations
+ * @param {object} connection - mysql2 promise connection
+ * @returns {Promise<Array>} - schema_migrations rows in the order they were applied
+ */
+const getAppliedMigrations = async (connection) => {
+  await ensureMigrationsTable(connection);
+
+  const [rows] = await connection.query('SELECT name, batch, applied_at FROM schema_migrations ORDER BY id');
+  return rows;
+};
+
+/**
+ * Apply all pending migrations as a new batch
+ * @param {object} connection - mysql2 promise connection
+ * @returns {Promise<Array<string>>} - Names of the migrations that were applied
+ */
+const runMigrations = async (connection) => {
+  const applied = await getAppliedMigrations(connection);
+  const appliedNames = new Set(applied.map(row => row.name));
+  const pending = listMigrations().filter(name => !appliedNames.has(name));
+
+  if (pending.length === 0) return [];
+
+  const batch = applied.reduce((max, row) => Math.max(max, row.batch), 0) + 1;
+
+  // MySQL commits DDL implicitly, so each migration is recorded as soon as it
+  // succeeds; a failure stops the run and leaves later migrations pending
+  for (const name of pending) {
+    console.log(`Applying ${name}...`);
+    await loadMigration(name).up(connection);
+    await connection.query('INSERT INTO schema_migrations (name, batch) VALUES (?, ?)', [name, batch]);
+  }
+
+  return pending;
+};
+
+/**
+ * Revert the latest batch of migrations
+ * @param {object} connection - mysql2 promise connection
+ * @returns {Promise<Array<string>>} - Names of the migrations that were reverted
+ */
+const rollbackMigrations = async (connection) => {
+  const applied = await getAppliedMigrations(connection);
+  if (applied.length === 0) return [];
+
+  const batch = applied.reduce((max, row) => Math.max(max, row.batch), 0);
+  const names = applied.filter(row => row.batch === batch).map(row => row.name).reverse();
+
+  for (const name of names) {
+    console.log(`Reverting ${name}...`);
+    await loadMigration(name).down(connection);
+    await connection.query('DELETE FROM schema_migrations WHERE name = ?', [name]);
+  }
+
+  return names;
+};
+
+/**
+ * Get the status of every migration
+ * @param {object} connection - mysql2 promise connection
+ * @returns {Promise<Array>} - [{ name, applied, batch, applied_at }]
+ */
+const getMigrationStatus = async (connection) => {
+  const applied = new Map((await getAppliedMigrations(connection)).map(row => [row.name, row]));
+
+  return listMigrations().map(name => {
+    const row = applied.get(name);
+    return {
+      name,
+      applied: !!row,
+      batch: row ? row.batch : null,
+      applied_at: row ? row.applied_at : null
+    };
+  });
+};
+
+/**
+ * Connect to the configured database, creating it if it does not exist
+ * @returns {Promise<object>} - mysql2 promise connection
+ */
+const connect = async () => {
+  const connection = await mysql.createConnection({
+    host: config.db.host,
+    user: config.db.user,
+    password: config.db.password,
+    socketPath: process.env.DB_SOCKET_PATH || undefined
+  });
+
+  await connection.query(`CREATE DATABASE IF NOT EXISTS \`${config.db.database}\``);
+  await connection.query(`USE \`${config.db.database}\``);
+
+  return connection;
+};
+
+async function main() {
+  const command = process.argv[2] || 'up';
+  let connection;
+
+  try {
+    connection = await connect();
+
+    if (command === 'up') {
+      const names = await runMigrations(connection);
+      console.log(names.length > 0 ? `Applied ${names.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'rollback') {
+      const names = await rollbackMigrations(connection);
+      console.log(names.length > 0 ? `Reverted ${names.length} migration(s)` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      const status = await getMigrationStatus(connection);
+      status.forEach(migration => {
+        console.log(migration.applied
+          ? `[applied]  ${migration.name} (batch ${migration.batch})`
+          : `[pending]  ${migration.name}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, status or rollback`);
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (connection) {
+      await connection.end();
+    }
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  listMigrations,
+  getAppliedMigrations,
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus
+};
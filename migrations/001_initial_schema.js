@@ -0,0 +1,256 @@
+/**
+ * Initial schema: the tables the app shipped with before migrations existed.
+ * Uses IF NOT EXISTS so it can be applied to databases that were created by
+ * the old setup scripts, and adds the event name, image and custom location
+ * columns that older databases may be missing.
+ */
+
+const { addColumnIfMissing } = require('./helpers');
+
+// Tables in creation order; dropped in reverse
+const TABLES = [
+  ['users', `
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(255),
+      email VARCHAR(255) NOT NULL UNIQUE,
+      password VARCHAR(255) NOT NULL,
+      full_name VARCHAR(255),
+      phone VARCHAR(20),
+      is_business BOOLEAN DEFAULT 0,
+      avatar VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `],
+  ['venues', `
+    CREATE TABLE IF NOT EXISTS venues (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      type VARCHAR(100),
+      location VARCHAR(255),
+      description TEXT,
+      rating DECIMAL(3,1) DEFAULT 0,
+      rating_count INT DEFAULT 0,
+      rating_total DECIMAL(10,1) DEFAULT 0,
+      price_range VARCHAR(10),
+      features TEXT,
+      opening_hours VARCHAR(255),
+      image VARCHAR(255),
+      images TEXT,
+      premium BOOLEAN DEFAULT 0,
+      latitude DECIMAL(10,8),
+      longitude DECIMAL(11,8),
+      user_id INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `],
+  ['events', `
+    CREATE TABLE IF NOT EXISTS events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      venue VARCHAR(255),
+      venue_id INT,
+      description TEXT,
+      event_date DATETIME,
+      starting_time TIME,
+      price VARCHAR(50),
+      custom_location VARCHAR(255),
+      image VARCHAR(255),
+      images TEXT,
+      latitude DECIMAL(10,8),
+      longitude DECIMAL(11,8),
+      interested_count INT DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE SET NULL
+    )
+  `],
+  ['ratings', `
+    CREATE TABLE IF NOT EXISTS ratings (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      venue_id INT NOT NULL,
+      user_id INT,
+      rating DECIMAL(3,1) NOT NULL,
+      comment TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE KEY unique_user_venue (user_id, venue_id)
+    )
+  `],
+  ['event_interests', `
+    CREATE TABLE IF NOT EXISTS event_interests (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      event_id INT NOT NULL,
+      user_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_event_user (event_id, user_id),
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `],
+  ['venue_bookmarks', `
+    CREATE TABLE IF NOT EXISTS venue_bookmarks (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      venue_id INT NOT NULL,
+      user_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_venue_user (venue_id, user_id),
+      FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `],
+  ['venue_bookings', `
+    CREATE TABLE IF NOT EXISTS venue_bookings (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      venue_id INT NOT NULL,
+      user_id INT NOT NULL,
+      booking_date DATE NOT NULL,
+      booking_time TIME NOT NULL,
+      guest_count INT NOT NULL DEFAULT 1,
+      note TEXT,
+      status ENUM('pending', 'confirmed', 'cancelled') DEFAULT 'pending',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `],
+  ['friends', `
+    CREATE TABLE IF NOT EXISTS friends (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      friend_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_friendship (user_id, friend_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (friend_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `],
+  ['friend_requests', `
+    CREATE TABLE IF NOT EXISTS friend_requests (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      sender_id INT NOT NULL,
+      receiver_id INT NOT NULL,
+      status ENUM('pending', 'accepted', 'rejected') DEFAULT 'pending',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_request (sender_id, receiver_id),
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (receiver_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `],
+  ['chat_messages', `
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      sender_id INT NOT NULL,
+      receiver_id INT NOT NULL,
+      message TEXT NOT NULL,
+      is_read BOOLEAN DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (receiver_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `],
+  ['shared_items', `
+    CREATE TABLE IF NOT EXISTS shared_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      sender_id INT NOT NULL,
+      receiver_id INT NOT NULL,
+      item_type ENUM('venue', 'event') NOT NULL,
+      item_id INT NOT NULL,
+      message TEXT,
+      is_read BOOLEAN DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (receiver_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `],
+  ['chat_groups', `
+    CREATE TABLE IF NOT EXISTS chat_groups (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      avatar VARCHAR(255),
+      created_by INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `],
+  ['chat_group_members', `
+    CREATE TABLE IF NOT EXISTS chat_group_members (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      group_id INT NOT NULL,
+      user_id INT NOT NULL,
+      is_admin BOOLEAN DEFAULT 0,
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_group_member (group_id, user_id),
+      FOREIGN KEY (group_id) REFERENCES chat_groups(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `],
+  ['chat_group_messages', `
+    CREATE TABLE IF NOT EXISTS chat_group_messages (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      group_id INT NOT NULL,
+      sender_id INT NOT NULL,
+      message TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (group_id) REFERENCES chat_groups(id) ON DELETE CASCADE,
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `],
+  ['chat_group_message_reads', `
+    CREATE TABLE IF NOT EXISTS chat_group_message_reads (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      message_id INT NOT NULL,
+      user_id INT NOT NULL,
+      read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_message_user (message_id, user_id),
+      FOREIGN KEY (message_id) REFERENCES chat_group_messages(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `],
+  ['user_fcm_tokens', `
+    CREATE TABLE IF NOT EXISTS user_fcm_tokens (
+      id INT NOT NULL AUTO_INCREMENT,
+      user_id INT NOT NULL,
+      fcm_token VARCHAR(255) NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_updated DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE INDEX user_id_UNIQUE (user_id ASC),
+      INDEX idx_user_fcm_tokens_token (fcm_token),
+      CONSTRAINT fk_user_fcm_tokens_users
+        FOREIGN KEY (user_id)
+        REFERENCES users (id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+    )
+  `]
+];
+
+module.exports = {
+  async up(connection) {
+    for (const [, sql] of TABLES) {
+      await connection.query(sql);
+    }
+
+    // Databases created before these columns were added to the setup scripts
+    await addColumnIfMissing(connection, 'venues', 'images', 'TEXT AFTER image');
+    await addColumnIfMissing(connection, 'events', 'name', 'VARCHAR(255) AFTER id');
+    await addColumnIfMissing(connection, 'events', 'custom_location', 'VARCHAR(255) AFTER price');
+    await addColumnIfMissing(connection, 'events', 'images', 'TEXT AFTER image');
+  },
+
+  async down(connection) {
+    for (const [table] of [...TABLES].reverse()) {
+      await connection.query(`DROP TABLE IF EXISTS \`${table}\``);
+    }
+  }
+};
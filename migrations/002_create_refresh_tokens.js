@@ -0,0 +1,31 @@
+/**
+ * Server-side refresh token store with rotation and reuse detection.
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        family_id CHAR(36) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        revoked_reason VARCHAR(50) NULL,
+        replaced_by_id INT NULL,
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_token_hash (token_hash),
+        INDEX idx_refresh_tokens_family (family_id),
+        INDEX idx_refresh_tokens_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS refresh_tokens');
+  }
+};
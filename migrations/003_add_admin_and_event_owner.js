@@ -0,0 +1,27 @@
+/**
+ * Platform admin flag on users and the creator of each event, used by the
+ * policy layer to decide who may manage custom-location events.
+ */
+
+const { addColumnIfMissing, foreignKeyExists, dropColumnIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(connection, 'users', 'is_admin', 'BOOLEAN DEFAULT 0 AFTER is_business');
+    await addColumnIfMissing(connection, 'events', 'created_by', 'INT AFTER interested_count');
+
+    if (!(await foreignKeyExists(connection, 'events', 'fk_events_created_by'))) {
+      await connection.query(
+        'ALTER TABLE events ADD CONSTRAINT fk_events_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL'
+      );
+    }
+  },
+
+  async down(connection) {
+    if (await foreignKeyExists(connection, 'events', 'fk_events_created_by')) {
+      await connection.query('ALTER TABLE events DROP FOREIGN KEY fk_events_created_by');
+    }
+    await dropColumnIfExists(connection, 'events', 'created_by');
+    await dropColumnIfExists(connection, 'users', 'is_admin');
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Booking capacity and time slot settings for venues.
+ */
+
+const { addColumnIfMissing, addIndexIfMissing, dropColumnIfExists, dropIndexIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(connection, 'venues', 'capacity', 'INT AFTER longitude');
+    await addColumnIfMissing(connection, 'venues', 'slot_minutes', 'INT DEFAULT 30 AFTER capacity');
+    await addColumnIfMissing(connection, 'venues', 'booking_duration_minutes', 'INT DEFAULT 120 AFTER slot_minutes');
+    await addColumnIfMissing(connection, 'venues', 'bookable_from', 'TIME AFTER booking_duration_minutes');
+    await addColumnIfMissing(connection, 'venues', 'bookable_until', 'TIME AFTER bookable_from');
+
+    // Speed up slot lookups for availability checks
+    await addIndexIfMissing(
+      connection, 'venue_bookings', 'idx_venue_bookings_slot',
+      'INDEX idx_venue_bookings_slot (venue_id, booking_date, booking_time)'
+    );
+  },
+
+  async down(connection) {
+    await dropIndexIfExists(connection, 'venue_bookings', 'idx_venue_bookings_slot');
+
+    for (const column of ['bookable_until', 'bookable_from', 'booking_duration_minutes', 'slot_minutes', 'capacity']) {
+      await dropColumnIfExists(connection, 'venues', column);
+    }
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Index coordinates for "near me" and map bounding box searches.
+ */
+
+const { addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await addIndexIfMissing(connection, 'venues', 'idx_venues_location', 'INDEX idx_venues_location (latitude, longitude)');
+    await addIndexIfMissing(connection, 'events', 'idx_events_location', 'INDEX idx_events_location (latitude, longitude)');
+  },
+
+  async down(connection) {
+    await dropIndexIfExists(connection, 'events', 'idx_events_location');
+    await dropIndexIfExists(connection, 'venues', 'idx_venues_location');
+  }
+};
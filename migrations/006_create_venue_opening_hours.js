@@ -0,0 +1,46 @@
+/**
+ * Structured opening hours: a weekly schedule, exception dates and the
+ * venue's timezone.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(connection, 'venues', 'timezone', "VARCHAR(64) DEFAULT 'Europe/Skopje' AFTER bookable_until");
+
+    // Weekly schedule, several ranges per day
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS venue_opening_hours (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        venue_id INT NOT NULL,
+        day_of_week TINYINT NOT NULL,
+        opens_at TIME NOT NULL,
+        closes_at TIME NOT NULL,
+        FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
+        INDEX idx_venue_opening_hours_day (venue_id, day_of_week)
+      )
+    `);
+
+    // Holidays and special dates
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS venue_hours_exceptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        venue_id INT NOT NULL,
+        exception_date DATE NOT NULL,
+        is_closed BOOLEAN DEFAULT 0,
+        opens_at TIME,
+        closes_at TIME,
+        note VARCHAR(255),
+        FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
+        INDEX idx_venue_hours_exceptions_date (venue_id, exception_date)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS venue_hours_exceptions');
+    await connection.query('DROP TABLE IF EXISTS venue_opening_hours');
+    await dropColumnIfExists(connection, 'venues', 'timezone');
+  }
+};
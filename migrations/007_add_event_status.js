@@ -0,0 +1,19 @@
+/**
+ * Cancellation status for events.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(connection, 'events', 'status', "ENUM('scheduled', 'cancelled') DEFAULT 'scheduled' AFTER interested_count");
+    await addColumnIfMissing(connection, 'events', 'cancelled_at', 'DATETIME AFTER status');
+    await addColumnIfMissing(connection, 'events', 'cancellation_reason', 'VARCHAR(255) AFTER cancelled_at');
+  },
+
+  async down(connection) {
+    for (const column of ['cancellation_reason', 'cancelled_at', 'status']) {
+      await dropColumnIfExists(connection, 'events', column);
+    }
+  }
+};
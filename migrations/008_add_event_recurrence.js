@@ -0,0 +1,63 @@
+/**
+ * Recurrence rules for events, per-occurrence exceptions, and interest
+ * tracked per occurrence instead of per event.
+ */
+
+const { columnExists, addColumnIfMissing, addIndexIfMissing, dropColumnIfExists, dropIndexIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(connection, 'events', 'recurrence_rule', 'VARCHAR(255) AFTER cancellation_reason');
+    await addColumnIfMissing(connection, 'events', 'recurrence_until', 'DATE AFTER recurrence_rule');
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS event_occurrence_exceptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        event_id INT NOT NULL,
+        occurrence_date DATE NOT NULL,
+        status ENUM('scheduled', 'cancelled', 'excluded') DEFAULT 'scheduled',
+        name VARCHAR(255),
+        description TEXT,
+        starting_time TIME,
+        price VARCHAR(50),
+        image VARCHAR(255),
+        cancellation_reason VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_event_occurrence (event_id, occurrence_date),
+        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Existing interests belong to the event's only occurrence
+    if (!(await columnExists(connection, 'event_interests', 'occurrence_date'))) {
+      await connection.query('ALTER TABLE event_interests ADD COLUMN occurrence_date DATE AFTER user_id');
+      await connection.query(
+        'UPDATE event_interests ei JOIN events e ON ei.event_id = e.id SET ei.occurrence_date = DATE(e.event_date)'
+      );
+      await connection.query('ALTER TABLE event_interests MODIFY occurrence_date DATE NOT NULL');
+    }
+
+    await addIndexIfMissing(
+      connection, 'event_interests', 'unique_event_user_occurrence',
+      'UNIQUE KEY unique_event_user_occurrence (event_id, user_id, occurrence_date)'
+    );
+    await dropIndexIfExists(connection, 'event_interests', 'unique_event_user');
+  },
+
+  async down(connection) {
+    // Keep one interest per user and event before restoring the old unique key
+    await connection.query(`
+      DELETE ei FROM event_interests ei
+      JOIN event_interests newer
+        ON newer.event_id = ei.event_id AND newer.user_id = ei.user_id AND newer.id > ei.id
+    `);
+    await addIndexIfMissing(connection, 'event_interests', 'unique_event_user', 'UNIQUE KEY unique_event_user (event_id, user_id)');
+    await dropIndexIfExists(connection, 'event_interests', 'unique_event_user_occurrence');
+    await dropColumnIfExists(connection, 'event_interests', 'occurrence_date');
+
+    await connection.query('DROP TABLE IF EXISTS event_occurrence_exceptions');
+    await dropColumnIfExists(connection, 'events', 'recurrence_until');
+    await dropColumnIfExists(connection, 'events', 'recurrence_rule');
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * In-app notification inbox: every notification sent to a user is kept
+ * here, whether or not the push reached a device.
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        body TEXT,
+        data TEXT,
+        read_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_notifications_user (user_id, created_at),
+        INDEX idx_notifications_unread (user_id, read_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS notifications');
+  }
+};
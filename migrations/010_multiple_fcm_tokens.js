@@ -0,0 +1,46 @@
+/**
+ * One FCM token record per device instead of one per user, with the
+ * device's platform, app version and when it was last seen.
+ */
+
+const { addColumnIfMissing, addIndexIfMissing, dropColumnIfExists, dropIndexIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(connection, 'user_fcm_tokens', 'device_id', 'VARCHAR(255) NULL AFTER fcm_token');
+    await addColumnIfMissing(connection, 'user_fcm_tokens', 'platform', 'VARCHAR(20) NULL AFTER device_id');
+    await addColumnIfMissing(connection, 'user_fcm_tokens', 'app_version', 'VARCHAR(50) NULL AFTER platform');
+    await addColumnIfMissing(connection, 'user_fcm_tokens', 'last_seen_at', 'DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP AFTER last_updated');
+    await connection.query('UPDATE user_fcm_tokens SET last_seen_at = last_updated');
+
+    // The foreign key needs an index on user_id once the unique one is gone
+    await addIndexIfMissing(connection, 'user_fcm_tokens', 'idx_user_fcm_tokens_user', 'INDEX idx_user_fcm_tokens_user (user_id)');
+    await dropIndexIfExists(connection, 'user_fcm_tokens', 'user_id_UNIQUE');
+
+    // A token identifies one app install, so it belongs to one user at a time
+    await connection.query(`
+      DELETE older FROM user_fcm_tokens older
+      JOIN user_fcm_tokens newer ON newer.fcm_token = older.fcm_token AND newer.id > older.id
+    `);
+    await addIndexIfMissing(connection, 'user_fcm_tokens', 'unique_fcm_token', 'UNIQUE KEY unique_fcm_token (fcm_token)');
+    await dropIndexIfExists(connection, 'user_fcm_tokens', 'idx_user_fcm_tokens_token');
+  },
+
+  async down(connection) {
+    // Keep only the most recently seen device of each user
+    await connection.query(`
+      DELETE older FROM user_fcm_tokens older
+      JOIN user_fcm_tokens newer ON newer.user_id = older.user_id
+        AND (newer.last_seen_at > older.last_seen_at OR (newer.last_seen_at = older.last_seen_at AND newer.id > older.id))
+    `);
+
+    await addIndexIfMissing(connection, 'user_fcm_tokens', 'idx_user_fcm_tokens_token', 'INDEX idx_user_fcm_tokens_token (fcm_token)');
+    await dropIndexIfExists(connection, 'user_fcm_tokens', 'unique_fcm_token');
+    await addIndexIfMissing(connection, 'user_fcm_tokens', 'user_id_UNIQUE', 'UNIQUE INDEX user_id_UNIQUE (user_id)');
+    await dropIndexIfExists(connection, 'user_fcm_tokens', 'idx_user_fcm_tokens_user');
+
+    for (const column of ['last_seen_at', 'app_version', 'platform', 'device_id']) {
+      await dropColumnIfExists(connection, 'user_fcm_tokens', column);
+    }
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Notification preferences: per-type toggles, quiet hours in the user's
+ * timezone and per-group mute.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    // Only types the user has changed are stored; missing rows mean enabled
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INT NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT 1,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, type),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Local times; a range whose end is before its start runs past midnight
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS notification_quiet_hours (
+        user_id INT PRIMARY KEY,
+        starts_at TIME NOT NULL,
+        ends_at TIME NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await addColumnIfMissing(connection, 'users', 'timezone', "VARCHAR(64) DEFAULT 'Europe/Skopje'");
+    await addColumnIfMissing(connection, 'chat_group_members', 'muted', 'BOOLEAN DEFAULT 0 AFTER is_admin');
+  },
+
+  async down(connection) {
+    await dropColumnIfExists(connection, 'chat_group_members', 'muted');
+    await dropColumnIfExists(connection, 'users', 'timezone');
+    await connection.query('DROP TABLE IF EXISTS notification_quiet_hours');
+    await connection.query('DROP TABLE IF EXISTS notification_preferences');
+  }
+};
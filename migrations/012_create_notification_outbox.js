@@ -0,0 +1,31 @@
+/**
+ * Durable notification outbox. Each row is a NotificationService call
+ * written together with the change that triggers it and delivered by the
+ * outbox worker, with retries and a dead-letter state.
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS notification_outbox (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        method VARCHAR(100) NOT NULL,
+        args TEXT NOT NULL,
+        status ENUM('pending', 'processing', 'sent', 'dead') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        max_attempts INT NOT NULL DEFAULT 6,
+        last_error TEXT NULL,
+        next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_at DATETIME NULL,
+        sent_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_notification_outbox_due (status, next_attempt_at)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS notification_outbox');
+  }
+};
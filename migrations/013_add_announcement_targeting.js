@@ -0,0 +1,38 @@
+/**
+ * Targeted new-venue and new-event announcements: the last known location
+ * of each user and a log of the announcements they got, used for the
+ * daily cap.
+ */
+
+const { addColumnIfMissing, addIndexIfMissing, dropColumnIfExists, dropIndexIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(connection, 'users', 'last_latitude', 'DECIMAL(10,8) NULL');
+    await addColumnIfMissing(connection, 'users', 'last_longitude', 'DECIMAL(11,8) NULL');
+    await addColumnIfMissing(connection, 'users', 'location_updated_at', 'DATETIME NULL');
+    await addIndexIfMissing(connection, 'users', 'idx_users_last_location', 'INDEX idx_users_last_location (last_latitude, last_longitude)');
+
+    // One row per user and announced venue or event
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS announcement_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        type ENUM('event', 'venue') NOT NULL,
+        target_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_announcement (user_id, type, target_id),
+        INDEX idx_announcement_log_user_created (user_id, created_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS announcement_log');
+    await dropIndexIfExists(connection, 'users', 'idx_users_last_location');
+    await dropColumnIfExists(connection, 'users', 'location_updated_at');
+    await dropColumnIfExists(connection, 'users', 'last_longitude');
+    await dropColumnIfExists(connection, 'users', 'last_latitude');
+  }
+};
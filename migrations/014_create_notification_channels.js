@@ -0,0 +1,46 @@
+/**
+ * Notification channels besides push: per-type channel preferences and the
+ * webhook endpoints users register to receive their notifications.
+ */
+
+module.exports = {
+  async up(connection) {
+    // Only channels the user has changed are stored; missing rows mean the type's default
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS notification_channel_preferences (
+        user_id INT NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        channel VARCHAR(20) NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT 1,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, type, channel),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // types is a JSON array of notification types, or NULL for every type
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS notification_webhooks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        secret VARCHAR(64) NOT NULL,
+        types TEXT NULL,
+        active BOOLEAN NOT NULL DEFAULT 1,
+        failure_count INT NOT NULL DEFAULT 0,
+        last_error TEXT NULL,
+        last_success_at DATETIME NULL,
+        last_failure_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_notification_webhooks_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS notification_webhooks');
+    await connection.query('DROP TABLE IF EXISTS notification_channel_preferences');
+  }
+};
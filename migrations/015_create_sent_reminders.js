@@ -0,0 +1,34 @@
+/**
+ * Reminders sent before bookings and events. A row is written together with
+ * the outbox job that delivers the reminder, so each one goes out once.
+ */
+
+const { addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    // occurrence_date is the booking date, or the date of the event occurrence
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS sent_reminders (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        kind ENUM('booking', 'event') NOT NULL,
+        target_id INT NOT NULL,
+        user_id INT NOT NULL,
+        occurrence_date DATE NOT NULL,
+        minutes_before INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_sent_reminder (kind, target_id, user_id, occurrence_date, minutes_before),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await addIndexIfMissing(connection, 'venue_bookings', 'idx_venue_bookings_status_date', 'INDEX idx_venue_bookings_status_date (status, booking_date)');
+    await addIndexIfMissing(connection, 'event_interests', 'idx_event_interests_occurrence', 'INDEX idx_event_interests_occurrence (occurrence_date)');
+  },
+
+  async down(connection) {
+    await dropIndexIfExists(connection, 'event_interests', 'idx_event_interests_occurrence');
+    await dropIndexIfExists(connection, 'venue_bookings', 'idx_venue_bookings_status_date');
+    await connection.query('DROP TABLE IF EXISTS sent_reminders');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Preferred language of each user, used to render notifications
+ * (see utils/i18n.js for the supported locales).
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(connection, 'users', 'locale', "VARCHAR(5) NOT NULL DEFAULT 'mk'");
+  },
+
+  async down(connection) {
+    await dropColumnIfExists(connection, 'users', 'locale');
+  }
+};
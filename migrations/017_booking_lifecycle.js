@@ -0,0 +1,32 @@
+/**
+ * Booking lifecycle: completed, no-show and rescheduled statuses, the
+ * venues' cancellation cutoff and a no-show counter per user.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      ALTER TABLE venue_bookings
+      MODIFY status ENUM('pending', 'confirmed', 'cancelled', 'completed', 'no_show', 'rescheduled') DEFAULT 'pending'
+    `);
+
+    // Bookers can't cancel or change a booking later than this many minutes before it starts
+    await addColumnIfMissing(connection, 'venues', 'cancellation_cutoff_minutes', 'INT AFTER bookable_until');
+    await addColumnIfMissing(connection, 'users', 'no_show_count', 'INT NOT NULL DEFAULT 0');
+  },
+
+  async down(connection) {
+    await dropColumnIfExists(connection, 'users', 'no_show_count');
+    await dropColumnIfExists(connection, 'venues', 'cancellation_cutoff_minutes');
+
+    // Map the new statuses onto the closest old ones before narrowing the column
+    await connection.query("UPDATE venue_bookings SET status = 'confirmed' WHERE status IN ('completed', 'no_show')");
+    await connection.query("UPDATE venue_bookings SET status = 'pending' WHERE status = 'rescheduled'");
+    await connection.query(`
+      ALTER TABLE venue_bookings
+      MODIFY status ENUM('pending', 'confirmed', 'cancelled') DEFAULT 'pending'
+    `);
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Waitlist for full booking slots. When seats free up the next entry gets
+ * a timed offer that holds the seats until it is claimed, passed on or
+ * expires.
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS booking_waitlist (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        venue_id INT NOT NULL,
+        user_id INT NOT NULL,
+        booking_date DATE NOT NULL,
+        booking_time TIME NOT NULL,
+        guest_count INT NOT NULL DEFAULT 1,
+        note TEXT,
+        status ENUM('waiting', 'offered', 'claimed', 'declined', 'expired', 'cancelled') NOT NULL DEFAULT 'waiting',
+        offered_at DATETIME NULL,
+        offer_expires_at DATETIME NULL,
+        booking_id INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_booking_waitlist_slot (venue_id, booking_date, status),
+        INDEX idx_booking_waitlist_user (user_id, status),
+        INDEX idx_booking_waitlist_offers (status, offer_expires_at),
+        FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (booking_id) REFERENCES venue_bookings(id) ON DELETE SET NULL
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS booking_waitlist');
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Group reservations: bookings made for a group chat, the members' RSVPs,
+ * and system messages posted into the group thread when they change.
+ */
+
+const { addColumnIfMissing, addIndexIfMissing, dropColumnIfExists, dropIndexIfExists, foreignKeyExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(connection, 'venue_bookings', 'group_id', 'INT NULL AFTER user_id');
+    await addIndexIfMissing(connection, 'venue_bookings', 'idx_venue_bookings_group', 'INDEX idx_venue_bookings_group (group_id)');
+    if (!(await foreignKeyExists(connection, 'venue_bookings', 'fk_venue_bookings_group'))) {
+      await connection.query(`
+        ALTER TABLE venue_bookings
+        ADD CONSTRAINT fk_venue_bookings_group FOREIGN KEY (group_id) REFERENCES chat_groups(id) ON DELETE SET NULL
+      `);
+    }
+
+    // guests counts the member plus anyone they bring along
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS group_booking_rsvps (
+        booking_id INT NOT NULL,
+        user_id INT NOT NULL,
+        response ENUM('in', 'out') NOT NULL,
+        guests INT NOT NULL DEFAULT 1,
+        responded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (booking_id, user_id),
+        FOREIGN KEY (booking_id) REFERENCES venue_bookings(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // System messages carry the template key and params so clients can show them in their own language
+    await addColumnIfMissing(connection, 'chat_group_messages', 'message_type', "ENUM('text', 'system') NOT NULL DEFAULT 'text' AFTER message");
+    await addColumnIfMissing(connection, 'chat_group_messages', 'metadata', 'TEXT NULL AFTER message_type');
+  },
+
+  async down(connection) {
+    await dropColumnIfExists(connection, 'chat_group_messages', 'metadata');
+    await dropColumnIfExists(connection, 'chat_group_messages', 'message_type');
+    await connection.query('DROP TABLE IF EXISTS group_booking_rsvps');
+
+    if (await foreignKeyExists(connection, 'venue_bookings', 'fk_venue_bookings_group')) {
+      await connection.query('ALTER TABLE venue_bookings DROP FOREIGN KEY fk_venue_bookings_group');
+    }
+    await dropIndexIfExists(connection, 'venue_bookings', 'idx_venue_bookings_group');
+    await dropColumnIfExists(connection, 'venue_bookings', 'group_id');
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Secret token for a venue's booking calendar feed. Calendar apps can't send
+ * an Authorization header, so the feed URL carries the token; only its
+ * SHA-256 hash is stored.
+ */
+
+const { addColumnIfMissing, addIndexIfMissing, dropColumnIfExists, dropIndexIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(connection, 'venues', 'calendar_token_hash', 'CHAR(64) NULL');
+    await addIndexIfMissing(connection, 'venues', 'idx_venues_calendar_token', 'UNIQUE INDEX idx_venues_calendar_token (calendar_token_hash)');
+  },
+
+  async down(connection) {
+    await dropIndexIfExists(connection, 'venues', 'idx_venues_calendar_token');
+    await dropColumnIfExists(connection, 'venues', 'calendar_token_hash');
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Idempotency-Key records for create endpoints. Each key is scoped to the
+ * user who sent it and keeps the response so a retried request gets the
+ * same answer instead of creating a duplicate.
+ */
+
+module.exports = {
+  async up(connection) {
+    // request_hash identifies the method, path and body the key was first used with
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+        response_status INT NULL,
+        response_body MEDIUMTEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        UNIQUE KEY unique_idempotency_key (user_id, idempotency_key),
+        INDEX idx_idempotency_keys_expires (expires_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS idempotency_keys');
+  }
+};
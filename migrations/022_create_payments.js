@@ -0,0 +1,84 @@
+/**
+ * Payments: booking deposits taken by premium venues and paid event entry,
+ * the payment status shown on bookings, and the provider webhook events
+ * already handled. Amounts are in the currency's minor unit (e.g. cents).
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    // A deposit of deposit_per_guest per guest is taken for parties of at least deposit_min_guests.
+    // Bookers cancelling later than refund_cutoff_minutes before the start get late_cancellation_refund_percent of it back.
+    await addColumnIfMissing(connection, 'venues', 'deposit_per_guest', 'INT NULL');
+    await addColumnIfMissing(connection, 'venues', 'deposit_min_guests', 'INT NULL');
+    await addColumnIfMissing(connection, 'venues', 'refund_cutoff_minutes', 'INT NULL');
+    await addColumnIfMissing(connection, 'venues', 'late_cancellation_refund_percent', 'INT NOT NULL DEFAULT 0');
+
+    // price stays the free text shown to users; price_amount is what is charged
+    await addColumnIfMissing(connection, 'events', 'price_amount', 'INT NULL AFTER price');
+
+    await addColumnIfMissing(
+      connection,
+      'venue_bookings',
+      'payment_status',
+      "ENUM('none', 'pending', 'paid', 'refund_pending', 'refunded', 'partially_refunded', 'failed') NOT NULL DEFAULT 'none' AFTER status"
+    );
+
+    // When the deposit became due: bookings that grow past what their deposit covers owe the
+    // difference, and the unpaid deposit timeout counts from then rather than from the booking
+    await addColumnIfMissing(connection, 'venue_bookings', 'deposit_requested_at', 'DATETIME NULL AFTER payment_status');
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        purpose ENUM('deposit', 'event') NOT NULL,
+        booking_id INT NULL,
+        event_id INT NULL,
+        occurrence_date DATE NULL,
+        quantity INT NOT NULL DEFAULT 1,
+        amount INT NOT NULL,
+        refund_amount INT NOT NULL DEFAULT 0,
+        currency CHAR(3) NOT NULL,
+        provider VARCHAR(32) NOT NULL,
+        provider_payment_id VARCHAR(255) NOT NULL,
+        client_secret VARCHAR(255) NULL,
+        status ENUM('requires_payment', 'succeeded', 'failed', 'cancelled', 'refund_pending', 'refunded', 'partially_refunded') NOT NULL DEFAULT 'requires_payment',
+        failure_reason VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_provider_payment (provider, provider_payment_id),
+        INDEX idx_payments_booking (booking_id),
+        INDEX idx_payments_event (event_id, occurrence_date),
+        INDEX idx_payments_status (status, created_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (booking_id) REFERENCES venue_bookings(id) ON DELETE SET NULL,
+        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Providers may deliver a webhook more than once
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payment_webhook_events (
+        provider VARCHAR(32) NOT NULL,
+        event_id VARCHAR(255) NOT NULL,
+        type VARCHAR(64) NOT NULL,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (provider, event_id)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS payment_webhook_events');
+    await connection.query('DROP TABLE IF EXISTS payments');
+    await dropColumnIfExists(connection, 'venue_bookings', 'deposit_requested_at');
+    await dropColumnIfExists(connection, 'venue_bookings', 'payment_status');
+    await dropColumnIfExists(connection, 'events', 'price_amount');
+    await dropColumnIfExists(connection, 'venues', 'late_cancellation_refund_percent');
+    await dropColumnIfExists(connection, 'venues', 'refund_cutoff_minutes');
+    await dropColumnIfExists(connection, 'venues', 'deposit_min_guests');
+    await dropColumnIfExists(connection, 'venues', 'deposit_per_guest');
+  }
+};
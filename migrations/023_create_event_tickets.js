@@ -0,0 +1,61 @@
+/**
+ * Event ticketing: ticket tiers with a price, a quantity per occurrence and
+ * a sale window, the tickets users buy or reserve, and their check-in at
+ * the door. Prices are in the currency's minor unit; 0 means free entry
+ * that still needs a ticket.
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS event_ticket_tiers (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        event_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        description TEXT NULL,
+        price_amount INT NOT NULL DEFAULT 0,
+        quantity INT NOT NULL,
+        max_per_user INT NULL,
+        sales_start DATETIME NULL,
+        sales_end DATETIME NULL,
+        active BOOLEAN NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_event_ticket_tiers_event (event_id),
+        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+      )
+    `);
+
+    // quantity is per occurrence; reserved tickets hold their place while their payment is open
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS event_tickets (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        tier_id INT NOT NULL,
+        event_id INT NOT NULL,
+        occurrence_date DATE NOT NULL,
+        user_id INT NOT NULL,
+        payment_id INT NULL,
+        code CHAR(32) NOT NULL,
+        status ENUM('reserved', 'valid', 'used', 'cancelled') NOT NULL DEFAULT 'reserved',
+        checked_in_at DATETIME NULL,
+        checked_in_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_ticket_code (code),
+        INDEX idx_event_tickets_tier (tier_id, occurrence_date, status),
+        INDEX idx_event_tickets_user (user_id, status),
+        INDEX idx_event_tickets_payment (payment_id),
+        FOREIGN KEY (tier_id) REFERENCES event_ticket_tiers(id) ON DELETE CASCADE,
+        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+        FOREIGN KEY (checked_in_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS event_tickets');
+    await connection.query('DROP TABLE IF EXISTS event_ticket_tiers');
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Event RSVPs: event_interests rows get a status (going, interested or
+ * not going) and the counts per status are computed from them, replacing
+ * the events.interested_count counter. Existing interests become
+ * "interested".
+ */
+
+const { addColumnIfMissing, addIndexIfMissing, columnExists, dropColumnIfExists, dropIndexIfExists } = require('./helpers');
+
+module.exports = {
+  async up(connection) {
+    await addColumnIfMissing(
+      connection,
+      'event_interests',
+      'status',
+      "ENUM('going', 'interested', 'not_going') NOT NULL DEFAULT 'interested' AFTER occurrence_date"
+    );
+    await addColumnIfMissing(
+      connection,
+      'event_interests',
+      'updated_at',
+      'TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER created_at'
+    );
+    await addIndexIfMissing(
+      connection,
+      'event_interests',
+      'idx_event_interests_status',
+      'INDEX idx_event_interests_status (event_id, occurrence_date, status)'
+    );
+
+    await dropColumnIfExists(connection, 'events', 'interested_count');
+  },
+
+  async down(connection) {
+    if (!(await columnExists(connection, 'events', 'interested_count'))) {
+      await connection.query('ALTER TABLE events ADD COLUMN interested_count INT DEFAULT 0 AFTER longitude');
+
+      // Interest was binary before: "not going" has no equivalent
+      await connection.query("DELETE FROM event_interests WHERE status = 'not_going'");
+      await connection.query(
+        'UPDATE events e SET interested_count = (SELECT COUNT(*) FROM event_interests ei WHERE ei.event_id = e.id)'
+      );
+    }
+
+    await dropIndexIfExists(connection, 'event_interests', 'idx_event_interests_status');
+    await dropColumnIfExists(connection, 'event_interests', 'updated_at');
+    await dropColumnIfExists(connection, 'event_interests', 'status');
+  }
+};
@@ -0,0 +1,138 @@
+/**
+ * Helpers for writing migrations that can run against databases created
+ * before the migration runner existed, where some columns and indexes may
+ * already be in place.
+ */
+
+/**
+ * Check if a table exists in the current database
+ * @param {object} connection - mysql2 promise connection
+ * @param {string} table - Table name
+ * @returns {Promise<boolean>}
+ */
+const tableExists = async (connection, table) => {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [table]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Check if a column exists
+ * @param {object} connection - mysql2 promise connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>}
+ */
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Check if an index (or unique key) exists
+ * @param {object} connection - mysql2 promise connection
+ * @param {string} table - Table name
+ * @param {string} index - Index name
+ * @returns {Promise<boolean>}
+ */
+const indexExists = async (connection, table, index) => {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Check if a foreign key constraint exists
+ * @param {object} connection - mysql2 promise connection
+ * @param {string} table - Table name
+ * @param {string} constraint - Constraint name
+ * @returns {Promise<boolean>}
+ */
+const foreignKeyExists = async (connection, table, constraint) => {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.TABLE_CONSTRAINTS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = ?
+       AND CONSTRAINT_TYPE = 'FOREIGN KEY'`,
+    [table, constraint]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Add a column unless it already exists
+ * @param {object} connection - mysql2 promise connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column definition, e.g. "INT DEFAULT 0 AFTER id"
+ * @returns {Promise<boolean>} - true if the column was added
+ */
+const addColumnIfMissing = async (connection, table, column, definition) => {
+  if (await columnExists(connection, table, column)) return false;
+
+  await connection.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+  return true;
+};
+
+/**
+ * Add an index unless it already exists
+ * @param {object} connection - mysql2 promise connection
+ * @param {string} table - Table name
+ * @param {string} index - Index name
+ * @param {string} definition - Index definition, e.g. "INDEX idx_name (a, b)"
+ * @returns {Promise<boolean>} - true if the index was added
+ */
+const addIndexIfMissing = async (connection, table, index, definition) => {
+  if (await indexExists(connection, table, index)) return false;
+
+  await connection.query(`ALTER TABLE \`${table}\` ADD ${definition}`);
+  return true;
+};
+
+/**
+ * Drop a column if it exists
+ * @param {object} connection - mysql2 promise connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>} - true if the column was dropped
+ */
+const dropColumnIfExists = async (connection, table, column) => {
+  if (!(await columnExists(connection, table, column))) return false;
+
+  await connection.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+  return true;
+};
+
+/**
+ * Drop an index if it exists
+ * @param {object} connection - mysql2 promise connection
+ * @param {string} table - Table name
+ * @param {string} index - Index name
+ * @returns {Promise<boolean>} - true if the index was dropped
+ */
+const dropIndexIfExists = async (connection, table, index) => {
+  if (!(await indexExists(connection, table, index))) return false;
+
+  await connection.query(`ALTER TABLE \`${table}\` DROP INDEX \`${index}\``);
+  return true;
+};
+
+module.exports = {
+  tableExists,
+  columnExists,
+  indexExists,
+  foreignKeyExists,
+  addColumnIfMissing,
+  addIndexIfMissing,
+  dropColumnIfExists,
+  dropIndexIfExists
+};
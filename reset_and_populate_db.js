@@ -3,13 +3,14 @@
  *
  * This script will:
  * 1. Drop all existing tables
- * 2. Create new tables with the correct schema
+ * 2. Create new tables by running the migrations in migrations/
  * 3. Insert sample data (20 premium venues, 20 normal venues, 20 events)
  */
 
 const mysql = require('mysql2/promise');
 const bcrypt = require('bcryptjs');
 const config = require('./config/config');
+const { runMigrations } = require('./migrate');
 
 async function resetAndPopulateDatabase() {
   console.log('Starting database reset and population...');
@@ -28,319 +29,22 @@ async function resetAndPopulateDatabase() {
 
     console.log('Connected to database successfully');
 
-    // Drop existing tables if they exist
+    // Drop every existing table, including schema_migrations, so all migrations run again
     console.log('Dropping existing tables...');
-    await connection.query(`
-      DROP TABLE IF EXISTS user_fcm_tokens;
-      DROP TABLE IF EXISTS chat_group_message_reads;
-      DROP TABLE IF EXISTS chat_group_messages;
-      DROP TABLE IF EXISTS chat_group_members;
-      DROP TABLE IF EXISTS chat_groups;
-      DROP TABLE IF EXISTS shared_items;
-      DROP TABLE IF EXISTS chat_messages;
-      DROP TABLE IF EXISTS friend_requests;
-      DROP TABLE IF EXISTS friends;
-      DROP TABLE IF EXISTS venue_bookmarks;
-      DROP TABLE IF EXISTS venue_bookings;
-      DROP TABLE IF EXISTS event_interests;
-      DROP TABLE IF EXISTS ratings;
-      DROP TABLE IF EXISTS events;
-      DROP TABLE IF EXISTS venues;
-      DROP TABLE IF EXISTS users;
-    `);
+    const [tables] = await connection.query(
+      'SELECT TABLE_NAME as name FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE()'
+    );
+    await connection.query('SET FOREIGN_KEY_CHECKS = 0');
+    for (const table of tables) {
+      await connection.query(`DROP TABLE IF EXISTS \`${table.name}\``);
+    }
+    await connection.query('SET FOREIGN_KEY_CHECKS = 1');
     console.log('Existing tables dropped successfully');
 
-    // Create tables
-    console.log('Creating new tables...');
-
-    // Create users table
-    await connection.query(`
-      CREATE TABLE users (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        username VARCHAR(255),
-        email VARCHAR(255) NOT NULL UNIQUE,
-        password VARCHAR(255) NOT NULL,
-        full_name VARCHAR(255),
-        phone VARCHAR(20),
-        is_business BOOLEAN DEFAULT 0,
-        avatar VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('Users table created successfully');
-
-    // Create venues table
-    await connection.query(`
-      CREATE TABLE venues (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        type VARCHAR(100),
-        location VARCHAR(255),
-        description TEXT,
-        rating DECIMAL(3,1) DEFAULT 0,
-        rating_count INT DEFAULT 0,
-        rating_total DECIMAL(10,1) DEFAULT 0,
-        price_range VARCHAR(10),
-        features TEXT,
-        opening_hours VARCHAR(255),
-        image VARCHAR(255),
-        images TEXT,
-        premium BOOLEAN DEFAULT 0,
-        latitude DECIMAL(10,8),
-        longitude DECIMAL(11,8),
-        user_id INT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
-      )
-    `);
-    console.log('Venues table created successfully');
-
-    // Create events table
-    await connection.query(`
-      CREATE TABLE events (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        venue VARCHAR(255),
-        venue_id INT,
-        description TEXT,
-        event_date DATETIME,
-        starting_time TIME,
-        price VARCHAR(50),
-        custom_location VARCHAR(255),
-        image VARCHAR(255),
-        images TEXT,
-        latitude DECIMAL(10,8),
-        longitude DECIMAL(11,8),
-        interested_count INT DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE SET NULL
-      )
-    `);
-    console.log('Events table created successfully');
-
-    // Create ratings table
-    await connection.query(`
-      CREATE TABLE ratings (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        venue_id INT NOT NULL,
-        user_id INT,
-        rating DECIMAL(3,1) NOT NULL,
-        comment TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
-        UNIQUE KEY unique_user_venue (user_id, venue_id)
-      )
-    `);
-    console.log('Ratings table created successfully');
-
-    // Create event_interests table
-    await connection.query(`
-      CREATE TABLE event_interests (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        event_id INT NOT NULL,
-        user_id INT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE KEY unique_event_user (event_id, user_id),
-        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('Event interests table created successfully');
-
-    // Create venue_bookmarks table
-    await connection.query(`
-      CREATE TABLE venue_bookmarks (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        venue_id INT NOT NULL,
-        user_id INT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE KEY unique_venue_user (venue_id, user_id),
-        FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('Venue bookmarks table created successfully');
-
-    // Create venue_bookings table
-    await connection.query(`
-      CREATE TABLE venue_bookings (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        venue_id INT NOT NULL,
-        user_id INT NOT NULL,
-        booking_date DATE NOT NULL,
-        booking_time TIME NOT NULL,
-        guest_count INT NOT NULL DEFAULT 1,
-        note TEXT,
-        status ENUM('pending', 'confirmed', 'cancelled') DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('Venue bookings table created successfully');
-
-    // Create friends table
-    await connection.query(`
-      CREATE TABLE friends (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        user_id INT NOT NULL,
-        friend_id INT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE KEY unique_friendship (user_id, friend_id),
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY (friend_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('Friends table created successfully');
-
-    // Create friend_requests table
-    await connection.query(`
-      CREATE TABLE friend_requests (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        sender_id INT NOT NULL,
-        receiver_id INT NOT NULL,
-        status ENUM('pending', 'accepted', 'rejected') DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        UNIQUE KEY unique_request (sender_id, receiver_id),
-        FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY (receiver_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('Friend requests table created successfully');
-
-    // Create chat_messages table
-    await connection.query(`
-      CREATE TABLE chat_messages (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        sender_id INT NOT NULL,
-        receiver_id INT NOT NULL,
-        message TEXT NOT NULL,
-        is_read BOOLEAN DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY (receiver_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('Chat messages table created successfully');
-
-    // Create shared_items table
-    await connection.query(`
-      CREATE TABLE shared_items (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        sender_id INT NOT NULL,
-        receiver_id INT NOT NULL,
-        item_type ENUM('venue', 'event') NOT NULL,
-        item_id INT NOT NULL,
-        message TEXT,
-        is_read BOOLEAN DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY (receiver_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('Shared items table created successfully');
-
-    // Create group chat tables
-    console.log('Creating group chat tables...');
-
-    // Create chat_groups table
-    await connection.query(`
-      CREATE TABLE chat_groups (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        description TEXT,
-        avatar VARCHAR(255),
-        created_by INT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('chat_groups table created successfully');
-
-    // Create chat_group_members table
-    await connection.query(`
-      CREATE TABLE chat_group_members (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        group_id INT NOT NULL,
-        user_id INT NOT NULL,
-        is_admin BOOLEAN DEFAULT 0,
-        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE KEY unique_group_member (group_id, user_id),
-        FOREIGN KEY (group_id) REFERENCES chat_groups(id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('chat_group_members table created successfully');
-
-    // Create chat_group_messages table
-    await connection.query(`
-      CREATE TABLE chat_group_messages (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        group_id INT NOT NULL,
-        sender_id INT NOT NULL,
-        message TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (group_id) REFERENCES chat_groups(id) ON DELETE CASCADE,
-        FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('chat_group_messages table created successfully');
-
-    // Create chat_group_message_reads table to track read status for each user
-    await connection.query(`
-      CREATE TABLE chat_group_message_reads (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        message_id INT NOT NULL,
-        user_id INT NOT NULL,
-        read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE KEY unique_message_user (message_id, user_id),
-        FOREIGN KEY (message_id) REFERENCES chat_group_messages(id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('chat_group_message_reads table created successfully');
-    console.log('All group chat tables created successfully');
-
-    // Create FCM tokens table
-    console.log('Creating FCM tokens table...');
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS user_fcm_tokens (
-        id INT NOT NULL AUTO_INCREMENT,
-        user_id INT NOT NULL,
-        fcm_token VARCHAR(255) NOT NULL,
-        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        last_updated DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        UNIQUE INDEX user_id_UNIQUE (user_id ASC),
-        CONSTRAINT fk_user_fcm_tokens_users
-          FOREIGN KEY (user_id)
-          REFERENCES users (id)
-          ON DELETE CASCADE
-          ON UPDATE CASCADE
-      )
-    `);
-
-    // Add index for faster lookups
-    try {
-      await connection.query(`
-        CREATE INDEX idx_user_fcm_tokens_token ON user_fcm_tokens (fcm_token)
-      `);
-    } catch (error) {
-      // If the error is because the index already exists, we can ignore it
-      if (!error.message.includes('Duplicate key name')) {
-        throw error;
-      }
-      console.log('Index already exists, continuing...');
-    }
-    console.log('FCM tokens table created successfully');
+    // Create tables by applying every migration to the empty database
+    console.log('Running migrations...');
+    await runMigrations(connection);
+    console.log('Tables created successfully');
 
     // Insert sample users
     console.log('Inserting sample users...');
@@ -920,6 +624,29 @@ async function resetAndPopulateDatabase() {
 
     console.log('Regular venues inserted successfully');
 
+    // Turn the sample "5 PM - 2 AM" opening hours into a structured weekly schedule
+    console.log('Inserting venue opening hours...');
+
+    const to24Hour = (hour, period) => {
+      const h = parseInt(hour) % 12 + (period === 'PM' ? 12 : 0);
+      return `${String(h).padStart(2, '0')}:00`;
+    };
+
+    const [venueHours] = await connection.query('SELECT id, opening_hours FROM venues');
+    for (const venue of venueHours) {
+      const match = /^(\d{1,2}) (AM|PM) - (\d{1,2}) (AM|PM)$/.exec(venue.opening_hours || '');
+      if (!match) continue;
+
+      for (let day = 0; day < 7; day++) {
+        await connection.query(
+          'INSERT INTO venue_opening_hours (venue_id, day_of_week, opens_at, closes_at) VALUES (?, ?, ?, ?)',
+          [venue.id, day, to24Hour(match[1], match[2]), to24Hour(match[3], match[4])]
+        );
+      }
+    }
+
+    console.log('Venue opening hours inserted successfully');
+
     // Get all venues for creating events
     const [venues] = await connection.query('SELECT id, name, latitude, longitude FROM venues');
 
@@ -1131,34 +858,20 @@ async function resetAndPopulateDatabase() {
       const eventId = eventResult[0].id;
 
       await connection.query(`
-        INSERT INTO event_interests (event_id, user_id)
-        VALUES (?, ?)
-      `, [eventId, regularUserId]);
-
-      // Update event interested_count
-      await connection.query(`
-        UPDATE events
-        SET interested_count = interested_count + 1
-        WHERE id = ?
-      `, [eventId]);
+        INSERT INTO event_interests (event_id, user_id, occurrence_date, status)
+        SELECT id, ?, DATE(event_date), 'interested' FROM events WHERE id = ?
+      `, [regularUserId, eventId]);
     }
 
-    // Add interests to events 3, 4, 5 from the business user
+    // The business user is going to events 3, 4, 5
     for (let eventIndex = 2; eventIndex < 5; eventIndex++) {
       const [eventResult] = await connection.query('SELECT id FROM events LIMIT ?, 1', [eventIndex]);
       const eventId = eventResult[0].id;
 
       await connection.query(`
-        INSERT INTO event_interests (event_id, user_id)
-        VALUES (?, ?)
-      `, [eventId, businessUserId]);
-
-      // Update event interested_count
-      await connection.query(`
-        UPDATE events
-        SET interested_count = interested_count + 1
-        WHERE id = ?
-      `, [eventId]);
+        INSERT INTO event_interests (event_id, user_id, occurrence_date, status)
+        SELECT id, ?, DATE(event_date), 'going' FROM events WHERE id = ?
+      `, [businessUserId, eventId]);
     }
 
     console.log('Sample event interests inserted successfully');
@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/authMiddleware");
+const { requireAdmin } = require("../middleware/policyMiddleware");
+const {
+  getOutboxJobs,
+  getOutboxJob,
+  retryOutboxJob
+} = require("../controllers/adminController");
+
+// All routes require a platform administrator
+router.use(verifyToken, requireAdmin);
+
+// Inspect the notification outbox (?status=pending|processing|sent|dead)
+router.get("/outbox", getOutboxJobs);
+router.get("/outbox/:id", getOutboxJob);
+
+// Retry a failed notification
+router.post("/outbox/:id/retry", retryOutboxJob);
+
+module.exports = router;
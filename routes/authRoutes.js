@@ -1,9 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcryptjs");
-const { login, register, refreshAccessToken, updateProfile, updateAvatar, deleteAccount, biometricLogin } = require("../controllers/authController");
+const { login, register, refreshAccessToken, updateProfile, updateAvatar, deleteAccount, biometricLogin, logout, logoutAll } = require("../controllers/authController");
 const { verifyToken } = require("../middleware/authMiddleware");
+const { requireSelfOrAdmin } = require("../middleware/policyMiddleware");
 const db = require("../config/db");
+const tokenService = require("../services/tokenService");
 
 // Auth route handlers initialized
 
@@ -25,6 +27,11 @@ router.post("/register", register);
 router.post("/refresh-token", refreshAccessToken);
 router.post("/biometric-login", biometricLogin);
 
+// Session routes
+// Logout only needs the refresh token so it still works after the access token has expired
+router.post("/logout", logout);
+router.post("/logout-all", verifyToken, logoutAll);
+
 // Protected route for testing authentication
 router.get("/protected", verifyToken, (req, res) => {
   console.log('Protected route accessed by user ID:', req.userId);
@@ -42,7 +49,7 @@ router.get("/me", verifyToken, async (req, res) => {
   try {
     // Get user data from database
     const [rows] = await db.execute(
-      "SELECT id, username, email, full_name, phone, is_business, avatar, created_at, updated_at FROM users WHERE id = ?",
+      "SELECT id, username, email, full_name, phone, is_business, avatar, locale, created_at, updated_at FROM users WHERE id = ?",
       [req.userId]
     );
 
@@ -68,18 +75,10 @@ router.get("/me", verifyToken, async (req, res) => {
 });
 
 // User profile routes
-router.get("/profile/:userId", verifyToken, (req, res) => {
-  // Verify that the authenticated user is requesting their own profile
-  if (req.userId !== parseInt(req.params.userId)) {
-    return res.status(403).json({
-      success: false,
-      message: "You can only access your own profile"
-    });
-  }
-
+router.get("/profile/:userId", verifyToken, requireSelfOrAdmin("userId"), (req, res) => {
   // Get user profile from database
   db.execute(
-    "SELECT id, username, email, full_name, phone, is_business, avatar, created_at, updated_at FROM users WHERE id = ?",
+    "SELECT id, username, email, full_name, phone, is_business, avatar, locale, created_at, updated_at FROM users WHERE id = ?",
     [req.params.userId]
   )
     .then(([rows]) => {
@@ -104,8 +103,8 @@ router.get("/profile/:userId", verifyToken, (req, res) => {
       });
     });
 });
-router.put("/profile/:userId", verifyToken, updateProfile);
-router.put("/profile/:userId/avatar", verifyToken, updateAvatar);
+router.put("/profile/:userId", verifyToken, requireSelfOrAdmin("userId"), updateProfile);
+router.put("/profile/:userId/avatar", verifyToken, requireSelfOrAdmin("userId"), updateAvatar);
 
 // Delete account route
 router.delete("/account/:userId", verifyToken, deleteAccount);
@@ -216,10 +215,22 @@ router.put("/password/:userId", verifyToken, async (req, res) => {
       });
     }
 
+    // Sign out every other device: all existing refresh tokens stop working
+    const revokedCount = await tokenService.revokeAllForUser(req.userId, 'password_changed');
+    console.log(`Revoked ${revokedCount} refresh tokens after password change for user ID: ${req.userId}`);
+
+    // Start a fresh session for the device that changed the password
+    const { accessToken, refreshToken } = await tokenService.issueTokenPair(req.userId, {
+      userAgent: req.get("user-agent"),
+      ipAddress: req.ip
+    });
+
     // Send success response
     return res.json({
       success: true,
-      message: "Password updated successfully"
+      message: "Password updated successfully",
+      accessToken,
+      refreshToken
     });
   } catch (error) {
     console.error("Error changing password:", error.message);
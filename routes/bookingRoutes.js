@@ -1,15 +1,50 @@
 const express = require("express");
 const bookingController = require("../controllers/bookingController");
+const waitlistController = require("../controllers/waitlistController");
+const { verifyToken } = require("../middleware/authMiddleware");
+const { requireSelfOrAdmin, requireVenueOwner } = require("../middleware/policyMiddleware");
+const { idempotent } = require("../middleware/idempotencyMiddleware");
 const router = express.Router();
 
+// Get free booking slots for a venue (public)
+router.get("/venue/:venueId/availability", bookingController.getVenueAvailability);
+
+// Booking calendar feed for calendar apps (authenticated by the token in its URL)
+router.get("/venue/:venueId/calendar.ics", bookingController.getVenueCalendarFeed);
+
+// All other routes require authentication
+router.use(verifyToken);
+
 // Create a new booking
-router.post("/", bookingController.createBooking);
+router.post("/", idempotent, bookingController.createBooking);
 
 // Get all bookings for a user
-router.get("/user/:userId", bookingController.getUserBookings);
+router.get("/user/:userId", requireSelfOrAdmin("userId"), bookingController.getUserBookings);
+
+// Get the bookings of a venue, filtered by ?from=&to=&status=
+router.get("/venue/:venueId", requireVenueOwner("venueId"), bookingController.getVenueBookings);
+
+// Venue owner dashboard and exports
+router.get("/venue/:venueId/dashboard", requireVenueOwner("venueId"), bookingController.getVenueBookingDashboard);
+router.get("/venue/:venueId/export.csv", requireVenueOwner("venueId"), bookingController.exportVenueBookings);
+router.post("/venue/:venueId/calendar-feed", requireVenueOwner("venueId"), bookingController.createVenueCalendarFeed);
+router.delete("/venue/:venueId/calendar-feed", requireVenueOwner("venueId"), bookingController.deleteVenueCalendarFeed);
+
+// Waitlist for full time slots
+router.post("/waitlist", waitlistController.joinWaitlist);
+router.get("/waitlist", waitlistController.getMyWaitlist);
+router.get("/venue/:venueId/waitlist", requireVenueOwner("venueId"), waitlistController.getVenueWaitlist);
+router.post("/waitlist/:id/claim", waitlistController.claimOffer);
+router.post("/waitlist/:id/decline", waitlistController.declineOffer);
+router.delete("/waitlist/:id", waitlistController.leaveWaitlist);
+
+// Group bookings made for a group chat and their members' RSVPs
+router.get("/group/:groupId", bookingController.getGroupBookings);
+router.get("/:id/rsvps", bookingController.getBookingRsvps);
+router.put("/:id/rsvp", bookingController.rsvpGroupBooking);
 
-// Get all bookings for a venue
-router.get("/venue/:venueId", bookingController.getVenueBookings);
+// Change the date, time or guest count of a booking
+router.put("/:id", bookingController.updateBooking);
 
 // Update booking status
 router.patch("/:id", bookingController.updateBookingStatus);
@@ -1,12 +1,17 @@
 const express = require("express");
 const bookmarkController = require("../controllers/bookmarkController");
+const { verifyToken } = require("../middleware/authMiddleware");
+const { requireSelfOrAdmin } = require("../middleware/policyMiddleware");
 const router = express.Router();
 
+// All routes require authentication
+router.use(verifyToken);
+
 // Toggle bookmark status for a venue
 router.post("/", bookmarkController.toggleVenueBookmark);
 
 // Get all bookmarked venues for a user
-router.get("/user/:userId", bookmarkController.getUserBookmarks);
+router.get("/user/:userId", requireSelfOrAdmin("userId"), bookmarkController.getUserBookmarks);
 
 // Check if a venue is bookmarked by a user
 router.get("/venue/:venueId", bookmarkController.getVenueBookmarkStatus);
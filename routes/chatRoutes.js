@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { verifyToken } = require("../middleware/authMiddleware");
+const { idempotent } = require("../middleware/idempotencyMiddleware");
 const {
   getChatHistory,
   getConversations,
@@ -19,7 +20,7 @@ router.get("/conversations", getConversations);
 router.get("/:friendId", getChatHistory);
 
 // Send a message
-router.post("/", sendMessage);
+router.post("/", idempotent, sendMessage);
 
 // Get unread message count
 router.get("/unread/count", getUnreadCount);
@@ -1,20 +1,60 @@
 const express = require("express");
 const eventController = require("../controllers/eventController");
+const ticketController = require("../controllers/ticketController");
+const { verifyToken, optionalAuth } = require("../middleware/authMiddleware");
+const { requireEventManager } = require("../middleware/policyMiddleware");
+const { idempotent } = require("../middleware/idempotencyMiddleware");
 const router = express.Router();
 
-// Get all events
-router.get("/", eventController.getAllEvents);
+// Get all events (with the friends going when signed in)
+router.get("/", optionalAuth, eventController.getAllEvents);
 
 // Create a new event
-router.post("/", eventController.createEvent);
+router.post("/", verifyToken, eventController.createEvent);
 
 // Get event by ID
-router.get("/:id", eventController.getEventById);
+router.get("/:id", optionalAuth, eventController.getEventById);
+
+// Update an event
+router.put("/:id", verifyToken, requireEventManager("id"), eventController.updateEvent);
+
+// Cancel an event
+router.post("/:id/cancel", verifyToken, requireEventManager("id"), eventController.cancelEvent);
+
+// Delete an event
+router.delete("/:id", verifyToken, requireEventManager("id"), eventController.deleteEvent);
+
+// Get the occurrences of an event
+router.get("/:id/occurrences", optionalAuth, eventController.getEventOccurrences);
+
+// Edit a single occurrence of a recurring event
+router.put("/:id/occurrences/:date", verifyToken, requireEventManager("id"), eventController.updateEventOccurrence);
+
+// Cancel a single occurrence of a recurring event
+router.post("/:id/occurrences/:date/cancel", verifyToken, requireEventManager("id"), eventController.cancelEventOccurrence);
+
+// Get the ticket tiers of an event, with the tickets left
+router.get("/:id/tiers", ticketController.getEventTiers);
+
+// Manage the ticket tiers of an event
+router.post("/:id/tiers", verifyToken, requireEventManager("id"), ticketController.createTier);
+router.put("/:id/tiers/:tierId", verifyToken, requireEventManager("id"), ticketController.updateTier);
+router.delete("/:id/tiers/:tierId", verifyToken, requireEventManager("id"), ticketController.deleteTier);
+
+// Buy or reserve tickets
+router.post("/:id/tickets", verifyToken, idempotent, ticketController.buyTickets);
+
+// List the tickets of an event and check them in at the door
+router.get("/:id/tickets", verifyToken, requireEventManager("id"), ticketController.getEventTickets);
+router.post("/:id/check-in", verifyToken, requireEventManager("id"), ticketController.checkInTicket);
 
 // Toggle event interest
-router.post("/interest", eventController.toggleEventInterest);
+router.post("/interest", verifyToken, eventController.toggleEventInterest);
 
 // Get event interest status
-router.get("/:id/interest", eventController.getEventInterestStatus);
+router.get("/:id/interest", verifyToken, eventController.getEventInterestStatus);
+
+// RSVP to an event occurrence (going, interested or not going)
+router.put("/:id/rsvp", verifyToken, eventController.setEventRsvp);
 
 module.exports = router;
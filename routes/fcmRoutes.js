@@ -1,18 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
-const firebase = require('../config/firebase');
+const deviceTokenService = require('../services/deviceTokenService');
+const { verifyToken } = require('../middleware/authMiddleware');
+const policyService = require('../services/policyService');
+const { getPreferences, updatePreferences } = require('../controllers/notificationController');
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Platforms a device can register as
+const PLATFORMS = ['android', 'ios', 'web'];
 
 /**
- * Register FCM token for a user
+ * Register the FCM token of one of the user's devices
  * POST /api/users/fcm-token
+ * Body: { token, platform, app_version, device_id } (all but token optional)
  */
 router.post('/fcm-token', async (req, res) => {
   try {
-    const { userId, token } = req.body;
+    const { token, platform, app_version, device_id } = req.body;
+    const userId = req.userId; // From auth middleware
+
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'Token is required' });
+    }
 
-    if (!userId || !token) {
-      return res.status(400).json({ success: false, message: 'User ID and token are required' });
+    if (platform && !PLATFORMS.includes(platform)) {
+      return res.status(400).json({ success: false, message: `Platform must be one of: ${PLATFORMS.join(', ')}` });
     }
 
     // Check if user exists
@@ -21,32 +36,100 @@ router.post('/fcm-token', async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    // Check if token already exists for this user
-    const [tokenResult] = await db.execute(
-      'SELECT id FROM user_fcm_tokens WHERE user_id = ? AND fcm_token = ?',
-      [userId, token]
-    );
+    // Other devices of the user keep their tokens
+    await deviceTokenService.registerToken(userId, token, {
+      platform: platform || null,
+      appVersion: app_version || null,
+      deviceId: device_id || null
+    });
 
-    if (tokenResult.length > 0) {
-      // Token already exists, update last_updated
-      await db.execute(
-        'UPDATE user_fcm_tokens SET last_updated = NOW() WHERE id = ?',
-        [tokenResult[0].id]
-      );
-    } else {
-      // Delete any existing tokens for this user
-      await db.execute('DELETE FROM user_fcm_tokens WHERE user_id = ?', [userId]);
+    return res.json({ success: true, message: 'FCM token registered successfully' });
+  } catch (error) {
+    console.error('Error registering FCM token:', error);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
 
-      // Insert new token
+/**
+ * Remove the FCM token of a device, e.g. on logout
+ * DELETE /api/users/fcm-token
+ * Body: { token }
+ */
+router.delete('/fcm-token', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'Token is required' });
+    }
+
+    const removed = await deviceTokenService.removeToken(req.userId, token);
+
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'FCM token not found' });
+    }
+
+    return res.json({ success: true, message: 'FCM token removed successfully' });
+  } catch (error) {
+    console.error('Error removing FCM token:', error);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+/**
+ * List the devices registered for push notifications
+ * GET /api/users/devices
+ */
+router.get('/devices', async (req, res) => {
+  try {
+    const devices = await deviceTokenService.getDevices(req.userId);
+
+    return res.json({ success: true, devices });
+  } catch (error) {
+    console.error('Error getting devices:', error);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get or update the current user's notification preferences
+ * GET/PUT /api/users/me/notification-preferences
+ */
+router.get('/me/notification-preferences', getPreferences);
+router.put('/me/notification-preferences', updatePreferences);
+
+/**
+ * Update the current user's location, used to announce nearby venues and events
+ * PUT /api/users/me/location
+ * Body: { latitude, longitude }, or nulls to forget the location
+ */
+router.put('/me/location', async (req, res) => {
+  try {
+    const { latitude, longitude } = req.body;
+
+    if (latitude === null && longitude === null) {
       await db.execute(
-        'INSERT INTO user_fcm_tokens (user_id, fcm_token, created_at, last_updated) VALUES (?, ?, NOW(), NOW())',
-        [userId, token]
+        'UPDATE users SET last_latitude = NULL, last_longitude = NULL, location_updated_at = NULL WHERE id = ?',
+        [req.userId]
       );
+      return res.json({ success: true, message: 'Location removed successfully' });
     }
 
-    return res.json({ success: true, message: 'FCM token registered successfully' });
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (latitude === undefined || latitude === null || longitude === undefined || longitude === null ||
+      !isFinite(lat) || !isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return res.status(400).json({ success: false, message: 'latitude and longitude must be valid coordinates' });
+    }
+
+    await db.execute(
+      'UPDATE users SET last_latitude = ?, last_longitude = ?, location_updated_at = NOW() WHERE id = ?',
+      [lat, lng, req.userId]
+    );
+
+    return res.json({ success: true, message: 'Location updated successfully' });
   } catch (error) {
-    console.error('Error registering FCM token:', error);
+    console.error('Error updating location:', error);
     return res.status(500).json({ success: false, message: 'Internal server error' });
   }
 });
@@ -61,7 +144,7 @@ router.get('/online', async (req, res) => {
     const [result] = await db.execute(`
       SELECT DISTINCT user_id 
       FROM user_fcm_tokens 
-      WHERE last_updated > DATE_SUB(NOW(), INTERVAL 15 MINUTE)
+      WHERE last_seen_at > DATE_SUB(NOW(), INTERVAL 15 MINUTE)
     `);
 
     const onlineUsers = result.map(row => row.user_id);
@@ -79,20 +162,15 @@ router.get('/online', async (req, res) => {
  */
 router.post('/test-notification', async (req, res) => {
   try {
-    const { userId } = req.body;
+    const userId = req.body.userId || req.userId;
 
     if (!userId) {
       return res.status(400).json({ success: false, message: 'User ID is required' });
     }
 
-    // Get user's FCM token
-    const [tokenResult] = await db.execute(
-      'SELECT fcm_token FROM user_fcm_tokens WHERE user_id = ? AND fcm_token IS NOT NULL',
-      [userId]
-    );
-
-    if (tokenResult.length === 0) {
-      return res.status(404).json({ success: false, message: 'No FCM token found for this user' });
+    // Test notifications can only be sent to yourself (or by an admin)
+    if (!(await policyService.canActForUser(req.userId, userId))) {
+      return res.status(403).json({ success: false, message: 'You can only send test notifications to yourself' });
     }
 
     // Send test notification
@@ -107,10 +185,22 @@ router.post('/test-notification', async (req, res) => {
       timestamp: new Date().toISOString()
     };
 
-    const result = await firebase.sendFCMMessage(tokenResult[0].fcm_token, notification, data);
+    // Send to every device of the user
+    const tokens = await deviceTokenService.getTokens([userId]);
+
+    if (tokens.length === 0) {
+      return res.status(404).json({ success: false, message: 'No FCM token found for this user' });
+    }
+
+    const result = await deviceTokenService.sendToTokens(tokens, notification, data);
 
     if (result) {
-      return res.json({ success: true, message: 'Test notification sent successfully' });
+      return res.json({
+        success: true,
+        message: 'Test notification sent successfully',
+        sent: result.successCount,
+        failed: result.failureCount
+      });
     } else {
       return res.status(500).json({ success: false, message: 'Failed to send test notification' });
     }
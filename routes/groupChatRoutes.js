@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { verifyToken } = require("../middleware/authMiddleware");
+const { idempotent } = require("../middleware/idempotencyMiddleware");
 const {
   createGroup,
   getGroups,
@@ -34,7 +35,7 @@ router.delete("/:groupId/leave", leaveGroup);
 
 // Group messages
 router.get("/:groupId/messages", getGroupMessages);
-router.post("/:groupId/messages", sendGroupMessage);
+router.post("/:groupId/messages", idempotent, sendGroupMessage);
 router.put("/:groupId/messages/read", markGroupMessagesAsRead);
 
 module.exports = router;
@@ -0,0 +1,42 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/authMiddleware");
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification
+} = require("../controllers/notificationController");
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook
+} = require("../controllers/webhookController");
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Get the current user's notifications (paginated, ?unread=true for unread only)
+router.get("/", getNotifications);
+
+// Get unread notification count
+router.get("/unread/count", getUnreadCount);
+
+// Webhooks that receive the current user's notifications
+router.get("/webhooks", getWebhooks);
+router.post("/webhooks", createWebhook);
+router.put("/webhooks/:id", updateWebhook);
+router.delete("/webhooks/:id", deleteWebhook);
+
+// Mark all notifications as read
+router.put("/read-all", markAllAsRead);
+
+// Mark a notification as read
+router.put("/:id/read", markAsRead);
+
+// Delete a notification
+router.delete("/:id", deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/authMiddleware");
+const {
+  getMyPayments,
+  getPayment,
+  payBookingDeposit,
+  payForEvent,
+  handleWebhook,
+  simulatePayment
+} = require("../controllers/paymentController");
+
+// Signed webhooks from the payment provider (public, verified by signature)
+router.post("/webhook/:provider", handleWebhook);
+
+// All other routes require authentication
+router.use(verifyToken);
+
+// Get the user's payments
+router.get("/", getMyPayments);
+router.get("/:id", getPayment);
+
+// Pay a booking's deposit, or pay for entry to an event
+router.post("/bookings/:bookingId", payBookingDeposit);
+router.post("/events/:eventId", payForEvent);
+
+// Complete a payment as paid or declined (fake provider, outside production)
+router.post("/:id/simulate", simulatePayment);
+
+module.exports = router;
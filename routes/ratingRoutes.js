@@ -1,14 +1,15 @@
 const express = require("express");
 const ratingController = require("../controllers/ratingController");
+const { verifyToken } = require("../middleware/authMiddleware");
 const router = express.Router();
 
 // Submit a rating for a venue
-router.post("/", ratingController.submitRating);
+router.post("/", verifyToken, ratingController.submitRating);
 
 // Get all ratings for a venue
 router.get("/venue/:venueId", ratingController.getVenueRatings);
 
 // Get user's rating for a specific venue
-router.get("/user/venue/:venueId", ratingController.getUserVenueRating);
+router.get("/user/venue/:venueId", verifyToken, ratingController.getUserVenueRating);
 
 module.exports = router;
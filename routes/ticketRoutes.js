@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/authMiddleware");
+const {
+  getMyTickets,
+  getTicket,
+  cancelTicket
+} = require("../controllers/ticketController");
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Get the user's tickets, with the QR payload of valid ones
+router.get("/", getMyTickets);
+router.get("/:id", getTicket);
+
+// Cancel a free or not yet paid ticket
+router.delete("/:id", cancelTicket);
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require("express");
 const venueController = require("../controllers/venueController");
+const { verifyToken } = require("../middleware/authMiddleware");
+const { requireSelfOrAdmin, requireVenueOwner } = require("../middleware/policyMiddleware");
 const router = express.Router();
 
 // Get all venues with optional search
@@ -12,18 +14,24 @@ router.get("/premium", venueController.getPremiumVenues);
 router.get("/non-premium", venueController.getNonPremiumVenues);
 
 // Get venues by user ID
-router.get("/user/:userId", venueController.getUserVenues);
+router.get("/user/:userId", verifyToken, requireSelfOrAdmin("userId"), venueController.getUserVenues);
 
 // Create a new venue
-router.post("/", venueController.createVenue);
+router.post("/", verifyToken, venueController.createVenue);
 
 // Get venue by ID
 router.get("/:id", venueController.getVenueById);
 
+// Get structured opening hours of a venue
+router.get("/:id/hours", venueController.getVenueHours);
+
+// Replace structured opening hours of a venue
+router.put("/:id/hours", verifyToken, requireVenueOwner("id"), venueController.updateVenueHours);
+
 // Update venue by ID
-router.put("/:id", venueController.updateVenue);
+router.put("/:id", verifyToken, requireVenueOwner("id"), venueController.updateVenue);
 
 // Delete venue by ID
-router.delete("/:id", venueController.deleteVenue);
+router.delete("/:id", verifyToken, requireVenueOwner("id"), venueController.deleteVenue);
 
 module.exports = router;
@@ -10,7 +10,10 @@ const app = require("./app");
 const path = require("path");
 const http = require("http");
 const mysql = require("mysql2/promise");
-const fs = require("fs");
+const { getMigrationStatus } = require("./migrate");
+const realtimeService = require("./services/realtimeService");
+const outboxWorker = require("./services/outboxWorker");
+const scheduler = require("./services/scheduler");
 
 // Load environment variables from .env file
 dotenv.config({ path: path.resolve(__dirname, "./.env") });
@@ -81,30 +84,20 @@ async function testDatabaseConnection() {
 
       await tempConnection.query(`CREATE DATABASE IF NOT EXISTS \`${dbConfig.database}\``);
       console.log(`✅ Database '${dbConfig.database}' created successfully!`);
-
-      // Create tables if needed
-      await tempConnection.query(`USE \`${dbConfig.database}\``);
-
-      // Check if we have a database setup file
-      const sqlPath = path.resolve(__dirname, "./database_setup.sql");
-      if (fs.existsSync(sqlPath)) {
-        console.log("Found database setup file. Creating tables...");
-        const sql = fs.readFileSync(sqlPath, 'utf8');
-        const statements = sql.split(';').filter(stmt => stmt.trim() !== '');
-
-        for (const statement of statements) {
-          if (statement.trim()) {
-            await tempConnection.query(statement);
-          }
-        }
-        console.log("✅ Database tables created successfully!");
-      } else {
-        console.log("No database setup file found. Basic tables will be created as needed.");
-      }
     } else {
       console.log(`✅ Database '${dbConfig.database}' exists!`);
     }
 
+    // Warn about schema changes that have not been applied yet
+    await tempConnection.query(`USE \`${dbConfig.database}\``);
+    const pending = (await getMigrationStatus(tempConnection)).filter(migration => !migration.applied);
+    if (pending.length > 0) {
+      console.log(`⚠️ ${pending.length} pending migration(s): ${pending.map(migration => migration.name).join(', ')}`);
+      console.log("Run 'npm run migrate' to update the database schema.");
+    } else {
+      console.log("✅ Database schema is up to date!");
+    }
+
     // Close the temporary connection
     await tempConnection.end();
     return true;
@@ -138,6 +131,21 @@ function startServer() {
   // Create HTTP server
   const server = http.createServer(app);
 
+  // Attach the WebSocket server for real-time chat
+  realtimeService.attach(server);
+
+  // Notifications are delivered by the outbox worker, normally its own process (npm run worker)
+  if (process.env.RUN_OUTBOX_WORKER === 'true') {
+    outboxWorker.start();
+    server.on('close', () => outboxWorker.stop());
+  }
+
+  // Reminders and other scheduled jobs, also normally run by 'npm run worker'
+  if (process.env.RUN_SCHEDULER === 'true') {
+    scheduler.start();
+    server.on('close', () => scheduler.stop());
+  }
+
   // Start the server
   server.listen(PORT, () => {
     console.log(`\n🚀 Server is running in ${NODE_ENV} mode on:`);
@@ -145,7 +153,10 @@ function startServer() {
     console.log(`- On Your Network:  http://${localIP}:${PORT}`);
     console.log(`- Android Emulator: http://10.0.2.2:${PORT}`);
     console.log(`- iOS Simulator:    http://localhost:${PORT}`);
-    console.log(`- Messaging:        Firebase Cloud Messaging (FCM)`);
+    console.log(`- WebSocket:        ws://localhost:${PORT}/ws`);
+    console.log(`- Messaging:        WebSocket, Firebase Cloud Messaging (FCM) for offline users`);
+    console.log(`- Notifications:    ${process.env.RUN_OUTBOX_WORKER === 'true' ? 'outbox worker running in this process' : "delivered by 'npm run worker'"}`);
+    console.log(`- Scheduled jobs:   ${process.env.RUN_SCHEDULER === 'true' ? 'running in this process' : "run by 'npm run worker'"}`);
 
     if (dbConfig.host === 'localhost') {
       console.log("\n⚠️ You are using a local database. If you're migrating to a remote server,");
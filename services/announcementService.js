@@ -0,0 +1,199 @@
+const db = require('../config/db');
+const { getBoundingBox, distanceSql, boundingBoxSql } = require('../utils/geo');
+
+// Users whose last known location is this close to a new venue or event hear about it
+const NEARBY_RADIUS_KM = parseFloat(process.env.ANNOUNCEMENT_RADIUS_KM) || 20;
+
+// Locations older than this are too stale to target by
+const LOCATION_MAX_AGE_DAYS = 30;
+
+// New venue and event announcements a user gets at most in 24 hours
+const DAILY_CAP = parseInt(process.env.ANNOUNCEMENT_DAILY_CAP) || 3;
+
+/**
+ * Run an audience query and collect the user IDs it returns
+ * @param {Set<number>} audience - Set the IDs are added to
+ * @param {string} sql - Query selecting a user_id column
+ * @param {Array} params - Query parameters
+ * @returns {Promise}
+ */
+const addUsers = async (audience, sql, params) => {
+  const [rows] = await db.execute(sql, params);
+  rows.forEach(row => {
+    if (row.user_id) audience.add(row.user_id);
+  });
+};
+
+/**
+ * Announcement Service
+ * Picks who hears about a new venue or event instead of broadcasting it to
+ * every user: people nearby, fans of the venue, people interested in the
+ * same kind of venue and friends of people already interested. Each user
+ * gets at most DAILY_CAP announcements a day.
+ */
+class AnnouncementService {
+  /**
+   * Get the users whose last known location is near a point
+   * @param {Set<number>} audience - Set the IDs are added to
+   * @param {number} latitude - Latitude of the venue or event
+   * @param {number} longitude - Longitude of the venue or event
+   * @returns {Promise}
+   */
+  async _addNearbyUsers(audience, latitude, longitude) {
+    if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) return;
+
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    const box = boundingBoxSql('last_latitude', 'last_longitude', getBoundingBox(lat, lng, NEARBY_RADIUS_KM));
+    const distance = distanceSql('last_latitude', 'last_longitude', lat, lng);
+
+    await addUsers(
+      audience,
+      `SELECT id as user_id FROM users
+       WHERE ${box.sql}
+         AND location_updated_at > DATE_SUB(NOW(), INTERVAL ${LOCATION_MAX_AGE_DAYS} DAY)
+         AND ${distance.sql} <= ?`,
+      [...box.params, ...distance.params, NEARBY_RADIUS_KM]
+    );
+  }
+
+  /**
+   * Get the users who bookmarked or rated a venue
+   * @param {Set<number>} audience - Set the IDs are added to
+   * @param {number} venueId - ID of the venue
+   * @returns {Promise}
+   */
+  async _addVenueFans(audience, venueId) {
+    await addUsers(
+      audience,
+      `SELECT user_id FROM venue_bookmarks WHERE venue_id = ?
+       UNION
+       SELECT user_id FROM ratings WHERE venue_id = ?`,
+      [venueId, venueId]
+    );
+  }
+
+  /**
+   * Get the users who were interested in events at, or bookmarked, venues of a type
+   * @param {Set<number>} audience - Set the IDs are added to
+   * @param {string} venueType - Venue type (e.g. "Club")
+   * @returns {Promise}
+   */
+  async _addUsersInterestedInType(audience, venueType) {
+    if (!venueType) return;
+
+    await addUsers(
+      audience,
+      `SELECT ei.user_id FROM event_interests ei
+       JOIN events e ON ei.event_id = e.id
+       JOIN venues v ON e.venue_id = v.id
+       WHERE v.type = ? AND ei.status != 'not_going'
+       UNION
+       SELECT b.user_id FROM venue_bookmarks b
+       JOIN venues v ON b.venue_id = v.id
+       WHERE v.type = ?`,
+      [venueType, venueType]
+    );
+  }
+
+  /**
+   * Get the audience of a new venue
+   * @param {object} venue - venues row
+   * @returns {Promise<Array<number>>} - User IDs, without the venue owner
+   */
+  async getVenueAudience(venue) {
+    const audience = new Set();
+
+    await this._addNearbyUsers(audience, venue.latitude, venue.longitude);
+    await this._addVenueFans(audience, venue.id);
+    await this._addUsersInterestedInType(audience, venue.type);
+
+    // Friends of people who already bookmarked the venue
+    await addUsers(
+      audience,
+      `SELECT DISTINCT f.friend_id as user_id FROM friends f
+       JOIN venue_bookmarks b ON b.user_id = f.user_id
+       WHERE b.venue_id = ?`,
+      [venue.id]
+    );
+
+    audience.delete(venue.user_id);
+    return [...audience];
+  }
+
+  /**
+   * Get the audience of a new event
+   * @param {object} event - events row with the venue's type as venue_type
+   * @returns {Promise<Array<number>>} - User IDs, without the event's creator
+   */
+  async getEventAudience(event) {
+    const audience = new Set();
+
+    await this._addNearbyUsers(audience, event.latitude, event.longitude);
+
+    if (event.venue_id) {
+      await this._addVenueFans(audience, event.venue_id);
+      await this._addUsersInterestedInType(audience, event.venue_type);
+    }
+
+    // Friends of people already interested in or going to the event
+    await addUsers(
+      audience,
+      `SELECT DISTINCT f.friend_id as user_id FROM friends f
+       JOIN event_interests ei ON ei.user_id = f.user_id
+       WHERE ei.event_id = ? AND ei.status != 'not_going'`,
+      [event.id]
+    );
+
+    audience.delete(event.created_by);
+    return [...audience];
+  }
+
+  /**
+   * Keep the users who haven't reached their daily announcement cap and
+   * count this announcement against it. Users already counted for the same
+   * announcement are kept, so a retried delivery reaches them again.
+   * @param {Array<number>} userIds - IDs of the candidates
+   * @param {string} type - "event" or "venue"
+   * @param {number} targetId - ID of the announced event or venue
+   * @returns {Promise<Array<number>>} - IDs of the users to announce to
+   */
+  async applyDailyCap(userIds, type, targetId) {
+    if (userIds.length === 0) return [];
+
+    const placeholders = userIds.map(() => '?').join(',');
+
+    const [logged] = await db.execute(
+      `SELECT user_id FROM announcement_log
+       WHERE type = ? AND target_id = ? AND user_id IN (${placeholders})`,
+      [type, targetId, ...userIds]
+    );
+    const alreadyCounted = new Set(logged.map(row => row.user_id));
+
+    const [counts] = await db.execute(
+      `SELECT user_id, COUNT(*) as count FROM announcement_log
+       WHERE user_id IN (${placeholders}) AND created_at > DATE_SUB(NOW(), INTERVAL 1 DAY)
+       GROUP BY user_id`,
+      userIds
+    );
+    const sentToday = new Map(counts.map(row => [row.user_id, row.count]));
+
+    const newRecipients = userIds.filter(id => !alreadyCounted.has(id) && (sentToday.get(id) || 0) < DAILY_CAP);
+
+    if (newRecipients.length > 0) {
+      await db.query(
+        'INSERT IGNORE INTO announcement_log (user_id, type, target_id) VALUES ?',
+        [newRecipients.map(id => [id, type, targetId])]
+      );
+    }
+
+    const capped = userIds.length - alreadyCounted.size - newRecipients.length;
+    if (capped > 0) {
+      console.log(`Skipping ${type} ${targetId} announcement for ${capped} users over the daily cap of ${DAILY_CAP}`);
+    }
+
+    return [...userIds.filter(id => alreadyCounted.has(id)), ...newRecipients];
+  }
+}
+
+module.exports = new AnnouncementService();
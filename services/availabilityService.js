@@ -0,0 +1,315 @@
+const db = require('../config/db');
+const openingHoursService = require('./openingHoursService');
+const { MINUTES_PER_DAY, timeToMinutes, minutesToTime, addDays, daysBetween, isValidDate } = require('../utils/time');
+const { isOpenAt, hasSchedule } = require('../utils/openingHours');
+
+// Bookings in these states hold seats; cancelled and finished bookings free them again
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'rescheduled'];
+
+const DEFAULT_SLOT_MINUTES = 30;
+const DEFAULT_BOOKING_DURATION_MINUTES = 120;
+const MAX_CANCELLATION_CUTOFF_MINUTES = 7 * MINUTES_PER_DAY;
+
+/**
+ * Availability Service
+ * Works out which booking slots a venue still has room for.
+ *
+ * Each venue defines a seating capacity, a slot length, how long a booking
+ * holds its seats and the hours bookings may start in (the last slot starts
+ * before bookable_until and may run past it). A window whose end is before
+ * its start (e.g. 18:00 - 02:00) runs past midnight, so slots after
+ * midnight belong to the previous day's window but are stored with the next
+ * calendar date. A venue without a capacity accepts any number of bookings.
+ * Slots outside the venue's opening hours are never bookable. Seats offered
+ * to the waitlist stay taken until the offer is claimed or runs out.
+ */
+class AvailabilityService {
+  /**
+   * Check that a value is a real "YYYY-MM-DD" calendar date
+   * @param {string} date - Date string
+   * @returns {boolean}
+   */
+  isValidDate(date) {
+    return isValidDate(date);
+  }
+
+  /**
+   * Read the booking settings of a venue row, filling in defaults
+   * @param {object} venue - venues row
+   * @returns {object} - { capacity, slotMinutes, durationMinutes, windowStart, windowEnd }
+   */
+  getBookingSettings(venue) {
+    const slotMinutes = parseInt(venue.slot_minutes) || DEFAULT_SLOT_MINUTES;
+    const durationMinutes = parseInt(venue.booking_duration_minutes) || DEFAULT_BOOKING_DURATION_MINUTES;
+
+    const windowStart = venue.bookable_from ? timeToMinutes(venue.bookable_from) : 0;
+    let windowEnd = venue.bookable_until ? timeToMinutes(venue.bookable_until) : MINUTES_PER_DAY;
+
+    // Closing time at or before opening time means the window runs past midnight
+    if (windowEnd <= windowStart) {
+      windowEnd += MINUTES_PER_DAY;
+    }
+
+    return {
+      capacity: venue.capacity === null || venue.capacity === undefined ? null : parseInt(venue.capacity),
+      slotMinutes,
+      durationMinutes,
+      windowStart,
+      windowEnd
+    };
+  }
+
+  /**
+   * Validate booking settings sent by a venue owner
+   * @param {object} body - Request body
+   * @returns {object} - { settings, error } where settings only holds the fields that were sent
+   */
+  parseBookingSettings(body) {
+    const settings = {};
+
+    if (body.capacity !== undefined) {
+      if (body.capacity === null || body.capacity === '') {
+        settings.capacity = null;
+      } else {
+        const capacity = parseInt(body.capacity);
+        if (isNaN(capacity) || capacity < 1) {
+          return { error: 'Capacity must be a positive number' };
+        }
+        settings.capacity = capacity;
+      }
+    }
+
+    for (const field of ['slot_minutes', 'booking_duration_minutes']) {
+      if (body[field] === undefined) continue;
+
+      const value = parseInt(body[field]);
+      if (isNaN(value) || value < 5 || value > MINUTES_PER_DAY) {
+        return { error: `${field} must be between 5 and ${MINUTES_PER_DAY} minutes` };
+      }
+      settings[field] = value;
+    }
+
+    if (body.cancellation_cutoff_minutes !== undefined) {
+      if (body.cancellation_cutoff_minutes === null || body.cancellation_cutoff_minutes === '') {
+        settings.cancellation_cutoff_minutes = null;
+      } else {
+        const cutoff = parseInt(body.cancellation_cutoff_minutes);
+        if (isNaN(cutoff) || cutoff < 0 || cutoff > MAX_CANCELLATION_CUTOFF_MINUTES) {
+          return { error: `cancellation_cutoff_minutes must be between 0 and ${MAX_CANCELLATION_CUTOFF_MINUTES} minutes` };
+        }
+        settings.cancellation_cutoff_minutes = cutoff;
+      }
+    }
+
+    for (const field of ['bookable_from', 'bookable_until']) {
+      if (body[field] === undefined) continue;
+
+      if (body[field] === null || body[field] === '') {
+        settings[field] = null;
+      } else if (timeToMinutes(body[field]) === null) {
+        return { error: `${field} must be a time in HH:MM format` };
+      } else {
+        settings[field] = body[field];
+      }
+    }
+
+    return { settings };
+  }
+
+  /**
+   * List the slot start times of a day's booking window
+   * @param {object} settings - Result of getBookingSettings
+   * @returns {Array<number>} - Minutes relative to midnight of the window's day (may exceed 24h)
+   */
+  buildSlots(settings) {
+    const slots = [];
+
+    for (let start = settings.windowStart; start < settings.windowEnd; start += settings.slotMinutes) {
+      slots.push(start);
+    }
+
+    return slots;
+  }
+
+  /**
+   * Load the active bookings that can overlap a day's booking window,
+   * including waitlist offers that still hold their seats
+   * @param {object} connection - Database connection or pool
+   * @param {number|string} venueId - ID of the venue
+   * @param {string} date - Day of the window ("YYYY-MM-DD")
+   * @param {number} excludeBookingId - Booking to leave out (when re-checking an existing booking)
+   * @returns {Promise<Array>} - [{ id, start, guest_count }] with start relative to midnight of date
+   */
+  async getActiveBookings(connection, venueId, date, excludeBookingId = null) {
+    const [rows] = await connection.execute(
+      `SELECT id, guest_count,
+        DATE_FORMAT(booking_date, '%Y-%m-%d') as booking_day,
+        TIME_FORMAT(booking_time, '%H:%i') as booking_start
+       FROM venue_bookings
+       WHERE venue_id = ?
+         AND booking_date BETWEEN ? AND ?
+         AND status IN (${ACTIVE_BOOKING_STATUSES.map(() => '?').join(', ')})
+         AND id != ?`,
+      [venueId, addDays(date, -1), addDays(date, 2), ...ACTIVE_BOOKING_STATUSES, excludeBookingId || 0]
+    );
+
+    const [offers] = await connection.execute(
+      `SELECT guest_count,
+        DATE_FORMAT(booking_date, '%Y-%m-%d') as booking_day,
+        TIME_FORMAT(booking_time, '%H:%i') as booking_start
+       FROM booking_waitlist
+       WHERE venue_id = ?
+         AND booking_date BETWEEN ? AND ?
+         AND status = 'offered' AND offer_expires_at > NOW()`,
+      [venueId, addDays(date, -1), addDays(date, 2)]
+    );
+
+    return [...rows, ...offers].map(row => {
+      return {
+        id: row.id || null,
+        start: daysBetween(date, row.booking_day) * MINUTES_PER_DAY + timeToMinutes(row.booking_start),
+        guest_count: row.guest_count
+      };
+    });
+  }
+
+  /**
+   * Work out the highest number of seated guests at any point of an interval
+   * @param {Array} bookings - Result of getActiveBookings
+   * @param {number} start - Interval start in minutes
+   * @param {number} end - Interval end in minutes
+   * @param {number} durationMinutes - How long a booking holds its seats
+   * @returns {number}
+   */
+  getPeakOccupancy(bookings, start, end, durationMinutes) {
+    const overlapping = bookings.filter(b => b.start < end && b.start + durationMinutes > start);
+
+    // Occupancy only goes up where a booking starts, so checking those points is enough
+    const checkpoints = [start, ...overlapping.map(b => b.start).filter(s => s > start)];
+
+    let peak = 0;
+    for (const point of checkpoints) {
+      const seated = overlapping
+        .filter(b => b.start <= point && b.start + durationMinutes > point)
+        .reduce((sum, b) => sum + b.guest_count, 0);
+      peak = Math.max(peak, seated);
+    }
+
+    return peak;
+  }
+
+  /**
+   * Get the free slots of a venue for a day
+   * @param {object} venue - venues row
+   * @param {string} date - Day to check ("YYYY-MM-DD")
+   * @param {number} guestCount - Party size the slots need room for
+   * @param {object} connection - Database connection or pool
+   * @returns {Promise<object>} - Booking settings and the day's slots
+   */
+  async getAvailability(venue, date, guestCount = 1, connection = db) {
+    const settings = this.getBookingSettings(venue);
+    const bookings = await this.getActiveBookings(connection, venue.id, date);
+
+    // Leave out slots when the venue is closed (only for venues with structured opening hours)
+    const schedules = await openingHoursService.loadSchedules([venue.id], addDays(date, -1), addDays(date, 1), connection);
+    const schedule = schedules.get(venue.id);
+    const isOpen = (start) => !hasSchedule(schedule) ||
+      isOpenAt(schedule, addDays(date, Math.floor(start / MINUTES_PER_DAY)), start % MINUTES_PER_DAY);
+
+    const slots = this.buildSlots(settings).filter(isOpen).map(start => {
+      const booked = this.getPeakOccupancy(bookings, start, start + settings.durationMinutes, settings.durationMinutes);
+      const remaining = settings.capacity === null ? null : Math.max(settings.capacity - booked, 0);
+
+      return {
+        date: addDays(date, Math.floor(start / MINUTES_PER_DAY)),
+        time: minutesToTime(start),
+        booked_guests: booked,
+        remaining_capacity: remaining,
+        available: remaining === null || remaining >= guestCount
+      };
+    });
+
+    return {
+      date,
+      capacity: settings.capacity,
+      slot_minutes: settings.slotMinutes,
+      booking_duration_minutes: settings.durationMinutes,
+      bookable_from: minutesToTime(settings.windowStart),
+      bookable_until: minutesToTime(settings.windowEnd),
+      slots
+    };
+  }
+
+  /**
+   * Check whether a booking fits a venue. Callers that go on to insert the
+   * booking should lock the venue row (SELECT ... FOR UPDATE) on the same
+   * connection first, so concurrent bookings for the venue are serialized.
+   * @param {object} connection - Database connection or pool
+   * @param {object} venue - venues row
+   * @param {string} date - Booking date ("YYYY-MM-DD")
+   * @param {string} time - Booking time ("HH:MM")
+   * @param {number} guestCount - Party size
+   * @param {number} excludeBookingId - Booking to leave out (when re-checking an existing booking)
+   * @returns {Promise<object>} - { ok, status, message, remaining }
+   */
+  async checkSlot(connection, venue, date, time, guestCount, excludeBookingId = null) {
+    if (!isValidDate(date)) {
+      return { ok: false, status: 400, message: 'Booking date must be in YYYY-MM-DD format' };
+    }
+
+    const minutes = timeToMinutes(time);
+    if (minutes === null) {
+      return { ok: false, status: 400, message: 'Booking time must be in HH:MM format' };
+    }
+
+    const settings = this.getBookingSettings(venue);
+
+    if (settings.capacity !== null && guestCount > settings.capacity) {
+      return { ok: false, status: 400, message: `This venue takes at most ${settings.capacity} guests per booking` };
+    }
+
+    // The booking either starts in its own day's window or after midnight in the previous day's window
+    const slots = this.buildSlots(settings);
+    let windowDate = null;
+    let start = null;
+
+    if (slots.includes(minutes)) {
+      windowDate = date;
+      start = minutes;
+    } else if (slots.includes(minutes + MINUTES_PER_DAY)) {
+      windowDate = addDays(date, -1);
+      start = minutes + MINUTES_PER_DAY;
+    }
+
+    if (windowDate === null) {
+      return { ok: false, status: 400, message: 'The requested time is not a bookable slot for this venue' };
+    }
+
+    // The venue must be open when the booking starts
+    const open = await openingHoursService.isOpenAtLocal(connection, venue.id, date, minutes);
+    if (open === false) {
+      return { ok: false, status: 400, message: 'The venue is closed at the requested time' };
+    }
+
+    if (settings.capacity === null) {
+      return { ok: true, remaining: null };
+    }
+
+    const bookings = await this.getActiveBookings(connection, venue.id, windowDate, excludeBookingId);
+    const booked = this.getPeakOccupancy(bookings, start, start + settings.durationMinutes, settings.durationMinutes);
+    const remaining = settings.capacity - booked;
+
+    if (remaining < guestCount) {
+      return {
+        ok: false,
+        status: 409,
+        message: 'Not enough seats left for this time slot',
+        remaining: Math.max(remaining, 0)
+      };
+    }
+
+    return { ok: true, remaining: remaining - guestCount };
+  }
+}
+
+module.exports = new AvailabilityService();
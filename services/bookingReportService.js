@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const tokenService = require('./tokenService');
+const availabilityService = require('./availabilityService');
+const bookingService = require('./bookingService');
+const { DEFAULT_TIMEZONE, getLocalDateTime } = require('../utils/openingHours');
+const { addDays, daysBetween, isValidDate } = require('../utils/time');
+
+// Longest date range a dashboard or export covers
+const MAX_RANGE_DAYS = 366;
+
+// Days a booking list or dashboard covers when no range is given
+const DEFAULT_RANGE_DAYS = 7;
+
+// Statuses whose guests count as covers: expected or seated, but not cancelled or no-show
+const COVER_STATUSES = ['pending', 'confirmed', 'rescheduled', 'completed'];
+
+// Calendar feeds span a window around today so calendar apps don't download the whole history
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+
+// Columns of the CSV reservation sheet: [header, booking field]
+const CSV_COLUMNS = [
+  ['Date', 'booking_date'],
+  ['Time', 'booking_time'],
+  ['Name', 'user_name'],
+  ['Phone', 'user_phone'],
+  ['Email', 'user_email'],
+  ['Guests', 'guest_count'],
+  ['Status', 'status'],
+  ['Group', 'group_name'],
+  ['Note', 'note'],
+  ['No-shows', 'user_no_show_count'],
+  ['Booking ID', 'id']
+];
+
+/**
+ * Quote a CSV field when needed. Values starting with a formula character
+ * are prefixed with a quote so spreadsheets don't run them; phone numbers
+ * like "+389 70 123 456" are left alone.
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+\-]?[\d\s()\-]+$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} value - Text
+ * @returns {string}
+ */
+const icsText = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format an instant as an iCalendar UTC date-time (e.g. 20261019T170000Z)
+ * @param {Date} instant - Point in time
+ * @returns {string}
+ */
+const icsDateTime = (instant) => instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold an iCalendar content line to 75 octets, as RFC 5545 requires
+ * @param {string} line - Content line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Booking Report Service
+ * The venue owner's view of their bookings: filtered lists, per-day covers
+ * and guest totals, the busiest hours, and the reservation sheet as CSV or
+ * as an iCalendar feed. Dates and times are the venue's local ones, as
+ * stored on the bookings.
+ */
+class BookingReportService {
+  /**
+   * Get the longest date range a report covers
+   * @returns {number} - Days
+   */
+  getMaxRangeDays() {
+    return MAX_RANGE_DAYS;
+  }
+
+  /**
+   * Get today's date in a venue's timezone
+   * @param {object} venue - venues row
+   * @param {Date} now - Current time
+   * @returns {string} - "YYYY-MM-DD"
+   */
+  getToday(venue, now = new Date()) {
+    return getLocalDateTime(now, venue.timezone || DEFAULT_TIMEZONE).date;
+  }
+
+  /**
+   * Validate the from, to and status query parameters of a report
+   * @param {object} query - Request query
+   * @returns {object} - { from, to, statuses, error } where from, to and statuses are null when not given
+   */
+  parseFilters(query) {
+    const from = query.from || null;
+    const to = query.to || null;
+
+    for (const date of [from, to]) {
+      if (date && !isValidDate(date)) {
+        return { error: 'Dates must be in YYYY-MM-DD format' };
+      }
+    }
+
+    if (from && to) {
+      if (to < from) {
+        return { error: 'The end date must not be before the start date' };
+      }
+      if (daysBetween(from, to) >= MAX_RANGE_DAYS) {
+        return { error: `The date range can span at most ${MAX_RANGE_DAYS} days` };
+      }
+    }
+
+    let statuses = null;
+    if (query.status) {
+      const known = [...bookingService.getSettableStatuses(), 'rescheduled'];
+      statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+      const unknown = statuses.filter(status => !known.includes(status));
+      if (unknown.length > 0) {
+        return { error: `Unknown status: ${unknown.join(', ')}. Valid statuses are ${known.join(', ')}` };
+      }
+    }
+
+    return { from, to, statuses, error: null };
+  }
+
+  /**
+   * Fill in the date range of a list or dashboard: the coming week when no
+   * range is given, or the week from or up to the one date that is given
+   * @param {object} venue - venues row
+   * @param {object} filters - { from, to } from parseFilters
+   * @returns {object} - { from, to }
+   */
+  resolveRange(venue, { from, to }) {
+    const start = from || (to ? addDays(to, -(DEFAULT_RANGE_DAYS - 1)) : this.getToday(venue));
+    return { from: start, to: to || addDays(start, DEFAULT_RANGE_DAYS - 1) };
+  }
+
+  /**
+   * Get a venue's bookings with the bookers' details
+   * @param {number} venueId - ID of the venue
+   * @param {object} filters - { from, to, statuses } from parseFilters
+   * @returns {Promise<Array>} - Bookings by date and time, dates as "YYYY-MM-DD" and times as "HH:MM"
+   */
+  async getBookings(venueId, { from = null, to = null, statuses = null } = {}) {
+    const conditions = ['vb.venue_id = ?'];
+    const params = [venueId];
+
+    if (from) {
+      conditions.push('vb.booking_date >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('vb.booking_date <= ?');
+      params.push(to);
+    }
+    if (statuses && statuses.length > 0) {
+      conditions.push(`vb.status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+
+    const [bookings] = await db.execute(
+      `SELECT vb.*, DATE_FORMAT(vb.booking_date, '%Y-%m-%d') as booking_date,
+              TIME_FORMAT(vb.booking_time, '%H:%i') as booking_time,
+              u.full_name as user_name, u.email as user_email, u.phone as user_phone,
+              u.no_show_count as user_no_show_count, g.name as group_name
+       FROM venue_bookings vb
+       JOIN users u ON vb.user_id = u.id
+       LEFT JOIN chat_groups g ON vb.group_id = g.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY vb.booking_date ASC, vb.booking_time ASC`,
+      params
+    );
+    return bookings;
+  }
+
+  /**
+   * Work out covers and guest totals per day and the busiest hours
+   * @param {Array} bookings - Bookings from getBookings
+   * @returns {object} - { totals, days, peakHours }
+   */
+  summarize(bookings) {
+    const emptyCounts = () => ({ bookings: 0, guests: 0, covers: 0, byStatus: {} });
+    const add = (counts, booking) => {
+      const guests = parseInt(booking.guest_count) || 0;
+      counts.bookings++;
+      counts.guests += guests;
+      if (COVER_STATUSES.includes(booking.status)) counts.covers += guests;
+      counts.byStatus[booking.status] = (counts.byStatus[booking.status] || 0) + 1;
+    };
+
+    const totals = emptyCounts();
+    const days = new Map();
+    const hours = new Map();
+
+    bookings.forEach(booking => {
+      add(totals, booking);
+
+      if (!days.has(booking.booking_date)) days.set(booking.booking_date, { date: booking.booking_date, ...emptyCounts() });
+      add(days.get(booking.booking_date), booking);
+
+      // Only bookings that fill the venue make an hour busy
+      if (COVER_STATUSES.includes(booking.status)) {
+        const hour = `${booking.booking_time.slice(0, 2)}:00`;
+        if (!hours.has(hour)) hours.set(hour, { hour, bookings: 0, covers: 0 });
+        hours.get(hour).bookings++;
+        hours.get(hour).covers += parseInt(booking.guest_count) || 0;
+      }
+    });
+
+    return {
+      totals,
+      days: [...days.values()],
+      peakHours: [...hours.values()].sort((a, b) => b.covers - a.covers || a.hour.localeCompare(b.hour))
+    };
+  }
+
+  /**
+   * Build the CSV reservation sheet
+   * @param {Array} bookings - Bookings from getBookings
+   * @returns {string}
+   */
+  toCsv(bookings) {
+    const lines = [
+      CSV_COLUMNS.map(([header]) => csvField(header)).join(','),
+      ...bookings.map(booking => CSV_COLUMNS.map(([, field]) => csvField(booking[field])).join(','))
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Build an iCalendar feed of bookings, one event per booking
+   * @param {object} venue - venues row
+   * @param {Array} bookings - Bookings from getBookings
+   * @param {Date} now - Time stamp of the feed
+   * @returns {string}
+   */
+  toIcs(venue, bookings, now = new Date()) {
+    const { durationMinutes } = availabilityService.getBookingSettings(venue);
+    const stamp = icsDateTime(now);
+
+    const events = bookings.flatMap(booking => {
+      const start = bookingService.getStartInstant(booking, venue);
+      const end = new Date(start.getTime() + durationMinutes * 60000);
+      const name = booking.group_name ? `${booking.user_name} (${booking.group_name})` : booking.user_name;
+      const description = [
+        `Guests: ${booking.guest_count}`,
+        `Status: ${booking.status}`,
+        booking.user_phone ? `Phone: ${booking.user_phone}` : null,
+        booking.note ? `Note: ${booking.note}` : null
+      ].filter(Boolean).join('\n');
+
+      return [
+        'BEGIN:VEVENT',
+        `UID:booking-${booking.id}@kajsivaka`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsDateTime(start)}`,
+        `DTEND:${icsDateTime(end)}`,
+        `SUMMARY:${icsText(`${name} · ${booking.guest_count}`)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        `STATUS:${booking.status === 'cancelled' ? 'CANCELLED' : booking.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED'}`,
+        'END:VEVENT'
+      ];
+    });
+
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Kaj Si Vaka//Bookings//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${icsText(`${venue.name} bookings`)}`,
+      `X-WR-TIMEZONE:${venue.timezone || DEFAULT_TIMEZONE}`,
+      ...events,
+      'END:VCALENDAR'
+    ].map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Get the date range of a venue's calendar feed
+   * @param {object} venue - venues row
+   * @param {Date} now - Current time
+   * @returns {object} - { from, to }
+   */
+  getFeedRange(venue, now = new Date()) {
+    const today = this.getToday(venue, now);
+    return { from: addDays(today, -FEED_PAST_DAYS), to: addDays(today, FEED_FUTURE_DAYS) };
+  }
+
+  /**
+   * Create a new calendar feed token for a venue, replacing the old one
+   * @param {number} venueId - ID of the venue
+   * @returns {Promise<string>} - The raw token; only its hash is stored
+   */
+  async createFeedToken(venueId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await db.execute('UPDATE venues SET calendar_token_hash = ? WHERE id = ?', [tokenService.hashToken(token), venueId]);
+    return token;
+  }
+
+  /**
+   * Turn off a venue's calendar feed
+   * @param {number} venueId - ID of the venue
+   * @returns {Promise}
+   */
+  async revokeFeedToken(venueId) {
+    await db.execute('UPDATE venues SET calendar_token_hash = NULL WHERE id = ?', [venueId]);
+  }
+
+  /**
+   * Find the venue a calendar feed token belongs to
+   * @param {number} venueId - ID of the venue in the feed URL
+   * @param {string} token - Raw token from the feed URL
+   * @returns {Promise<object|null>} - venues row, or null if the token doesn't match
+   */
+  async findVenueByFeedToken(venueId, token) {
+    if (!token) return null;
+
+    const [rows] = await db.execute(
+      'SELECT * FROM venues WHERE id = ? AND calendar_token_hash = ?',
+      [venueId, tokenService.hashToken(String(token))]
+    );
+    return rows[0] || null;
+  }
+}
+
+module.exports = new BookingReportService();
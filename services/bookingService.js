@@ -0,0 +1,146 @@
+const { DEFAULT_TIMEZONE, getInstant } = require('../utils/openingHours');
+const { timeToMinutes } = require('../utils/time');
+
+// Statuses a booking can be moved to from each status by the venue owner.
+// 'rescheduled' is only reached by the booker changing a confirmed booking.
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['pending', 'cancelled', 'completed', 'no_show'],
+  rescheduled: ['pending', 'confirmed', 'cancelled'],
+  cancelled: ['pending', 'confirmed'],
+  completed: ['no_show'],
+  no_show: ['completed']
+};
+
+// Statuses that can still be changed (date, time, guests) or cancelled by the booker
+const OPEN_STATUSES = ['pending', 'confirmed', 'rescheduled'];
+
+// Statuses that can only be set once the booking has started
+const ATTENDANCE_STATUSES = ['completed', 'no_show'];
+
+/**
+ * Booking Service
+ * The booking state machine: which status changes are allowed, for whom
+ * and when. Bookers can only cancel or change their own open bookings and
+ * not later than the venue's cancellation cutoff; venue owners decide
+ * everything else, and mark bookings completed or no-show once they start.
+ */
+class BookingService {
+  /**
+   * Get the statuses that can be set with a status update
+   * @returns {Array<string>}
+   */
+  getSettableStatuses() {
+    return [...new Set(Object.values(TRANSITIONS).flat())];
+  }
+
+  /**
+   * Check if a booking can still be changed or cancelled by its booker
+   * @param {string} status - Booking status
+   * @returns {boolean}
+   */
+  isOpen(status) {
+    return OPEN_STATUSES.includes(status);
+  }
+
+  /**
+   * Get the instant a booking starts at, in the venue's timezone
+   * @param {object} booking - { booking_date: "YYYY-MM-DD", booking_time: "HH:MM" }
+   * @param {object} venue - venues row
+   * @returns {Date}
+   */
+  getStartInstant(booking, venue) {
+    return getInstant(booking.booking_date, timeToMinutes(booking.booking_time), venue.timezone || DEFAULT_TIMEZONE);
+  }
+
+  /**
+   * Check if the venue's cancellation cutoff has passed for a booking
+   * @param {object} booking - { booking_date, booking_time }
+   * @param {object} venue - venues row
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  isPastCutoff(booking, venue, now = new Date()) {
+    const cutoff = parseInt(venue.cancellation_cutoff_minutes) || 0;
+    return now.getTime() > this.getStartInstant(booking, venue).getTime() - cutoff * 60000;
+  }
+
+  /**
+   * Check if the booker may still cancel or change a booking
+   * @param {object} booking - { status, booking_date, booking_time }
+   * @param {object} venue - venues row
+   * @param {Date} now - Current time
+   * @returns {object} - { ok, status, message }
+   */
+  checkBookerChange(booking, venue, now = new Date()) {
+    if (!this.isOpen(booking.status)) {
+      return { ok: false, status: 400, message: `A ${booking.status} booking can no longer be changed` };
+    }
+
+    if (this.isPastCutoff(booking, venue, now)) {
+      const cutoff = parseInt(venue.cancellation_cutoff_minutes) || 0;
+      return {
+        ok: false,
+        status: 403,
+        message: cutoff > 0
+          ? `Bookings at this venue can't be cancelled or changed later than ${cutoff} minutes before they start`
+          : "Bookings can't be cancelled or changed after they have started"
+      };
+    }
+
+    return { ok: true };
+  }
+
+  /**
+   * Check if a status change is allowed
+   * @param {object} booking - { status, booking_date, booking_time }
+   * @param {object} venue - venues row
+   * @param {string} status - New status
+   * @param {string} role - 'admin', 'owner' or 'booker' (see policyService.getBookingRole)
+   * @param {Date} now - Current time
+   * @returns {object} - { ok, status, message }
+   */
+  checkTransition(booking, venue, status, role, now = new Date()) {
+    if (status === booking.status) {
+      return { ok: true };
+    }
+
+    if (role === 'booker') {
+      if (status !== 'cancelled') {
+        return { ok: false, status: 403, message: 'Only the venue owner can change the status of a booking other than cancelling it' };
+      }
+      return this.checkBookerChange(booking, venue, now);
+    }
+
+    if (!(TRANSITIONS[booking.status] || []).includes(status)) {
+      return { ok: false, status: 400, message: `A ${booking.status} booking can't be changed to ${status}` };
+    }
+
+    if (ATTENDANCE_STATUSES.includes(status) && now < this.getStartInstant(booking, venue)) {
+      return { ok: false, status: 400, message: 'A booking can only be marked completed or no-show once it has started' };
+    }
+
+    return { ok: true };
+  }
+
+  /**
+   * Keep the booker's no-show counter in step with a status change
+   * @param {object} connection - Database connection inside the status update's transaction
+   * @param {number} userId - ID of the booker
+   * @param {string} from - Previous status
+   * @param {string} to - New status
+   * @returns {Promise<void>}
+   */
+  async updateNoShowCount(connection, userId, from, to) {
+    if (from === to || (from !== 'no_show' && to !== 'no_show')) return;
+
+    await connection.execute(
+      to === 'no_show'
+        ? 'UPDATE users SET no_show_count = no_show_count + 1 WHERE id = ?'
+        : 'UPDATE users SET no_show_count = GREATEST(no_show_count - 1, 0) WHERE id = ?',
+      [userId]
+    );
+  }
+}
+
+module.exports = new BookingService();
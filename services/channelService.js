@@ -0,0 +1,54 @@
+const pushChannel = require('./channels/pushChannel');
+const emailChannel = require('./channels/emailChannel');
+const webhookChannel = require('./channels/webhookChannel');
+
+// Every channel a notification can be delivered over
+const CHANNELS = {
+  push: pushChannel,
+  email: emailChannel,
+  webhook: webhookChannel
+};
+
+/**
+ * Channel Service
+ * Registry of the notification channels. Each channel takes a delivery
+ * ({ channel, userIds } or a channel-specific retry target) and throws an
+ * error with a `retryDelivery` property describing what is left to send
+ * when it only partly failed.
+ */
+class ChannelService {
+  /**
+   * Get the names of all channels
+   * @returns {Array<string>}
+   */
+  getChannelNames() {
+    return Object.keys(CHANNELS);
+  }
+
+  /**
+   * Check if a channel is configured and can deliver anything
+   * @param {string} name - Channel name
+   * @returns {boolean}
+   */
+  isAvailable(name) {
+    return !!CHANNELS[name] && CHANNELS[name].isAvailable();
+  }
+
+  /**
+   * Deliver a notification over one channel
+   * @param {object} delivery - { channel, userIds } or a retry target from a previous failure
+   * @param {object} notification - Notification title and body
+   * @param {object} data - Notification data payload
+   * @returns {Promise} - Channel-specific result, or null if nothing was delivered
+   */
+  async send(delivery, notification, data) {
+    const channel = CHANNELS[delivery.channel];
+    if (!channel) {
+      throw new Error(`Unknown notification channel: ${delivery.channel}`);
+    }
+
+    return channel.send(delivery, notification, data);
+  }
+}
+
+module.exports = new ChannelService();
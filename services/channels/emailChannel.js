@@ -0,0 +1,155 @@
+const db = require('../../config/db');
+const mail = require('../../config/mail');
+const { formatDate, resolveLocale, translate } = require('../../utils/i18n');
+
+// Booking details sent to venue owners
+const OWNER_BOOKING_FIELDS = [
+  ['bookingNumber', 'bookingId'],
+  ['venue', 'venueName'],
+  ['guest', 'userName'],
+  ['date', 'bookingDate'],
+  ['time', 'bookingTime'],
+  ['guests', 'guestCount'],
+  ['note', 'note'],
+  ['status', 'status']
+];
+
+// Details listed under the message, per notification type: [label template, data field]
+const DETAIL_FIELDS = {
+  reservation: [
+    ['bookingNumber', 'bookingId'],
+    ['venue', 'venueName'],
+    ['date', 'date'],
+    ['time', 'time'],
+    ['guests', 'guestCount'],
+    ['status', 'status']
+  ],
+  newBooking: OWNER_BOOKING_FIELDS,
+  bookingChanged: OWNER_BOOKING_FIELDS,
+  groupBooking: [
+    ['venue', 'venueName'],
+    ['date', 'date'],
+    ['time', 'time']
+  ]
+};
+
+// Booking statuses that have a translated label
+const STATUS_LABELS = {
+  pending: 'statusPending',
+  confirmed: 'statusConfirmed',
+  cancelled: 'statusCancelled',
+  rescheduled: 'statusRescheduled',
+  completed: 'statusCompleted',
+  no_show: 'statusNoShow'
+};
+
+/**
+ * Format a detail value for the recipient's locale
+ * @param {string} label - Label template of the detail
+ * @param {string} value - Value from the data payload
+ * @param {string} locale - Locale
+ * @returns {string}
+ */
+const formatDetail = (label, value, locale) => {
+  if (label === 'date') return formatDate(value, locale);
+  if (label === 'status' && STATUS_LABELS[value]) return translate('email', STATUS_LABELS[value], {}, locale);
+  return value;
+};
+
+/**
+ * Escape text for HTML
+ * @param {string} value - Text
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build the email for one recipient
+ * @param {object} user - { email, full_name, username, locale }
+ * @param {object} notification - Notification title and body
+ * @param {object} data - Notification data payload
+ * @returns {object} - { to, subject, text, html }
+ */
+const buildEmail = (user, notification, data) => {
+  const locale = resolveLocale(user.locale);
+  const greeting = translate('email', 'greeting', { name: user.full_name || user.username }, locale);
+  const details = (DETAIL_FIELDS[data.type] || [])
+    .filter(([, field]) => data[field])
+    .map(([label, field]) => [translate('email', label, {}, locale), formatDetail(label, data[field], locale)]);
+
+  const text = [
+    greeting,
+    '',
+    notification.body || '',
+    ...(details.length > 0 ? ['', ...details.map(([label, value]) => `${label}: ${value}`)] : [])
+  ].join('\n');
+
+  const rows = details
+    .map(([label, value]) => `<tr><td style="padding:4px 12px 4px 0;color:#666">${escapeHtml(label)}</td><td style="padding:4px 0">${escapeHtml(value)}</td></tr>`)
+    .join('');
+
+  const html = `<p>${escapeHtml(greeting)}</p>
+<p>${escapeHtml(notification.body || '')}</p>
+${rows ? `<table>${rows}</table>` : ''}`;
+
+  return { to: user.email, subject: notification.title, text, html };
+};
+
+/**
+ * Email Channel
+ * Delivers notifications by email over SMTP, e.g. booking receipts.
+ * Does nothing while no SMTP server is configured.
+ */
+class EmailChannel {
+  /**
+   * Check if the channel can deliver anything
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return mail.isMailConfigured();
+  }
+
+  /**
+   * Email a notification to several users, one message each
+   * @param {object} delivery - { userIds }
+   * @param {object} notification - Notification title and body
+   * @param {object} data - Notification data payload
+   * @returns {Promise} - { sentCount, failedCount }, or null if email is not configured
+   */
+  async send(delivery, notification, data) {
+    if (!this.isAvailable() || delivery.userIds.length === 0) return null;
+
+    const placeholders = delivery.userIds.map(() => '?').join(',');
+    const [users] = await db.execute(
+      `SELECT id, email, username, full_name, locale FROM users WHERE id IN (${placeholders}) AND email IS NOT NULL AND email != ''`,
+      delivery.userIds
+    );
+
+    const failedIds = [];
+    let lastError = null;
+
+    for (const user of users) {
+      try {
+        await mail.sendMail(buildEmail(user, notification, data));
+      } catch (error) {
+        failedIds.push(user.id);
+        lastError = error.message;
+      }
+    }
+
+    if (failedIds.length > 0) {
+      const error = new Error(`Email failed for ${failedIds.length} of ${users.length} users: ${lastError}`);
+      error.retryDelivery = { channel: 'email', userIds: failedIds };
+      throw error;
+    }
+
+    console.log(`Emailed ${data.type} notification to ${users.length} users`);
+    return { sentCount: users.length, failedCount: 0 };
+  }
+}
+
+module.exports = new EmailChannel();
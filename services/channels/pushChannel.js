@@ -0,0 +1,44 @@
+const deviceTokenService = require('../deviceTokenService');
+
+/**
+ * Push Channel
+ * Delivers notifications through Firebase Cloud Messaging (or the push stub)
+ * to every device the recipients registered.
+ */
+class PushChannel {
+  /**
+   * Check if the channel can deliver anything
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Push a notification
+   * @param {object} delivery - { userIds } or, when retrying, { tokens }
+   * @param {object} notification - Notification title and body
+   * @param {object} data - Notification data payload
+   * @returns {Promise} - Push result, or null if no device received it
+   */
+  async send(delivery, notification, data) {
+    const tokens = delivery.tokens || await deviceTokenService.getTokens(delivery.userIds);
+
+    if (tokens.length === 0) {
+      console.log(`No FCM tokens found for users ${(delivery.userIds || []).join(', ')}`);
+      return null;
+    }
+
+    try {
+      return await deviceTokenService.sendToTokens(tokens, notification, data);
+    } catch (error) {
+      // Only retry the devices the push failed for
+      if (error.retryTokens) {
+        error.retryDelivery = { channel: 'push', tokens: error.retryTokens };
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new PushChannel();
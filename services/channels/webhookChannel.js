@@ -0,0 +1,48 @@
+const webhookService = require('../webhookService');
+
+/**
+ * Webhook Channel
+ * Posts notifications to the webhooks the recipients registered for the
+ * notification's type. Users without webhooks are skipped.
+ */
+class WebhookChannel {
+  /**
+   * Check if the channel can deliver anything
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Post a notification to the recipients' webhooks
+   * @param {object} delivery - { userIds } or, when retrying, { webhookIds }
+   * @param {object} notification - Notification title and body
+   * @param {object} data - Notification data payload
+   * @returns {Promise} - { sentCount }, or null if none of the users has a webhook for the type
+   */
+  async send(delivery, notification, data) {
+    const webhooks = delivery.webhookIds
+      ? await webhookService.getByIds(delivery.webhookIds)
+      : await webhookService.getSubscribed(delivery.userIds, data.type);
+
+    if (webhooks.length === 0) return null;
+
+    const failedIds = [];
+    for (const webhook of webhooks) {
+      if (!(await webhookService.post(webhook, notification, data))) {
+        failedIds.push(webhook.id);
+      }
+    }
+
+    if (failedIds.length > 0) {
+      const error = new Error(`Webhook delivery failed for ${failedIds.length} of ${webhooks.length} webhooks`);
+      error.retryDelivery = { channel: 'webhook', webhookIds: failedIds };
+      throw error;
+    }
+
+    return { sentCount: webhooks.length };
+  }
+}
+
+module.exports = new WebhookChannel();
@@ -0,0 +1,162 @@
+const db = require('../config/db');
+const firebase = require('../config/firebase');
+const pushStub = require('../config/pushStub');
+
+// PUSH_TRANSPORT=stub records pushes in memory instead of sending them through FCM
+const transport = process.env.PUSH_TRANSPORT === 'stub' ? pushStub : firebase;
+
+/**
+ * Device Token Service
+ * Keeps one FCM token per device a user is signed in on, so pushes reach
+ * their phone and tablet alike. Tokens that FCM reports as unregistered or
+ * invalid are deleted after each send.
+ */
+class DeviceTokenService {
+  /**
+   * Register or refresh the FCM token of a device
+   * @param {number} userId - ID of the signed-in user
+   * @param {string} token - FCM token of the device
+   * @param {object} device - { platform, appVersion, deviceId }
+   * @returns {Promise}
+   */
+  async registerToken(userId, token, { platform = null, appVersion = null, deviceId = null } = {}) {
+    // A token belongs to one app install, so it moves to whoever signed in last on that device
+    await db.execute(
+      `INSERT INTO user_fcm_tokens (user_id, fcm_token, device_id, platform, app_version, created_at, last_updated, last_seen_at)
+       VALUES (?, ?, ?, ?, ?, NOW(), NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+         user_id = VALUES(user_id),
+         device_id = VALUES(device_id),
+         platform = VALUES(platform),
+         app_version = VALUES(app_version),
+         last_updated = NOW(),
+         last_seen_at = NOW()`,
+      [userId, token, deviceId, platform, appVersion]
+    );
+
+    // FCM rotates tokens; the previous token of the same device is dead now
+    if (deviceId) {
+      await db.execute(
+        'DELETE FROM user_fcm_tokens WHERE user_id = ? AND device_id = ? AND fcm_token != ?',
+        [userId, deviceId, token]
+      );
+    }
+  }
+
+  /**
+   * Remove the FCM token of a device (e.g. on logout)
+   * @param {number} userId - ID of the user
+   * @param {string} token - FCM token of the device
+   * @returns {Promise<boolean>} - false if the user has no such token
+   */
+  async removeToken(userId, token) {
+    const [result] = await db.execute(
+      'DELETE FROM user_fcm_tokens WHERE user_id = ? AND fcm_token = ?',
+      [userId, token]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * List the devices a user has registered
+   * @param {number} userId - ID of the user
+   * @returns {Promise<Array>}
+   */
+  async getDevices(userId) {
+    const [rows] = await db.execute(
+      `SELECT id, device_id, platform, app_version, created_at, last_seen_at
+       FROM user_fcm_tokens
+       WHERE user_id = ?
+       ORDER BY last_seen_at DESC`,
+      [userId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get the FCM tokens of every device of several users
+   * @param {Array<number>} userIds - IDs of the users
+   * @returns {Promise<Array<string>>}
+   */
+  async getTokens(userIds) {
+    const ids = [...new Set(userIds.map(Number))].filter(Boolean);
+    if (ids.length === 0) return [];
+
+    const placeholders = ids.map(() => '?').join(',');
+    const [rows] = await db.execute(
+      `SELECT fcm_token FROM user_fcm_tokens
+       WHERE user_id IN (${placeholders}) AND fcm_token IS NOT NULL AND fcm_token != ''`,
+      ids
+    );
+    return rows.map(row => row.fcm_token);
+  }
+
+  /**
+   * Delete tokens FCM no longer accepts
+   * @param {Array<string>} tokens - Stale FCM tokens
+   * @returns {Promise<number>} - Number of deleted tokens
+   */
+  async pruneTokens(tokens) {
+    if (!tokens || tokens.length === 0) return 0;
+
+    const placeholders = tokens.map(() => '?').join(',');
+    const [result] = await db.execute(
+      `DELETE FROM user_fcm_tokens WHERE fcm_token IN (${placeholders})`,
+      tokens
+    );
+
+    console.log(`Removed ${result.affectedRows} stale FCM tokens`);
+    return result.affectedRows;
+  }
+
+  /**
+   * Send a push notification to a list of device tokens and prune the stale ones.
+   * Throws when some devices failed for a transient reason; the error's
+   * `retryTokens` property lists just those devices, so a retry doesn't
+   * reach the other devices twice.
+   * @param {Array<string>} tokens - FCM tokens
+   * @param {object} notification - Notification title and body
+   * @param {object} data - Notification data payload
+   * @returns {Promise} - Send result, or null if no device received the notification
+   */
+  async sendToTokens(tokens, notification, data) {
+    const result = await transport.sendFCMMessageToMultipleDevices(tokens, notification, data);
+    if (!result) return null;
+
+    if (result.invalidTokens.length > 0) {
+      try {
+        await this.pruneTokens(result.invalidTokens);
+      } catch (error) {
+        console.error('Error removing stale FCM tokens:', error.message);
+      }
+    }
+
+    if (result.retryableTokens.length > 0) {
+      const error = new Error(`Push failed for ${result.retryableTokens.length} of ${tokens.length} devices: ${result.lastError}`);
+      error.retryTokens = result.retryableTokens;
+      throw error;
+    }
+
+    return result.successCount > 0 ? result : null;
+  }
+
+  /**
+   * Send a push notification to every device of several users
+   * @param {Array<number>} userIds - IDs of the recipients
+   * @param {object} notification - Notification title and body
+   * @param {object} data - Notification data payload
+   * @returns {Promise} - Send result, or null if no device received the notification
+   */
+  async sendToUsers(userIds, notification, data) {
+    const tokens = await this.getTokens(userIds);
+
+    if (tokens.length === 0) {
+      console.log(`No FCM tokens found for users ${userIds.join(', ')}`);
+      return null;
+    }
+
+    return this.sendToTokens(tokens, notification, data);
+  }
+}
+
+module.exports = new DeviceTokenService();
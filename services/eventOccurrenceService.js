@@ -0,0 +1,276 @@
+const db = require('../config/db');
+const { addDays, isValidDate } = require('../utils/time');
+const { parseRule, ruleFromObject, formatRule, expandRule, isOccurrence, getLastDate } = require('../utils/recurrence');
+
+// Fields a single occurrence can override on top of its series
+const OCCURRENCE_FIELDS = ['name', 'description', 'starting_time', 'price', 'image'];
+
+/**
+ * Get the "YYYY-MM-DD" day of an event's event_date
+ * @param {Date|string} value - event_date as returned by mysql2
+ * @returns {string|null}
+ */
+const toDay = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') return value.slice(0, 10);
+
+  // mysql2 returns DATETIME columns as local Date objects
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Event Occurrence Service
+ * Expands recurring events (events.recurrence_rule) into dated occurrences
+ * and manages per-occurrence changes stored in event_occurrence_exceptions:
+ * an edited occurrence overrides some fields, a cancelled one keeps its slot
+ * with status "cancelled", and an excluded one is skipped entirely.
+ * One-off events behave as a series with a single occurrence on their date.
+ */
+class EventOccurrenceService {
+  /**
+   * Get the first occurrence date of an event
+   * @param {object} event - events row
+   * @returns {string|null}
+   */
+  getEventDay(event) {
+    return toDay(event.event_date);
+  }
+
+  /**
+   * Get the parsed recurrence rule of an event
+   * @param {object} event - events row
+   * @returns {object|null} - Parsed rule, or null for one-off events
+   */
+  getRule(event) {
+    if (!event.recurrence_rule) return null;
+
+    const { rule } = parseRule(event.recurrence_rule);
+    return rule || null;
+  }
+
+  /**
+   * Validate the recurrence sent when creating or editing an event
+   * @param {object} body - Request body with recurrence_rule (string) or recurrence (object)
+   * @returns {object|null} - null if no recurrence was sent, otherwise { rule, exclude } or { error }
+   */
+  parseRecurrence(body) {
+    let parsed;
+
+    if (body.recurrence_rule !== undefined) {
+      if (body.recurrence_rule === null || body.recurrence_rule === '') {
+        return { rule: null, exclude: [] };
+      }
+      parsed = parseRule(body.recurrence_rule);
+    } else if (body.recurrence !== undefined) {
+      if (body.recurrence === null) {
+        return { rule: null, exclude: [] };
+      }
+      parsed = ruleFromObject(body.recurrence);
+    } else {
+      return null;
+    }
+
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+
+    const exclude = (body.recurrence && body.recurrence.exclude) || body.recurrence_exclude || [];
+    if (!Array.isArray(exclude) || exclude.some(date => !isValidDate(date))) {
+      return { error: 'Excluded dates must be a list of YYYY-MM-DD dates' };
+    }
+
+    return { rule: parsed.rule, exclude };
+  }
+
+  /**
+   * Save the recurrence rule of an event and its excluded dates
+   * @param {number} eventId - ID of the event
+   * @param {string} startDay - First occurrence ("YYYY-MM-DD")
+   * @param {object} recurrence - Result of parseRecurrence
+   * @param {object} connection - Connection of the caller's transaction, or the pool when there is none
+   * @returns {Promise} - Promise that resolves when the rule is saved
+   */
+  async saveRecurrence(eventId, startDay, recurrence, connection = db) {
+    const { rule, exclude } = recurrence;
+
+    await connection.execute(
+      'UPDATE events SET recurrence_rule = ?, recurrence_until = ? WHERE id = ?',
+      [rule ? formatRule(rule) : null, rule ? getLastDate(rule, startDay) : null, eventId]
+    );
+
+    for (const date of exclude) {
+      await this.saveException(eventId, date, { status: 'excluded' }, connection);
+    }
+  }
+
+  /**
+   * Check if a date is a (not excluded) occurrence of an event
+   * @param {object} event - events row
+   * @param {string} date - Occurrence date ("YYYY-MM-DD")
+   * @returns {Promise<boolean>}
+   */
+  async isValidOccurrence(event, date) {
+    if (!isValidDate(date)) return false;
+
+    const rule = this.getRule(event);
+    const startDay = this.getEventDay(event);
+
+    if (!rule) return date === startDay;
+    if (!isOccurrence(rule, startDay, date)) return false;
+
+    const exception = await this.getException(event.id, date);
+    return !exception || exception.status !== 'excluded';
+  }
+
+  /**
+   * Pick the fields a single occurrence may override from a request body
+   * @param {object} body - Request body
+   * @returns {object} - Overridden fields (empty strings clear an override)
+   */
+  pickOverrides(body) {
+    const overrides = {};
+
+    OCCURRENCE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) {
+        overrides[field] = body[field] === '' ? null : body[field];
+      }
+    });
+
+    return overrides;
+  }
+
+  /**
+   * Get the exception row for one occurrence
+   * @param {number} eventId - ID of the event
+   * @param {string} date - Occurrence date ("YYYY-MM-DD")
+   * @returns {Promise<object|null>}
+   */
+  async getException(eventId, date) {
+    const [rows] = await db.execute(
+      'SELECT * FROM event_occurrence_exceptions WHERE event_id = ? AND occurrence_date = ?',
+      [eventId, date]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Create or update the exception row for one occurrence
+   * @param {number} eventId - ID of the event
+   * @param {string} date - Occurrence date ("YYYY-MM-DD")
+   * @param {object} fields - status, cancellation_reason and/or overridden fields
+   * @param {object} connection - Connection of the caller's transaction, or the pool when there is none
+   * @returns {Promise} - Promise that resolves when the exception is saved
+   */
+  async saveException(eventId, date, fields, connection = db) {
+    const columns = Object.keys(fields).filter(field =>
+      [...OCCURRENCE_FIELDS, 'status', 'cancellation_reason'].includes(field)
+    );
+
+    await connection.execute(
+      `INSERT INTO event_occurrence_exceptions (event_id, occurrence_date${columns.map(c => `, ${c}`).join('')})
+       VALUES (?, ?${columns.map(() => ', ?').join('')})
+       ON DUPLICATE KEY UPDATE ${['updated_at = CURRENT_TIMESTAMP', ...columns.map(c => `${c} = VALUES(${c})`)].join(', ')}`,
+      [eventId, date, ...columns.map(column => fields[column])]
+    );
+  }
+
+  /**
+   * Expand events into their occurrences within a date range
+   * @param {Array} events - events rows
+   * @param {string} from - First date ("YYYY-MM-DD")
+   * @param {string} to - Last date ("YYYY-MM-DD")
+   * @returns {Promise<Array>} - Event rows, one per occurrence, with occurrence_date and is_recurring set
+   */
+  async expandEvents(events, from, to) {
+    const recurringIds = events.filter(event => event.recurrence_rule).map(event => event.id);
+
+    const exceptions = new Map();
+
+    if (recurringIds.length > 0) {
+      const placeholders = recurringIds.map(() => '?').join(', ');
+
+      const [exceptionRows] = await db.execute(
+        `SELECT *, DATE_FORMAT(occurrence_date, '%Y-%m-%d') as occurrence_day
+         FROM event_occurrence_exceptions
+         WHERE event_id IN (${placeholders}) AND occurrence_date BETWEEN ? AND ?`,
+        [...recurringIds, from, to]
+      );
+      exceptionRows.forEach(row => exceptions.set(`${row.event_id}:${row.occurrence_day}`, row));
+    }
+
+    const occurrences = [];
+
+    for (const event of events) {
+      const startDay = this.getEventDay(event);
+      const rule = this.getRule(event);
+
+      if (!rule) {
+        if (startDay >= from && startDay <= to) {
+          occurrences.push({ ...event, occurrence_date: startDay, is_recurring: false });
+        }
+        continue;
+      }
+
+      for (const date of expandRule(rule, startDay, from, to)) {
+        const key = `${event.id}:${date}`;
+        const exception = exceptions.get(key);
+
+        if (exception && exception.status === 'excluded') continue;
+
+        occurrences.push(this.applyException({
+          ...event,
+          occurrence_date: date,
+          is_recurring: true
+        }, exception));
+      }
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Apply an occurrence's overrides and cancellation to its series row
+   * @param {object} occurrence - Event row for the occurrence
+   * @param {object} exception - event_occurrence_exceptions row, if any
+   * @returns {object}
+   */
+  applyException(occurrence, exception) {
+    if (!exception) return occurrence;
+
+    OCCURRENCE_FIELDS.forEach(field => {
+      if (exception[field] !== null && exception[field] !== undefined) {
+        occurrence[field] = exception[field];
+      }
+    });
+
+    if (exception.status === 'cancelled') {
+      occurrence.status = 'cancelled';
+      occurrence.cancellation_reason = exception.cancellation_reason;
+    }
+
+    occurrence.is_modified = true;
+    return occurrence;
+  }
+
+  /**
+   * List the occurrences of a single event
+   * @param {object} event - events row
+   * @param {string} from - First date ("YYYY-MM-DD")
+   * @param {string} to - Last date ("YYYY-MM-DD")
+   * @returns {Promise<Array>}
+   */
+  async getOccurrences(event, from, to) {
+    return this.expandEvents([event], from, to);
+  }
+
+  /**
+   * Get the default date range for occurrence listings (today + 30 days)
+   * @returns {object} - { from, to }
+   */
+  getDefaultRange() {
+    const from = toDay(new Date());
+    return { from, to: addDays(from, 30) };
+  }
+}
+
+module.exports = new EventOccurrenceService();
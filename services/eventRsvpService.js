@@ -0,0 +1,218 @@
+const db = require('../config/db');
+
+// RSVP states a user can give an event occurrence
+const RSVP_STATUSES = ['going', 'interested', 'not_going'];
+
+// States that keep a user informed about the event (notifications, reminders)
+const ATTENDING_STATUSES = ['going', 'interested'];
+
+// Most friends listed per event; friends_going_count has the full number
+const MAX_FRIENDS_SHOWN = 10;
+
+/**
+ * Get the key RSVPs are grouped under for an event row: recurring
+ * occurrences are counted on their own, other rows over the whole event
+ * @param {object} event - Event row, from expandEvents or the events table
+ * @returns {string}
+ */
+const countKey = (event) => (event.is_recurring && event.occurrence_date ? `${event.id}:${event.occurrence_date}` : `${event.id}`);
+
+/**
+ * Get empty per-state counts
+ * @returns {object} - { going, interested, not_going }
+ */
+const emptyCounts = () => Object.fromEntries(RSVP_STATUSES.map(status => [status, 0]));
+
+/**
+ * Event RSVP Service
+ * Keeps the RSVPs users give event occurrences (rows of event_interests):
+ * going, interested or not going. Counts per state are computed from the
+ * rows, per occurrence for recurring events, and friends_going lists the
+ * viewer's friends who are going.
+ */
+class EventRsvpService {
+  /**
+   * Get the RSVP states
+   * @returns {Array<string>}
+   */
+  getStatuses() {
+    return RSVP_STATUSES;
+  }
+
+  /**
+   * Get the states that keep a user informed about the event
+   * @returns {Array<string>}
+   */
+  getAttendingStatuses() {
+    return ATTENDING_STATUSES;
+  }
+
+  /**
+   * Check if a value is an RSVP state
+   * @param {string} status - Value to check
+   * @returns {boolean}
+   */
+  isValidStatus(status) {
+    return RSVP_STATUSES.includes(status);
+  }
+
+  /**
+   * Get a user's RSVP to an occurrence
+   * @param {number} eventId - ID of the event
+   * @param {number} userId - ID of the user
+   * @param {string} date - Occurrence date ("YYYY-MM-DD")
+   * @returns {Promise<string|null>} - RSVP state, or null if the user hasn't answered
+   */
+  async getRsvp(eventId, userId, date) {
+    const [rows] = await db.execute(
+      'SELECT status FROM event_interests WHERE event_id = ? AND user_id = ? AND occurrence_date = ?',
+      [eventId, userId, date]
+    );
+    return rows.length > 0 ? rows[0].status : null;
+  }
+
+  /**
+   * List a user's RSVPs to the occurrences of an event
+   * @param {number} eventId - ID of the event
+   * @param {number} userId - ID of the user
+   * @returns {Promise<Array>} - { occurrence_date, status } rows, by date
+   */
+  async getUserRsvps(eventId, userId) {
+    const [rows] = await db.execute(
+      `SELECT DATE_FORMAT(occurrence_date, '%Y-%m-%d') as occurrence_date, status
+       FROM event_interests WHERE event_id = ? AND user_id = ?
+       ORDER BY occurrence_date`,
+      [eventId, userId]
+    );
+    return rows;
+  }
+
+  /**
+   * Set or clear a user's RSVP to an occurrence
+   * @param {number} eventId - ID of the event
+   * @param {number} userId - ID of the user
+   * @param {string} date - Occurrence date ("YYYY-MM-DD")
+   * @param {string} status - RSVP state, or null to clear it
+   * @returns {Promise}
+   */
+  async setRsvp(eventId, userId, date, status) {
+    if (!status) {
+      await db.execute(
+        'DELETE FROM event_interests WHERE event_id = ? AND user_id = ? AND occurrence_date = ?',
+        [eventId, userId, date]
+      );
+      return;
+    }
+
+    await db.execute(
+      `INSERT INTO event_interests (event_id, user_id, occurrence_date, status) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE status = VALUES(status)`,
+      [eventId, userId, date, status]
+    );
+  }
+
+  /**
+   * Count the RSVPs of an event per state
+   * @param {number} eventId - ID of the event
+   * @param {string} date - Only this occurrence ("YYYY-MM-DD"), or null for the whole event
+   * @returns {Promise<object>} - { going, interested, not_going }
+   */
+  async getCounts(eventId, date = null) {
+    const [rows] = await db.execute(
+      `SELECT status, COUNT(*) as total FROM event_interests
+       WHERE event_id = ?${date ? ' AND occurrence_date = ?' : ''}
+       GROUP BY status`,
+      date ? [eventId, date] : [eventId]
+    );
+
+    const counts = emptyCounts();
+    rows.forEach(row => { counts[row.status] = Number(row.total); });
+    return counts;
+  }
+
+  /**
+   * Set going_count, interested_count and not_going_count on event rows.
+   * Recurring occurrences get their own counts; other rows the whole event's.
+   * @param {Array<object>} events - Event rows, from expandEvents or the events table
+   * @returns {Promise<Array<object>>} - The same rows
+   */
+  async attachCounts(events) {
+    const eventIds = [...new Set(events.map(event => event.id))];
+    const counts = new Map();
+
+    if (eventIds.length > 0) {
+      const [rows] = await db.execute(
+        `SELECT event_id, DATE_FORMAT(occurrence_date, '%Y-%m-%d') as occurrence_day, status, COUNT(*) as total
+         FROM event_interests
+         WHERE event_id IN (${eventIds.map(() => '?').join(', ')})
+         GROUP BY event_id, occurrence_date, status`,
+        eventIds
+      );
+
+      for (const row of rows) {
+        for (const key of [`${row.event_id}`, `${row.event_id}:${row.occurrence_day}`]) {
+          if (!counts.has(key)) counts.set(key, emptyCounts());
+          counts.get(key)[row.status] += Number(row.total);
+        }
+      }
+    }
+
+    for (const event of events) {
+      const eventCounts = counts.get(countKey(event)) || emptyCounts();
+      RSVP_STATUSES.forEach(status => { event[`${status}_count`] = eventCounts[status]; });
+    }
+    return events;
+  }
+
+  /**
+   * Set friends_going and friends_going_count on event rows: the viewer's
+   * friends going to the occurrence (or to any occurrence of a series row)
+   * @param {Array<object>} events - Event rows, from expandEvents or the events table
+   * @param {number} userId - ID of the viewer, or null for anonymous requests
+   * @returns {Promise<Array<object>>} - The same rows
+   */
+  async attachFriendsGoing(events, userId) {
+    const eventIds = [...new Set(events.map(event => event.id))];
+    const friends = new Map();
+
+    if (userId && eventIds.length > 0) {
+      const [rows] = await db.execute(
+        `SELECT ei.event_id, DATE_FORMAT(ei.occurrence_date, '%Y-%m-%d') as occurrence_day,
+                u.id, u.username, u.full_name, u.avatar
+         FROM friends f
+         JOIN event_interests ei ON ei.user_id = f.friend_id AND ei.status = 'going'
+         JOIN users u ON u.id = f.friend_id
+         WHERE f.user_id = ? AND ei.event_id IN (${eventIds.map(() => '?').join(', ')})
+         ORDER BY u.username`,
+        [userId, ...eventIds]
+      );
+
+      for (const { event_id: eventId, occurrence_day: day, ...friend } of rows) {
+        for (const key of [`${eventId}`, `${eventId}:${day}`]) {
+          if (!friends.has(key)) friends.set(key, new Map());
+          friends.get(key).set(friend.id, friend);
+        }
+      }
+    }
+
+    for (const event of events) {
+      const going = [...(friends.get(countKey(event)) || new Map()).values()];
+      event.friends_going = going.slice(0, MAX_FRIENDS_SHOWN);
+      event.friends_going_count = going.length;
+    }
+    return events;
+  }
+
+  /**
+   * Set the RSVP counts and the viewer's friends going on event rows
+   * @param {Array<object>} events - Event rows, from expandEvents or the events table
+   * @param {number} userId - ID of the viewer, or null for anonymous requests
+   * @returns {Promise<Array<object>>} - The same rows
+   */
+  async attachSocial(events, userId) {
+    await this.attachCounts(events);
+    return this.attachFriendsGoing(events, userId);
+  }
+}
+
+module.exports = new EventRsvpService();
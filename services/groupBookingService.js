@@ -0,0 +1,142 @@
+const db = require('../config/db');
+const realtimeService = require('./realtimeService');
+const { DEFAULT_LOCALE, translate } = require('../utils/i18n');
+
+// Largest party a single member can RSVP for (themselves included)
+const MAX_GUESTS_PER_RSVP = 10;
+
+/**
+ * Group Booking Service
+ * Bookings made on behalf of a group chat. Every member can RSVP in or
+ * out, and the booking's guest count is the sum of the "in" RSVPs. Changes
+ * to the booking are posted into the group's thread as system messages;
+ * their text is stored in the default language and the template key and
+ * params in the metadata, so clients can show them in the member's own.
+ */
+class GroupBookingService {
+  /**
+   * Get the largest party a member can RSVP for
+   * @returns {number}
+   */
+  getMaxGuestsPerRsvp() {
+    return MAX_GUESTS_PER_RSVP;
+  }
+
+  /**
+   * Get the IDs of all members of a group
+   * @param {object} connection - Database connection or pool
+   * @param {number} groupId - ID of the group
+   * @returns {Promise<Array<number>>}
+   */
+  async getMemberIds(connection, groupId) {
+    const [rows] = await connection.execute('SELECT user_id FROM chat_group_members WHERE group_id = ?', [groupId]);
+    return rows.map(row => row.user_id);
+  }
+
+  /**
+   * Get the RSVPs of a group booking
+   * @param {object} connection - Database connection or pool
+   * @param {number} bookingId - ID of the booking
+   * @returns {Promise<Array>} - RSVPs with the members' names
+   */
+  async getRsvps(connection, bookingId) {
+    const [rows] = await connection.execute(
+      `SELECT r.user_id, r.response, r.guests, r.responded_at,
+              u.username, u.full_name, u.avatar
+       FROM group_booking_rsvps r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.booking_id = ?
+       ORDER BY r.responded_at ASC`,
+      [bookingId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get the IDs of the members who RSVP'd in
+   * @param {object} connection - Database connection or pool
+   * @param {number} bookingId - ID of the booking
+   * @returns {Promise<Array<number>>}
+   */
+  async getAttendeeIds(connection, bookingId) {
+    const [rows] = await connection.execute(
+      "SELECT user_id FROM group_booking_rsvps WHERE booking_id = ? AND response = 'in'",
+      [bookingId]
+    );
+    return rows.map(row => row.user_id);
+  }
+
+  /**
+   * Save a member's RSVP and work out the guest count it leads to
+   * @param {object} connection - Database connection inside the RSVP's transaction
+   * @param {number} bookingId - ID of the booking
+   * @param {number} userId - ID of the member
+   * @param {string} response - 'in' or 'out'
+   * @param {number} guests - Party size of the member, themselves included
+   * @returns {Promise<number>} - Sum of the guests of the "in" RSVPs
+   */
+  async saveRsvp(connection, bookingId, userId, response, guests) {
+    await connection.execute(
+      `INSERT INTO group_booking_rsvps (booking_id, user_id, response, guests) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE response = VALUES(response), guests = VALUES(guests)`,
+      [bookingId, userId, response, guests]
+    );
+
+    const [rows] = await connection.execute(
+      "SELECT COALESCE(SUM(guests), 0) as total FROM group_booking_rsvps WHERE booking_id = ? AND response = 'in'",
+      [bookingId]
+    );
+    return Number(rows[0].total);
+  }
+
+  /**
+   * Post a system message about a booking into its group's thread
+   * @param {object} connection - Database connection, so the message is part of the change's transaction
+   * @param {object} booking - { id, group_id }
+   * @param {number} actorId - ID of the user whose action the message is about
+   * @param {string} key - Template key in the groupBooking section of the catalog
+   * @param {object} params - Template params
+   * @returns {Promise<number|null>} - ID of the message, or null for bookings without a group
+   */
+  async postSystemMessage(connection, booking, actorId, key, params) {
+    if (!booking.group_id) return null;
+
+    const [result] = await connection.execute(
+      `INSERT INTO chat_group_messages (group_id, sender_id, message, message_type, metadata)
+       VALUES (?, ?, ?, 'system', ?)`,
+      [
+        booking.group_id,
+        actorId,
+        translate('groupBooking', key, params, DEFAULT_LOCALE),
+        JSON.stringify({ bookingId: booking.id, key, params })
+      ]
+    );
+
+    return result.insertId;
+  }
+
+  /**
+   * Push system messages to the connected members once their transaction is committed
+   * @param {number} groupId - ID of the group
+   * @param {Array<number>} messageIds - IDs of the messages
+   * @returns {Promise}
+   */
+  async pushSystemMessages(groupId, messageIds) {
+    const ids = messageIds.filter(Boolean);
+    if (!groupId || ids.length === 0) return;
+
+    const [messages] = await db.execute(
+      `SELECT m.*, u.username as sender_username, u.full_name as sender_full_name, u.avatar as sender_avatar
+       FROM chat_group_messages m
+       JOIN users u ON m.sender_id = u.id
+       WHERE m.id IN (${ids.map(() => '?').join(',')})
+       ORDER BY m.id ASC`,
+      ids
+    );
+
+    const memberIds = await this.getMemberIds(db, groupId);
+    messages.forEach(message => realtimeService.sendToUsers(memberIds, 'newGroupMessage', message));
+  }
+}
+
+module.exports = new GroupBookingService();
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+
+// How long a key's response is kept and replayed
+const RETENTION_HOURS = parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS) || 24;
+
+// A request still processing after this long is taken to have died (e.g. the server restarted)
+const PROCESSING_TIMEOUT_SECONDS = 60;
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialize a value with its object keys sorted, so equal bodies hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Idempotency Service
+ * Remembers the response to each request sent with an Idempotency-Key
+ * header, per user, for RETENTION_HOURS. A repeat with the same key and
+ * body gets the stored response instead of running again; reusing the key
+ * for a different request is refused. Requests that fail with a server
+ * error before committing anything release their key so they can be retried.
+ */
+class IdempotencyService {
+  /**
+   * Get how long responses are kept
+   * @returns {number} - Hours
+   */
+  getRetentionHours() {
+    return RETENTION_HOURS;
+  }
+
+  /**
+   * Check that an Idempotency-Key header value can be used
+   * @param {string} key - Header value
+   * @returns {boolean}
+   */
+  isValidKey(key) {
+    return typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH;
+  }
+
+  /**
+   * Hash what identifies a request: its method, path and body
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {object} body - Parsed request body
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashRequest(method, path, body) {
+    return crypto.createHash('sha256')
+      .update(`${method.toUpperCase()} ${path}\n${stableStringify(body || {})}`)
+      .digest('hex');
+  }
+
+  /**
+   * Claim a key for a request, or find out what happened to it before
+   * @param {number} userId - ID of the user sending the request
+   * @param {string} key - Idempotency key
+   * @param {string} requestHash - Hash from hashRequest
+   * @returns {Promise<object>} - { state, record } where state is 'new' (run the request),
+   *   'replay' (send record's response), 'mismatch' (the key was used for another request)
+   *   or 'processing' (the first request hasn't finished yet)
+   */
+  async begin(userId, key, requestHash) {
+    // Keys past their retention can be reused for anything
+    await db.execute(
+      'DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND expires_at <= NOW()',
+      [userId, key]
+    );
+
+    const [result] = await db.execute(
+      `INSERT IGNORE INTO idempotency_keys (user_id, idempotency_key, request_hash, expires_at)
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+      [userId, key, requestHash, RETENTION_HOURS]
+    );
+    if (result.affectedRows > 0) {
+      return { state: 'new', record: { id: result.insertId } };
+    }
+
+    const [rows] = await db.execute(
+      'SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+      [userId, key]
+    );
+    const record = rows[0];
+
+    // Released between the insert and the select; the client can simply retry
+    if (!record) {
+      return { state: 'processing', record: null };
+    }
+
+    if (record.request_hash !== requestHash) {
+      return { state: 'mismatch', record };
+    }
+
+    if (record.status === 'completed') {
+      return { state: 'replay', record };
+    }
+
+    // Take over a request whose server died before it could finish
+    const [takeover] = await db.execute(
+      `UPDATE idempotency_keys SET created_at = NOW()
+       WHERE id = ? AND status = 'processing' AND created_at <= DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+      [record.id, PROCESSING_TIMEOUT_SECONDS]
+    );
+
+    return takeover.affectedRows > 0
+      ? { state: 'new', record }
+      : { state: 'processing', record };
+  }
+
+  /**
+   * Store the response to a request so repeats can be answered with it
+   * @param {number} id - ID of the idempotency_keys row
+   * @param {number} statusCode - HTTP status of the response
+   * @param {*} body - JSON response body
+   * @returns {Promise}
+   */
+  async complete(id, statusCode, body) {
+    await db.execute(
+      "UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ? WHERE id = ?",
+      [statusCode, JSON.stringify(body === undefined ? null : body), id]
+    );
+  }
+
+  /**
+   * Forget a key whose request failed, so it can be retried
+   * @param {number} id - ID of the idempotency_keys row
+   * @returns {Promise}
+   */
+  async release(id) {
+    await db.execute("DELETE FROM idempotency_keys WHERE id = ? AND status = 'processing'", [id]);
+  }
+
+  /**
+   * Delete keys past their retention (run by the scheduler)
+   * @returns {Promise<number>} - Number of keys deleted
+   */
+  async purgeExpired() {
+    const [result] = await db.execute('DELETE FROM idempotency_keys WHERE expires_at <= NOW() LIMIT 1000');
+    if (result.affectedRows > 0) {
+      console.log(`Purged ${result.affectedRows} expired idempotency keys`);
+    }
+    return result.affectedRows;
+  }
+}
+
+module.exports = new IdempotencyService();
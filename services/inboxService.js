@@ -0,0 +1,173 @@
+const db = require('../config/db');
+const realtimeService = require('./realtimeService');
+
+/**
+ * Convert a notifications row for API responses
+ * @param {object} row - notifications row
+ * @returns {object}
+ */
+const formatNotification = (row) => {
+  let data = {};
+  try {
+    data = row.data ? JSON.parse(row.data) : {};
+  } catch (error) {
+    console.error(`Invalid data stored for notification ${row.id}:`, error.message);
+  }
+
+  return {
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    body: row.body,
+    data,
+    is_read: !!row.read_at,
+    read_at: row.read_at,
+    created_at: row.created_at
+  };
+};
+
+/**
+ * Inbox Service
+ * Keeps a copy of every notification sent to a user in the notifications
+ * table, so the app can show a notification center even when a push was
+ * missed, the FCM token is stale or push permission was never granted.
+ * Chat and group messages are not stored here; conversations keep their
+ * own unread state.
+ */
+class InboxService {
+  /**
+   * Store a notification for several users, in one transaction so either
+   * every copy is stored or none is
+   * @param {Array<object>} entries - [{ userIds, notification }], e.g. one per locale
+   * @param {object} data - Notification data payload (data.type is the notification type)
+   * @returns {Promise<number>} - Number of stored notifications
+   */
+  async add(entries, data) {
+    const stored = [];
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      for (const { userIds, notification } of entries) {
+        for (const userId of [...new Set(userIds.map(Number))].filter(Boolean)) {
+          const [result] = await connection.execute(
+            'INSERT INTO notifications (user_id, type, title, body, data) VALUES (?, ?, ?, ?, ?)',
+            [userId, data.type, notification.title, notification.body || null, JSON.stringify(data)]
+          );
+          stored.push({ id: result.insertId, userId, notification });
+        }
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // Update the notification center of connected devices right away
+    stored.forEach(({ id, userId, notification }) => {
+      realtimeService.sendToUser(userId, 'notification', formatNotification({
+        id,
+        user_id: userId,
+        type: data.type,
+        title: notification.title,
+        body: notification.body || null,
+        data: JSON.stringify(data),
+        read_at: null,
+        created_at: new Date()
+      }));
+    });
+
+    return stored.length;
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {number} userId - ID of the user
+   * @param {object} options - { limit, offset, unreadOnly }
+   * @returns {Promise<object>} - { notifications, totalCount }
+   */
+  async list(userId, { limit = 20, offset = 0, unreadOnly = false } = {}) {
+    const where = unreadOnly ? 'user_id = ? AND read_at IS NULL' : 'user_id = ?';
+
+    const [countResult] = await db.execute(`SELECT COUNT(*) as total FROM notifications WHERE ${where}`, [userId]);
+
+    const [rows] = await db.execute(
+      `SELECT * FROM notifications
+       WHERE ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+      [userId]
+    );
+
+    return {
+      notifications: rows.map(formatNotification),
+      totalCount: countResult[0].total
+    };
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {number} userId - ID of the user
+   * @returns {Promise<number>}
+   */
+  async getUnreadCount(userId) {
+    const [result] = await db.execute(
+      'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_at IS NULL',
+      [userId]
+    );
+    return result[0].count;
+  }
+
+  /**
+   * Mark one notification as read
+   * @param {number} userId - ID of the owner
+   * @param {number} notificationId - ID of the notification
+   * @returns {Promise<boolean>} - false if the user has no such notification
+   */
+  async markRead(userId, notificationId) {
+    const [rows] = await db.execute(
+      'SELECT id FROM notifications WHERE id = ? AND user_id = ?',
+      [notificationId, userId]
+    );
+    if (rows.length === 0) return false;
+
+    await db.execute(
+      'UPDATE notifications SET read_at = NOW() WHERE id = ? AND read_at IS NULL',
+      [notificationId]
+    );
+    return true;
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {number} userId - ID of the user
+   * @returns {Promise<number>} - Number of notifications that were unread
+   */
+  async markAllRead(userId) {
+    const [result] = await db.execute(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+      [userId]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Delete one notification
+   * @param {number} userId - ID of the owner
+   * @param {number} notificationId - ID of the notification
+   * @returns {Promise<boolean>} - false if the user has no such notification
+   */
+  async remove(userId, notificationId) {
+    const [result] = await db.execute(
+      'DELETE FROM notifications WHERE id = ? AND user_id = ?',
+      [notificationId, userId]
+    );
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = new InboxService();
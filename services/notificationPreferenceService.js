@@ -0,0 +1,304 @@
+const db = require('../config/db');
+const { DEFAULT_TIMEZONE, getLocalDateTime } = require('../utils/openingHours');
+const { timeToMinutes } = require('../utils/time');
+const channelService = require('./channelService');
+
+// Notification types a user can switch off
+const PREFERENCE_TYPES = ['newMessage', 'friendRequest', 'event', 'venue', 'reservation', 'newBooking', 'addedToGroup', 'reminder'];
+
+// Notification types controlled by the toggle of a related type
+const TYPE_ALIASES = {
+  newGroupMessage: 'newMessage',
+  friendRequestAccepted: 'friendRequest',
+  eventUpdated: 'event',
+  eventCancelled: 'event',
+  bookingChanged: 'newBooking',
+  waitlistOffer: 'reservation',
+  groupBooking: 'reservation',
+  bookingReminder: 'reminder',
+  eventReminder: 'reminder'
+};
+
+// Channels a notification type goes out on unless the user changed them
+const DEFAULT_CHANNELS = {
+  reservation: ['push', 'email', 'webhook'],
+  newBooking: ['push', 'email', 'webhook']
+};
+const DEFAULT_TYPE_CHANNELS = ['push', 'webhook'];
+
+// Types without a preference toggle (e.g. test notifications) are only pushed
+const UNCONTROLLED_TYPE_CHANNELS = ['push'];
+
+/**
+ * Get the channels a notification type goes out on by default
+ * @param {string|null} preferenceType - Preference type, or null for types that can't be switched off
+ * @returns {Array<string>} - Channel names
+ */
+const getDefaultChannels = (preferenceType) => {
+  if (!preferenceType) return UNCONTROLLED_TYPE_CHANNELS;
+  return DEFAULT_CHANNELS[preferenceType] || DEFAULT_TYPE_CHANNELS;
+};
+
+/**
+ * Get the preference toggle that controls a notification type
+ * @param {string} type - Notification type (data.type)
+ * @returns {string|null} - Preference type, or null if the type can't be switched off
+ */
+const getPreferenceType = (type) => {
+  const preferenceType = TYPE_ALIASES[type] || type;
+  return PREFERENCE_TYPES.includes(preferenceType) ? preferenceType : null;
+};
+
+/**
+ * Check if a user's quiet hours cover an instant
+ * @param {object} row - { starts_at, ends_at, timezone } with "HH:MM" times
+ * @param {Date} instant - Point in time
+ * @returns {boolean}
+ */
+const isWithinQuietHours = (row, instant) => {
+  const start = timeToMinutes(row.starts_at);
+  const end = timeToMinutes(row.ends_at);
+  const { minutes } = getLocalDateTime(instant, row.timezone || DEFAULT_TIMEZONE);
+
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * Notification Preference Service
+ * Decides who gets a notification and over which channels. A switched-off
+ * type is neither sent nor kept in the inbox. Each type has default
+ * channels (push, email, webhook) that users can turn on or off one by
+ * one. Quiet hours only hold back the push and muted groups every channel;
+ * the inbox copy is still written so nothing is lost.
+ */
+class NotificationPreferenceService {
+  /**
+   * Get the notification types a user can switch off
+   * @returns {Array<string>}
+   */
+  getPreferenceTypes() {
+    return [...PREFERENCE_TYPES];
+  }
+
+  /**
+   * Get every notification type a preference toggle controls (data.type values)
+   * @returns {Array<string>}
+   */
+  getNotificationTypes() {
+    return [...PREFERENCE_TYPES, ...Object.keys(TYPE_ALIASES)];
+  }
+
+  /**
+   * Get a user's notification preferences
+   * @param {number} userId - ID of the user
+   * @returns {Promise<object>} - { types, channels, quiet_hours, timezone, muted_groups }
+   */
+  async getPreferences(userId) {
+    const [typeRows] = await db.execute(
+      'SELECT type, enabled FROM notification_preferences WHERE user_id = ?',
+      [userId]
+    );
+
+    const types = {};
+    PREFERENCE_TYPES.forEach(type => {
+      const row = typeRows.find(r => r.type === type);
+      types[type] = row ? !!row.enabled : true;
+    });
+
+    const [channelRows] = await db.execute(
+      'SELECT type, channel, enabled FROM notification_channel_preferences WHERE user_id = ?',
+      [userId]
+    );
+
+    const channels = {};
+    PREFERENCE_TYPES.forEach(type => {
+      channels[type] = {};
+      channelService.getChannelNames().forEach(channel => {
+        const row = channelRows.find(r => r.type === type && r.channel === channel);
+        channels[type][channel] = row ? !!row.enabled : getDefaultChannels(type).includes(channel);
+      });
+    });
+
+    const [quietRows] = await db.execute(
+      `SELECT TIME_FORMAT(starts_at, '%H:%i') as starts_at, TIME_FORMAT(ends_at, '%H:%i') as ends_at
+       FROM notification_quiet_hours WHERE user_id = ?`,
+      [userId]
+    );
+
+    const [userRows] = await db.execute('SELECT timezone FROM users WHERE id = ?', [userId]);
+
+    const [groupRows] = await db.execute(
+      'SELECT group_id FROM chat_group_members WHERE user_id = ? AND muted = 1 ORDER BY group_id',
+      [userId]
+    );
+
+    return {
+      types,
+      channels,
+      quiet_hours: quietRows.length > 0
+        ? { start: quietRows[0].starts_at, end: quietRows[0].ends_at }
+        : null,
+      timezone: (userRows[0] && userRows[0].timezone) || DEFAULT_TIMEZONE,
+      muted_groups: groupRows.map(row => row.group_id)
+    };
+  }
+
+  /**
+   * Update a user's notification preferences; omitted fields are left unchanged
+   * @param {number} userId - ID of the user
+   * @param {object} changes - { types, channels, quietHours (null to turn off), timezone, mutedGroups }
+   * @returns {Promise}
+   */
+  async updatePreferences(userId, { types, channels, quietHours, timezone, mutedGroups }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      for (const [type, enabled] of Object.entries(types || {})) {
+        await connection.execute(
+          `INSERT INTO notification_preferences (user_id, type, enabled) VALUES (?, ?, ?)
+           ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)`,
+          [userId, type, enabled ? 1 : 0]
+        );
+      }
+
+      for (const [type, typeChannels] of Object.entries(channels || {})) {
+        for (const [channel, enabled] of Object.entries(typeChannels)) {
+          await connection.execute(
+            `INSERT INTO notification_channel_preferences (user_id, type, channel, enabled) VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)`,
+            [userId, type, channel, enabled ? 1 : 0]
+          );
+        }
+      }
+
+      if (quietHours === null) {
+        await connection.execute('DELETE FROM notification_quiet_hours WHERE user_id = ?', [userId]);
+      } else if (quietHours !== undefined) {
+        await connection.execute(
+          `INSERT INTO notification_quiet_hours (user_id, starts_at, ends_at) VALUES (?, ?, ?)
+           ON DUPLICATE KEY UPDATE starts_at = VALUES(starts_at), ends_at = VALUES(ends_at)`,
+          [userId, quietHours.start, quietHours.end]
+        );
+      }
+
+      if (timezone !== undefined) {
+        await connection.execute('UPDATE users SET timezone = ? WHERE id = ?', [timezone, userId]);
+      }
+
+      if (mutedGroups !== undefined) {
+        await connection.execute('UPDATE chat_group_members SET muted = 0 WHERE user_id = ?', [userId]);
+
+        if (mutedGroups.length > 0) {
+          const placeholders = mutedGroups.map(() => '?').join(',');
+          await connection.execute(
+            `UPDATE chat_group_members SET muted = 1 WHERE user_id = ? AND group_id IN (${placeholders})`,
+            [userId, ...mutedGroups]
+          );
+        }
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Get the users whose quiet hours are in effect right now
+   * @param {Array<number>} userIds - Only check these users, or null for everyone
+   * @returns {Promise<Array<number>>} - User IDs
+   */
+  async getQuietUserIds(userIds = null) {
+    if (userIds && userIds.length === 0) return [];
+
+    const where = userIds ? `WHERE q.user_id IN (${userIds.map(() => '?').join(',')})` : '';
+    const [rows] = await db.execute(
+      `SELECT q.user_id, TIME_FORMAT(q.starts_at, '%H:%i') as starts_at,
+              TIME_FORMAT(q.ends_at, '%H:%i') as ends_at, u.timezone
+       FROM notification_quiet_hours q
+       JOIN users u ON q.user_id = u.id
+       ${where}`,
+      userIds || []
+    );
+
+    const now = new Date();
+    return rows.filter(row => isWithinQuietHours(row, now)).map(row => row.user_id);
+  }
+
+  /**
+   * Split the recipients of a notification by what they should receive
+   * @param {Array<number>} userIds - IDs of the intended recipients
+   * @param {string} type - Notification type (data.type)
+   * @param {object} options - { groupId } for group notifications, to respect per-group mute
+   * @returns {Promise<object>} - { inbox: user IDs to store it for, channels: { channel name: user IDs to send it to } }
+   */
+  async getRecipients(userIds, type, { groupId = null } = {}) {
+    const channels = {};
+    channelService.getChannelNames().forEach(channel => {
+      channels[channel] = [];
+    });
+
+    const ids = [...new Set(userIds.map(Number))].filter(Boolean);
+    if (ids.length === 0) return { inbox: [], channels };
+
+    const placeholders = ids.map(() => '?').join(',');
+    let inbox = ids;
+
+    const preferenceType = getPreferenceType(type);
+    if (preferenceType) {
+      const [optedOut] = await db.execute(
+        `SELECT user_id FROM notification_preferences
+         WHERE type = ? AND enabled = 0 AND user_id IN (${placeholders})`,
+        [preferenceType, ...ids]
+      );
+      const optedOutIds = optedOut.map(row => row.user_id);
+      inbox = ids.filter(id => !optedOutIds.includes(id));
+    }
+
+    if (inbox.length === 0) return { inbox, channels };
+
+    const inboxPlaceholders = inbox.map(() => '?').join(',');
+
+    let overrides = [];
+    if (preferenceType) {
+      [overrides] = await db.execute(
+        `SELECT user_id, channel, enabled FROM notification_channel_preferences
+         WHERE type = ? AND user_id IN (${inboxPlaceholders})`,
+        [preferenceType, ...inbox]
+      );
+    }
+
+    let muted = [];
+    if (groupId) {
+      const [mutedRows] = await db.execute(
+        `SELECT user_id FROM chat_group_members
+         WHERE group_id = ? AND muted = 1 AND user_id IN (${inboxPlaceholders})`,
+        [groupId, ...inbox]
+      );
+      muted = mutedRows.map(row => row.user_id);
+    }
+
+    const quiet = await this.getQuietUserIds(inbox);
+    const defaults = getDefaultChannels(preferenceType);
+
+    Object.keys(channels).forEach(channel => {
+      channels[channel] = inbox.filter(id => {
+        if (muted.includes(id) || (channel === 'push' && quiet.includes(id))) return false;
+
+        const override = overrides.find(row => row.user_id === id && row.channel === channel);
+        return override ? !!override.enabled : defaults.includes(channel);
+      });
+    });
+
+    return { inbox, channels };
+  }
+}
+
+module.exports = new NotificationPreferenceService();
@@ -1,11 +1,137 @@
 const db = require('../config/db');
-const firebase = require('../config/firebase');
+const channelService = require('./channelService');
+const inboxService = require('./inboxService');
+const notificationPreferenceService = require('./notificationPreferenceService');
+const announcementService = require('./announcementService');
+const groupBookingService = require('./groupBookingService');
+const { SUPPORTED_LOCALES, resolveLocale, translate } = require('../utils/i18n');
 
 /**
  * Notification Service
- * Handles sending notifications via Firebase Cloud Messaging (FCM)
+ * Builds notifications and delivers them over the channels the recipients
+ * get them on (push, email, webhooks), respecting their notification
+ * preferences. Controllers don't call these methods directly: they enqueue
+ * them with outboxService and the outbox worker runs them, retrying when
+ * they throw.
  */
 class NotificationService {
+  /**
+   * Get the preferred locale of each user
+   * @param {Array<number>} userIds - IDs of the users
+   * @returns {Promise<object>} - Locale keyed by user ID
+   */
+  async _getUserLocales(userIds) {
+    if (userIds.length === 0) return {};
+
+    const placeholders = userIds.map(() => '?').join(',');
+    const [rows] = await db.execute(
+      `SELECT id, locale FROM users WHERE id IN (${placeholders})`,
+      userIds
+    );
+
+    const locales = {};
+    rows.forEach(row => { locales[row.id] = row.locale; });
+    return locales;
+  }
+
+  /**
+   * Deliver a notification according to the recipients' preferences: store
+   * it for everyone who hasn't switched the type off and send it over each
+   * channel they get the type on. The notification is rendered from the
+   * templates once per locale the recipients use. Every inbox copy is stored
+   * before anything is sent, and failures after that are retried without the
+   * inbox, so nobody gets a copy twice.
+   * @param {Array<number>} userIds - IDs of the recipients
+   * @param {object} message - { key, params } of the notification template
+   * @param {object} data - Notification data payload
+   * @param {object} options - { inbox, push } to skip the inbox copy or the push, { groupId } to respect group mute
+   * @returns {Promise<object>} - Result per channel, null for channels nothing was sent over
+   */
+  async _deliver(userIds, message, data, { inbox = true, push = true, groupId = null } = {}) {
+    const recipients = await notificationPreferenceService.getRecipients(userIds, data.type, { groupId });
+    const userLocales = await this._getUserLocales(userIds);
+    const inboxEntries = [];
+    const deliveries = [];
+
+    for (const locale of SUPPORTED_LOCALES) {
+      const inLocale = (ids) => ids.filter(id => resolveLocale(userLocales[id]) === locale);
+      const inboxIds = inLocale(recipients.inbox);
+      const channels = Object.entries(recipients.channels)
+        .filter(([channel]) => push || channel !== 'push')
+        .map(([channel, ids]) => [channel, inLocale(ids)])
+        .filter(([, ids]) => ids.length > 0);
+
+      if (inboxIds.length === 0 && channels.length === 0) continue;
+
+      const notification = translate('notifications', message.key, message.params, locale);
+
+      if (inbox && inboxIds.length > 0) {
+        inboxEntries.push({ userIds: inboxIds, notification });
+      }
+      channels.forEach(([channel, ids]) => deliveries.push({ channel, userIds: ids, notification }));
+    }
+
+    // Keep a copy in the users' notification inbox, even if nothing can be delivered
+    if (inboxEntries.length > 0) {
+      await inboxService.add(inboxEntries, data);
+    }
+
+    if (deliveries.length === 0) {
+      console.log(`Not sending ${data.type} notification: switched off, in quiet hours or muted`);
+      return null;
+    }
+
+    try {
+      return await this.sendChannels(deliveries, null, data);
+    } catch (error) {
+      // The inbox copies are stored; a retry only sends the notification
+      if (!error.retry) {
+        error.retry = { method: 'sendChannels', args: [deliveries, null, data] };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send an already prepared notification over several channels. When some
+   * of them fail, the error's `retry` property tells the outbox worker to
+   * call this again with just what is left, so nobody gets it twice.
+   * @param {Array<object>} deliveries - [{ channel, userIds, notification }] or retry targets from a previous failure
+   * @param {object} notification - Notification title and body, for deliveries that don't carry their own
+   * @param {object} data - Notification data payload
+   * @returns {Promise<object>} - Result per channel
+   */
+  async sendChannels(deliveries, notification, data) {
+    const results = {};
+    const failed = [];
+    const errors = [];
+
+    for (const delivery of deliveries) {
+      const rendered = delivery.notification || notification;
+
+      try {
+        const result = await channelService.send(delivery, rendered, data);
+
+        // Deliveries in several locales can go over the same channel
+        results[delivery.channel] = results[delivery.channel] === undefined
+          ? result
+          : [].concat(results[delivery.channel], result);
+      } catch (error) {
+        console.error(`Error sending ${data.type} notification by ${delivery.channel}:`, error.message);
+        failed.push({ ...(error.retryDelivery || delivery), notification: rendered });
+        errors.push(`${delivery.channel}: ${error.message}`);
+      }
+    }
+
+    if (failed.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.retry = { method: 'sendChannels', args: [failed, notification, data] };
+      throw error;
+    }
+
+    return results;
+  }
+
   /**
    * Send a chat message notification
    * @param {number} senderId - ID of the sender
@@ -30,24 +156,6 @@ class NotificationService {
 
       const sender = senderResult[0];
 
-      // Get receiver's FCM token
-      const [tokenResult] = await db.execute(
-        'SELECT fcm_token FROM user_fcm_tokens WHERE user_id = ? AND fcm_token IS NOT NULL',
-        [receiverId]
-      );
-
-      if (tokenResult.length === 0) {
-        console.log('No FCM token found for user:', receiverId);
-        return null;
-      }
-
-      // Check if token is valid
-      const token = tokenResult[0].fcm_token;
-      if (!token || token.trim() === '') {
-        console.log('Empty FCM token found for user:', receiverId);
-        return null;
-      }
-
       // Get the actual message ID from the database
       const [messageResult] = await db.execute(
         'SELECT id FROM chat_messages WHERE sender_id = ? AND receiver_id = ? ORDER BY created_at DESC LIMIT 1',
@@ -58,8 +166,11 @@ class NotificationService {
 
       // Send notification
       const notification = {
-        title: 'New Message',
-        body: `${sender.full_name || sender.username}: ${message.substring(0, 100)}${message.length > 100 ? '...' : ''}`
+        key: 'newMessage',
+        params: {
+          sender: sender.full_name || sender.username,
+          message: `${message.substring(0, 100)}${message.length > 100 ? '...' : ''}`
+        }
       };
 
       const data = {
@@ -75,10 +186,10 @@ class NotificationService {
       };
 
       console.log('Sending FCM notification with data:', JSON.stringify(data));
-      return await firebase.sendFCMMessage(token, notification, data);
+      return await this._deliver([receiverId], notification, data, { inbox: false });
     } catch (error) {
       console.error('Error sending chat message notification:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -105,28 +216,10 @@ class NotificationService {
 
       const sender = senderResult[0];
 
-      // Get receiver's FCM token
-      const [tokenResult] = await db.execute(
-        'SELECT fcm_token FROM user_fcm_tokens WHERE user_id = ? AND fcm_token IS NOT NULL',
-        [receiverId]
-      );
-
-      if (tokenResult.length === 0) {
-        console.log('No FCM token found for user:', receiverId);
-        return null;
-      }
-
-      // Check if token is valid
-      const token = tokenResult[0].fcm_token;
-      if (!token || token.trim() === '') {
-        console.log('Empty FCM token found for user:', receiverId);
-        return null;
-      }
-
-      // Send notification
+      // Prepare notification
       const notification = {
-        title: 'Friend Request',
-        body: `${sender.full_name || sender.username} sent you a friend request`
+        key: 'friendRequest',
+        params: { sender: sender.full_name || sender.username }
       };
 
       const data = {
@@ -138,10 +231,10 @@ class NotificationService {
         createdAt: new Date().toISOString()
       };
 
-      return await firebase.sendFCMMessage(token, notification, data);
+      return await this._deliver([receiverId], notification, data);
     } catch (error) {
       console.error('Error sending friend request notification:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -166,28 +259,10 @@ class NotificationService {
 
       const user = userResult[0];
 
-      // Get friend's FCM token
-      const [tokenResult] = await db.execute(
-        'SELECT fcm_token FROM user_fcm_tokens WHERE user_id = ? AND fcm_token IS NOT NULL',
-        [friendId]
-      );
-
-      if (tokenResult.length === 0) {
-        console.log('No FCM token found for user:', friendId);
-        return null;
-      }
-
-      // Check if token is valid
-      const token = tokenResult[0].fcm_token;
-      if (!token || token.trim() === '') {
-        console.log('Empty FCM token found for user:', friendId);
-        return null;
-      }
-
-      // Send notification
+      // Prepare notification
       const notification = {
-        title: 'Friend Request Accepted',
-        body: `${user.full_name || user.username} accepted your friend request`
+        key: 'friendRequestAccepted',
+        params: { user: user.full_name || user.username }
       };
 
       const data = {
@@ -199,10 +274,10 @@ class NotificationService {
         createdAt: new Date().toISOString()
       };
 
-      return await firebase.sendFCMMessage(token, notification, data);
+      return await this._deliver([friendId], notification, data);
     } catch (error) {
       console.error('Error sending friend request accepted notification:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -211,9 +286,10 @@ class NotificationService {
    * @param {number} senderId - ID of the sender
    * @param {number} groupId - ID of the group
    * @param {string} message - Message content
+   * @param {Array<number>} recipientIds - Only notify these members (e.g. the ones who are offline); all members if omitted
    * @returns {Promise} - Promise that resolves when notifications are sent
    */
-  async sendGroupMessageNotification(senderId, groupId, message) {
+  async sendGroupMessageNotification(senderId, groupId, message, recipientIds = null) {
     try {
       console.log(`Sending group notification from ${senderId} to group ${groupId}: ${message.substring(0, 30)}...`);
 
@@ -254,18 +330,13 @@ class NotificationService {
         return null;
       }
 
-      // Get FCM tokens for all members
-      const memberIds = members.map(member => member.user_id);
-      const placeholders = memberIds.map(() => '?').join(',');
-
-      const [tokenResults] = await db.execute(
-        `SELECT user_id, fcm_token FROM user_fcm_tokens
-         WHERE user_id IN (${placeholders}) AND fcm_token IS NOT NULL`,
-        memberIds
-      );
+      // Notify all members (or only the requested ones)
+      const memberIds = members
+        .map(member => member.user_id)
+        .filter(memberId => !recipientIds || recipientIds.map(Number).includes(memberId));
 
-      if (tokenResults.length === 0) {
-        console.log('No FCM tokens found for group members');
+      if (memberIds.length === 0) {
+        console.log('No group members to notify for group:', groupId);
         return null;
       }
 
@@ -282,8 +353,12 @@ class NotificationService {
 
       // Prepare notification
       const notification = {
-        title: `${group.name}`,
-        body: `${sender.full_name || sender.username}: ${message.length > 50 ? message.substring(0, 47) + '...' : message}`
+        key: 'newGroupMessage',
+        params: {
+          group: group.name,
+          sender: sender.full_name || sender.username,
+          message: message.length > 50 ? message.substring(0, 47) + '...' : message
+        }
       };
 
       const data = {
@@ -300,53 +375,24 @@ class NotificationService {
         createdAt: new Date().toISOString()
       };
 
-      // Filter out invalid tokens
-      const validTokens = tokenResults
-        .map(token => token.fcm_token)
-        .filter(token => token && token.trim() !== '');
-
-      if (validTokens.length === 0) {
-        console.log('No valid FCM tokens found for group members');
-        return null;
-      }
-
       // Log detailed information for debugging
-      console.log(`Sending group message notification to ${validTokens.length} members of group ${groupId}`);
+      console.log(`Sending group message notification to ${memberIds.length} members of group ${groupId}`);
       console.log('Group name:', group.name);
       console.log('Sender:', sender.full_name || sender.username);
       console.log('Message preview:', message.substring(0, 30) + (message.length > 30 ? '...' : ''));
       console.log('Notification data:', JSON.stringify(data));
 
-      // Try sending to each member individually for better reliability
-      const results = [];
-      let successCount = 0;
-
-      for (const token of validTokens) {
-        try {
-          console.log(`Sending notification to token: ${token.substring(0, 10)}...`);
-          const result = await firebase.sendFCMMessage(token, notification, data);
-          if (result) {
-            successCount++;
-            results.push(result);
-          }
-        } catch (error) {
-          console.error(`Error sending notification to token ${token.substring(0, 10)}...`, error.message);
-        }
-      }
-
-      console.log(`Successfully sent ${successCount} out of ${validTokens.length} group notifications`);
-
-      return results.length > 0 ? results : null;
+      return await this._deliver(memberIds, notification, data, { inbox: false, groupId });
     } catch (error) {
       console.error('Error sending group message notification:', error);
-      return null;
+      throw error;
     }
   }
 
   /**
-   * Send a booking status update notification
+   * Send a booking status update notification, to every member of the group for group bookings
    * @param {number} bookingId - ID of the booking
-   * @param {string} status - New status of the booking (confirmed, cancelled)
+   * @param {string} status - New status of the booking (confirmed, cancelled), or rescheduled when the venue moved it
    * @returns {Promise} - Promise that resolves when notification is sent
    */
   async sendBookingStatusNotification(bookingId, status) {
@@ -370,71 +416,321 @@ class NotificationService {
 
       const booking = bookingResult[0];
       const userId = booking.user_id;
-      const venueName = booking.venue_name || 'the venue';
+      const venueName = booking.venue_name || '';
 
-      // Get user's FCM token
-      const [tokenResult] = await db.execute(
-        'SELECT fcm_token FROM user_fcm_tokens WHERE user_id = ? AND fcm_token IS NOT NULL',
-        [userId]
+      // Format booking date and time for display
+      const bookingDate = booking.booking_date ? new Date(booking.booking_date).toISOString().split('T')[0] : '';
+      const bookingTime = booking.booking_time || '';
+
+      // Create appropriate message based on status
+      const keys = { confirmed: 'bookingConfirmed', cancelled: 'bookingCancelled', rescheduled: 'bookingRescheduled' };
+      const notification = {
+        key: keys[status] || 'bookingUpdated',
+        params: { venue: venueName || { t: 'theVenue' }, date: bookingDate, time: bookingTime }
+      };
+
+      const data = {
+        type: 'reservation',
+        bookingId: booking.id.toString(),
+        venueId: booking.venue_id.toString(),
+        venueName: venueName || 'the venue',
+        venueImage: booking.venue_image || '',
+        status: status,
+        date: bookingDate,
+        time: bookingTime,
+        guestCount: booking.guest_count ? booking.guest_count.toString() : '1',
+        createdAt: new Date().toISOString()
+      };
+
+      const recipients = booking.group_id ? await groupBookingService.getMemberIds(db, booking.group_id) : [userId];
+
+      console.log('Sending FCM booking notification with data:', JSON.stringify(data));
+      return await this._deliver(recipients, notification, data);
+    } catch (error) {
+      console.error('Error sending booking status notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remind a user of a confirmed booking, or the members who are in for group bookings
+   * @param {number} bookingId - ID of the booking
+   * @param {number} minutesBefore - How long before the booking the reminder is for
+   * @returns {Promise} - Promise that resolves when the reminder is sent
+   */
+  async sendBookingReminderNotification(bookingId, minutesBefore) {
+    try {
+      console.log(`Sending ${minutesBefore} minute reminder for booking ${bookingId}`);
+
+      const [bookingResult] = await db.execute(
+        `SELECT b.id, b.user_id, b.group_id, b.venue_id, b.status, b.guest_count,
+                DATE_FORMAT(b.booking_date, '%Y-%m-%d') as booking_date,
+                TIME_FORMAT(b.booking_time, '%H:%i') as booking_time,
+                v.name as venue_name, v.image as venue_image
+         FROM venue_bookings b
+         JOIN venues v ON b.venue_id = v.id
+         WHERE b.id = ?`,
+        [bookingId]
       );
 
-      if (tokenResult.length === 0) {
-        console.log('No FCM token found for user:', userId);
+      // The booking may have been cancelled since the reminder was queued
+      if (bookingResult.length === 0 || bookingResult[0].status !== 'confirmed') {
+        console.log(`Booking ${bookingId} is no longer confirmed, skipping reminder`);
         return null;
       }
 
-      // Check if token is valid
-      const token = tokenResult[0].fcm_token;
-      if (!token || token.trim() === '') {
-        console.log('Empty FCM token found for user:', userId);
+      const booking = bookingResult[0];
+      const venueName = booking.venue_name || '';
+
+      const notification = {
+        key: 'bookingReminder',
+        params: {
+          venue: venueName || { t: 'theVenue' },
+          guests: booking.guest_count || 1,
+          date: booking.booking_date,
+          time: booking.booking_time
+        }
+      };
+
+      const data = {
+        type: 'bookingReminder',
+        bookingId: booking.id.toString(),
+        venueId: booking.venue_id.toString(),
+        venueName: venueName || 'the venue',
+        venueImage: booking.venue_image || '',
+        date: booking.booking_date,
+        time: booking.booking_time,
+        guestCount: booking.guest_count ? booking.guest_count.toString() : '1',
+        minutesBefore: minutesBefore.toString(),
+        createdAt: new Date().toISOString()
+      };
+
+      const recipients = booking.group_id ? await groupBookingService.getAttendeeIds(db, booking.id) : [booking.user_id];
+
+      return await this._deliver(recipients, notification, data);
+    } catch (error) {
+      console.error('Error sending booking reminder notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ask the members of a group to RSVP to a booking made for it
+   * @param {number} bookingId - ID of the group booking
+   * @returns {Promise} - Promise that resolves when notification is sent
+   */
+  async sendGroupBookingNotification(bookingId) {
+    try {
+      console.log(`Sending group booking notification for booking ${bookingId}`);
+
+      const [bookingResult] = await db.execute(
+        `SELECT b.id, b.user_id, b.group_id, b.venue_id,
+                DATE_FORMAT(b.booking_date, '%Y-%m-%d') as booking_date,
+                TIME_FORMAT(b.booking_time, '%H:%i') as booking_time,
+                v.name as venue_name, v.image as venue_image,
+                g.name as group_name, u.username, u.full_name
+         FROM venue_bookings b
+         JOIN venues v ON b.venue_id = v.id
+         JOIN chat_groups g ON b.group_id = g.id
+         JOIN users u ON b.user_id = u.id
+         WHERE b.id = ?`,
+        [bookingId]
+      );
+
+      if (bookingResult.length === 0) {
+        console.error('Group booking not found:', bookingId);
         return null;
       }
 
-      // Create appropriate message based on status
-      let title = 'Booking Update';
-      let body = '';
-
-      if (status === 'confirmed') {
-        body = `Your booking for ${venueName} has been confirmed`;
-      } else if (status === 'cancelled') {
-        body = `Your booking for ${venueName} has been cancelled`;
-      } else {
-        body = `Your booking for ${venueName} has been updated`;
+      const booking = bookingResult[0];
+      const venueName = booking.venue_name || '';
+
+      // The organizer already RSVP'd in when making the booking
+      const memberIds = (await groupBookingService.getMemberIds(db, booking.group_id))
+        .filter(id => id !== booking.user_id);
+      if (memberIds.length === 0) {
+        return null;
       }
 
-      // Prepare notification
       const notification = {
-        title,
-        body
+        key: 'groupBooking',
+        params: {
+          user: booking.full_name || booking.username || { t: 'someone' },
+          venue: venueName || { t: 'theVenue' },
+          group: booking.group_name,
+          date: booking.booking_date,
+          time: booking.booking_time
+        }
       };
 
-      // Format booking date and time for display
-      const bookingDate = booking.booking_date ? new Date(booking.booking_date).toISOString().split('T')[0] : '';
-      const bookingTime = booking.booking_time || '';
-
       const data = {
-        type: 'reservation',
+        type: 'groupBooking',
         bookingId: booking.id.toString(),
+        groupId: booking.group_id.toString(),
+        groupName: booking.group_name,
         venueId: booking.venue_id.toString(),
-        venueName: venueName,
+        venueName: venueName || 'the venue',
         venueImage: booking.venue_image || '',
-        status: status,
-        date: bookingDate,
-        time: bookingTime,
-        guestCount: booking.guest_count ? booking.guest_count.toString() : '1',
+        date: booking.booking_date,
+        time: booking.booking_time,
         createdAt: new Date().toISOString()
       };
 
-      console.log('Sending FCM booking notification with data:', JSON.stringify(data));
-      return await firebase.sendFCMMessage(token, notification, data);
+      return await this._deliver(memberIds, notification, data);
     } catch (error) {
-      console.error('Error sending booking status notification:', error);
+      console.error('Error sending group booking notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Offer freed seats to a waitlisted user
+   * @param {number} entryId - ID of the waitlist entry
+   * @returns {Promise} - Promise that resolves when the offer is sent
+   */
+  async sendWaitlistOfferNotification(entryId) {
+    try {
+      console.log(`Sending waitlist offer for entry ${entryId}`);
+
+      const [entryResult] = await db.execute(
+        `SELECT w.id, w.user_id, w.venue_id, w.guest_count, w.status, w.offer_expires_at,
+                TIMESTAMPDIFF(SECOND, NOW(), w.offer_expires_at) as seconds_left,
+                DATE_FORMAT(w.booking_date, '%Y-%m-%d') as booking_date,
+                TIME_FORMAT(w.booking_time, '%H:%i') as booking_time,
+                v.name as venue_name, v.image as venue_image
+         FROM booking_waitlist w
+         JOIN venues v ON w.venue_id = v.id
+         WHERE w.id = ?`,
+        [entryId]
+      );
+
+      // The offer may have been claimed, passed on or run out since it was queued
+      if (entryResult.length === 0 || entryResult[0].status !== 'offered' || entryResult[0].seconds_left <= 0) {
+        console.log(`Waitlist entry ${entryId} no longer has an open offer, skipping notification`);
+        return null;
+      }
+
+      const entry = entryResult[0];
+      const venueName = entry.venue_name || '';
+
+      const notification = {
+        key: 'waitlistOffer',
+        params: {
+          venue: venueName || { t: 'theVenue' },
+          guests: entry.guest_count,
+          date: entry.booking_date,
+          time: entry.booking_time,
+          minutes: Math.ceil(entry.seconds_left / 60)
+        }
+      };
+
+      const data = {
+        type: 'waitlistOffer',
+        waitlistId: entry.id.toString(),
+        venueId: entry.venue_id.toString(),
+        venueName: venueName || 'the venue',
+        venueImage: entry.venue_image || '',
+        date: entry.booking_date,
+        time: entry.booking_time,
+        guestCount: entry.guest_count.toString(),
+        expiresAt: new Date(entry.offer_expires_at).toISOString(),
+        createdAt: new Date().toISOString()
+      };
+
+      return await this._deliver([entry.user_id], notification, data);
+    } catch (error) {
+      console.error('Error sending waitlist offer notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remind users of an event occurrence they are interested in
+   * @param {number} eventId - ID of the event
+   * @param {string} occurrenceDate - Date of the occurrence ("YYYY-MM-DD")
+   * @param {number} minutesBefore - How long before the event the reminder is for
+   * @param {Array<number>} userIds - IDs of the users to remind
+   * @returns {Promise} - Promise that resolves when the reminder is sent
+   */
+  async sendEventReminderNotification(eventId, occurrenceDate, minutesBefore, userIds) {
+    try {
+      console.log(`Sending ${minutesBefore} minute reminder for event ${eventId} on ${occurrenceDate}`);
+
+      const [eventResult] = await db.execute(
+        `SELECT e.id, e.name, e.status, e.venue, e.venue_id, e.custom_location, e.image,
+                TIME_FORMAT(COALESCE(x.starting_time, e.starting_time, TIME(e.event_date)), '%H:%i') as starting_time,
+                COALESCE(x.name, e.name) as occurrence_name, x.status as occurrence_status
+         FROM events e
+         LEFT JOIN event_occurrence_exceptions x ON x.event_id = e.id AND x.occurrence_date = ?
+         WHERE e.id = ?`,
+        [occurrenceDate, eventId]
+      );
+
+      // The event or this occurrence may have been cancelled since the reminder was queued
+      if (eventResult.length === 0 || eventResult[0].status !== 'scheduled' ||
+        (eventResult[0].occurrence_status && eventResult[0].occurrence_status !== 'scheduled')) {
+        console.log(`Event ${eventId} on ${occurrenceDate} is no longer scheduled, skipping reminder`);
+        return null;
+      }
+
+      const event = eventResult[0];
+
+      // Only users who are still interested
+      const attendeeIds = await this.getEventAttendeeIds(eventId, occurrenceDate);
+      const recipientIds = userIds.map(Number).filter(id => attendeeIds.includes(id));
+
+      const notification = {
+        key: 'eventReminder',
+        params: { name: event.occurrence_name, date: occurrenceDate, time: event.starting_time }
+      };
+
+      const data = {
+        type: 'eventReminder',
+        eventId: event.id.toString(),
+        name: event.occurrence_name || '',
+        venue: event.venue || event.custom_location || '',
+        venueId: event.venue_id ? event.venue_id.toString() : '',
+        image: event.image || '',
+        occurrenceDate: occurrenceDate,
+        startingTime: event.starting_time || '',
+        minutesBefore: minutesBefore.toString(),
+        createdAt: new Date().toISOString()
+      };
+
+      return await this._sendEventNotificationToUsers(recipientIds, notification, data);
+    } catch (error) {
+      console.error('Error sending event reminder notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Announce a new venue or event to its targeted audience, leaving out users
+   * who switched the type off or already reached their daily announcement cap
+   * @param {Array<number>} audience - IDs of the targeted users
+   * @param {string} type - "event" or "venue"
+   * @param {number} targetId - ID of the event or venue
+   * @param {object} notification - { key, params } of the notification template
+   * @param {object} data - Notification data payload
+   * @returns {Promise<object>} - Result per channel, or null if nobody was left to announce to
+   */
+  async _announce(audience, type, targetId, notification, data) {
+    // Users who switched the type off must not use up their daily cap
+    const { inbox } = await notificationPreferenceService.getRecipients(audience, data.type);
+    const recipients = await announcementService.applyDailyCap(inbox, type, targetId);
+
+    if (recipients.length === 0) {
+      console.log(`No users to announce ${type} ${targetId} to`);
       return null;
     }
+
+    console.log(`Announcing ${type} ${targetId} to ${recipients.length} of ${audience.length} targeted users`);
+
+    return await this._deliver(recipients, notification, data);
   }
 
   /**
-   * Send notification about a new event to all users
+   * Announce a new event to the users it is relevant to
    * @param {number} eventId - ID of the newly created event
    * @returns {Promise} - Promise that resolves when notifications are sent
    */
@@ -444,7 +740,7 @@ class NotificationService {
 
       // Get event details
       const [eventResult] = await db.execute(
-        `SELECT e.*, v.name as venue_name, v.location as venue_location
+        `SELECT e.*, v.name as venue_name, v.location as venue_location, v.type as venue_type
          FROM events e
          LEFT JOIN venues v ON e.venue_id = v.id
          WHERE e.id = ?`,
@@ -459,23 +755,16 @@ class NotificationService {
       const event = eventResult[0];
 
       // Format event name and location for the notification
-      const eventName = event.name || 'New Event';
-      const eventLocation = event.venue || event.custom_location || event.venue_location || 'Unknown location';
-
-      // Get FCM tokens for all active users
-      const [tokenResults] = await db.execute(
-        'SELECT user_id, fcm_token FROM user_fcm_tokens WHERE fcm_token IS NOT NULL AND fcm_token != ""'
-      );
-
-      if (tokenResults.length === 0) {
-        console.log('No valid FCM tokens found for users');
-        return null;
-      }
+      const eventName = event.name || '';
+      const eventLocation = event.venue || event.custom_location || event.venue_location || '';
 
       // Prepare notification
       const notification = {
-        title: 'New Event',
-        body: `${eventName} has been added at ${eventLocation}`
+        key: 'newEvent',
+        params: {
+          name: eventName || { t: 'newEvent' },
+          location: eventLocation || { t: 'unknownLocation' }
+        }
       };
 
       // Format event date and time for display
@@ -485,7 +774,7 @@ class NotificationService {
       const data = {
         type: 'event',
         eventId: event.id.toString(),
-        name: eventName,
+        name: eventName || 'New Event',
         description: event.description || '',
         venue: event.venue || '',
         venueId: event.venue_id ? event.venue_id.toString() : '',
@@ -499,61 +788,158 @@ class NotificationService {
         createdAt: new Date().toISOString()
       };
 
-      // Filter out invalid tokens
-      const validTokens = tokenResults
-        .map(token => token.fcm_token)
-        .filter(token => token && token.trim() !== '');
+      const audience = await announcementService.getEventAudience(event);
+      return await this._announce(audience, 'event', event.id, notification, data);
+    } catch (error) {
+      console.error('Error sending new event notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the IDs of the users interested in or going to an event
+   * @param {number} eventId - ID of the event
+   * @param {string} occurrenceDate - Only users interested in this occurrence ("YYYY-MM-DD"), or null for all
+   * @returns {Promise<Array<number>>} - User IDs
+   */
+  async getEventAttendeeIds(eventId, occurrenceDate = null) {
+    const [rows] = occurrenceDate
+      ? await db.execute(
+        "SELECT user_id FROM event_interests WHERE event_id = ? AND occurrence_date = ? AND status != 'not_going'",
+        [eventId, occurrenceDate]
+      )
+      : await db.execute(
+        "SELECT DISTINCT user_id FROM event_interests WHERE event_id = ? AND status != 'not_going'",
+        [eventId]
+      );
+    return rows.map(row => row.user_id);
+  }
 
-      if (validTokens.length === 0) {
-        console.log('No valid FCM tokens found');
+  /**
+   * Send an event notification to a list of users
+   * @param {Array<number>} userIds - IDs of the users to notify
+   * @param {object} notification - { key, params } of the notification template
+   * @param {object} data - Notification data payload
+   * @returns {Promise} - Promise that resolves when notifications are sent
+   */
+  async _sendEventNotificationToUsers(userIds, notification, data) {
+    if (userIds.length === 0) {
+      console.log(`No interested users to notify for event ${data.eventId}`);
+      return null;
+    }
+
+    console.log(`Sending ${data.type} notification for event ${data.eventId} to ${userIds.length} users`);
+
+    return await this._deliver(userIds, notification, data);
+  }
+
+  /**
+   * Notify users interested in an event that it has changed
+   * @param {number} eventId - ID of the updated event
+   * @param {Array<string>} changedFields - Names of the fields that changed
+   * @param {string} occurrenceDate - Date of the single occurrence that changed, or null for the whole event
+   * @returns {Promise} - Promise that resolves when notifications are sent
+   */
+  async sendEventUpdatedNotification(eventId, changedFields = [], occurrenceDate = null) {
+    try {
+      console.log(`Sending event updated notification for event ${eventId}`);
+
+      const [eventResult] = await db.execute('SELECT * FROM events WHERE id = ?', [eventId]);
+
+      if (eventResult.length === 0) {
+        console.error('Event not found:', eventId);
         return null;
       }
 
-      console.log(`Sending FCM event notification for "${eventName}" to ${validTokens.length} devices`);
+      const event = eventResult[0];
+      const userIds = await this.getEventAttendeeIds(eventId, occurrenceDate);
+
+      // Mention what changed when it's the date, time or place
+      let key = 'eventUpdated';
+      if (changedFields.some(field => ['event_date', 'starting_time'].includes(field))) {
+        key = 'eventRescheduled';
+      } else if (changedFields.some(field => ['venue', 'custom_location', 'latitude', 'longitude'].includes(field))) {
+        key = 'eventMoved';
+      }
 
-      // For safety, limit the number of tokens in development/testing
-      // Remove this limitation in production
-      const maxTokens = 50; // Adjust based on your needs
-      const limitedTokens = validTokens.slice(0, maxTokens);
+      const notification = {
+        key,
+        params: { name: event.name }
+      };
 
-      if (validTokens.length > maxTokens) {
-        console.log(`Limiting notification to ${maxTokens} tokens for safety (out of ${validTokens.length} total)`);
-      }
+      const data = {
+        type: 'eventUpdated',
+        eventId: event.id.toString(),
+        name: event.name || '',
+        changedFields: changedFields.join(','),
+        occurrenceDate: occurrenceDate || '',
+        eventDate: event.event_date ? new Date(event.event_date).toISOString().split('T')[0] : '',
+        startingTime: event.starting_time || '',
+        createdAt: new Date().toISOString()
+      };
 
-      // Send notifications to users with valid FCM tokens
-      try {
-        const result = await firebase.sendFCMMessageToMultipleDevices(limitedTokens, notification, data);
-        if (result) {
-          console.log(`Successfully sent event notification for event ${eventId}`);
-          return result;
-        } else {
-          console.log(`No response from FCM for event ${eventId}`);
+      return await this._sendEventNotificationToUsers(userIds, notification, data);
+    } catch (error) {
+      console.error('Error sending event updated notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify users interested in an event that it has been cancelled.
+   * When the event is being deleted, pass the event and user IDs captured
+   * before the delete because they are gone by the time this runs.
+   * @param {number} eventId - ID of the cancelled event
+   * @param {object} options - Optional { event, userIds, occurrenceDate, deleted }
+   * @returns {Promise} - Promise that resolves when notifications are sent
+   */
+  async sendEventCancelledNotification(eventId, options = {}) {
+    try {
+      console.log(`Sending event cancelled notification for event ${eventId}`);
+
+      const occurrenceDate = options.occurrenceDate || null;
+      let event = options.event || null;
+      let userIds = options.userIds || null;
+
+      if (!event) {
+        const [eventResult] = await db.execute('SELECT * FROM events WHERE id = ?', [eventId]);
+
+        if (eventResult.length === 0) {
+          console.error('Event not found:', eventId);
           return null;
         }
-      } catch (fcmError) {
-        console.error(`FCM error for event ${eventId}:`, fcmError);
-
-        // Try sending to a single test device as fallback
-        if (limitedTokens.length > 0) {
-          try {
-            console.log('Attempting to send to a single device as fallback');
-            const singleResult = await firebase.sendFCMMessage(limitedTokens[0], notification, data);
-            return singleResult ? [singleResult] : null;
-          } catch (singleError) {
-            console.error('Single device fallback also failed:', singleError);
-            return null;
-          }
-        }
-        return null;
+
+        event = eventResult[0];
+      }
+
+      if (!userIds) {
+        userIds = await this.getEventAttendeeIds(eventId, occurrenceDate);
       }
+
+      const notification = {
+        key: 'eventCancelled',
+        params: { name: event.name, date: occurrenceDate, reason: event.cancellation_reason }
+      };
+
+      const data = {
+        type: 'eventCancelled',
+        eventId: eventId.toString(),
+        name: event.name || '',
+        reason: event.cancellation_reason || '',
+        occurrenceDate: occurrenceDate || '',
+        deleted: options.deleted ? 'true' : 'false',
+        createdAt: new Date().toISOString()
+      };
+
+      return await this._sendEventNotificationToUsers(userIds, notification, data);
     } catch (error) {
-      console.error('Error sending new event notification:', error);
-      return null;
+      console.error('Error sending event cancelled notification:', error);
+      throw error;
     }
   }
 
   /**
-   * Send notification about a new venue to all users
+   * Announce a new venue to the users it is relevant to
    * @param {number} venueId - ID of the newly created venue
    * @returns {Promise} - Promise that resolves when notifications are sent
    */
@@ -575,33 +961,27 @@ class NotificationService {
       const venue = venueResult[0];
 
       // Format venue name and location for the notification
-      const venueName = venue.name || 'New Venue';
-      const venueLocation = venue.location || 'Unknown location';
+      const venueName = venue.name || '';
+      const venueLocation = venue.location || '';
       const venueType = venue.type || '';
 
-      // Get FCM tokens for all active users
-      const [tokenResults] = await db.execute(
-        'SELECT user_id, fcm_token FROM user_fcm_tokens WHERE fcm_token IS NOT NULL AND fcm_token != ""'
-      );
-
-      if (tokenResults.length === 0) {
-        console.log('No valid FCM tokens found for users');
-        return null;
-      }
-
       // Prepare notification
       const notification = {
-        title: 'New Venue',
-        body: `${venueName} (${venueType}) has been added at ${venueLocation}`
+        key: 'newVenue',
+        params: {
+          name: venueName || { t: 'newVenue' },
+          type: venueType,
+          location: venueLocation || { t: 'unknownLocation' }
+        }
       };
 
       const data = {
         type: 'venue',
         venueId: venue.id.toString(),
-        name: venueName,
+        name: venue.name || 'New Venue',
         description: venue.description || '',
-        location: venueLocation,
-        type: venueType,
+        location: venueLocation || 'Unknown location',
+        venueType: venueType,
         premium: venue.premium ? '1' : '0',
         image: venue.image || '',
         images: venue.images || '',
@@ -612,56 +992,11 @@ class NotificationService {
         createdAt: new Date().toISOString()
       };
 
-      // Filter out invalid tokens
-      const validTokens = tokenResults
-        .map(token => token.fcm_token)
-        .filter(token => token && token.trim() !== '');
-
-      if (validTokens.length === 0) {
-        console.log('No valid FCM tokens found');
-        return null;
-      }
-
-      console.log(`Sending FCM venue notification for "${venueName}" to ${validTokens.length} devices`);
-
-      // For safety, limit the number of tokens in development/testing
-      // Remove this limitation in production
-      const maxTokens = 50; // Adjust based on your needs
-      const limitedTokens = validTokens.slice(0, maxTokens);
-
-      if (validTokens.length > maxTokens) {
-        console.log(`Limiting notification to ${maxTokens} tokens for safety (out of ${validTokens.length} total)`);
-      }
-
-      // Send notifications to users with valid FCM tokens
-      try {
-        const result = await firebase.sendFCMMessageToMultipleDevices(limitedTokens, notification, data);
-        if (result) {
-          console.log(`Successfully sent venue notification for venue ${venueId}`);
-          return result;
-        } else {
-          console.log(`No response from FCM for venue ${venueId}`);
-          return null;
-        }
-      } catch (fcmError) {
-        console.error(`FCM error for venue ${venueId}:`, fcmError);
-
-        // Try sending to a single test device as fallback
-        if (limitedTokens.length > 0) {
-          try {
-            console.log('Attempting to send to a single device as fallback');
-            const singleResult = await firebase.sendFCMMessage(limitedTokens[0], notification, data);
-            return singleResult ? [singleResult] : null;
-          } catch (singleError) {
-            console.error('Single device fallback also failed:', singleError);
-            return null;
-          }
-        }
-        return null;
-      }
+      const audience = await announcementService.getVenueAudience(venue);
+      return await this._announce(audience, 'venue', venue.id, notification, data);
     } catch (error) {
       console.error('Error sending new venue notification:', error);
-      return null;
+      throw error;
     }
   }
 
@@ -673,84 +1008,95 @@ class NotificationService {
   async sendNewBookingNotification(bookingId) {
     try {
       console.log(`Sending new booking notification for booking ${bookingId}`);
+      return await this._sendVenueOwnerBookingNotification(bookingId, 'newBooking');
+    } catch (error) {
+      console.error('Error sending new booking notification:', error);
+      throw error;
+    }
+  }
 
-      // Get booking details with venue, venue owner, and user information
-      const [bookingResult] = await db.execute(
-        `SELECT b.*, v.name as venue_name, v.user_id as venue_owner_id,
-                u.id as user_id, u.username as user_username, u.full_name as user_full_name
-         FROM venue_bookings b
-         JOIN venues v ON b.venue_id = v.id
-         JOIN users u ON b.user_id = u.id
-         WHERE b.id = ?`,
-        [bookingId]
-      );
-
-      if (bookingResult.length === 0) {
-        console.error('Booking not found:', bookingId);
-        return null;
-      }
-
-      const booking = bookingResult[0];
-      const venueOwnerId = booking.venue_owner_id;
-      const venueName = booking.venue_name || 'your venue';
-      const userName = booking.user_full_name || booking.user_username || 'Someone';
-
-      // If there's no venue owner ID, we can't send a notification
-      if (!venueOwnerId) {
-        console.log('No venue owner found for venue:', booking.venue_id);
-        return null;
-      }
-
-      // Get venue owner's FCM token
-      const [tokenResult] = await db.execute(
-        'SELECT fcm_token FROM user_fcm_tokens WHERE user_id = ? AND fcm_token IS NOT NULL',
-        [venueOwnerId]
-      );
-
-      if (tokenResult.length === 0) {
-        console.log('No FCM token found for venue owner:', venueOwnerId);
-        return null;
-      }
-
-      // Check if token is valid
-      const token = tokenResult[0].fcm_token;
-      if (!token || token.trim() === '') {
-        console.log('Empty FCM token found for venue owner:', venueOwnerId);
-        return null;
-      }
-
-      // Format booking date and time for display
-      const bookingDate = booking.booking_date ? new Date(booking.booking_date).toISOString().split('T')[0] : '';
-      const bookingTime = booking.booking_time || '';
-      const formattedDate = bookingDate + (bookingTime ? ` at ${bookingTime}` : '');
+  /**
+   * Tell the venue owner that the booker changed the date, time or guest count of a booking
+   * @param {number} bookingId - ID of the changed booking
+   * @returns {Promise} - Promise that resolves when notification is sent
+   */
+  async sendBookingChangedNotification(bookingId) {
+    try {
+      console.log(`Sending booking changed notification for booking ${bookingId}`);
+      return await this._sendVenueOwnerBookingNotification(bookingId, 'bookingChanged');
+    } catch (error) {
+      console.error('Error sending booking changed notification:', error);
+      throw error;
+    }
+  }
 
-      // Prepare notification
-      const notification = {
-        title: 'New Booking',
-        body: `${userName} made a booking at ${venueName} for ${formattedDate}`
-      };
+  /**
+   * Send a booking's details to the owner of its venue
+   * @param {number} bookingId - ID of the booking
+   * @param {string} type - Notification type and template key ("newBooking" or "bookingChanged")
+   * @returns {Promise} - Promise that resolves when notification is sent
+   */
+  async _sendVenueOwnerBookingNotification(bookingId, type) {
+    // Get booking details with venue, venue owner, and user information
+    const [bookingResult] = await db.execute(
+      `SELECT b.*, v.name as venue_name, v.user_id as venue_owner_id,
+              u.id as user_id, u.username as user_username, u.full_name as user_full_name
+       FROM venue_bookings b
+       JOIN venues v ON b.venue_id = v.id
+       JOIN users u ON b.user_id = u.id
+       WHERE b.id = ?`,
+      [bookingId]
+    );
+
+    if (bookingResult.length === 0) {
+      console.error('Booking not found:', bookingId);
+      return null;
+    }
 
-      const data = {
-        type: 'newBooking',
-        bookingId: booking.id.toString(),
-        venueId: booking.venue_id.toString(),
-        venueName: venueName,
-        userId: booking.user_id.toString(),
-        userName: userName,
-        bookingDate: bookingDate,
-        bookingTime: bookingTime,
-        guestCount: booking.guest_count ? booking.guest_count.toString() : '1',
-        note: booking.note || '',
-        status: booking.status || 'pending',
-        createdAt: new Date().toISOString()
-      };
+    const booking = bookingResult[0];
+    const venueOwnerId = booking.venue_owner_id;
+    const venueName = booking.venue_name || '';
+    const userName = booking.user_full_name || booking.user_username || '';
 
-      console.log('Sending FCM new booking notification with data:', JSON.stringify(data));
-      return await firebase.sendFCMMessage(token, notification, data);
-    } catch (error) {
-      console.error('Error sending new booking notification:', error);
+    // If there's no venue owner ID, we can't send a notification
+    if (!venueOwnerId) {
+      console.log('No venue owner found for venue:', booking.venue_id);
       return null;
     }
+
+    // Format booking date and time for display
+    const bookingDate = booking.booking_date ? new Date(booking.booking_date).toISOString().split('T')[0] : '';
+    const bookingTime = booking.booking_time || '';
+
+    // Prepare notification
+    const notification = {
+      key: type,
+      params: {
+        user: userName || { t: 'someone' },
+        venue: venueName || { t: 'yourVenue' },
+        guests: booking.guest_count || 1,
+        date: bookingDate,
+        time: bookingTime
+      }
+    };
+
+    const data = {
+      type,
+      bookingId: booking.id.toString(),
+      venueId: booking.venue_id.toString(),
+      venueName: venueName || 'your venue',
+      userId: booking.user_id.toString(),
+      userName: userName || 'Someone',
+      bookingDate: bookingDate,
+      bookingTime: bookingTime,
+      guestCount: booking.guest_count ? booking.guest_count.toString() : '1',
+      note: booking.note || '',
+      status: booking.status || 'pending',
+      createdAt: new Date().toISOString()
+    };
+
+    console.log(`Sending FCM ${type} notification with data:`, JSON.stringify(data));
+    return await this._deliver([venueOwnerId], notification, data);
   }
 
   /**
@@ -758,9 +1104,10 @@ class NotificationService {
    * @param {number} groupId - ID of the group
    * @param {number} userId - ID of the user who was added
    * @param {number} addedByUserId - ID of the user who added them (optional)
+   * @param {object} options - { push: false } to only store the inbox copy (e.g. the user already got it over WebSocket)
    * @returns {Promise} - Promise that resolves when notification is sent
    */
-  async sendAddedToGroupNotification(groupId, userId, addedByUserId = null) {
+  async sendAddedToGroupNotification(groupId, userId, addedByUserId = null, { push = true } = {}) {
     try {
       console.log(`Sending 'added to group' notification to user ${userId} for group ${groupId}`);
 
@@ -777,26 +1124,8 @@ class NotificationService {
 
       const group = groupResult[0];
 
-      // Get user's FCM token
-      const [tokenResult] = await db.execute(
-        'SELECT fcm_token FROM user_fcm_tokens WHERE user_id = ? AND fcm_token IS NOT NULL',
-        [userId]
-      );
-
-      if (tokenResult.length === 0) {
-        console.log('No FCM token found for user:', userId);
-        return null;
-      }
-
-      // Check if token is valid
-      const token = tokenResult[0].fcm_token;
-      if (!token || token.trim() === '') {
-        console.log('Empty FCM token found for user:', userId);
-        return null;
-      }
-
       // Get information about who added the user (if provided)
-      let addedByText = 'You were';
+      let adder = null;
       let addedByName = 'Someone';
       if (addedByUserId) {
         const [adderResult] = await db.execute(
@@ -805,15 +1134,15 @@ class NotificationService {
         );
 
         if (adderResult.length > 0) {
+          adder = adderResult[0].full_name || adderResult[0].username || { t: 'someone' };
           addedByName = adderResult[0].full_name || adderResult[0].username || 'Someone';
-          addedByText = `${addedByName} added you`;
         }
       }
 
       // Prepare notification
       const notification = {
-        title: 'Added to Group',
-        body: `${addedByText} to the group "${group.name}"`
+        key: 'addedToGroup',
+        params: { adder, group: group.name }
       };
 
       const data = {
@@ -828,23 +1157,14 @@ class NotificationService {
       };
 
       // Log detailed information for debugging
-      console.log(`Sending 'added to group' notification to user ${userId} for group ${groupId}`);
       console.log('Group name:', group.name);
       console.log('Added by:', addedByUserId ? 'User ID ' + addedByUserId : 'Unknown');
       console.log('Notification data:', JSON.stringify(data));
 
-      try {
-        console.log(`Sending notification to token: ${token.substring(0, 10)}...`);
-        const result = await firebase.sendFCMMessage(token, notification, data);
-        console.log('FCM response:', result ? 'Success' : 'Failed');
-        return result;
-      } catch (error) {
-        console.error(`Error sending 'added to group' notification to user ${userId}:`, error.message);
-        return null;
-      }
+      return await this._deliver([userId], notification, data, { push });
     } catch (error) {
       console.error('Error sending added to group notification:', error);
-      return null;
+      throw error;
     }
   }
 }
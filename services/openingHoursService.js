@@ -0,0 +1,165 @@
+const db = require('../config/db');
+const { addDays } = require('../utils/time');
+const { DEFAULT_TIMEZONE, getLocalDateTime, isOpenAt, hasSchedule } = require('../utils/openingHours');
+
+/**
+ * Opening Hours Service
+ * Loads and saves the structured weekly schedule and exception dates of
+ * venues, and answers "is this venue open at ..." questions in the venue's
+ * own timezone. Venues without structured hours are treated as unknown
+ * (null) rather than closed.
+ */
+class OpeningHoursService {
+  /**
+   * Load the schedules of several venues
+   * @param {Array<number>} venueIds - IDs of the venues
+   * @param {string} fromDate - First exception date to load ("YYYY-MM-DD")
+   * @param {string} toDate - Last exception date to load ("YYYY-MM-DD")
+   * @param {object} connection - Database connection or pool
+   * @returns {Promise<Map>} - venue ID => { weekly, exceptions }
+   */
+  async loadSchedules(venueIds, fromDate, toDate, connection = db) {
+    const schedules = new Map();
+    venueIds.forEach(id => schedules.set(id, { weekly: [], exceptions: [] }));
+
+    if (venueIds.length === 0) return schedules;
+
+    const placeholders = venueIds.map(() => '?').join(', ');
+
+    const [weekly] = await connection.execute(
+      `SELECT venue_id, day_of_week,
+        TIME_FORMAT(opens_at, '%H:%i') as opens_at,
+        TIME_FORMAT(closes_at, '%H:%i') as closes_at
+       FROM venue_opening_hours
+       WHERE venue_id IN (${placeholders})
+       ORDER BY day_of_week, opens_at`,
+      venueIds
+    );
+
+    const [exceptions] = await connection.execute(
+      `SELECT venue_id, is_closed, note,
+        DATE_FORMAT(exception_date, '%Y-%m-%d') as exception_date,
+        TIME_FORMAT(opens_at, '%H:%i') as opens_at,
+        TIME_FORMAT(closes_at, '%H:%i') as closes_at
+       FROM venue_hours_exceptions
+       WHERE venue_id IN (${placeholders}) AND exception_date BETWEEN ? AND ?
+       ORDER BY exception_date, opens_at`,
+      [...venueIds, fromDate, toDate]
+    );
+
+    weekly.forEach(row => schedules.get(row.venue_id).weekly.push(row));
+    exceptions.forEach(row => schedules.get(row.venue_id).exceptions.push({ ...row, is_closed: !!row.is_closed }));
+
+    return schedules;
+  }
+
+  /**
+   * Get the schedule of a venue for display: the weekly ranges and upcoming exceptions
+   * @param {object} venue - venues row
+   * @returns {Promise<object>} - { timezone, hours, exceptions }
+   */
+  async getSchedule(venue) {
+    const timezone = venue.timezone || DEFAULT_TIMEZONE;
+    const today = getLocalDateTime(new Date(), timezone).date;
+
+    const schedules = await this.loadSchedules([venue.id], addDays(today, -1), '9999-12-31');
+    const schedule = schedules.get(venue.id);
+
+    return {
+      timezone,
+      hours: schedule.weekly.map(({ day_of_week, opens_at, closes_at }) => ({ day_of_week, opens_at, closes_at })),
+      exceptions: schedule.exceptions.map(({ exception_date, is_closed, opens_at, closes_at, note }) => ({
+        date: exception_date, is_closed, opens_at, closes_at, note
+      }))
+    };
+  }
+
+  /**
+   * Check which venues are open at a point in time
+   * @param {Array} venues - venues rows
+   * @param {Date} instant - Point in time
+   * @returns {Promise<Map>} - venue ID => true, false, or null when the venue has no structured hours
+   */
+  async getOpenStatus(venues, instant = new Date()) {
+    const status = new Map();
+    if (venues.length === 0) return status;
+
+    // Each venue has its own local date; load exceptions for every date involved
+    const locals = new Map(venues.map(venue => [venue.id, getLocalDateTime(instant, venue.timezone)]));
+    const dates = [...locals.values()].map(local => local.date).sort();
+
+    const schedules = await this.loadSchedules(
+      venues.map(venue => venue.id),
+      addDays(dates[0], -1),
+      dates[dates.length - 1]
+    );
+
+    for (const venue of venues) {
+      const schedule = schedules.get(venue.id);
+      const local = locals.get(venue.id);
+      status.set(venue.id, hasSchedule(schedule) ? isOpenAt(schedule, local.date, local.minutes) : null);
+    }
+
+    return status;
+  }
+
+  /**
+   * Check if a venue is open at a local date and time (e.g. a booking slot)
+   * @param {object} connection - Database connection or pool
+   * @param {number} venueId - ID of the venue
+   * @param {string} date - Local date ("YYYY-MM-DD")
+   * @param {number} minutes - Local time in minutes since midnight
+   * @returns {Promise<boolean|null>} - null when the venue has no structured hours
+   */
+  async isOpenAtLocal(connection, venueId, date, minutes) {
+    const schedules = await this.loadSchedules([venueId], addDays(date, -1), date, connection);
+    const schedule = schedules.get(venueId);
+
+    return hasSchedule(schedule) ? isOpenAt(schedule, date, minutes) : null;
+  }
+
+  /**
+   * Replace the weekly ranges and exceptions of a venue
+   * @param {number} venueId - ID of the venue
+   * @param {object} schedule - Result of validateSchedule
+   * @param {string} timezone - IANA timezone name, or undefined to keep the current one
+   * @returns {Promise} - Promise that resolves when the schedule is saved
+   */
+  async replaceSchedule(venueId, schedule, timezone) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      if (timezone) {
+        await connection.execute('UPDATE venues SET timezone = ? WHERE id = ?', [timezone, venueId]);
+      }
+
+      await connection.execute('DELETE FROM venue_opening_hours WHERE venue_id = ?', [venueId]);
+      for (const range of schedule.hours) {
+        await connection.execute(
+          'INSERT INTO venue_opening_hours (venue_id, day_of_week, opens_at, closes_at) VALUES (?, ?, ?, ?)',
+          [venueId, range.day_of_week, range.opens_at, range.closes_at]
+        );
+      }
+
+      await connection.execute('DELETE FROM venue_hours_exceptions WHERE venue_id = ?', [venueId]);
+      for (const exception of schedule.exceptions) {
+        await connection.execute(
+          `INSERT INTO venue_hours_exceptions (venue_id, exception_date, is_closed, opens_at, closes_at, note)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [venueId, exception.exception_date, exception.is_closed ? 1 : 0, exception.opens_at, exception.closes_at, exception.note]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = new OpeningHoursService();
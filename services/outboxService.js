@@ -0,0 +1,242 @@
+const db = require('../config/db');
+const notificationService = require('./notificationService');
+
+// Attempts before a job is moved to the dead-letter state
+const DEFAULT_MAX_ATTEMPTS = 6;
+
+// Delay before the first retry; it doubles with every failed attempt up to the maximum
+const BASE_RETRY_DELAY_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+// Jobs left in processing this long (the worker died mid-job) are picked up again
+const STALE_LOCK_MINUTES = 10;
+
+const STATUSES = ['pending', 'processing', 'sent', 'dead'];
+
+/**
+ * Get the delay before the next attempt of a job
+ * @param {number} attempts - Number of attempts made so far
+ * @returns {number} - Delay in seconds
+ */
+const getRetryDelay = (attempts) => Math.min(
+  BASE_RETRY_DELAY_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)),
+  MAX_RETRY_DELAY_SECONDS
+);
+
+/**
+ * Convert a notification_outbox row for the worker and API responses
+ * @param {object} row - notification_outbox row
+ * @returns {object}
+ */
+const formatJob = (row) => {
+  let args = [];
+  try {
+    args = JSON.parse(row.args);
+  } catch (error) {
+    console.error(`Invalid args stored for outbox job ${row.id}:`, error.message);
+  }
+
+  return { ...row, args };
+};
+
+/**
+ * Outbox Service
+ * Notifications are written to the notification_outbox table in the same
+ * transaction as the change that triggers them, so a crash or an FCM
+ * outage can't lose them. The outbox worker delivers them by calling the
+ * named NotificationService method, retrying failures with exponential
+ * backoff until they succeed or run out of attempts ("dead").
+ */
+class OutboxService {
+  /**
+   * Queue a notification
+   * @param {string} method - NotificationService method to call (e.g. "sendNewBookingNotification")
+   * @param {Array} args - Arguments for the method; must survive JSON serialization
+   * @param {object} connection - Connection of the caller's transaction, or the pool when there is none
+   * @returns {Promise<number>} - ID of the outbox job
+   */
+  async enqueue(method, args = [], connection = db) {
+    if (typeof notificationService[method] !== 'function' || method.startsWith('_')) {
+      throw new Error(`Unknown notification method: ${method}`);
+    }
+
+    const [result] = await connection.execute(
+      'INSERT INTO notification_outbox (method, args, max_attempts) VALUES (?, ?, ?)',
+      [method, JSON.stringify(args), DEFAULT_MAX_ATTEMPTS]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Lock a batch of jobs that are due for delivery
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} - Claimed jobs, now in the processing state
+   */
+  async claimDue(limit) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // SKIP LOCKED lets several workers claim batches side by side
+      const [rows] = await connection.execute(
+        `SELECT * FROM notification_outbox
+         WHERE (status = 'pending' AND next_attempt_at <= NOW())
+            OR (status = 'processing' AND locked_at < DATE_SUB(NOW(), INTERVAL ${STALE_LOCK_MINUTES} MINUTE))
+         ORDER BY id
+         LIMIT ${parseInt(limit)}
+         FOR UPDATE SKIP LOCKED`
+      );
+
+      if (rows.length > 0) {
+        const placeholders = rows.map(() => '?').join(',');
+        await connection.execute(
+          `UPDATE notification_outbox SET status = 'processing', locked_at = NOW() WHERE id IN (${placeholders})`,
+          rows.map(row => row.id)
+        );
+      }
+
+      await connection.commit();
+      return rows.map(formatJob);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Mark a job as delivered
+   * @param {number} id - ID of the job
+   * @returns {Promise}
+   */
+  async markSent(id) {
+    await db.execute(
+      `UPDATE notification_outbox
+       SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), locked_at = NULL, last_error = NULL
+       WHERE id = ?`,
+      [id]
+    );
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one, or move the job to the dead-letter state
+   * @param {object} job - Claimed job
+   * @param {Error} error - Error thrown while delivering; error.retry replaces the job's work with what is left to do
+   * @returns {Promise<string>} - New status of the job ("pending" or "dead")
+   */
+  async markFailed(job, error) {
+    const attempts = job.attempts + 1;
+    const dead = attempts >= job.max_attempts;
+    const method = error.retry ? error.retry.method : job.method;
+    const args = error.retry ? error.retry.args : job.args;
+
+    await db.execute(
+      `UPDATE notification_outbox
+       SET status = ?, attempts = ?, method = ?, args = ?, last_error = ?, locked_at = NULL,
+           next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+       WHERE id = ?`,
+      [dead ? 'dead' : 'pending', attempts, method, JSON.stringify(args), error.message, getRetryDelay(attempts), job.id]
+    );
+
+    return dead ? 'dead' : 'pending';
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {object} job - Claimed job
+   * @returns {Promise<string>} - New status of the job
+   */
+  async process(job) {
+    try {
+      if (typeof notificationService[job.method] !== 'function' || job.method.startsWith('_')) {
+        throw new Error(`Unknown notification method: ${job.method}`);
+      }
+
+      await notificationService[job.method](...job.args);
+      await this.markSent(job.id);
+      return 'sent';
+    } catch (error) {
+      const status = await this.markFailed(job, error);
+      console.error(`Outbox job ${job.id} (${job.method}) failed on attempt ${job.attempts + 1}, now ${status}:`, error.message);
+      return status;
+    }
+  }
+
+  /**
+   * List jobs for the admin API, newest first
+   * @param {object} options - { status, limit, offset }
+   * @returns {Promise<object>} - { jobs, totalCount }
+   */
+  async list({ status = null, limit = 20, offset = 0 } = {}) {
+    const where = status ? 'WHERE status = ?' : '';
+    const params = status ? [status] : [];
+
+    const [countResult] = await db.execute(`SELECT COUNT(*) as total FROM notification_outbox ${where}`, params);
+
+    const [rows] = await db.execute(
+      `SELECT * FROM notification_outbox
+       ${where}
+       ORDER BY id DESC
+       LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+      params
+    );
+
+    return {
+      jobs: rows.map(formatJob),
+      totalCount: countResult[0].total
+    };
+  }
+
+  /**
+   * Count jobs per status
+   * @returns {Promise<object>} - { pending, processing, sent, dead }
+   */
+  async getCounts() {
+    const [rows] = await db.execute('SELECT status, COUNT(*) as count FROM notification_outbox GROUP BY status');
+
+    const counts = {};
+    STATUSES.forEach(status => {
+      const row = rows.find(r => r.status === status);
+      counts[status] = row ? row.count : 0;
+    });
+    return counts;
+  }
+
+  /**
+   * Get one job
+   * @param {number} id - ID of the job
+   * @returns {Promise<object|null>}
+   */
+  async getById(id) {
+    const [rows] = await db.execute('SELECT * FROM notification_outbox WHERE id = ?', [id]);
+    return rows.length > 0 ? formatJob(rows[0]) : null;
+  }
+
+  /**
+   * Schedule a dead (or waiting) job for immediate delivery with a fresh set of attempts
+   * @param {number} id - ID of the job
+   * @returns {Promise<boolean>} - false if the job is already sent or being processed
+   */
+  async retry(id) {
+    const [result] = await db.execute(
+      `UPDATE notification_outbox
+       SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_at = NULL
+       WHERE id = ? AND status IN ('pending', 'dead')`,
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Check that a value is a known job status
+   * @param {string} status - Status name
+   * @returns {boolean}
+   */
+  isValidStatus(status) {
+    return STATUSES.includes(status);
+  }
+}
+
+module.exports = new OutboxService();
@@ -0,0 +1,95 @@
+const outboxService = require('./outboxService');
+
+// How often the outbox is polled when it was empty last time
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 2000;
+
+// Jobs claimed per batch
+const BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE) || 20;
+
+/**
+ * Outbox Worker
+ * Polls the notification outbox and delivers due jobs one batch at a
+ * time. Run it as its own process with `npm run worker`, or inside the
+ * API server with RUN_OUTBOX_WORKER=true.
+ */
+class OutboxWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.current = null;
+  }
+
+  /**
+   * Deliver one batch of due jobs
+   * @returns {Promise<object>} - Number of jobs per outcome, e.g. { sent: 3, pending: 1, dead: 0 }
+   */
+  async runOnce() {
+    const jobs = await outboxService.claimDue(BATCH_SIZE);
+    const summary = { sent: 0, pending: 0, dead: 0 };
+
+    for (const job of jobs) {
+      const status = await outboxService.process(job);
+      summary[status]++;
+    }
+
+    if (jobs.length > 0) {
+      console.log(`Outbox batch: ${summary.sent} sent, ${summary.pending} to retry, ${summary.dead} dead`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Start polling the outbox
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      let delay = POLL_INTERVAL_MS;
+
+      try {
+        this.current = this.runOnce();
+        const summary = await this.current;
+
+        // Keep going right away while there is a backlog
+        if (summary.sent + summary.pending + summary.dead >= BATCH_SIZE) {
+          delay = 0;
+        }
+      } catch (error) {
+        console.error('Error processing notification outbox:', error.message);
+      } finally {
+        this.current = null;
+      }
+
+      if (this.running) {
+        this.timer = setTimeout(tick, delay);
+      }
+    };
+
+    console.log(`Outbox worker started (polling every ${POLL_INTERVAL_MS}ms, batches of ${BATCH_SIZE})`);
+    tick();
+  }
+
+  /**
+   * Stop polling and wait for the batch in progress to finish
+   * @returns {Promise}
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.current) {
+      await this.current.catch(() => {});
+    }
+
+    console.log('Outbox worker stopped');
+  }
+}
+
+module.exports = new OutboxWorker();
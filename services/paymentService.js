@@ -0,0 +1,716 @@
+const db = require('../config/db');
+const outboxService = require('./outboxService');
+const bookingService = require('./bookingService');
+const waitlistService = require('./waitlistService');
+const ticketService = require('./ticketService');
+const fakeProvider = require('./payments/fakeProvider');
+
+// Payment providers by name. Each one creates payment intents, refunds
+// payments and verifies the webhooks it sends; see fakeProvider for the interface.
+const PROVIDERS = {
+  fake: fakeProvider
+};
+
+const PROVIDER_NAME = process.env.PAYMENT_PROVIDER || 'fake';
+const CURRENCY = (process.env.PAYMENT_CURRENCY || 'MKD').toUpperCase();
+
+// Bookings whose deposit isn't paid in time are cancelled, giving their seats back
+const DEPOSIT_TIMEOUT_MINUTES = parseInt(process.env.DEPOSIT_TIMEOUT_MINUTES) || 30;
+
+// Longest refund cutoff a venue can set
+const MAX_REFUND_CUTOFF_MINUTES = 7 * 24 * 60;
+
+// Refunds still pending after this long are sent to the provider again
+const REFUND_RETRY_MINUTES = 5;
+
+// Booking payment status for each payment status
+const BOOKING_PAYMENT_STATUSES = {
+  requires_payment: 'pending',
+  succeeded: 'paid',
+  failed: 'failed',
+  cancelled: 'none',
+  refund_pending: 'refund_pending',
+  refunded: 'refunded',
+  partially_refunded: 'partially_refunded'
+};
+
+/**
+ * Convert a payments row for API responses
+ * @param {object} row - payments row
+ * @param {boolean} withSecret - Include the client secret the payer needs to complete the payment
+ * @returns {object}
+ */
+const formatPayment = (row, withSecret = false) => ({
+  id: row.id,
+  purpose: row.purpose,
+  booking_id: row.booking_id,
+  event_id: row.event_id,
+  occurrence_date: row.occurrence_date,
+  quantity: row.quantity,
+  amount: row.amount,
+  refund_amount: row.refund_amount,
+  currency: row.currency,
+  provider: row.provider,
+  status: row.status,
+  failure_reason: row.failure_reason,
+  ...(withSecret && row.status === 'requires_payment' ? { client_secret: row.client_secret } : {}),
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+/**
+ * Payment Service
+ * Takes booking deposits and event payments through a payment provider
+ * (PAYMENT_PROVIDER, the fake one by default). Payments start waiting for
+ * the client to pay; the provider's signed webhooks report how they ended.
+ * A booking that grows past what its deposit covers owes the difference.
+ * Cancelling refunds them according to the venue's policy: in full when the
+ * venue cancels or the booker cancels before the venue's refund cutoff, and
+ * late_cancellation_refund_percent of the deposit after it. No-shows keep
+ * their deposit. Refunds are marked pending with the cancellation and sent
+ * to the provider once it is committed; the scheduler retries the ones that
+ * didn't go through. Amounts are in the currency's minor unit.
+ */
+class PaymentService {
+  /**
+   * Get the provider payments are made with
+   * @returns {object|null} - The provider, or null if it isn't known or can't be used here
+   */
+  getProvider() {
+    const provider = PROVIDERS[PROVIDER_NAME];
+    return provider && provider.isAvailable() ? provider : null;
+  }
+
+  /**
+   * Get the name of the provider payments are made with
+   * @returns {string}
+   */
+  getProviderName() {
+    return PROVIDER_NAME;
+  }
+
+  /**
+   * Get the currency payments are made in
+   * @returns {string} - ISO 4217 code
+   */
+  getCurrency() {
+    return CURRENCY;
+  }
+
+  /**
+   * Get how long a deposit can stay unpaid
+   * @returns {number} - Minutes
+   */
+  getDepositTimeoutMinutes() {
+    return DEPOSIT_TIMEOUT_MINUTES;
+  }
+
+  /**
+   * Work out the deposit a venue takes for a party
+   * @param {object} venue - venues row
+   * @param {number} guests - Party size
+   * @returns {number} - Deposit in minor units, 0 if none is taken
+   */
+  getDepositAmount(venue, guests) {
+    const perGuest = parseInt(venue.deposit_per_guest) || 0;
+    const minGuests = parseInt(venue.deposit_min_guests) || 1;
+
+    return perGuest > 0 && guests >= minGuests ? perGuest * guests : 0;
+  }
+
+  /**
+   * Validate the deposit settings sent by a venue owner
+   * @param {object} body - Request body
+   * @returns {object} - { settings, error } where settings only holds the fields that were sent
+   */
+  parseDepositSettings(body) {
+    const settings = {};
+
+    for (const [field, min] of [['deposit_per_guest', 1], ['deposit_min_guests', 1]]) {
+      if (body[field] === undefined) continue;
+
+      if (body[field] === null || body[field] === '') {
+        settings[field] = null;
+      } else {
+        const value = parseInt(body[field]);
+        if (isNaN(value) || value < min || String(value) !== String(body[field]).trim()) {
+          return { error: `${field} must be a whole number of at least ${min}, or null` };
+        }
+        settings[field] = value;
+      }
+    }
+
+    if (body.refund_cutoff_minutes !== undefined) {
+      if (body.refund_cutoff_minutes === null || body.refund_cutoff_minutes === '') {
+        settings.refund_cutoff_minutes = null;
+      } else {
+        const cutoff = parseInt(body.refund_cutoff_minutes);
+        if (isNaN(cutoff) || cutoff < 0 || cutoff > MAX_REFUND_CUTOFF_MINUTES) {
+          return { error: `refund_cutoff_minutes must be between 0 and ${MAX_REFUND_CUTOFF_MINUTES} minutes` };
+        }
+        settings.refund_cutoff_minutes = cutoff;
+      }
+    }
+
+    if (body.late_cancellation_refund_percent !== undefined) {
+      const percent = parseInt(body.late_cancellation_refund_percent);
+      if (isNaN(percent) || percent < 0 || percent > 100) {
+        return { error: 'late_cancellation_refund_percent must be between 0 and 100' };
+      }
+      settings.late_cancellation_refund_percent = percent;
+    }
+
+    return { settings };
+  }
+
+  /**
+   * Get a payment by its ID
+   * @param {object} connection - Database connection or pool
+   * @param {number} id - ID of the payment
+   * @param {boolean} lock - Lock the row for the rest of the transaction
+   * @returns {Promise<object|null>} - payments row
+   */
+  async getPayment(connection, id, lock = false) {
+    const [rows] = await connection.execute(`SELECT * FROM payments WHERE id = ?${lock ? ' FOR UPDATE' : ''}`, [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * List a user's payments, newest first
+   * @param {number} userId - ID of the user
+   * @returns {Promise<Array>} - Payments for API responses
+   */
+  async getUserPayments(userId) {
+    const [rows] = await db.execute('SELECT * FROM payments WHERE user_id = ? ORDER BY created_at DESC', [userId]);
+    return rows.map(row => formatPayment(row));
+  }
+
+  /**
+   * Convert a payments row for API responses
+   * @param {object} row - payments row
+   * @param {boolean} withSecret - Include the client secret (only for the payer)
+   * @returns {object}
+   */
+  format(row, withSecret = false) {
+    return formatPayment(row, withSecret);
+  }
+
+  /**
+   * Create a payment intent with the provider and record it
+   * @param {object} params - { userId, purpose, bookingId, eventId, occurrenceDate, quantity, amount }
+   * @returns {Promise<object>} - payments row
+   * @throws {Error} - If payments are unavailable or the provider fails
+   */
+  async createPayment({ userId, purpose, bookingId = null, eventId = null, occurrenceDate = null, quantity = 1, amount }) {
+    const provider = this.getProvider();
+    if (!provider) {
+      throw new Error(`Payment provider "${PROVIDER_NAME}" is not available`);
+    }
+
+    const intent = await provider.createIntent({
+      amount,
+      currency: CURRENCY,
+      metadata: { purpose, userId, bookingId, eventId, occurrenceDate }
+    });
+
+    const [result] = await db.execute(
+      `INSERT INTO payments
+       (user_id, purpose, booking_id, event_id, occurrence_date, quantity, amount, currency, provider, provider_payment_id, client_secret)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, purpose, bookingId, eventId, occurrenceDate, quantity, amount, CURRENCY, PROVIDER_NAME, intent.id, intent.clientSecret]
+    );
+
+    return this.getPayment(db, result.insertId);
+  }
+
+  /**
+   * Get the deposit already paid for a booking
+   * @param {object} connection - Database connection or pool
+   * @param {number} bookingId - ID of the booking
+   * @returns {Promise<number>} - Amount in minor units
+   */
+  async getPaidDeposit(connection, bookingId) {
+    const [rows] = await connection.execute(
+      "SELECT COALESCE(SUM(amount), 0) as paid FROM payments WHERE booking_id = ? AND status = 'succeeded'",
+      [bookingId]
+    );
+    return Number(rows[0].paid);
+  }
+
+  /**
+   * Work out how much more deposit a booking owes for a party size
+   * @param {object} connection - Database connection or pool
+   * @param {number} bookingId - ID of the booking
+   * @param {object} venue - venues row
+   * @param {number} guests - New party size
+   * @returns {Promise<number>} - Amount still to pay, 0 if what was paid covers the party
+   */
+  async getOwedDeposit(connection, bookingId, venue, guests) {
+    const due = this.getDepositAmount(venue, guests);
+    if (due === 0) return 0;
+
+    return Math.max(due - await this.getPaidDeposit(connection, bookingId), 0);
+  }
+
+  /**
+   * Mark a booking's deposit as due, inside the transaction of the change that
+   * made it due. Call startDeposit once the transaction is committed.
+   * @param {object} connection - Database connection inside a transaction
+   * @param {number} bookingId - ID of the booking
+   * @returns {Promise}
+   */
+  async requestDeposit(connection, bookingId) {
+    // A deposit that is already due keeps its timeout; deposit_requested_at is set before payment_status changes
+    await connection.execute(
+      `UPDATE venue_bookings
+       SET deposit_requested_at = IF(payment_status IN ('pending', 'failed'), COALESCE(deposit_requested_at, created_at), NOW()),
+           payment_status = 'pending'
+       WHERE id = ?`,
+      [bookingId]
+    );
+  }
+
+  /**
+   * Create the deposit payment of a booking that is waiting for one, for
+   * whatever the paid deposit doesn't cover yet. Payments left unpaid by an
+   * earlier attempt are cancelled first.
+   * @param {number} bookingId - ID of the booking
+   * @returns {Promise<object|null>} - payments row, or null if the booking has no deposit to pay
+   */
+  async createDeposit(bookingId) {
+    const [rows] = await db.execute(
+      `SELECT b.id, b.user_id, b.guest_count, b.status, b.payment_status, v.deposit_per_guest, v.deposit_min_guests
+       FROM venue_bookings b
+       JOIN venues v ON b.venue_id = v.id
+       WHERE b.id = ?`,
+      [bookingId]
+    );
+    const booking = rows[0];
+    if (!booking || !bookingService.isOpen(booking.status) || !['pending', 'failed'].includes(booking.payment_status)) {
+      return null;
+    }
+
+    const amount = this.getDepositAmount(booking, booking.guest_count) - await this.getPaidDeposit(db, bookingId);
+    if (amount <= 0) return null;
+
+    await db.execute(
+      "UPDATE payments SET status = 'cancelled' WHERE booking_id = ? AND status IN ('requires_payment', 'failed')",
+      [bookingId]
+    );
+
+    const payment = await this.createPayment({ userId: booking.user_id, purpose: 'deposit', bookingId, amount });
+    await db.execute("UPDATE venue_bookings SET payment_status = 'pending' WHERE id = ?", [bookingId]);
+    return payment;
+  }
+
+  /**
+   * Create the deposit payment of a booking whose change was just committed.
+   * The booking is kept if the provider fails; the deposit can be retried until it times out.
+   * @param {number} bookingId - ID of the booking
+   * @returns {Promise<object>} - { payment, paymentError } for the API response
+   */
+  async startDeposit(bookingId) {
+    try {
+      const payment = await this.createDeposit(bookingId);
+      return { payment: payment && formatPayment(payment, true) };
+    } catch (error) {
+      console.error(`Error creating deposit for booking ${bookingId}:`, error.message);
+      return { payment: null, paymentError: 'The deposit could not be set up, please retry the payment' };
+    }
+  }
+
+  /**
+   * Work out how much of a booking's deposit is refunded when it is cancelled
+   * @param {object} payment - payments row
+   * @param {object} booking - venue_bookings row with booking_date and booking_time as strings
+   * @param {object} venue - venues row
+   * @param {string} role - Who cancels: 'admin', 'owner' or 'booker'
+   * @param {Date} now - Current time
+   * @returns {number} - Amount to refund, in minor units
+   */
+  getBookingRefundAmount(payment, booking, venue, role, now = new Date()) {
+    if (role !== 'booker' || venue.refund_cutoff_minutes === null || venue.refund_cutoff_minutes === undefined) {
+      return payment.amount;
+    }
+
+    const refundBy = bookingService.getStartInstant(booking, venue).getTime() - parseInt(venue.refund_cutoff_minutes) * 60000;
+    if (now.getTime() <= refundBy) {
+      return payment.amount;
+    }
+
+    const percent = parseInt(venue.late_cancellation_refund_percent) || 0;
+    return Math.floor(payment.amount * percent / 100);
+  }
+
+  /**
+   * Cancel or mark for refund one payment, inside the cancellation's transaction
+   * @param {object} connection - Database connection inside a transaction
+   * @param {object} payment - payments row
+   * @param {number} amount - Amount to refund if it was paid
+   * @returns {Promise<number|null>} - ID of the payment if a refund has to be sent to the provider
+   */
+  async cancelPayment(connection, payment, amount) {
+    if (payment.status === 'requires_payment' || payment.status === 'failed') {
+      await connection.execute("UPDATE payments SET status = 'cancelled' WHERE id = ?", [payment.id]);
+      return null;
+    }
+
+    if (payment.status !== 'succeeded' || amount <= 0) {
+      return null;
+    }
+
+    await connection.execute(
+      "UPDATE payments SET status = 'refund_pending', refund_amount = ? WHERE id = ?",
+      [Math.min(amount, payment.amount), payment.id]
+    );
+    return payment.id;
+  }
+
+  /**
+   * Cancel a booking's payments, refunding the deposit according to the venue's policy.
+   * Call processRefunds with the returned IDs once the transaction is committed.
+   * @param {object} connection - Database connection inside the cancellation's transaction
+   * @param {object} booking - venue_bookings row with booking_date and booking_time as strings
+   * @param {object} venue - venues row
+   * @param {string} role - Who cancels: 'admin', 'owner' or 'booker'
+   * @returns {Promise<Array<number>>} - IDs of the payments to refund
+   */
+  async cancelBookingPayments(connection, booking, venue, role) {
+    const [payments] = await connection.execute(
+      "SELECT * FROM payments WHERE booking_id = ? AND status IN ('requires_payment', 'failed', 'succeeded') FOR UPDATE",
+      [booking.id]
+    );
+
+    const refundIds = [];
+    for (const payment of payments) {
+      const id = await this.cancelPayment(connection, payment, this.getBookingRefundAmount(payment, booking, venue, role));
+      if (id) refundIds.push(id);
+    }
+
+    if (payments.length > 0) {
+      await this.syncBookingStatus(connection, booking.id);
+    }
+    return refundIds;
+  }
+
+  /**
+   * Refund the payments for a cancelled event, or one cancelled occurrence of it, in full.
+   * Call processRefunds with the returned IDs once the transaction is committed.
+   * @param {object} connection - Database connection inside the cancellation's transaction
+   * @param {number} eventId - ID of the event
+   * @param {string} occurrenceDate - Cancelled occurrence ("YYYY-MM-DD"), or null for the whole event
+   * @returns {Promise<Array<number>>} - IDs of the payments to refund
+   */
+  async cancelEventPayments(connection, eventId, occurrenceDate = null) {
+    const [payments] = await connection.execute(
+      `SELECT * FROM payments
+       WHERE event_id = ? AND status IN ('requires_payment', 'failed', 'succeeded')
+       ${occurrenceDate ? 'AND occurrence_date = ?' : ''} FOR UPDATE`,
+      occurrenceDate ? [eventId, occurrenceDate] : [eventId]
+    );
+
+    const refundIds = [];
+    for (const payment of payments) {
+      const id = await this.cancelPayment(connection, payment, payment.amount);
+      if (id) refundIds.push(id);
+    }
+    return refundIds;
+  }
+
+  /**
+   * Copy the status of a booking's latest payment onto the booking
+   * @param {object} connection - Database connection or pool
+   * @param {number} bookingId - ID of the booking
+   * @returns {Promise}
+   */
+  async syncBookingStatus(connection, bookingId) {
+    if (!bookingId) return;
+
+    const [rows] = await connection.execute(
+      'SELECT status FROM payments WHERE booking_id = ? ORDER BY id DESC LIMIT 1',
+      [bookingId]
+    );
+    if (rows.length === 0) return;
+
+    await connection.execute(
+      'UPDATE venue_bookings SET payment_status = ? WHERE id = ?',
+      [BOOKING_PAYMENT_STATUSES[rows[0].status], bookingId]
+    );
+  }
+
+  /**
+   * Send pending refunds to the provider
+   * @param {Array<number>} paymentIds - IDs of the payments, or null for every refund that is due
+   * @returns {Promise<number>} - Number of refunds that went through
+   */
+  async processRefunds(paymentIds = null) {
+    if (paymentIds && paymentIds.length === 0) return 0;
+
+    const [payments] = paymentIds
+      ? await db.execute(
+        `SELECT * FROM payments WHERE status = 'refund_pending' AND id IN (${paymentIds.map(() => '?').join(',')})`,
+        paymentIds
+      )
+      : await db.execute(
+        "SELECT * FROM payments WHERE status = 'refund_pending' AND updated_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE) LIMIT 100",
+        [REFUND_RETRY_MINUTES]
+      );
+
+    let refunded = 0;
+    for (const payment of payments) {
+      const provider = PROVIDERS[payment.provider];
+
+      try {
+        // The key makes sending the same refund twice harmless
+        const refund = await provider.refund(payment.provider_payment_id, payment.refund_amount, `refund-${payment.id}-${payment.refund_amount}`);
+        if (refund.status === 'succeeded') {
+          await this.completeRefund(payment.id);
+          refunded++;
+        } else {
+          // Waiting for the provider's webhook; touch the row so it isn't retried right away
+          await db.execute('UPDATE payments SET updated_at = NOW() WHERE id = ?', [payment.id]);
+        }
+      } catch (error) {
+        console.error(`Error refunding payment ${payment.id}:`, error.message);
+        await db.execute('UPDATE payments SET updated_at = NOW() WHERE id = ?', [payment.id]);
+      }
+    }
+
+    return refunded;
+  }
+
+  /**
+   * Mark a pending refund as done
+   * @param {number} paymentId - ID of the payment
+   * @returns {Promise}
+   */
+  async completeRefund(paymentId) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const payment = await this.getPayment(connection, paymentId, true);
+      if (payment && payment.status === 'refund_pending') {
+        await connection.execute(
+          'UPDATE payments SET status = ? WHERE id = ?',
+          [payment.refund_amount >= payment.amount ? 'refunded' : 'partially_refunded', payment.id]
+        );
+        await this.syncBookingStatus(connection, payment.booking_id);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Verify and apply a webhook from a payment provider
+   * @param {string} providerName - Name of the provider in the webhook URL
+   * @param {Buffer|string} rawBody - Body exactly as received
+   * @param {object} headers - Request headers
+   * @returns {Promise<object>} - { ok, status, message } where status is the HTTP status to answer with
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    // Providers that can't be used here (e.g. the fake one in production) accept no webhooks either
+    const provider = PROVIDERS[providerName];
+    if (!provider || !provider.isAvailable()) {
+      return { ok: false, status: 404, message: 'Unknown payment provider' };
+    }
+
+    let event;
+    try {
+      event = provider.verifyWebhook(rawBody, headers);
+    } catch (error) {
+      return { ok: false, status: 400, message: error.message };
+    }
+
+    let refundIds = [];
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Providers redeliver webhooks; each event is applied once
+      const [seen] = await connection.execute(
+        'INSERT IGNORE INTO payment_webhook_events (provider, event_id, type) VALUES (?, ?, ?)',
+        [providerName, event.id, event.type]
+      );
+      if (seen.affectedRows === 0) {
+        await connection.rollback();
+        return { ok: true, status: 200, message: 'Event already processed' };
+      }
+
+      const [rows] = await connection.execute(
+        'SELECT * FROM payments WHERE provider = ? AND provider_payment_id = ? FOR UPDATE',
+        [providerName, event.paymentId]
+      );
+      const payment = rows[0];
+
+      if (payment) {
+        refundIds = await this.applyEvent(connection, payment, event);
+      } else {
+        console.warn(`Webhook ${event.id} is for unknown payment ${event.paymentId}`);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await this.processRefunds(refundIds);
+    return { ok: true, status: 200, message: 'Event processed' };
+  }
+
+  /**
+   * Apply a verified webhook event to its payment
+   * @param {object} connection - Database connection inside the webhook's transaction
+   * @param {object} payment - Locked payments row
+   * @param {object} event - { type, amount, reason } from the provider
+   * @returns {Promise<Array<number>>} - IDs of payments to refund
+   */
+  async applyEvent(connection, payment, event) {
+    switch (event.type) {
+      case 'payment.succeeded':
+        if (payment.status === 'requires_payment' || payment.status === 'failed') {
+          await connection.execute("UPDATE payments SET status = 'succeeded', failure_reason = NULL WHERE id = ?", [payment.id]);
+          await this.syncBookingStatus(connection, payment.booking_id);
+          await ticketService.confirmPaidTickets(connection, payment.id);
+          return [];
+        }
+
+        // Paid after the booking or tickets were cancelled or the payment replaced: give the money back
+        if (payment.status === 'cancelled') {
+          await connection.execute(
+            "UPDATE payments SET status = 'refund_pending', refund_amount = amount WHERE id = ?",
+            [payment.id]
+          );
+          return [payment.id];
+        }
+        return [];
+
+      case 'payment.failed':
+        if (payment.status === 'requires_payment') {
+          await connection.execute(
+            "UPDATE payments SET status = 'failed', failure_reason = ? WHERE id = ?",
+            [event.reason ? String(event.reason).slice(0, 255) : null, payment.id]
+          );
+          await this.syncBookingStatus(connection, payment.booking_id);
+        }
+        return [];
+
+      case 'refund.succeeded':
+        if (payment.status === 'refund_pending') {
+          await connection.execute(
+            'UPDATE payments SET status = ? WHERE id = ?',
+            [payment.refund_amount >= payment.amount ? 'refunded' : 'partially_refunded', payment.id]
+          );
+          await this.syncBookingStatus(connection, payment.booking_id);
+        }
+        return [];
+
+      case 'refund.failed':
+        // Left pending, so the scheduler sends it again
+        console.error(`Refund of payment ${payment.id} failed: ${event.reason || 'unknown reason'}`);
+        return [];
+
+      default:
+        console.log(`Ignoring payment webhook of type ${event.type}`);
+        return [];
+    }
+  }
+
+  /**
+   * Complete a payment the way its payer would, by sending the signed
+   * webhook the provider would send (fake provider only)
+   * @param {object} payment - payments row
+   * @param {string} outcome - 'succeeded' or 'failed'
+   * @returns {Promise<object|null>} - Result of handleWebhook, or null if the payment can't be simulated
+   */
+  async simulatePayment(payment, outcome) {
+    const provider = PROVIDERS[payment.provider];
+    if (!provider || !provider.simulateWebhook || !provider.isAvailable()) return null;
+
+    const webhook = provider.simulateWebhook(payment.provider_payment_id, outcome, payment.amount);
+    if (!webhook) return null;
+
+    return this.handleWebhook(payment.provider, webhook.rawBody, webhook.headers);
+  }
+
+  /**
+   * Cancel bookings whose deposit wasn't paid in time (run by the scheduler)
+   * @returns {Promise<number>} - Number of bookings cancelled
+   */
+  async cancelUnpaidDeposits() {
+    const [due] = await db.execute(
+      `SELECT id, venue_id FROM venue_bookings
+       WHERE payment_status IN ('pending', 'failed') AND status IN ('pending', 'confirmed', 'rescheduled')
+         AND COALESCE(deposit_requested_at, created_at) <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+       LIMIT 100`,
+      [DEPOSIT_TIMEOUT_MINUTES]
+    );
+
+    let cancelled = 0;
+
+    for (const { id, venue_id: venueId } of due) {
+      const connection = await db.getConnection();
+
+      try {
+        await connection.beginTransaction();
+
+        const [venueRows] = await connection.execute('SELECT * FROM venues WHERE id = ? FOR UPDATE', [venueId]);
+        const [bookingRows] = await connection.execute(
+          `SELECT id, venue_id, user_id, status, payment_status,
+                  DATE_FORMAT(booking_date, '%Y-%m-%d') as booking_date,
+                  TIME_FORMAT(booking_time, '%H:%i') as booking_time
+           FROM venue_bookings WHERE id = ? FOR UPDATE`,
+          [id]
+        );
+        const booking = bookingRows[0];
+
+        // Paid or cancelled since it was picked up
+        if (!booking || !bookingService.isOpen(booking.status) || !['pending', 'failed'].includes(booking.payment_status)) {
+          await connection.rollback();
+          continue;
+        }
+
+        await connection.execute("UPDATE venue_bookings SET status = 'cancelled' WHERE id = ?", [id]);
+        await this.cancelBookingPayments(connection, booking, venueRows[0], 'owner');
+        await waitlistService.offerFreedSeats(connection, venueRows[0], booking.booking_date);
+        await outboxService.enqueue('sendBookingStatusNotification', [id, 'cancelled'], connection);
+
+        await connection.commit();
+        cancelled++;
+      } catch (error) {
+        await connection.rollback();
+        console.error(`Error cancelling unpaid booking ${id}:`, error.message);
+      } finally {
+        connection.release();
+      }
+    }
+
+    if (cancelled > 0) {
+      console.log(`Cancelled ${cancelled} bookings with unpaid deposits`);
+    }
+    return cancelled;
+  }
+
+  /**
+   * Scheduler job: cancel unpaid deposits and retry refunds that didn't go through
+   * @returns {Promise<object>} - { cancelled, refunded }
+   */
+  async runMaintenance() {
+    const cancelled = await this.cancelUnpaidDeposits();
+    const refunded = await this.processRefunds();
+    return { cancelled, refunded };
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// Signed webhooks older than this are rejected, so captured ones can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Outcomes a payment can be simulated with, mapped to the webhook event they send
+const SIMULATED_EVENTS = {
+  succeeded: 'payment.succeeded',
+  failed: 'payment.failed'
+};
+
+/**
+ * Get the secret webhooks are signed with
+ * @returns {string|null} - null when PAYMENT_WEBHOOK_SECRET is not set
+ */
+const getWebhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET || null;
+
+/**
+ * Create a random ID with a prefix, like the provider's own IDs
+ * @param {string} prefix - ID prefix
+ * @returns {string}
+ */
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Sign a webhook body. The HMAC covers "<timestamp>.<body>".
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} - Header value, "t=<timestamp>,v1=<hex signature>"
+ */
+const sign = (body, timestamp) => {
+  const signature = crypto.createHmac('sha256', getWebhookSecret()).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Fake Payment Provider
+ * Local stand-in for a card payment provider, for development and tests.
+ * Payments are never charged: they stay waiting for payment until a
+ * payment.succeeded or payment.failed webhook is simulated for them, and
+ * refunds succeed straight away. Its webhooks are signed like a real
+ * provider's, with PAYMENT_WEBHOOK_SECRET, in the X-Fake-Signature header;
+ * without that secret no webhook is accepted or simulated.
+ */
+class FakeProvider {
+  /**
+   * Check if the provider may be used in this environment
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  /**
+   * Create a payment intent the client completes
+   * @param {object} params - { amount, currency, metadata }
+   * @returns {Promise<object>} - { id, clientSecret, status }
+   */
+  async createIntent({ amount, currency }) {
+    const id = randomId('fake_pi');
+    console.log(`Fake payment intent ${id} created for ${amount} ${currency}`);
+    return { id, clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`, status: 'requires_payment' };
+  }
+
+  /**
+   * Refund a payment
+   * @param {string} paymentId - Provider ID of the payment
+   * @param {number} amount - Amount to refund, in minor units
+   * @param {string} idempotencyKey - Key that makes repeating the same refund harmless
+   * @returns {Promise<object>} - { id, status } where status is 'succeeded' or 'pending'
+   */
+  async refund(paymentId, amount, idempotencyKey) {
+    console.log(`Fake refund of ${amount} for ${paymentId} (${idempotencyKey})`);
+    return { id: `fake_re_${crypto.createHash('sha256').update(idempotencyKey).digest('hex').slice(0, 24)}`, status: 'succeeded' };
+  }
+
+  /**
+   * Verify a webhook and read its event
+   * @param {Buffer|string} rawBody - Body exactly as received
+   * @param {object} headers - Request headers
+   * @returns {object} - { id, type, paymentId, amount, reason }
+   * @throws {Error} - If no webhook secret is set, or the signature is missing, wrong or too old
+   */
+  verifyWebhook(rawBody, headers) {
+    if (!getWebhookSecret()) {
+      throw new Error('Webhook secret is not configured');
+    }
+
+    const header = headers['x-fake-signature'] || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=', 2)));
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || !parts.v1) {
+      throw new Error('Missing webhook signature');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature has expired');
+    }
+
+    const expected = Buffer.from(sign(String(rawBody), timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(String(rawBody));
+    return {
+      id: event.id,
+      type: event.type,
+      paymentId: event.data.payment_id,
+      amount: event.data.amount,
+      reason: event.data.reason || null
+    };
+  }
+
+  /**
+   * Build the signed webhook the provider would send when a payment completes
+   * @param {string} paymentId - Provider ID of the payment
+   * @param {string} outcome - 'succeeded' or 'failed'
+   * @param {number} amount - Amount of the payment
+   * @returns {object} - { rawBody, headers }, or null for an unknown outcome or without a webhook secret
+   */
+  simulateWebhook(paymentId, outcome, amount) {
+    if (!SIMULATED_EVENTS[outcome] || !getWebhookSecret()) return null;
+
+    const rawBody = JSON.stringify({
+      id: randomId('fake_evt'),
+      type: SIMULATED_EVENTS[outcome],
+      data: {
+        payment_id: paymentId,
+        amount,
+        reason: outcome === 'failed' ? 'card_declined' : null
+      }
+    });
+
+    return { rawBody, headers: { 'x-fake-signature': sign(rawBody, Math.floor(Date.now() / 1000)) } };
+  }
+
+  /**
+   * Get the outcomes a payment can be simulated with
+   * @returns {Array<string>}
+   */
+  getSimulatedOutcomes() {
+    return Object.keys(SIMULATED_EVENTS);
+  }
+}
+
+module.exports = new FakeProvider();
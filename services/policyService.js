@@ -0,0 +1,140 @@
+const db = require('../config/db');
+
+/**
+ * Policy Service
+ * Central place for authorization decisions. Controllers pass the authenticated
+ * user (req.userId from verifyToken) and the resource they are about to touch,
+ * and never trust user IDs coming from the path or body on their own.
+ *
+ * Roles:
+ * - user:           the authenticated user acting on their own data
+ * - venue owner:    venues.user_id
+ * - group admin:    chat_group_members.is_admin
+ * - platform admin: users.is_admin (may act on anything)
+ */
+class PolicyService {
+  /**
+   * Check if a user is a platform administrator
+   * @param {number} userId - ID of the user
+   * @returns {Promise<boolean>}
+   */
+  async isPlatformAdmin(userId) {
+    if (!userId) return false;
+
+    const [rows] = await db.execute('SELECT is_admin FROM users WHERE id = ?', [userId]);
+    return rows.length > 0 && !!rows[0].is_admin;
+  }
+
+  /**
+   * Check if a user may act on behalf of another user (themselves or as admin)
+   * @param {number} actorId - ID of the authenticated user
+   * @param {number|string} targetUserId - ID of the user whose data is accessed
+   * @returns {Promise<boolean>}
+   */
+  async canActForUser(actorId, targetUserId) {
+    if (!actorId) return false;
+    if (actorId === parseInt(targetUserId)) return true;
+
+    return this.isPlatformAdmin(actorId);
+  }
+
+  /**
+   * Check if a user owns a venue
+   * @param {number} userId - ID of the user
+   * @param {number|string} venueId - ID of the venue
+   * @returns {Promise<boolean>}
+   */
+  async isVenueOwner(userId, venueId) {
+    if (!userId) return false;
+
+    const [rows] = await db.execute('SELECT user_id FROM venues WHERE id = ?', [venueId]);
+    return rows.length > 0 && rows[0].user_id === userId;
+  }
+
+  /**
+   * Check if a user may manage a venue (owner or platform admin)
+   * @param {number} userId - ID of the user
+   * @param {number|string} venueId - ID of the venue
+   * @returns {Promise<boolean>}
+   */
+  async canManageVenue(userId, venueId) {
+    if (await this.isVenueOwner(userId, venueId)) return true;
+
+    return this.isPlatformAdmin(userId);
+  }
+
+  /**
+   * Check if a user is a member of a group
+   * @param {number} userId - ID of the user
+   * @param {number|string} groupId - ID of the group
+   * @returns {Promise<boolean>}
+   */
+  async isGroupMember(userId, groupId) {
+    const [rows] = await db.execute(
+      'SELECT id FROM chat_group_members WHERE group_id = ? AND user_id = ?',
+      [groupId, userId]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Check if a user is an admin of a group
+   * @param {number} userId - ID of the user
+   * @param {number|string} groupId - ID of the group
+   * @returns {Promise<boolean>}
+   */
+  async isGroupAdmin(userId, groupId) {
+    const [rows] = await db.execute(
+      'SELECT id FROM chat_group_members WHERE group_id = ? AND user_id = ? AND is_admin = 1',
+      [groupId, userId]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Check if a user may manage a group (group admin or platform admin)
+   * @param {number} userId - ID of the user
+   * @param {number|string} groupId - ID of the group
+   * @returns {Promise<boolean>}
+   */
+  async canManageGroup(userId, groupId) {
+    if (await this.isGroupAdmin(userId, groupId)) return true;
+
+    return this.isPlatformAdmin(userId);
+  }
+
+  /**
+   * Work out how a user relates to a booking
+   * @param {number} userId - ID of the user
+   * @param {object} booking - venue_bookings row
+   * @returns {Promise<string|null>} - 'admin', 'owner', 'booker' or null if the user has no access
+   */
+  async getBookingRole(userId, booking) {
+    if (!userId || !booking) return null;
+    if (await this.isPlatformAdmin(userId)) return 'admin';
+    if (await this.isVenueOwner(userId, booking.venue_id)) return 'owner';
+    if (booking.user_id === userId) return 'booker';
+
+    return null;
+  }
+
+  /**
+   * Check if a user may manage an event: the owner of the event's venue,
+   * the creator of a custom-location event, or a platform admin
+   * @param {number} userId - ID of the user
+   * @param {object} event - events row
+   * @returns {Promise<boolean>}
+   */
+  async canManageEvent(userId, event) {
+    if (!userId || !event) return false;
+    if (await this.isPlatformAdmin(userId)) return true;
+
+    if (event.venue_id) {
+      return this.isVenueOwner(userId, event.venue_id);
+    }
+
+    return event.created_by === userId;
+  }
+}
+
+module.exports = new PolicyService();
@@ -0,0 +1,222 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const tokenService = require('./tokenService');
+
+// Path clients connect to, e.g. ws://host:5000/ws?token=<access token>
+const WS_PATH = '/ws';
+
+// How often connections are pinged; a client that misses a pong is dropped
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Close code sent when the access token used to connect expires
+const CLOSE_TOKEN_EXPIRED = 4001;
+
+/**
+ * Read the access token of an upgrade request
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {string|null} - Token from the Authorization header or the ?token= query parameter
+ */
+const getRequestToken = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1] || null;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token');
+};
+
+/**
+ * Realtime Service
+ * Keeps the WebSocket connections of signed-in users and pushes events
+ * (new messages, read receipts, group changes) to them. Connections are
+ * authenticated with the same access token as the REST API. A user counts
+ * as online while at least one of their devices is connected; callers use
+ * that to decide whether a push notification is still needed.
+ */
+class RealtimeService {
+  constructor() {
+    this.wss = null;
+    this.heartbeat = null;
+    // user ID => Set of open sockets (one per device)
+    this.connections = new Map();
+  }
+
+  /**
+   * Attach the WebSocket server to the HTTP server
+   * @param {http.Server} server - HTTP server from server.js
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== WS_PATH) {
+        socket.destroy();
+        return;
+      }
+
+      const token = getRequestToken(req);
+      let decoded;
+
+      try {
+        decoded = token ? tokenService.verifyAccessToken(token) : null;
+      } catch (error) {
+        console.log('WebSocket authentication failed:', error.message);
+      }
+
+      if (!decoded) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, ws => {
+        this.handleConnection(ws, decoded);
+      });
+    });
+
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    server.on('close', () => this.close());
+
+    console.log(`WebSocket server listening on path ${WS_PATH}`);
+  }
+
+  /**
+   * Register a newly authenticated connection
+   * @param {WebSocket} ws - Client socket
+   * @param {object} decoded - Decoded access token
+   */
+  handleConnection(ws, decoded) {
+    const userId = decoded.id;
+
+    ws.userId = userId;
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    if (!this.connections.has(userId)) {
+      this.connections.set(userId, new Set());
+    }
+    this.connections.get(userId).add(ws);
+
+    // Ask the client to reconnect with a fresh token once this one expires
+    const expiresIn = decoded.exp ? decoded.exp * 1000 - Date.now() : null;
+    const expiryTimer = expiresIn !== null
+      ? setTimeout(() => ws.close(CLOSE_TOKEN_EXPIRED, 'Token has expired'), Math.max(expiresIn, 0))
+      : null;
+
+    ws.on('message', data => {
+      // The socket is push-only; answer application-level pings for clients that cannot send ping frames
+      try {
+        const message = JSON.parse(data.toString());
+        if (message && message.type === 'ping') {
+          this.send(ws, 'pong', {});
+        }
+      } catch (error) {
+        // Ignore anything that is not JSON
+      }
+    });
+
+    ws.on('close', () => {
+      if (expiryTimer) clearTimeout(expiryTimer);
+
+      const sockets = this.connections.get(userId);
+      if (sockets) {
+        sockets.delete(ws);
+        if (sockets.size === 0) {
+          this.connections.delete(userId);
+        }
+      }
+    });
+
+    ws.on('error', error => {
+      console.error(`WebSocket error for user ${userId}:`, error.message);
+    });
+
+    this.send(ws, 'connected', { userId });
+  }
+
+  /**
+   * Send an event to one socket
+   * @param {WebSocket} ws - Client socket
+   * @param {string} type - Event type
+   * @param {object} data - Event payload
+   * @returns {boolean} - true if the event was written to the socket
+   */
+  send(ws, type, data) {
+    if (ws.readyState !== WebSocket.OPEN) return false;
+
+    ws.send(JSON.stringify({ type, data }));
+    return true;
+  }
+
+  /**
+   * Check if a user has at least one open connection
+   * @param {number} userId - ID of the user
+   * @returns {boolean}
+   */
+  isOnline(userId) {
+    const sockets = this.connections.get(parseInt(userId));
+    return !!sockets && sockets.size > 0;
+  }
+
+  /**
+   * Push an event to every connected device of a user
+   * @param {number} userId - ID of the user
+   * @param {string} type - Event type
+   * @param {object} data - Event payload
+   * @returns {boolean} - true if at least one device received the event
+   */
+  sendToUser(userId, type, data) {
+    const sockets = this.connections.get(parseInt(userId));
+    if (!sockets) return false;
+
+    let delivered = false;
+    sockets.forEach(ws => {
+      if (this.send(ws, type, data)) {
+        delivered = true;
+      }
+    });
+    return delivered;
+  }
+
+  /**
+   * Push an event to several users
+   * @param {Array<number>} userIds - IDs of the users
+   * @param {string} type - Event type
+   * @param {object} data - Event payload
+   * @returns {Array<number>} - IDs of the users that are offline and did not receive the event
+   */
+  sendToUsers(userIds, type, data) {
+    return userIds.filter(userId => !this.sendToUser(userId, type, data));
+  }
+
+  /**
+   * Close every connection and stop the heartbeat
+   */
+  close() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+    if (this.wss) {
+      this.wss.clients.forEach(ws => ws.terminate());
+      this.wss.close();
+      this.wss = null;
+    }
+    this.connections.clear();
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,220 @@
+const db = require('../config/db');
+const outboxService = require('./outboxService');
+const { DEFAULT_TIMEZONE, getInstant } = require('../utils/openingHours');
+const { timeToMinutes, addDays } = require('../utils/time');
+
+// How long before a confirmed booking or an event of interest reminders go out, in minutes
+const BOOKING_REMINDER_MINUTES = [24 * 60, 2 * 60];
+const EVENT_REMINDER_MINUTES = [24 * 60, 2 * 60];
+
+/**
+ * Pick the reminder that is due for something starting at an instant.
+ * When several are due (e.g. the scheduler was down) only the closest one
+ * is sent, and reminders whose time had passed before the booking or
+ * interest was made are skipped.
+ * @param {Date} start - When the booking or event starts
+ * @param {Date} createdAt - When the booking or interest was made
+ * @param {Array<number>} offsets - Reminder offsets in minutes
+ * @param {Date} now - Current time
+ * @returns {number|null} - Minutes before the start of the due reminder, or null if none is due
+ */
+const pickReminder = (start, createdAt, offsets, now) => {
+  if (now >= start) return null;
+
+  const due = offsets.filter(minutes => {
+    const remindAt = start.getTime() - minutes * 60000;
+    return now.getTime() >= remindAt && (!createdAt || new Date(createdAt).getTime() < remindAt);
+  });
+
+  return due.length > 0 ? Math.min(...due) : null;
+};
+
+/**
+ * Build the key of a sent reminder
+ * @param {number} targetId - ID of the booking or event
+ * @param {number} userId - ID of the reminded user
+ * @param {string} date - Booking or occurrence date ("YYYY-MM-DD")
+ * @param {number} minutesBefore - Reminder offset in minutes
+ * @returns {string}
+ */
+const reminderKey = (targetId, userId, date, minutesBefore) => `${targetId}|${userId}|${date}|${minutesBefore}`;
+
+/**
+ * Reminder Service
+ * Finds confirmed bookings and events users are interested in that start
+ * soon and queues a reminder for each. Sent reminders are recorded in
+ * sent_reminders in the same transaction as their outbox job, so every
+ * reminder goes out once even across restarts or with several schedulers.
+ */
+class ReminderService {
+  /**
+   * Get the reminders of a kind already sent for a date range
+   * @param {string} kind - "booking" or "event"
+   * @param {string} from - First date ("YYYY-MM-DD")
+   * @param {string} to - Last date ("YYYY-MM-DD")
+   * @returns {Promise<Set<string>>} - Reminder keys
+   */
+  async _getSentKeys(kind, from, to) {
+    const [rows] = await db.execute(
+      `SELECT target_id, user_id, DATE_FORMAT(occurrence_date, '%Y-%m-%d') as occurrence_date, minutes_before
+       FROM sent_reminders
+       WHERE kind = ? AND occurrence_date BETWEEN ? AND ?`,
+      [kind, from, to]
+    );
+    return new Set(rows.map(row => reminderKey(row.target_id, row.user_id, row.occurrence_date, row.minutes_before)));
+  }
+
+  /**
+   * Record a reminder and queue its notification in one transaction
+   * @param {object} reminder - { kind, targetId, userIds, date, minutesBefore }
+   * @param {string} method - NotificationService method that sends it
+   * @param {Function} buildArgs - Builds the method's arguments from the IDs of the users not reminded yet
+   * @returns {Promise<number>} - Number of users the reminder was queued for
+   */
+  async _queue({ kind, targetId, userIds, date, minutesBefore }, method, buildArgs) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // The unique key skips users another scheduler already reminded
+      const newUserIds = [];
+      for (const userId of userIds) {
+        const [result] = await connection.execute(
+          `INSERT IGNORE INTO sent_reminders (kind, target_id, user_id, occurrence_date, minutes_before)
+           VALUES (?, ?, ?, ?, ?)`,
+          [kind, targetId, userId, date, minutesBefore]
+        );
+        if (result.affectedRows > 0) newUserIds.push(userId);
+      }
+
+      if (newUserIds.length > 0) {
+        await outboxService.enqueue(method, buildArgs(newUserIds), connection);
+      }
+
+      await connection.commit();
+      return newUserIds.length;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Queue the due reminders for confirmed bookings
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Number of reminders queued
+   */
+  async queueBookingReminders(now = new Date()) {
+    // Wide enough for the longest reminder in any timezone
+    const today = now.toISOString().split('T')[0];
+    const from = addDays(today, -1);
+    const to = addDays(today, 2);
+
+    const [bookings] = await db.execute(
+      `SELECT b.id, b.user_id, DATE_FORMAT(b.booking_date, '%Y-%m-%d') as booking_date,
+              TIME_FORMAT(b.booking_time, '%H:%i') as booking_time, b.created_at, v.timezone
+       FROM venue_bookings b
+       JOIN venues v ON b.venue_id = v.id
+       WHERE b.status = 'confirmed' AND b.booking_date BETWEEN ? AND ?`,
+      [from, to]
+    );
+
+    const sent = await this._getSentKeys('booking', from, to);
+    let queued = 0;
+
+    for (const booking of bookings) {
+      const start = getInstant(booking.booking_date, timeToMinutes(booking.booking_time), booking.timezone || DEFAULT_TIMEZONE);
+      const minutesBefore = pickReminder(start, booking.created_at, BOOKING_REMINDER_MINUTES, now);
+
+      if (minutesBefore === null || sent.has(reminderKey(booking.id, booking.user_id, booking.booking_date, minutesBefore))) {
+        continue;
+      }
+
+      queued += await this._queue(
+        { kind: 'booking', targetId: booking.id, userIds: [booking.user_id], date: booking.booking_date, minutesBefore },
+        'sendBookingReminderNotification',
+        () => [booking.id, minutesBefore]
+      );
+    }
+
+    return queued;
+  }
+
+  /**
+   * Queue the due reminders for event occurrences users are interested in
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Number of reminders queued
+   */
+  async queueEventReminders(now = new Date()) {
+    const today = now.toISOString().split('T')[0];
+    const from = addDays(today, -1);
+    const to = addDays(today, 2);
+
+    // Occurrences can be cancelled or moved to another time on their own
+    const [interests] = await db.execute(
+      `SELECT ei.event_id, ei.user_id, DATE_FORMAT(ei.occurrence_date, '%Y-%m-%d') as occurrence_date, ei.created_at,
+              TIME_FORMAT(COALESCE(x.starting_time, e.starting_time, TIME(e.event_date)), '%H:%i') as starting_time,
+              v.timezone
+       FROM event_interests ei
+       JOIN events e ON ei.event_id = e.id
+       LEFT JOIN venues v ON e.venue_id = v.id
+       LEFT JOIN event_occurrence_exceptions x ON x.event_id = ei.event_id AND x.occurrence_date = ei.occurrence_date
+       WHERE ei.occurrence_date BETWEEN ? AND ?
+         AND ei.status != 'not_going'
+         AND e.status = 'scheduled'
+         AND (x.status IS NULL OR x.status = 'scheduled')`,
+      [from, to]
+    );
+
+    const sent = await this._getSentKeys('event', from, to);
+
+    // One notification job per occurrence and reminder, for all its users
+    const due = new Map();
+    for (const interest of interests) {
+      const start = getInstant(interest.occurrence_date, timeToMinutes(interest.starting_time) || 0, interest.timezone || DEFAULT_TIMEZONE);
+      const minutesBefore = pickReminder(start, interest.created_at, EVENT_REMINDER_MINUTES, now);
+
+      if (minutesBefore === null || sent.has(reminderKey(interest.event_id, interest.user_id, interest.occurrence_date, minutesBefore))) {
+        continue;
+      }
+
+      const key = `${interest.event_id}|${interest.occurrence_date}|${minutesBefore}`;
+      if (!due.has(key)) {
+        due.set(key, { kind: 'event', targetId: interest.event_id, userIds: [], date: interest.occurrence_date, minutesBefore });
+      }
+      due.get(key).userIds.push(interest.user_id);
+    }
+
+    let queued = 0;
+    for (const reminder of due.values()) {
+      queued += await this._queue(
+        reminder,
+        'sendEventReminderNotification',
+        (userIds) => [reminder.targetId, reminder.date, reminder.minutesBefore, userIds]
+      );
+    }
+
+    return queued;
+  }
+
+  /**
+   * Queue every due reminder (run by the scheduler)
+   * @returns {Promise<object>} - { bookings, events } numbers of reminders queued
+   */
+  async queueDueReminders() {
+    const now = new Date();
+    const bookings = await this.queueBookingReminders(now);
+    const events = await this.queueEventReminders(now);
+
+    if (bookings + events > 0) {
+      console.log(`Queued ${bookings} booking and ${events} event reminders`);
+    }
+
+    return { bookings, events };
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,108 @@
+const reminderService = require('./reminderService');
+const waitlistService = require('./waitlistService');
+const idempotencyService = require('./idempotencyService');
+const paymentService = require('./paymentService');
+const ticketService = require('./ticketService');
+
+// Jobs run on a fixed interval. Each must be safe to run from several
+// processes at once and to pick up where it left off after a restart.
+const JOBS = [
+  {
+    name: 'reminders',
+    intervalMs: parseInt(process.env.REMINDER_INTERVAL_MS) || 60 * 1000,
+    run: () => reminderService.queueDueReminders()
+  },
+  {
+    name: 'waitlist',
+    intervalMs: parseInt(process.env.WAITLIST_INTERVAL_MS) || 60 * 1000,
+    run: () => waitlistService.expireOffers()
+  },
+  {
+    name: 'idempotency',
+    intervalMs: parseInt(process.env.IDEMPOTENCY_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+    run: () => idempotencyService.purgeExpired()
+  },
+  {
+    name: 'payments',
+    intervalMs: parseInt(process.env.PAYMENT_INTERVAL_MS) || 60 * 1000,
+    run: () => paymentService.runMaintenance()
+  },
+  {
+    name: 'tickets',
+    intervalMs: parseInt(process.env.TICKET_INTERVAL_MS) || 60 * 1000,
+    run: () => ticketService.releaseExpiredReservations()
+  }
+];
+
+/**
+ * Scheduler
+ * Runs the periodic background jobs. Run it as part of the worker process
+ * (`npm run worker`), or inside the API server with RUN_SCHEDULER=true.
+ */
+class Scheduler {
+  constructor() {
+    this.timers = new Map();
+    this.current = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Run one job now
+   * @param {string} name - Name of the job
+   * @returns {Promise} - Result of the job
+   */
+  async runJob(name) {
+    const job = JOBS.find(j => j.name === name);
+    if (!job) {
+      throw new Error(`Unknown scheduled job: ${name}`);
+    }
+
+    return job.run();
+  }
+
+  /**
+   * Start running every job on its interval
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    JOBS.forEach(job => {
+      const tick = async () => {
+        try {
+          this.current.set(job.name, job.run());
+          await this.current.get(job.name);
+        } catch (error) {
+          console.error(`Error running scheduled job ${job.name}:`, error.message);
+        } finally {
+          this.current.delete(job.name);
+        }
+
+        if (this.running) {
+          this.timers.set(job.name, setTimeout(tick, job.intervalMs));
+        }
+      };
+
+      tick();
+    });
+
+    console.log(`Scheduler started (${JOBS.map(job => `${job.name} every ${job.intervalMs}ms`).join(', ')})`);
+  }
+
+  /**
+   * Stop the jobs and wait for the runs in progress to finish
+   * @returns {Promise}
+   */
+  async stop() {
+    this.running = false;
+
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+
+    await Promise.all([...this.current.values()].map(run => run.catch(() => {})));
+
+    console.log('Scheduler stopped');
+  }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,585 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+
+// How long paid tickets are held for their buyer while the payment is open
+const HOLD_MINUTES = parseInt(process.env.TICKET_HOLD_MINUTES) || 15;
+
+// Most tickets one order can hold
+const MAX_TICKETS_PER_ORDER = 10;
+
+// Tickets that take up a place in their tier
+const HELD_STATUSES = ['reserved', 'valid', 'used'];
+
+// Version prefix of the QR payload, so the format can change later
+const QR_PREFIX = 'KSV1';
+
+/**
+ * Get the secret QR payloads are signed with
+ * @returns {string}
+ */
+const getSigningSecret = () => process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign a ticket code
+ * @param {string} code - Ticket code
+ * @returns {string} - Hex HMAC of "<prefix>.<code>"
+ */
+const signCode = (code) => crypto.createHmac('sha256', getSigningSecret()).update(`${QR_PREFIX}.${code}`).digest('hex');
+
+/**
+ * Read a "YYYY-MM-DD HH:MM[:SS]" (or ISO 8601) sale window bound
+ * @param {string} value - Date and time
+ * @returns {string|null} - "YYYY-MM-DD HH:MM:SS", or null if it isn't valid
+ */
+const parseDateTime = (value) => {
+  const match = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const normalized = `${match[1]} ${match[2]}:${match[3]}:${match[4] || '00'}`;
+  const date = new Date(`${normalized.replace(' ', 'T')}Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 19).replace('T', ' ') === normalized ? normalized : null;
+};
+
+/**
+ * Convert an event_tickets row for API responses
+ * @param {object} row - event_tickets row, optionally joined with the tier name and event title
+ * @param {boolean} withQr - Include the QR payload (only for the ticket holder)
+ * @returns {object}
+ */
+const formatTicket = (row, withQr = false) => ({
+  id: row.id,
+  event_id: row.event_id,
+  event_title: row.event_title,
+  occurrence_date: row.occurrence_date,
+  tier_id: row.tier_id,
+  tier_name: row.tier_name,
+  user_id: row.user_id,
+  payment_id: row.payment_id,
+  status: row.status,
+  ...(withQr && row.status === 'valid' ? { qr_payload: `${QR_PREFIX}.${row.code}.${signCode(row.code)}` } : {}),
+  checked_in_at: row.checked_in_at,
+  created_at: row.created_at
+});
+
+/**
+ * Ticket Service
+ * Sells tickets for events in tiers. Each tier has a price, a quantity
+ * available per occurrence and an optional sale window. Free tickets are
+ * valid straight away; paid ones are reserved for HOLD_MINUTES while the
+ * buyer pays, become valid when the payment succeeds and are released if it
+ * doesn't. Valid tickets carry a QR payload signed with
+ * TICKET_SIGNING_SECRET (JWT_SECRET if unset) that the venue scans at the
+ * door; checking a ticket in marks it used, so it can't be let in twice.
+ * Callers that issue tickets must lock the tier row (SELECT ... FOR UPDATE) first.
+ */
+class TicketService {
+  /**
+   * Get how long paid tickets are held while their payment is open
+   * @returns {number} - Minutes
+   */
+  getHoldMinutes() {
+    return HOLD_MINUTES;
+  }
+
+  /**
+   * Get the most tickets one order can hold
+   * @returns {number}
+   */
+  getMaxTicketsPerOrder() {
+    return MAX_TICKETS_PER_ORDER;
+  }
+
+  /**
+   * Convert an event_tickets row for API responses
+   * @param {object} row - event_tickets row
+   * @param {boolean} withQr - Include the QR payload (only for the ticket holder)
+   * @returns {object}
+   */
+  format(row, withQr = false) {
+    return formatTicket(row, withQr);
+  }
+
+  /**
+   * Read the ticket code from a scanned QR payload
+   * @param {string} payload - "<prefix>.<code>.<signature>"
+   * @returns {string|null} - The code, or null if the payload is malformed or its signature is wrong
+   */
+  verifyQrPayload(payload) {
+    const parts = String(payload || '').trim().split('.');
+    if (parts.length !== 3 || parts[0] !== QR_PREFIX || !/^[0-9a-f]{32}$/.test(parts[1])) {
+      return null;
+    }
+
+    const expected = Buffer.from(signCode(parts[1]), 'hex');
+    const received = Buffer.from(parts[2], 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+    return parts[1];
+  }
+
+  /**
+   * Validate the tier fields sent by an event manager
+   * @param {object} body - Request body
+   * @param {boolean} partial - Only validate the fields that were sent (updates)
+   * @returns {object} - { fields, error } where fields only holds the fields that were sent
+   */
+  parseTier(body, partial = false) {
+    const fields = {};
+
+    if (body.name !== undefined || !partial) {
+      const name = typeof body.name === 'string' ? body.name.trim() : '';
+      if (!name || name.length > 100) {
+        return { error: 'Tier name is required and must be at most 100 characters' };
+      }
+      fields.name = name;
+    }
+
+    if (body.description !== undefined) {
+      fields.description = body.description ? String(body.description) : null;
+    }
+
+    for (const [field, min, required] of [['price_amount', 0, false], ['quantity', 1, true], ['max_per_user', 1, false]]) {
+      if (body[field] === undefined) {
+        if (required && !partial) {
+          return { error: `${field} is required` };
+        }
+        continue;
+      }
+
+      if ((body[field] === null || body[field] === '') && field === 'max_per_user') {
+        fields[field] = null;
+        continue;
+      }
+
+      const value = Number(body[field]);
+      if (!Number.isInteger(value) || value < min) {
+        return { error: `${field} must be a whole number of at least ${min}` };
+      }
+      fields[field] = value;
+    }
+
+    for (const field of ['sales_start', 'sales_end']) {
+      if (body[field] === undefined) continue;
+
+      if (body[field] === null || body[field] === '') {
+        fields[field] = null;
+      } else {
+        fields[field] = parseDateTime(body[field]);
+        if (!fields[field]) {
+          return { error: `${field} must be a date and time in YYYY-MM-DD HH:MM format` };
+        }
+      }
+    }
+
+    if (fields.sales_start && fields.sales_end && fields.sales_end <= fields.sales_start) {
+      return { error: 'sales_end must be after sales_start' };
+    }
+
+    if (body.active !== undefined) {
+      fields.active = body.active === true || body.active === 'true' || body.active === 1 ? 1 : 0;
+    }
+
+    return { fields };
+  }
+
+  /**
+   * Check if an event sells tickets
+   * @param {number} eventId - ID of the event
+   * @returns {Promise<boolean>}
+   */
+  async hasTiers(eventId) {
+    const [rows] = await db.execute('SELECT id FROM event_ticket_tiers WHERE event_id = ? AND active = 1 LIMIT 1', [eventId]);
+    return rows.length > 0;
+  }
+
+  /**
+   * Get a tier by its ID
+   * @param {object} connection - Database connection or pool
+   * @param {number|string} id - ID of the tier
+   * @param {boolean} lock - Lock the row for the rest of the transaction
+   * @returns {Promise<object|null>} - event_ticket_tiers row, with on_sale set from the sale window
+   */
+  async getTier(connection, id, lock = false) {
+    const [rows] = await connection.execute(
+      `SELECT *, (sales_start IS NULL OR sales_start <= NOW()) AND (sales_end IS NULL OR sales_end > NOW()) as on_sale
+       FROM event_ticket_tiers WHERE id = ?${lock ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * List an event's tiers, with how many tickets are left for one occurrence
+   * @param {number} eventId - ID of the event
+   * @param {string} occurrenceDate - Occurrence ("YYYY-MM-DD"), or null to leave out the remaining counts
+   * @param {boolean} includeInactive - Include tiers that are switched off (for managers)
+   * @returns {Promise<Array>}
+   */
+  async getTiers(eventId, occurrenceDate = null, includeInactive = false) {
+    const [tiers] = await db.execute(
+      `SELECT t.*, (t.sales_start IS NULL OR t.sales_start <= NOW()) AND (t.sales_end IS NULL OR t.sales_end > NOW()) as on_sale,
+        (SELECT COUNT(*) FROM event_tickets et
+         WHERE et.tier_id = t.id AND et.occurrence_date = ? AND et.status IN (${HELD_STATUSES.map(() => '?').join(', ')})) as sold
+       FROM event_ticket_tiers t
+       WHERE t.event_id = ?${includeInactive ? '' : ' AND t.active = 1'}
+       ORDER BY t.price_amount, t.id`,
+      [occurrenceDate, ...HELD_STATUSES, eventId]
+    );
+
+    return tiers.map(({ sold, ...tier }) => ({
+      ...tier,
+      active: !!tier.active,
+      on_sale: !!tier.active && !!tier.on_sale,
+      ...(occurrenceDate ? { sold: Number(sold), remaining: Math.max(tier.quantity - Number(sold), 0) } : {})
+    }));
+  }
+
+  /**
+   * Get the most tickets of a tier taken for any one occurrence
+   * @param {number|string} tierId - ID of the tier
+   * @returns {Promise<number>}
+   */
+  async getMostSold(tierId) {
+    const [rows] = await db.execute(
+      `SELECT COUNT(*) as sold FROM event_tickets
+       WHERE tier_id = ? AND status IN (${HELD_STATUSES.map(() => '?').join(', ')})
+       GROUP BY occurrence_date ORDER BY sold DESC LIMIT 1`,
+      [tierId, ...HELD_STATUSES]
+    );
+    return rows.length > 0 ? Number(rows[0].sold) : 0;
+  }
+
+  /**
+   * Check if any tickets of a tier were ever issued
+   * @param {number|string} tierId - ID of the tier
+   * @returns {Promise<boolean>}
+   */
+  async hasTickets(tierId) {
+    const [rows] = await db.execute('SELECT id FROM event_tickets WHERE tier_id = ? LIMIT 1', [tierId]);
+    return rows.length > 0;
+  }
+
+  /**
+   * Issue tickets of a tier to a user. Free tickets are valid straight away;
+   * paid ones are reserved until their payment succeeds.
+   * @param {object} connection - Database connection inside a transaction that holds the tier row lock
+   * @param {object} tier - Locked event_ticket_tiers row, from getTier
+   * @param {number} userId - ID of the buyer
+   * @param {string} occurrenceDate - Occurrence ("YYYY-MM-DD")
+   * @param {number} quantity - Number of tickets
+   * @returns {Promise<object>} - { ok, status, message } or { ok: true, ticketIds, amount }
+   */
+  async issueTickets(connection, tier, userId, occurrenceDate, quantity) {
+    if (!tier.active || !tier.on_sale) {
+      return { ok: false, status: 409, message: 'Tickets of this tier are not on sale' };
+    }
+
+    const [taken] = await connection.execute(
+      `SELECT COUNT(*) as sold, SUM(user_id = ?) as mine FROM event_tickets
+       WHERE tier_id = ? AND occurrence_date = ? AND status IN (${HELD_STATUSES.map(() => '?').join(', ')})`,
+      [userId, tier.id, occurrenceDate, ...HELD_STATUSES]
+    );
+    const remaining = tier.quantity - Number(taken[0].sold);
+    const mine = Number(taken[0].mine) || 0;
+
+    if (remaining < quantity) {
+      return {
+        ok: false,
+        status: 409,
+        message: remaining > 0 ? `Only ${remaining} tickets of this tier are left` : 'This tier is sold out'
+      };
+    }
+
+    if (tier.max_per_user && mine + quantity > tier.max_per_user) {
+      return { ok: false, status: 409, message: `You can hold at most ${tier.max_per_user} tickets of this tier` };
+    }
+
+    const status = tier.price_amount > 0 ? 'reserved' : 'valid';
+    const ticketIds = [];
+
+    for (let i = 0; i < quantity; i++) {
+      const [result] = await connection.execute(
+        'INSERT INTO event_tickets (tier_id, event_id, occurrence_date, user_id, code, status) VALUES (?, ?, ?, ?, ?, ?)',
+        [tier.id, tier.event_id, occurrenceDate, userId, crypto.randomBytes(16).toString('hex'), status]
+      );
+      ticketIds.push(result.insertId);
+    }
+
+    return { ok: true, ticketIds, amount: tier.price_amount * quantity };
+  }
+
+  /**
+   * Link reserved tickets to the payment that pays for them
+   * @param {Array<number>} ticketIds - IDs of the tickets
+   * @param {number} paymentId - ID of the payment
+   * @returns {Promise}
+   */
+  async attachPayment(ticketIds, paymentId) {
+    await db.execute(
+      `UPDATE event_tickets SET payment_id = ? WHERE status = 'reserved' AND id IN (${ticketIds.map(() => '?').join(', ')})`,
+      [paymentId, ...ticketIds]
+    );
+  }
+
+  /**
+   * Release reserved tickets whose payment couldn't be created
+   * @param {Array<number>} ticketIds - IDs of the tickets
+   * @returns {Promise}
+   */
+  async releaseTickets(ticketIds) {
+    await db.execute(
+      `UPDATE event_tickets SET status = 'cancelled' WHERE status = 'reserved' AND id IN (${ticketIds.map(() => '?').join(', ')})`,
+      ticketIds
+    );
+  }
+
+  /**
+   * Make the tickets of a payment that just succeeded valid
+   * @param {object} connection - Database connection inside the webhook's transaction
+   * @param {number} paymentId - ID of the payment
+   * @returns {Promise<number>} - Number of tickets made valid
+   */
+  async confirmPaidTickets(connection, paymentId) {
+    const [result] = await connection.execute(
+      "UPDATE event_tickets SET status = 'valid' WHERE payment_id = ? AND status = 'reserved'",
+      [paymentId]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Cancel the tickets for a cancelled event, or one cancelled occurrence of it
+   * @param {object} connection - Database connection inside the cancellation's transaction
+   * @param {number} eventId - ID of the event
+   * @param {string} occurrenceDate - Cancelled occurrence ("YYYY-MM-DD"), or null for the whole event
+   * @returns {Promise<number>} - Number of tickets cancelled
+   */
+  async cancelEventTickets(connection, eventId, occurrenceDate = null) {
+    const [result] = await connection.execute(
+      `UPDATE event_tickets SET status = 'cancelled'
+       WHERE event_id = ? AND status IN ('reserved', 'valid')${occurrenceDate ? ' AND occurrence_date = ?' : ''}`,
+      occurrenceDate ? [eventId, occurrenceDate] : [eventId]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Get a ticket by its ID, with its tier name and event title
+   * @param {object} connection - Database connection or pool
+   * @param {number|string} id - ID of the ticket
+   * @param {boolean} lock - Lock the row for the rest of the transaction
+   * @returns {Promise<object|null>}
+   */
+  async getTicket(connection, id, lock = false) {
+    const [rows] = await connection.execute(
+      `SELECT et.*, DATE_FORMAT(et.occurrence_date, '%Y-%m-%d') as occurrence_date,
+        t.name as tier_name, t.price_amount, e.name as event_title
+       FROM event_tickets et
+       JOIN event_ticket_tiers t ON et.tier_id = t.id
+       JOIN events e ON et.event_id = e.id
+       WHERE et.id = ?${lock ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * List a user's tickets, upcoming occurrences first
+   * @param {number} userId - ID of the user
+   * @returns {Promise<Array>} - Tickets for API responses, with the QR payload of valid ones
+   */
+  async getUserTickets(userId) {
+    const [rows] = await db.execute(
+      `SELECT et.*, DATE_FORMAT(et.occurrence_date, '%Y-%m-%d') as occurrence_date,
+        t.name as tier_name, e.name as event_title
+       FROM event_tickets et
+       JOIN event_ticket_tiers t ON et.tier_id = t.id
+       JOIN events e ON et.event_id = e.id
+       WHERE et.user_id = ? AND et.status != 'cancelled'
+       ORDER BY et.occurrence_date < CURDATE(), et.occurrence_date, et.id`,
+      [userId]
+    );
+    return rows.map(row => formatTicket(row, true));
+  }
+
+  /**
+   * List the tickets of an event for its manager
+   * @param {number} eventId - ID of the event
+   * @param {string} occurrenceDate - Only this occurrence ("YYYY-MM-DD"), or null for all of them
+   * @returns {Promise<Array>} - Tickets for API responses, with the holder's username
+   */
+  async getEventTickets(eventId, occurrenceDate = null) {
+    const [rows] = await db.execute(
+      `SELECT et.*, DATE_FORMAT(et.occurrence_date, '%Y-%m-%d') as occurrence_date,
+        t.name as tier_name, u.username
+       FROM event_tickets et
+       JOIN event_ticket_tiers t ON et.tier_id = t.id
+       JOIN users u ON et.user_id = u.id
+       WHERE et.event_id = ? AND et.status != 'cancelled'${occurrenceDate ? ' AND et.occurrence_date = ?' : ''}
+       ORDER BY et.occurrence_date, t.id, et.id`,
+      occurrenceDate ? [eventId, occurrenceDate] : [eventId]
+    );
+    return rows.map(row => ({ ...formatTicket(row), username: row.username }));
+  }
+
+  /**
+   * Cancel a user's ticket before the event. Reserved tickets are cancelled
+   * together with the rest of their order and its open payment.
+   * @param {number} userId - ID of the ticket holder
+   * @param {number|string} ticketId - ID of the ticket
+   * @returns {Promise<object>} - { ok, status, message, cancelled }
+   */
+  async cancelTicket(userId, ticketId) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const ticket = await this.getTicket(connection, ticketId, true);
+      if (!ticket || ticket.user_id !== userId) {
+        await connection.rollback();
+        return { ok: false, status: 404, message: 'Ticket not found' };
+      }
+
+      let result;
+      if (ticket.status === 'reserved' && ticket.payment_id) {
+        // Lock the payment before its tickets, like the payment webhook does
+        const [payments] = await connection.execute('SELECT status FROM payments WHERE id = ? FOR UPDATE', [ticket.payment_id]);
+        if (payments[0] && !['requires_payment', 'failed', 'cancelled'].includes(payments[0].status)) {
+          await connection.rollback();
+          return { ok: false, status: 409, message: 'This ticket has already been paid for' };
+        }
+
+        await connection.execute(
+          "UPDATE payments SET status = 'cancelled' WHERE id = ? AND status IN ('requires_payment', 'failed')",
+          [ticket.payment_id]
+        );
+        [result] = await connection.execute(
+          "UPDATE event_tickets SET status = 'cancelled' WHERE payment_id = ? AND status = 'reserved'",
+          [ticket.payment_id]
+        );
+      } else if (ticket.status === 'reserved' || (ticket.status === 'valid' && !ticket.payment_id)) {
+        [result] = await connection.execute("UPDATE event_tickets SET status = 'cancelled' WHERE id = ?", [ticket.id]);
+      } else if (ticket.status === 'valid') {
+        await connection.rollback();
+        return { ok: false, status: 409, message: 'Paid tickets can only be refunded by the organizer' };
+      } else {
+        await connection.rollback();
+        return { ok: false, status: 409, message: `A ${ticket.status} ticket can't be cancelled` };
+      }
+
+      await connection.commit();
+      return { ok: true, status: 200, message: 'Ticket cancelled successfully', cancelled: result.affectedRows };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Check a ticket in at the door
+   * @param {object} event - events row the door is for
+   * @param {string} payload - Scanned QR payload
+   * @param {number} staffUserId - ID of the user scanning
+   * @param {string} occurrenceDate - Occurrence being let in ("YYYY-MM-DD"), or null to accept any
+   * @returns {Promise<object>} - { ok, status, message, ticket }
+   */
+  async checkIn(event, payload, staffUserId, occurrenceDate = null) {
+    const code = this.verifyQrPayload(payload);
+    if (!code) {
+      return { ok: false, status: 400, message: 'Invalid ticket code' };
+    }
+
+    const [rows] = await db.execute('SELECT id FROM event_tickets WHERE code = ?', [code]);
+    const ticket = rows[0] && await this.getTicket(db, rows[0].id);
+    if (!ticket || ticket.event_id !== event.id) {
+      return { ok: false, status: 404, message: 'Ticket not found for this event' };
+    }
+
+    if (occurrenceDate && ticket.occurrence_date !== occurrenceDate) {
+      return { ok: false, status: 409, message: `This ticket is for ${ticket.occurrence_date}`, ticket: formatTicket(ticket) };
+    }
+
+    // Only one scan can move the ticket from valid to used
+    const [result] = await db.execute(
+      "UPDATE event_tickets SET status = 'used', checked_in_at = NOW(), checked_in_by = ? WHERE id = ? AND status = 'valid'",
+      [staffUserId, ticket.id]
+    );
+
+    const current = await this.getTicket(db, ticket.id);
+    if (result.affectedRows === 1) {
+      return { ok: true, status: 200, message: 'Ticket checked in successfully', ticket: formatTicket(current) };
+    }
+
+    const messages = {
+      used: 'This ticket has already been checked in',
+      reserved: 'This ticket has not been paid for',
+      cancelled: 'This ticket has been cancelled'
+    };
+    return { ok: false, status: 409, message: messages[current.status], ticket: formatTicket(current) };
+  }
+
+  /**
+   * Release paid tickets whose payment wasn't completed in time (run by the scheduler)
+   * @returns {Promise<number>} - Number of tickets released
+   */
+  async releaseExpiredReservations() {
+    const [due] = await db.execute(
+      `SELECT DISTINCT payment_id FROM event_tickets
+       WHERE status = 'reserved' AND created_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+       LIMIT 100`,
+      [HOLD_MINUTES]
+    );
+
+    let released = 0;
+
+    for (const { payment_id: paymentId } of due) {
+      const connection = await db.getConnection();
+
+      try {
+        await connection.beginTransaction();
+
+        if (paymentId) {
+          const [payments] = await connection.execute('SELECT status FROM payments WHERE id = ? FOR UPDATE', [paymentId]);
+
+          // Paid since it was picked up; the webhook makes the tickets valid
+          if (payments[0] && payments[0].status === 'succeeded') {
+            await connection.rollback();
+            continue;
+          }
+
+          // A payment completed after this is refunded by the payment webhook
+          await connection.execute(
+            "UPDATE payments SET status = 'cancelled' WHERE id = ? AND status IN ('requires_payment', 'failed')",
+            [paymentId]
+          );
+        }
+
+        const [result] = await connection.execute(
+          `UPDATE event_tickets SET status = 'cancelled'
+           WHERE status = 'reserved' AND created_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+             AND ${paymentId ? 'payment_id = ?' : 'payment_id IS NULL'}`,
+          paymentId ? [HOLD_MINUTES, paymentId] : [HOLD_MINUTES]
+        );
+
+        await connection.commit();
+        released += result.affectedRows;
+      } catch (error) {
+        await connection.rollback();
+        console.error(`Error releasing tickets of payment ${paymentId}:`, error.message);
+      } finally {
+        connection.release();
+      }
+    }
+
+    if (released > 0) {
+      console.log(`Released ${released} unpaid tickets`);
+    }
+    return released;
+  }
+}
+
+module.exports = new TicketService();
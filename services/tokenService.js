@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+
+/**
+ * Create an error for a refresh token that can no longer be used.
+ * The name follows the jsonwebtoken convention so controllers can switch on err.name.
+ * @param {string} name - Error name (RefreshTokenInvalidError, RefreshTokenRevokedError, RefreshTokenReuseError)
+ * @param {string} message - Human readable message
+ * @returns {Error}
+ */
+function refreshTokenError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Token Service
+ * Issues access/refresh token pairs and keeps a server-side record of every
+ * refresh token so they can be rotated, revoked and checked for reuse.
+ *
+ * Every login starts a token "family". Each refresh rotates the token inside
+ * that family; presenting an already rotated token means it was copied, so the
+ * whole family is revoked.
+ */
+class TokenService {
+  /**
+   * Hash a refresh token before storing or looking it up
+   * @param {string} token - Raw refresh token
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Sign a short-lived access token
+   * @param {number} userId - ID of the user
+   * @returns {string} - Signed JWT
+   */
+  signAccessToken(userId) {
+    return jwt.sign(
+      { id: userId },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
+    );
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - Signed JWT
+   * @returns {object} - Decoded payload ({ id, iat, exp })
+   * @throws {Error} - jsonwebtoken errors (TokenExpiredError, JsonWebTokenError)
+   */
+  verifyAccessToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  }
+
+  /**
+   * Issue a new access/refresh token pair and persist the refresh token
+   * @param {number} userId - ID of the user
+   * @param {object} options - Optional settings
+   * @param {string} options.familyId - Existing family to continue (omit to start a new session)
+   * @param {object} options.connection - Connection to run the insert on (defaults to the pool)
+   * @param {string} options.userAgent - User agent of the client
+   * @param {string} options.ipAddress - IP address of the client
+   * @returns {Promise<object>} - { accessToken, refreshToken, refreshTokenId, familyId }
+   */
+  async issueTokenPair(userId, { familyId = null, connection = db, userAgent = null, ipAddress = null } = {}) {
+    const family = familyId || crypto.randomUUID();
+
+    const refreshToken = jwt.sign(
+      { id: userId, jti: crypto.randomUUID(), fam: family },
+      process.env.JWT_REFRESH_SECRET,
+      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+    );
+
+    const { exp } = jwt.decode(refreshToken);
+
+    const [result] = await connection.execute(
+      `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent, ip_address)
+       VALUES (?, ?, ?, FROM_UNIXTIME(?), ?, ?)`,
+      [userId, this.hashToken(refreshToken), family, exp, userAgent ? userAgent.substring(0, 255) : null, ipAddress]
+    );
+
+    return {
+      accessToken: this.signAccessToken(userId),
+      refreshToken,
+      refreshTokenId: result.insertId,
+      familyId: family
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (one-time use).
+   * Throws jsonwebtoken errors for expired/malformed tokens and
+   * RefreshToken*Error errors for unknown, revoked or reused tokens.
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {object} meta - Client metadata ({ userAgent, ipAddress })
+   * @returns {Promise<object>} - { userId, accessToken, refreshToken }
+   */
+  async rotateRefreshToken(refreshToken, meta = {}) {
+    // Signature and expiry are checked first so garbage never reaches the database
+    jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT * FROM refresh_tokens WHERE token_hash = ? FOR UPDATE',
+        [this.hashToken(refreshToken)]
+      );
+
+      if (rows.length === 0) {
+        throw refreshTokenError('RefreshTokenInvalidError', 'Refresh token is not recognised');
+      }
+
+      const stored = rows[0];
+
+      if (stored.revoked_at) {
+        if (stored.replaced_by_id) {
+          // The token was already exchanged once - someone is replaying it
+          console.warn(`Refresh token reuse detected for user ${stored.user_id}, revoking family ${stored.family_id}`);
+          await connection.execute(
+            `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'reuse_detected'
+             WHERE family_id = ? AND revoked_at IS NULL`,
+            [stored.family_id]
+          );
+          await connection.commit();
+          throw refreshTokenError('RefreshTokenReuseError', 'Refresh token has already been used');
+        }
+
+        throw refreshTokenError('RefreshTokenRevokedError', 'Refresh token has been revoked');
+      }
+
+      const tokens = await this.issueTokenPair(stored.user_id, {
+        familyId: stored.family_id,
+        connection,
+        userAgent: meta.userAgent,
+        ipAddress: meta.ipAddress
+      });
+
+      await connection.execute(
+        `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'rotated', replaced_by_id = ?
+         WHERE id = ?`,
+        [tokens.refreshTokenId, stored.id]
+      );
+
+      await connection.commit();
+
+      return {
+        userId: stored.user_id,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      };
+    } catch (error) {
+      // No-op when the reuse branch has already committed the family revocation
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Revoke the session (token family) a refresh token belongs to
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {string} reason - Reason stored with the revocation
+   * @returns {Promise<number|null>} - ID of the user the token belonged to, or null if unknown
+   */
+  async revokeRefreshToken(refreshToken, reason = 'logout') {
+    const [rows] = await db.execute(
+      'SELECT user_id, family_id FROM refresh_tokens WHERE token_hash = ?',
+      [this.hashToken(refreshToken)]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    await db.execute(
+      `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+       WHERE family_id = ? AND revoked_at IS NULL`,
+      [reason, rows[0].family_id]
+    );
+
+    return rows[0].user_id;
+  }
+
+  /**
+   * Revoke every active refresh token of a user (logout from all devices)
+   * @param {number} userId - ID of the user
+   * @param {string} reason - Reason stored with the revocation
+   * @param {object} connection - Connection to run the update on (defaults to the pool)
+   * @returns {Promise<number>} - Number of revoked tokens
+   */
+  async revokeAllForUser(userId, reason = 'logout_all', connection = db) {
+    const [result] = await connection.execute(
+      `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+       WHERE user_id = ? AND revoked_at IS NULL`,
+      [reason, userId]
+    );
+
+    return result.affectedRows;
+  }
+}
+
+module.exports = new TokenService();
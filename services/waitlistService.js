@@ -0,0 +1,215 @@
+const db = require('../config/db');
+const outboxService = require('./outboxService');
+const availabilityService = require('./availabilityService');
+const bookingService = require('./bookingService');
+const { addDays } = require('../utils/time');
+
+// How long a waitlisted user has to claim freed seats before they go to the next person
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 15;
+
+// Entries that are still in the queue
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Waitlist Service
+ * Queues users for booking slots that are full. When a booking is
+ * cancelled, moved or deleted, the waiting entries around it are offered
+ * the freed seats first come, first served. An offer holds its seats for
+ * OFFER_MINUTES; if the user passes or doesn't claim it in time the seats
+ * go to the next entry. Callers that change bookings or entries must lock
+ * the venue row (SELECT ... FOR UPDATE) first, like when booking.
+ */
+class WaitlistService {
+  /**
+   * Get how long an offer can be claimed for
+   * @returns {number} - Minutes
+   */
+  getOfferMinutes() {
+    return OFFER_MINUTES;
+  }
+
+  /**
+   * Check if an entry is still in the queue
+   * @param {string} status - Entry status
+   * @returns {boolean}
+   */
+  isActive(status) {
+    return ACTIVE_STATUSES.includes(status);
+  }
+
+  /**
+   * Load a waitlist entry with its date and time as "YYYY-MM-DD" and "HH:MM"
+   * @param {object} connection - Database connection or pool
+   * @param {number|string} id - ID of the entry
+   * @param {boolean} lock - Lock the row for the rest of the transaction
+   * @returns {Promise<object|null>}
+   */
+  async getEntry(connection, id, lock = false) {
+    const [rows] = await connection.execute(
+      `SELECT id, venue_id, user_id, guest_count, note, status, offered_at, offer_expires_at, booking_id,
+        offer_expires_at > NOW() as offer_valid,
+        DATE_FORMAT(booking_date, '%Y-%m-%d') as booking_date,
+        TIME_FORMAT(booking_time, '%H:%i') as booking_time
+       FROM booking_waitlist WHERE id = ?${lock ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Check if a user is already queued for a slot
+   * @param {object} connection - Database connection or pool
+   * @param {number} userId - ID of the user
+   * @param {number|string} venueId - ID of the venue
+   * @param {string} date - Booking date ("YYYY-MM-DD")
+   * @param {string} time - Booking time ("HH:MM")
+   * @returns {Promise<boolean>}
+   */
+  async isQueued(connection, userId, venueId, date, time) {
+    const [rows] = await connection.execute(
+      `SELECT id FROM booking_waitlist
+       WHERE user_id = ? AND venue_id = ? AND booking_date = ? AND booking_time = ?
+         AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})`,
+      [userId, venueId, date, time, ...ACTIVE_STATUSES]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Get the position of a waiting entry in its slot's queue
+   * @param {object} connection - Database connection or pool
+   * @param {object} entry - Result of getEntry
+   * @returns {Promise<number|null>} - 1 for the first in line, null if the entry isn't waiting
+   */
+  async getPosition(connection, entry) {
+    if (entry.status !== 'waiting') return null;
+
+    const [rows] = await connection.execute(
+      `SELECT COUNT(*) as ahead FROM booking_waitlist
+       WHERE venue_id = ? AND booking_date = ? AND booking_time = ? AND status = 'waiting' AND id < ?`,
+      [entry.venue_id, entry.booking_date, entry.booking_time, entry.id]
+    );
+    return rows[0].ahead + 1;
+  }
+
+  /**
+   * Offer freed seats to the waiting entries of the days around a date.
+   * Each entry that now fits gets an offer and a notification, in the order
+   * the entries joined; entries for slots that have started are expired.
+   * @param {object} connection - Database connection inside a transaction that locked the venue row
+   * @param {object} venue - venues row
+   * @param {string} date - Date of the booking that freed the seats ("YYYY-MM-DD")
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Number of offers made
+   */
+  async offerFreedSeats(connection, venue, date, now = new Date()) {
+    const [entries] = await connection.execute(
+      `SELECT id, guest_count,
+        DATE_FORMAT(booking_date, '%Y-%m-%d') as booking_date,
+        TIME_FORMAT(booking_time, '%H:%i') as booking_time
+       FROM booking_waitlist
+       WHERE venue_id = ? AND booking_date BETWEEN ? AND ? AND status = 'waiting'
+       ORDER BY created_at ASC, id ASC
+       FOR UPDATE`,
+      [venue.id, addDays(date, -1), addDays(date, 1)]
+    );
+
+    let offered = 0;
+
+    for (const entry of entries) {
+      if (bookingService.getStartInstant(entry, venue) <= now) {
+        await connection.execute("UPDATE booking_waitlist SET status = 'expired' WHERE id = ?", [entry.id]);
+        continue;
+      }
+
+      // Offers made earlier in this loop already hold their seats
+      const check = await availabilityService.checkSlot(
+        connection, venue, entry.booking_date, entry.booking_time, entry.guest_count
+      );
+      if (!check.ok) continue;
+
+      await connection.execute(
+        `UPDATE booking_waitlist
+         SET status = 'offered', offered_at = NOW(), offer_expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+         WHERE id = ?`,
+        [OFFER_MINUTES, entry.id]
+      );
+      await outboxService.enqueue('sendWaitlistOfferNotification', [entry.id], connection);
+      offered++;
+    }
+
+    if (offered > 0) {
+      console.log(`Offered freed seats at venue ${venue.id} around ${date} to ${offered} waitlisted users`);
+    }
+
+    return offered;
+  }
+
+  /**
+   * Take an entry out of the queue; if it held an offer, pass the seats on
+   * @param {object} connection - Database connection inside a transaction that locked the venue row
+   * @param {object} venue - venues row
+   * @param {object} entry - Result of getEntry
+   * @param {string} status - 'declined', 'cancelled' or 'expired'
+   * @returns {Promise<number>} - Number of offers made with the released seats
+   */
+  async release(connection, venue, entry, status) {
+    await connection.execute('UPDATE booking_waitlist SET status = ? WHERE id = ?', [status, entry.id]);
+
+    if (entry.status !== 'offered') return 0;
+
+    return this.offerFreedSeats(connection, venue, entry.booking_date);
+  }
+
+  /**
+   * Expire offers that weren't claimed in time and pass their seats on,
+   * and expire waiting entries for days that are over
+   * @returns {Promise<number>} - Number of offers expired
+   */
+  async expireOffers() {
+    const [slots] = await db.execute(
+      `SELECT DISTINCT venue_id, DATE_FORMAT(booking_date, '%Y-%m-%d') as booking_date
+       FROM booking_waitlist
+       WHERE status = 'offered' AND offer_expires_at <= NOW()`
+    );
+
+    let expired = 0;
+
+    for (const slot of slots) {
+      const connection = await db.getConnection();
+
+      try {
+        await connection.beginTransaction();
+
+        const [venueRows] = await connection.execute('SELECT * FROM venues WHERE id = ? FOR UPDATE', [slot.venue_id]);
+
+        // Another scheduler may have handled these offers already
+        const [result] = await connection.execute(
+          `UPDATE booking_waitlist SET status = 'expired'
+           WHERE venue_id = ? AND booking_date = ? AND status = 'offered' AND offer_expires_at <= NOW()`,
+          [slot.venue_id, slot.booking_date]
+        );
+
+        if (result.affectedRows > 0 && venueRows.length > 0) {
+          expired += result.affectedRows;
+          await this.offerFreedSeats(connection, venueRows[0], slot.booking_date);
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+    }
+
+    await db.execute(
+      "UPDATE booking_waitlist SET status = 'expired' WHERE status = 'waiting' AND booking_date < DATE_SUB(CURDATE(), INTERVAL 1 DAY)"
+    );
+
+    return expired;
+  }
+}
+
+module.exports = new WaitlistService();
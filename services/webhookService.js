@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const db = require('../config/db');
+
+// Give up on a webhook request after this long
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Webhooks a user can register
+const MAX_WEBHOOKS_PER_USER = 5;
+
+// Addresses webhooks may not point to: this host, private networks, link-local
+// (including cloud metadata endpoints such as 169.254.169.254) and other
+// non-public ranges. IPv4-mapped IPv6 addresses are matched by the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check that an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * dns.lookup that fails for hosts resolving to non-public addresses. Used by
+ * the webhook agents so the address checked is the one connected to, even if
+ * the host's DNS changed since the URL was checked.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Convert a notification_webhooks row for API responses (the secret is only shown once, on creation)
+ * @param {object} row - notification_webhooks row
+ * @returns {object}
+ */
+const formatWebhook = (row) => {
+  let types = null;
+  try {
+    types = row.types ? JSON.parse(row.types) : null;
+  } catch (error) {
+    console.error(`Invalid types stored for webhook ${row.id}:`, error.message);
+  }
+
+  return {
+    id: row.id,
+    url: row.url,
+    types,
+    active: !!row.active,
+    failure_count: row.failure_count,
+    last_error: row.last_error,
+    last_success_at: row.last_success_at,
+    last_failure_at: row.last_failure_at,
+    created_at: row.created_at
+  };
+};
+
+/**
+ * Sign a webhook payload. Receivers recompute the HMAC over "<timestamp>.<body>"
+ * with their secret and compare it to the v1 value of the X-Webhook-Signature header.
+ * @param {string} secret - Secret of the webhook
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Header value, "t=<timestamp>,v1=<hex signature>"
+ */
+const sign = (secret, timestamp, body) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Webhook Service
+ * Manages the HTTP endpoints users register to receive their notifications
+ * (e.g. a venue's booking system) and posts signed notifications to them.
+ */
+class WebhookService {
+  /**
+   * Check that a webhook URL points to a public address. Hosts are resolved,
+   * and refused if any of their addresses is loopback, private, link-local or
+   * otherwise internal.
+   * @param {string} url - Webhook URL
+   * @returns {Promise<string|null>} - Why the URL is refused, or null if it can be used
+   */
+  async checkUrl(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+    let addresses = [host];
+    if (!net.isIP(host)) {
+      try {
+        addresses = (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+      } catch (error) {
+        return `${host} could not be resolved`;
+      }
+    }
+
+    const blocked = addresses.find(address => !isPublicAddress(address));
+    return blocked ? `url must point to a public address, not ${blocked}` : null;
+  }
+
+  /**
+   * List a user's webhooks
+   * @param {number} userId - ID of the user
+   * @returns {Promise<Array>}
+   */
+  async list(userId) {
+    const [rows] = await db.execute(
+      'SELECT * FROM notification_webhooks WHERE user_id = ? ORDER BY id',
+      [userId]
+    );
+    return rows.map(formatWebhook);
+  }
+
+  /**
+   * Get one of a user's webhooks
+   * @param {number} userId - ID of the user
+   * @param {number} webhookId - ID of the webhook
+   * @returns {Promise<object|null>}
+   */
+  async get(userId, webhookId) {
+    const [rows] = await db.execute(
+      'SELECT * FROM notification_webhooks WHERE id = ? AND user_id = ?',
+      [webhookId, userId]
+    );
+    return rows.length > 0 ? formatWebhook(rows[0]) : null;
+  }
+
+  /**
+   * Register a webhook
+   * @param {number} userId - ID of the user
+   * @param {object} webhook - { url, types } (types null for every type)
+   * @returns {Promise<object|null>} - The webhook with its secret, or null if the user has too many
+   */
+  async create(userId, { url, types = null }) {
+    const [countResult] = await db.execute(
+      'SELECT COUNT(*) as count FROM notification_webhooks WHERE user_id = ?',
+      [userId]
+    );
+    if (countResult[0].count >= MAX_WEBHOOKS_PER_USER) {
+      return null;
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const [result] = await db.execute(
+      'INSERT INTO notification_webhooks (user_id, url, secret, types) VALUES (?, ?, ?, ?)',
+      [userId, url, secret, types ? JSON.stringify(types) : null]
+    );
+
+    const webhook = await this.get(userId, result.insertId);
+    return { ...webhook, secret };
+  }
+
+  /**
+   * Update a webhook; omitted fields are left unchanged
+   * @param {number} userId - ID of the user
+   * @param {number} webhookId - ID of the webhook
+   * @param {object} changes - { url, types, active }
+   * @returns {Promise<object|null>} - Updated webhook, or null if the user has no such webhook
+   */
+  async update(userId, webhookId, { url, types, active }) {
+    const fields = [];
+    const params = [];
+
+    if (url !== undefined) {
+      fields.push('url = ?');
+      params.push(url);
+    }
+    if (types !== undefined) {
+      fields.push('types = ?');
+      params.push(types ? JSON.stringify(types) : null);
+    }
+    if (active !== undefined) {
+      // Reactivating starts counting failures afresh
+      fields.push('active = ?', 'failure_count = 0');
+      params.push(active ? 1 : 0);
+    }
+
+    if (fields.length > 0) {
+      await db.execute(
+        `UPDATE notification_webhooks SET ${fields.join(', ')} WHERE id = ? AND user_id = ?`,
+        [...params, webhookId, userId]
+      );
+    }
+
+    return this.get(userId, webhookId);
+  }
+
+  /**
+   * Delete a webhook
+   * @param {number} userId - ID of the user
+   * @param {number} webhookId - ID of the webhook
+   * @returns {Promise<boolean>} - false if the user has no such webhook
+   */
+  async remove(userId, webhookId) {
+    const [result] = await db.execute(
+      'DELETE FROM notification_webhooks WHERE id = ? AND user_id = ?',
+      [webhookId, userId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Get the active webhooks of several users that subscribe to a notification type
+   * @param {Array<number>} userIds - IDs of the users
+   * @param {string} type - Notification type (data.type)
+   * @returns {Promise<Array>} - notification_webhooks rows
+   */
+  async getSubscribed(userIds, type) {
+    if (userIds.length === 0) return [];
+
+    const placeholders = userIds.map(() => '?').join(',');
+    const [rows] = await db.execute(
+      `SELECT * FROM notification_webhooks WHERE active = 1 AND user_id IN (${placeholders})`,
+      userIds
+    );
+    return rows.filter(row => {
+      const webhook = formatWebhook(row);
+      return !webhook.types || webhook.types.includes(type);
+    });
+  }
+
+  /**
+   * Get webhooks by ID (used to retry the ones a delivery failed for)
+   * @param {Array<number>} webhookIds - IDs of the webhooks
+   * @returns {Promise<Array>} - Active notification_webhooks rows
+   */
+  async getByIds(webhookIds) {
+    if (webhookIds.length === 0) return [];
+
+    const placeholders = webhookIds.map(() => '?').join(',');
+    const [rows] = await db.execute(
+      `SELECT * FROM notification_webhooks WHERE active = 1 AND id IN (${placeholders})`,
+      webhookIds
+    );
+    return rows;
+  }
+
+  /**
+   * Post a notification to a webhook and record the outcome.
+   * A 410 Gone response deactivates the webhook. The URL is checked again
+   * before each request, as its host may have started resolving to an
+   * internal address since it was registered.
+   * @param {object} webhook - notification_webhooks row
+   * @param {object} notification - Notification title and body
+   * @param {object} data - Notification data payload
+   * @returns {Promise<boolean>} - false if the request failed and should be retried
+   */
+  async post(webhook, notification, data) {
+    const body = JSON.stringify({
+      webhook_id: webhook.id,
+      user_id: webhook.user_id,
+      type: data.type,
+      notification,
+      data,
+      sent_at: new Date().toISOString()
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let errorMessage = null;
+    let gone = false;
+
+    try {
+      const refused = await this.checkUrl(webhook.url);
+      if (refused) {
+        throw new Error(refused);
+      }
+
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': webhook.id.toString(),
+          'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+        },
+        body,
+        timeout: REQUEST_TIMEOUT_MS,
+        redirect: 'manual',
+        agent: parsedUrl => (parsedUrl.protocol === 'http:' ? httpAgent : httpsAgent)
+      });
+
+      if (!response.ok) {
+        errorMessage = `HTTP ${response.status}`;
+        gone = response.status === 410;
+      }
+    } catch (error) {
+      errorMessage = error.message;
+    }
+
+    if (!errorMessage) {
+      await db.execute(
+        'UPDATE notification_webhooks SET failure_count = 0, last_error = NULL, last_success_at = NOW() WHERE id = ?',
+        [webhook.id]
+      );
+      return true;
+    }
+
+    await db.execute(
+      `UPDATE notification_webhooks
+       SET failure_count = failure_count + 1, last_error = ?, last_failure_at = NOW(), active = IF(?, 0, active)
+       WHERE id = ?`,
+      [errorMessage, gone ? 1 : 0, webhook.id]
+    );
+
+    if (gone) {
+      console.log(`Deactivated webhook ${webhook.id}: the endpoint is gone`);
+      return true;
+    }
+
+    console.error(`Error posting to webhook ${webhook.id}:`, errorMessage);
+    return false;
+  }
+}
+
+module.exports = new WebhookService();
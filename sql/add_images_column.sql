@@ -1,2 +0,0 @@
--- Add images column to venues table
-ALTER TABLE venues ADD COLUMN images TEXT AFTER image;
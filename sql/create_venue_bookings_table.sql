@@ -1,15 +0,0 @@
--- Create venue_bookings table
-CREATE TABLE IF NOT EXISTS venue_bookings (
-  id INT AUTO_INCREMENT PRIMARY KEY,
-  venue_id INT NOT NULL,
-  user_id INT NOT NULL,
-  booking_date DATE NOT NULL,
-  booking_time TIME NOT NULL,
-  guest_count INT NOT NULL DEFAULT 1,
-  note TEXT,
-  status ENUM('pending', 'confirmed', 'cancelled') DEFAULT 'pending',
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
-  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-);
@@ -0,0 +1,131 @@
+/**
+ * English notification texts. See utils/i18n.js for the message format.
+ */
+
+module.exports = {
+  notifications: {
+    newMessage: {
+      title: 'New Message',
+      body: '{sender}: {message}'
+    },
+    friendRequest: {
+      title: 'Friend Request',
+      body: '{sender} sent you a friend request'
+    },
+    friendRequestAccepted: {
+      title: 'Friend Request Accepted',
+      body: '{user} accepted your friend request'
+    },
+    newGroupMessage: {
+      title: '{group}',
+      body: '{sender}: {message}'
+    },
+    bookingConfirmed: {
+      title: 'Booking Update',
+      body: 'Your booking for {venue} on {date, date} at {time} has been confirmed'
+    },
+    bookingCancelled: {
+      title: 'Booking Update',
+      body: 'Your booking for {venue} on {date, date} at {time} has been cancelled'
+    },
+    bookingUpdated: {
+      title: 'Booking Update',
+      body: 'Your booking for {venue} on {date, date} at {time} has been updated'
+    },
+    bookingRescheduled: {
+      title: 'Booking Update',
+      body: 'Your booking at {venue} has been moved to {date, date} at {time}'
+    },
+    bookingReminder: {
+      title: 'Booking Reminder',
+      body: 'Your booking at {venue} for {guests, plural, one {# guest} other {# guests}} is on {date, date} at {time}'
+    },
+    waitlistOffer: {
+      title: 'Seats Available',
+      body: 'Seats for {guests, plural, one {# guest} other {# guests}} at {venue} on {date, date} at {time} are free. Claim them within {minutes, plural, one {# minute} other {# minutes}}'
+    },
+    eventReminder: {
+      title: 'Event Reminder',
+      body: '{name} is on {date, date}{time, select, none {} other { at {time}}}'
+    },
+    newEvent: {
+      title: 'New Event',
+      body: '{name} has been added at {location}'
+    },
+    eventUpdated: {
+      title: 'Event Updated',
+      body: '{name} has been updated'
+    },
+    eventRescheduled: {
+      title: 'Event Updated',
+      body: '{name} has a new date or time'
+    },
+    eventMoved: {
+      title: 'Event Updated',
+      body: '{name} has moved to a new location'
+    },
+    eventCancelled: {
+      title: 'Event Cancelled',
+      body: '{name}{date, select, none {} other { on {date, date}}} has been cancelled{reason, select, none {} other {: {reason}}}'
+    },
+    newVenue: {
+      title: 'New Venue',
+      body: '{name}{type, select, none {} other { ({type})}} has been added at {location}'
+    },
+    newBooking: {
+      title: 'New Booking',
+      body: '{user} made a booking at {venue} for {guests, plural, one {# guest} other {# guests}} on {date, date} at {time}'
+    },
+    bookingChanged: {
+      title: 'Booking Changed',
+      body: '{user} changed their booking at {venue} to {guests, plural, one {# guest} other {# guests}} on {date, date} at {time}'
+    },
+    groupBooking: {
+      title: 'Group Booking',
+      body: '{user} booked {venue} for {group} on {date, date} at {time}. Are you in?'
+    },
+    addedToGroup: {
+      title: 'Added to Group',
+      body: '{adder, select, none {You were added} other {{adder} added you}} to the group "{group}"'
+    }
+  },
+
+  // System messages posted into a group's thread about its booking
+  groupBooking: {
+    created: '{user} booked {venue} for {date, date} at {time}. Let everyone know if you\'re in',
+    pending: 'The booking at {venue} for {date, date} at {time} is waiting for the venue to confirm',
+    confirmed: 'The booking at {venue} for {date, date} at {time} has been confirmed',
+    cancelled: 'The booking at {venue} for {date, date} at {time} has been cancelled',
+    completed: 'The booking at {venue} on {date, date} has been completed',
+    no_show: 'The booking at {venue} on {date, date} was marked as a no-show',
+    moved: 'The booking at {venue} has been moved to {date, date} at {time} for {guests, plural, one {# guest} other {# guests}}',
+    deleted: 'The booking at {venue} for {date, date} at {time} has been removed'
+  },
+
+  common: {
+    someone: 'Someone',
+    unknownLocation: 'Unknown location',
+    theVenue: 'the venue',
+    yourVenue: 'your venue',
+    newEvent: 'New Event',
+    newVenue: 'New Venue'
+  },
+
+  email: {
+    greeting: '{name, select, none {Hi,} other {Hi {name},}}',
+    bookingNumber: 'Booking number',
+    venue: 'Venue',
+    guest: 'Guest',
+    date: 'Date',
+    time: 'Time',
+    guests: 'Guests',
+    note: 'Note',
+    status: 'Status',
+    statusPending: 'Pending',
+    statusConfirmed: 'Confirmed',
+    statusCancelled: 'Cancelled',
+    statusRescheduled: 'Rescheduled',
+    statusCompleted: 'Completed',
+    statusNoShow: 'No-show'
+  }
+};
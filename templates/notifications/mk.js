@@ -0,0 +1,131 @@
+/**
+ * Macedonian notification texts (the default locale). See utils/i18n.js for the message format.
+ */
+
+module.exports = {
+  notifications: {
+    newMessage: {
+      title: 'Нова порака',
+      body: '{sender}: {message}'
+    },
+    friendRequest: {
+      title: 'Барање за пријателство',
+      body: '{sender} ви испрати барање за пријателство'
+    },
+    friendRequestAccepted: {
+      title: 'Прифатено барање за пријателство',
+      body: '{user} го прифати вашето барање за пријателство'
+    },
+    newGroupMessage: {
+      title: '{group}',
+      body: '{sender}: {message}'
+    },
+    bookingConfirmed: {
+      title: 'Промена на резервација',
+      body: 'Вашата резервација во {venue} за {date, date} во {time} е потврдена'
+    },
+    bookingCancelled: {
+      title: 'Промена на резервација',
+      body: 'Вашата резервација во {venue} за {date, date} во {time} е откажана'
+    },
+    bookingUpdated: {
+      title: 'Промена на резервација',
+      body: 'Вашата резервација во {venue} за {date, date} во {time} е изменета'
+    },
+    bookingRescheduled: {
+      title: 'Промена на резервација',
+      body: 'Вашата резервација во {venue} е преместена за {date, date} во {time}'
+    },
+    bookingReminder: {
+      title: 'Потсетник за резервација',
+      body: 'Вашата резервација во {venue} за {guests, plural, one {# гостин} other {# гости}} е во {date, date} во {time}'
+    },
+    waitlistOffer: {
+      title: 'Слободни места',
+      body: 'Се ослободија места за {guests, plural, one {# гостин} other {# гости}} во {venue} во {date, date} во {time}. Резервирајте ги во рок од {minutes, plural, one {# минута} other {# минути}}'
+    },
+    eventReminder: {
+      title: 'Потсетник за настан',
+      body: '{name} е во {date, date}{time, select, none {} other { во {time}}}'
+    },
+    newEvent: {
+      title: 'Нов настан',
+      body: '{name} е додаден во {location}'
+    },
+    eventUpdated: {
+      title: 'Изменет настан',
+      body: '{name} е изменет'
+    },
+    eventRescheduled: {
+      title: 'Изменет настан',
+      body: '{name} има нов датум или време'
+    },
+    eventMoved: {
+      title: 'Изменет настан',
+      body: '{name} се преместува на нова локација'
+    },
+    eventCancelled: {
+      title: 'Откажан настан',
+      body: '{name}{date, select, none {} other { во {date, date}}} е откажан{reason, select, none {} other {: {reason}}}'
+    },
+    newVenue: {
+      title: 'Ново место',
+      body: '{name}{type, select, none {} other { ({type})}} е додадено во {location}'
+    },
+    newBooking: {
+      title: 'Нова резервација',
+      body: '{user} резервираше во {venue} за {guests, plural, one {# гостин} other {# гости}} во {date, date} во {time}'
+    },
+    bookingChanged: {
+      title: 'Изменета резервација',
+      body: '{user} ја измени резервацијата во {venue} на {guests, plural, one {# гостин} other {# гости}} во {date, date} во {time}'
+    },
+    groupBooking: {
+      title: 'Групна резервација',
+      body: '{user} резервираше во {venue} за {group} во {date, date} во {time}. Доаѓате ли?'
+    },
+    addedToGroup: {
+      title: 'Додадени сте во група',
+      body: '{adder, select, none {Додадени сте} other {{adder} ве додаде}} во групата „{group}“'
+    }
+  },
+
+  // System messages posted into a group's thread about its booking
+  groupBooking: {
+    created: '{user} резервираше во {venue} за {date, date} во {time}. Кажете дали доаѓате',
+    pending: 'Резервацијата во {venue} за {date, date} во {time} чека потврда од објектот',
+    confirmed: 'Резервацијата во {venue} за {date, date} во {time} е потврдена',
+    cancelled: 'Резервацијата во {venue} за {date, date} во {time} е откажана',
+    completed: 'Резервацијата во {venue} за {date, date} е завршена',
+    no_show: 'Резервацијата во {venue} за {date, date} е означена како непојавување',
+    moved: 'Резервацијата во {venue} е преместена за {date, date} во {time} за {guests, plural, one {# гостин} other {# гости}}',
+    deleted: 'Резервацијата во {venue} за {date, date} во {time} е избришана'
+  },
+
+  common: {
+    someone: 'Некој',
+    unknownLocation: 'непозната локација',
+    theVenue: 'објектот',
+    yourVenue: 'вашиот објект',
+    newEvent: 'Нов настан',
+    newVenue: 'Ново место'
+  },
+
+  email: {
+    greeting: '{name, select, none {Здраво,} other {Здраво {name},}}',
+    bookingNumber: 'Број на резервација',
+    venue: 'Место',
+    guest: 'Гостин',
+    date: 'Датум',
+    time: 'Време',
+    guests: 'Број на гости',
+    note: 'Забелешка',
+    status: 'Статус',
+    statusPending: 'Во исчекување',
+    statusConfirmed: 'Потврдена',
+    statusCancelled: 'Откажана',
+    statusRescheduled: 'Преместена',
+    statusCompleted: 'Завршена',
+    statusNoShow: 'Не се појави'
+  }
+};
@@ -0,0 +1,131 @@
+/**
+ * Albanian notification texts. See utils/i18n.js for the message format.
+ */
+
+module.exports = {
+  notifications: {
+    newMessage: {
+      title: 'Mesazh i ri',
+      body: '{sender}: {message}'
+    },
+    friendRequest: {
+      title: 'Kërkesë për miqësi',
+      body: '{sender} ju dërgoi një kërkesë për miqësi'
+    },
+    friendRequestAccepted: {
+      title: 'Kërkesa për miqësi u pranua',
+      body: '{user} e pranoi kërkesën tuaj për miqësi'
+    },
+    newGroupMessage: {
+      title: '{group}',
+      body: '{sender}: {message}'
+    },
+    bookingConfirmed: {
+      title: 'Përditësim i rezervimit',
+      body: 'Rezervimi juaj në {venue} për {date, date} në orën {time} u konfirmua'
+    },
+    bookingCancelled: {
+      title: 'Përditësim i rezervimit',
+      body: 'Rezervimi juaj në {venue} për {date, date} në orën {time} u anulua'
+    },
+    bookingUpdated: {
+      title: 'Përditësim i rezervimit',
+      body: 'Rezervimi juaj në {venue} për {date, date} në orën {time} u përditësua'
+    },
+    bookingRescheduled: {
+      title: 'Përditësim i rezervimit',
+      body: 'Rezervimi juaj në {venue} u zhvendos për {date, date} në orën {time}'
+    },
+    bookingReminder: {
+      title: 'Kujtesë për rezervimin',
+      body: 'Rezervimi juaj në {venue} për {guests, plural, one {# mysafir} other {# mysafirë}} është {date, date} në orën {time}'
+    },
+    waitlistOffer: {
+      title: 'Vende të lira',
+      body: 'U liruan vende për {guests, plural, one {# mysafir} other {# mysafirë}} në {venue}, {date, date} në orën {time}. Merrini brenda {minutes, plural, one {# minute} other {# minutash}}'
+    },
+    eventReminder: {
+      title: 'Kujtesë për ngjarjen',
+      body: '{name} është {date, date}{time, select, none {} other { në orën {time}}}'
+    },
+    newEvent: {
+      title: 'Ngjarje e re',
+      body: '{name} u shtua në {location}'
+    },
+    eventUpdated: {
+      title: 'Ngjarja u përditësua',
+      body: '{name} u përditësua'
+    },
+    eventRescheduled: {
+      title: 'Ngjarja u përditësua',
+      body: '{name} ka datë ose orë të re'
+    },
+    eventMoved: {
+      title: 'Ngjarja u përditësua',
+      body: '{name} u zhvendos në një vendndodhje të re'
+    },
+    eventCancelled: {
+      title: 'Ngjarja u anulua',
+      body: '{name}{date, select, none {} other { ({date, date})}} u anulua{reason, select, none {} other {: {reason}}}'
+    },
+    newVenue: {
+      title: 'Lokal i ri',
+      body: '{name}{type, select, none {} other { ({type})}} u shtua në {location}'
+    },
+    newBooking: {
+      title: 'Rezervim i ri',
+      body: '{user} bëri një rezervim në {venue} për {guests, plural, one {# mysafir} other {# mysafirë}}, {date, date} në orën {time}'
+    },
+    bookingChanged: {
+      title: 'Rezervim i ndryshuar',
+      body: '{user} ndryshoi rezervimin në {venue} për {guests, plural, one {# mysafir} other {# mysafirë}}, {date, date} në orën {time}'
+    },
+    groupBooking: {
+      title: 'Rezervim në grup',
+      body: '{user} bëri një rezervim në {venue} për {group}, {date, date} në orën {time}. A vini?'
+    },
+    addedToGroup: {
+      title: 'U shtuat në grup',
+      body: '{adder, select, none {U shtuat} other {{adder} ju shtoi}} në grupin "{group}"'
+    }
+  },
+
+  // System messages posted into a group's thread about its booking
+  groupBooking: {
+    created: '{user} bëri një rezervim në {venue} për {date, date} në orën {time}. Tregoni nëse vini',
+    pending: 'Rezervimi në {venue} për {date, date} në orën {time} pret konfirmimin e lokalit',
+    confirmed: 'Rezervimi në {venue} për {date, date} në orën {time} u konfirmua',
+    cancelled: 'Rezervimi në {venue} për {date, date} në orën {time} u anulua',
+    completed: 'Rezervimi në {venue} për {date, date} përfundoi',
+    no_show: 'Rezervimi në {venue} për {date, date} u shënua si mosparaqitje',
+    moved: 'Rezervimi në {venue} u zhvendos për {date, date} në orën {time} për {guests, plural, one {# mysafir} other {# mysafirë}}',
+    deleted: 'Rezervimi në {venue} për {date, date} në orën {time} u fshi'
+  },
+
+  common: {
+    someone: 'Dikush',
+    unknownLocation: 'vendndodhje e panjohur',
+    theVenue: 'lokal',
+    yourVenue: 'lokalin tuaj',
+    newEvent: 'Ngjarje e re',
+    newVenue: 'Lokal i ri'
+  },
+
+  email: {
+    greeting: '{name, select, none {Përshëndetje,} other {Përshëndetje {name},}}',
+    bookingNumber: 'Numri i rezervimit',
+    venue: 'Lokali',
+    guest: 'Mysafiri',
+    date: 'Data',
+    time: 'Ora',
+    guests: 'Mysafirë',
+    note: 'Shënim',
+    status: 'Statusi',
+    statusPending: 'Në pritje',
+    statusConfirmed: 'I konfirmuar',
+    statusCancelled: 'I anuluar',
+    statusRescheduled: 'I zhvendosur',
+    statusCompleted: 'I përfunduar',
+    statusNoShow: 'Nuk u paraqit'
+  }
+};
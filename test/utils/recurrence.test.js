@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_EXPANSION_DAYS, parseRule, expandRule, isOccurrence, getLastDate } = require('../../utils/recurrence');
+const { addDays } = require('../../utils/time');
+
+/**
+ * Parse an RRULE string, failing the test if it is invalid
+ * @param {string} text - RRULE string
+ * @returns {object} - Parsed rule
+ */
+const rule = (text) => {
+  const result = parseRule(text);
+  assert.equal(result.error, undefined);
+  return result.rule;
+};
+
+test('COUNT stops after that many occurrences, counted from the start', () => {
+  const weekly = rule('FREQ=WEEKLY;BYDAY=TU,TH;COUNT=5');
+
+  assert.deepEqual(expandRule(weekly, '2026-03-03', '2026-03-03'), [
+    '2026-03-03', '2026-03-05', '2026-03-10', '2026-03-12', '2026-03-17'
+  ]);
+  assert.deepEqual(expandRule(weekly, '2026-03-03', '2026-03-11'), ['2026-03-12', '2026-03-17']);
+  assert.deepEqual(expandRule(weekly, '2026-03-03', '2026-03-18', '2026-12-31'), []);
+  assert.equal(getLastDate(weekly, '2026-03-03'), '2026-03-17');
+});
+
+test('COUNT series longer than the expansion limit keep all their occurrences', () => {
+  const yearly = rule('FREQ=MONTHLY;INTERVAL=12;COUNT=10');
+
+  assert.equal(getLastDate(yearly, '2026-03-15'), '2035-03-15');
+  assert.ok(isOccurrence(yearly, '2026-03-15', '2034-03-15'));
+  assert.ok(!isOccurrence(yearly, '2026-03-15', '2036-03-15'));
+});
+
+test('UNTIL is the last possible date', () => {
+  const monthly = rule('FREQ=MONTHLY;BYDAY=-1SA;UNTIL=20260630');
+
+  assert.deepEqual(expandRule(monthly, '2026-01-31', '2026-01-01'), [
+    '2026-01-31', '2026-02-28', '2026-03-28', '2026-04-25', '2026-05-30', '2026-06-27'
+  ]);
+  assert.deepEqual(expandRule(monthly, '2026-01-31', '2026-04-01', '2026-05-31'), ['2026-04-25', '2026-05-30']);
+  assert.equal(getLastDate(monthly, '2026-01-31'), '2026-06-30');
+});
+
+test('a series with no end repeats within any range', () => {
+  const everyOtherDay = rule('FREQ=DAILY;INTERVAL=2');
+
+  assert.deepEqual(expandRule(everyOtherDay, '2026-01-01', '2026-01-01', '2026-01-07'), [
+    '2026-01-01', '2026-01-03', '2026-01-05', '2026-01-07'
+  ]);
+  assert.equal(getLastDate(everyOtherDay, '2026-01-01'), null);
+
+  // Without a range end, expansion stops MAX_EXPANSION_DAYS past the range start
+  const dates = expandRule(everyOtherDay, '2026-01-01', '2026-01-01');
+  assert.ok(dates[dates.length - 1] <= addDays('2026-01-01', MAX_EXPANSION_DAYS));
+  assert.ok(dates[dates.length - 1] > addDays('2026-01-01', MAX_EXPANSION_DAYS - 2));
+});
+
+test('ranges far after the start still get their occurrences', () => {
+  const quiz = rule('FREQ=WEEKLY;BYDAY=TH');
+
+  assert.deepEqual(expandRule(quiz, '2026-01-01', '2035-06-01', '2035-06-30'), [
+    '2035-06-07', '2035-06-14', '2035-06-21', '2035-06-28'
+  ]);
+  assert.ok(isOccurrence(quiz, '2026-01-01', '2045-01-05'));
+  assert.ok(!isOccurrence(quiz, '2026-01-01', '2045-01-06'));
+
+  const biweekly = rule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO');
+  assert.deepEqual(expandRule(biweekly, '2026-01-05', '2040-01-01', '2040-01-31'), ['2040-01-02', '2040-01-16', '2040-01-30']);
+
+  const quarterly = rule('FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=-1');
+  assert.deepEqual(expandRule(quarterly, '2026-01-31', '2040-01-01', '2040-12-31'), [
+    '2040-01-31', '2040-04-30', '2040-07-31', '2040-10-31'
+  ]);
+});
+
+test('the start is always the first occurrence', () => {
+  const fridays = rule('FREQ=WEEKLY;BYDAY=FR');
+
+  assert.deepEqual(expandRule(fridays, '2026-01-01', '2026-01-01', '2026-01-09'), ['2026-01-01', '2026-01-02', '2026-01-09']);
+  assert.deepEqual(expandRule(fridays, '2026-01-01', '2025-12-01', '2025-12-31'), []);
+});
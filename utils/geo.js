@@ -0,0 +1,179 @@
+/**
+ * Geo helpers for "near me" and map searches.
+ *
+ * Queries first narrow rows down with a latitude/longitude bounding box, which
+ * MySQL answers from the (latitude, longitude) index, and only then compute
+ * the exact Haversine distance for the rows left inside the box.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 500;
+
+/**
+ * Parse a number from a query string value
+ * @param {string} value - Query string value
+ * @returns {number|null}
+ */
+const toNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+
+  const number = Number(value);
+  return isFinite(number) ? number : null;
+};
+
+const isValidLatitude = (lat) => lat !== null && lat >= -90 && lat <= 90;
+const isValidLongitude = (lng) => lng !== null && lng >= -180 && lng <= 180;
+
+/**
+ * Get the bounding box that contains a circle around a point
+ * @param {number} lat - Latitude of the center
+ * @param {number} lng - Longitude of the center
+ * @param {number} radiusKm - Radius in kilometers
+ * @returns {object} - { minLat, maxLat, minLng, maxLng }
+ */
+const getBoundingBox = (lat, lng, radiusKm) => {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const minLat = Math.max(lat - latDelta, -90);
+  const maxLat = Math.min(lat + latDelta, 90);
+
+  // Near the poles the circle covers every longitude
+  const cosLat = Math.cos((lat * Math.PI) / 180);
+  if (maxLat >= 90 || minLat <= -90 || cosLat < 1e-6) {
+    return { minLat, maxLat, minLng: -180, maxLng: 180 };
+  }
+
+  const lngDelta = latDelta / cosLat;
+  if (lngDelta >= 180) {
+    return { minLat, maxLat, minLng: -180, maxLng: 180 };
+  }
+
+  // Wrap around the antimeridian; minLng > maxLng means the box crosses it
+  const wrap = (value) => ((value + 540) % 360) - 180;
+  return { minLat, maxLat, minLng: wrap(lng - lngDelta), maxLng: wrap(lng + lngDelta) };
+};
+
+/**
+ * Build the SQL expression for the distance in kilometers from a point
+ * @param {string} latColumn - Latitude column (e.g. "e.latitude")
+ * @param {string} lngColumn - Longitude column (e.g. "e.longitude")
+ * @param {number} lat - Latitude of the point
+ * @param {number} lng - Longitude of the point
+ * @returns {object} - { sql, params }
+ */
+const distanceSql = (latColumn, lngColumn, lat, lng) => ({
+  sql: `(${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(${latColumn} - ?) / 2), 2) +
+    COS(RADIANS(?)) * COS(RADIANS(${latColumn})) * POWER(SIN(RADIANS(${lngColumn} - ?) / 2), 2)
+  )))`,
+  params: [lat, lat, lng]
+});
+
+/**
+ * Build the SQL condition that keeps rows inside a bounding box
+ * @param {string} latColumn - Latitude column
+ * @param {string} lngColumn - Longitude column
+ * @param {object} box - { minLat, maxLat, minLng, maxLng }
+ * @returns {object} - { sql, params }
+ */
+const boundingBoxSql = (latColumn, lngColumn, box) => {
+  if (box.minLng > box.maxLng) {
+    return {
+      sql: `${latColumn} BETWEEN ? AND ? AND (${lngColumn} >= ? OR ${lngColumn} <= ?)`,
+      params: [box.minLat, box.maxLat, box.minLng, box.maxLng]
+    };
+  }
+
+  return {
+    sql: `${latColumn} BETWEEN ? AND ? AND ${lngColumn} BETWEEN ? AND ?`,
+    params: [box.minLat, box.maxLat, box.minLng, box.maxLng]
+  };
+};
+
+/**
+ * Build a location filter from the request query.
+ *
+ * Two modes are supported:
+ * - radius: ?lat=&lng=&radius= (radius in km, default 10) keeps rows within
+ *   the radius and sorts them by distance
+ * - bbox: ?min_lat=&min_lng=&max_lat=&max_lng= keeps rows inside the visible
+ *   map area; lat/lng may be added to also get distances
+ *
+ * @param {object} query - req.query
+ * @param {string} latColumn - Latitude column
+ * @param {string} lngColumn - Longitude column
+ * @returns {object|null} - null when no location filter was requested, { error } for invalid
+ *   input, otherwise { mode, where, whereParams, distance, distanceParams, radiusKm }
+ */
+const buildGeoFilter = (query, latColumn, lngColumn) => {
+  const lat = toNumber(query.lat);
+  const lng = toNumber(query.lng);
+  const box = {
+    minLat: toNumber(query.min_lat),
+    maxLat: toNumber(query.max_lat),
+    minLng: toNumber(query.min_lng),
+    maxLng: toNumber(query.max_lng)
+  };
+
+  const hasCenter = query.lat !== undefined || query.lng !== undefined;
+  const hasBox = ['min_lat', 'max_lat', 'min_lng', 'max_lng'].some(key => query[key] !== undefined);
+
+  if (!hasCenter && !hasBox) return null;
+
+  if (hasCenter && (!isValidLatitude(lat) || !isValidLongitude(lng))) {
+    return { error: 'lat and lng must be valid coordinates' };
+  }
+
+  const distance = hasCenter ? distanceSql(latColumn, lngColumn, lat, lng) : null;
+
+  if (hasBox) {
+    if (!isValidLatitude(box.minLat) || !isValidLatitude(box.maxLat) ||
+      !isValidLongitude(box.minLng) || !isValidLongitude(box.maxLng) || box.minLat > box.maxLat) {
+      return { error: 'min_lat, max_lat, min_lng and max_lng must describe a valid bounding box' };
+    }
+
+    const where = boundingBoxSql(latColumn, lngColumn, box);
+    return {
+      mode: 'bbox',
+      where: where.sql,
+      whereParams: where.params,
+      distance: distance ? distance.sql : null,
+      distanceParams: distance ? distance.params : []
+    };
+  }
+
+  const radiusKm = query.radius === undefined ? DEFAULT_RADIUS_KM : toNumber(query.radius);
+  if (radiusKm === null || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    return { error: `radius must be between 0 and ${MAX_RADIUS_KM} km` };
+  }
+
+  // The bounding box uses the index; the distance check trims the corners
+  const where = boundingBoxSql(latColumn, lngColumn, getBoundingBox(lat, lng, radiusKm));
+  return {
+    mode: 'radius',
+    where: `${where.sql} AND ${distance.sql} <= ?`,
+    whereParams: [...where.params, ...distance.params, radiusKm],
+    distance: distance.sql,
+    distanceParams: distance.params,
+    radiusKm
+  };
+};
+
+/**
+ * Round a distance for API responses
+ * @param {number} distanceKm - Distance in kilometers
+ * @returns {number|null}
+ */
+const roundDistance = (distanceKm) => {
+  if (distanceKm === null || distanceKm === undefined) return null;
+  return Math.round(Number(distanceKm) * 100) / 100;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  getBoundingBox,
+  distanceSql,
+  boundingBoxSql,
+  buildGeoFilter,
+  roundDistance
+};
@@ -0,0 +1,176 @@
+/**
+ * Localization helpers for notification texts.
+ *
+ * Texts live in templates/notifications/<locale>.js and use a small subset of
+ * the ICU message format:
+ *   {name}                                  - plain value
+ *   {date, date}                            - a YYYY-MM-DD date, e.g. "Friday, 24 October"
+ *   {count, plural, one {# guest} other {# guests}} - plural forms ("=0" style exact matches work too)
+ *   {name, select, none {...} other {...}}  - "none" matches a missing or empty value
+ * A param given as { t: 'key' } is replaced with the "common" text for that key,
+ * so fallbacks like "Someone" are translated as well.
+ */
+
+const SUPPORTED_LOCALES = ['mk', 'en', 'sq'];
+const DEFAULT_LOCALE = 'mk';
+
+const CATALOGS = {
+  mk: require('../templates/notifications/mk'),
+  en: require('../templates/notifications/en'),
+  sq: require('../templates/notifications/sq')
+};
+
+const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+/**
+ * Get a supported locale, falling back to the default one
+ * @param {string} locale - Requested locale
+ * @returns {string}
+ */
+const resolveLocale = (locale) => (isSupportedLocale(locale) ? locale : DEFAULT_LOCALE);
+
+/**
+ * Format a YYYY-MM-DD date for a locale
+ * @param {string|Date} value - Date to format
+ * @param {string} locale - Locale
+ * @returns {string}
+ */
+const formatDate = (value, locale) => {
+  const date = value instanceof Date ? value : new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+  if (isNaN(date.getTime())) return String(value);
+
+  return new Intl.DateTimeFormat(locale, {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    timeZone: 'UTC'
+  }).format(date);
+};
+
+/**
+ * Find the brace that closes the one at a position
+ * @param {string} text - Text to search
+ * @param {number} start - Position of the opening brace
+ * @returns {number} - Position of the closing brace, or -1
+ */
+const findClosingBrace = (text, start) => {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+};
+
+/**
+ * Parse plural/select options like "one {# guest} other {# guests}"
+ * @param {string} text - Options text
+ * @returns {Object} - Option texts keyed by selector
+ */
+const parseOptions = (text) => {
+  const options = {};
+  let position = 0;
+
+  while (position < text.length) {
+    const open = text.indexOf('{', position);
+    if (open === -1) break;
+
+    const close = findClosingBrace(text, open);
+    if (close === -1) break;
+
+    options[text.slice(position, open).trim()] = text.slice(open + 1, close);
+    position = close + 1;
+  }
+
+  return options;
+};
+
+/**
+ * Fill in a message's placeholders
+ * @param {string} message - Message in the format described above
+ * @param {Object} params - Placeholder values
+ * @param {string} locale - Locale used for dates, numbers and plural rules
+ * @returns {string}
+ */
+const formatMessage = (message, params = {}, locale = DEFAULT_LOCALE) => {
+  let result = '';
+  let position = 0;
+
+  while (position < message.length) {
+    const open = message.indexOf('{', position);
+    const close = open === -1 ? -1 : findClosingBrace(message, open);
+    if (close === -1) {
+      result += message.slice(position);
+      break;
+    }
+
+    result += message.slice(position, open);
+    position = close + 1;
+
+    const argument = message.slice(open + 1, close);
+    const [name, format] = argument.split(',', 2).map(part => part.trim());
+
+    let value = params[name];
+    if (value && typeof value === 'object' && value.t) {
+      value = CATALOGS[locale].common[value.t];
+    }
+
+    // Plural and select options follow the second comma
+    const options = format === 'plural' || format === 'select'
+      ? parseOptions(argument.split(',').slice(2).join(','))
+      : null;
+
+    if (format === 'date') {
+      result += value ? formatDate(value, locale) : '';
+    } else if (format === 'plural') {
+      const count = Number(value) || 0;
+      const category = new Intl.PluralRules(locale).select(count);
+      const option = [`=${count}`, category, 'other'].map(key => options[key]).find(text => text !== undefined) || '';
+      result += formatMessage(option.replace(/#/g, count.toLocaleString(locale)), params, locale);
+    } else if (format === 'select') {
+      const key = value === null || value === undefined || value === '' ? 'none' : String(value);
+      const option = [key, 'other'].map(k => options[k]).find(text => text !== undefined) || '';
+      result += formatMessage(option, params, locale);
+    } else {
+      result += value === null || value === undefined ? '' : String(value);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Render a template from the catalog
+ * @param {string} section - Catalog section ('notifications', 'email', 'groupBooking', 'common')
+ * @param {string} key - Template key
+ * @param {Object} params - Placeholder values
+ * @param {string} locale - Locale, falls back to the default one
+ * @returns {string|Object} - The text, or an object of texts (e.g. { title, body })
+ */
+const translate = (section, key, params = {}, locale = DEFAULT_LOCALE) => {
+  locale = resolveLocale(locale);
+  const template = (CATALOGS[locale][section] || {})[key];
+  if (template === undefined) {
+    throw new Error(`Missing ${section} template: ${key}`);
+  }
+
+  if (typeof template === 'string') {
+    return formatMessage(template, params, locale);
+  }
+
+  const result = {};
+  for (const [field, text] of Object.entries(template)) {
+    result[field] = formatMessage(text, params, locale);
+  }
+  return result;
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  isSupportedLocale,
+  resolveLocale,
+  formatDate,
+  formatMessage,
+  translate
+};
@@ -0,0 +1,182 @@
+/**
+ * Opening hours helpers.
+ *
+ * A venue's weekly schedule is a list of ranges per day of week (0 = Sunday).
+ * A range whose closing time is at or before its opening time runs past
+ * midnight into the next day, so a club open Friday 22:00 - 05:00 is still
+ * open at 03:00 on Saturday. Exception dates (holidays, private events)
+ * replace the weekly ranges for that day, or close the venue for the day.
+ *
+ * All dates and times here are local to the venue's timezone.
+ */
+
+const { MINUTES_PER_DAY, timeToMinutes, addDays, getDayOfWeek, isValidDate } = require('./time');
+
+const DEFAULT_TIMEZONE = 'Europe/Skopje';
+
+/**
+ * Check that a timezone name is known to the runtime
+ * @param {string} timeZone - IANA timezone name (e.g. "Europe/Skopje")
+ * @returns {boolean}
+ */
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the local date and time of an instant in a timezone
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA timezone name
+ * @returns {object} - { date: "YYYY-MM-DD", minutes }
+ */
+const getLocalDateTime = (instant, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(instant).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+};
+
+/**
+ * Get the instant of a local date and time in a timezone
+ * @param {string} date - Local date ("YYYY-MM-DD")
+ * @param {number} minutes - Local time in minutes since midnight
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date}
+ */
+const getInstant = (date, minutes, timeZone = DEFAULT_TIMEZONE) => {
+  const wallClock = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+
+  // Shift by the zone's UTC offset; a second pass settles instants near a DST change
+  let instant = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalDateTime(new Date(instant), timeZone);
+    const localWallClock = Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60000;
+    instant += wallClock - localWallClock;
+  }
+
+  return new Date(instant);
+};
+
+/**
+ * Get the opening ranges that start on a date
+ * @param {object} schedule - { weekly: [rows], exceptions: [rows] } for one venue
+ * @param {string} date - Local date ("YYYY-MM-DD")
+ * @returns {Array} - [{ start, end }] in minutes; end may exceed 24h for past-midnight closing
+ */
+const getRangesForDate = (schedule, date) => {
+  const exceptions = schedule.exceptions.filter(row => row.exception_date === date);
+
+  const rows = exceptions.length > 0
+    ? (exceptions.some(row => row.is_closed) ? [] : exceptions)
+    : schedule.weekly.filter(row => row.day_of_week === getDayOfWeek(date));
+
+  return rows.map(row => {
+    const start = timeToMinutes(row.opens_at);
+    let end = timeToMinutes(row.closes_at);
+    if (end <= start) end += MINUTES_PER_DAY;
+    return { start, end };
+  });
+};
+
+/**
+ * Check if a venue is open at a local date and time
+ * @param {object} schedule - { weekly: [rows], exceptions: [rows] } for one venue
+ * @param {string} date - Local date ("YYYY-MM-DD")
+ * @param {number} minutes - Local time in minutes since midnight
+ * @returns {boolean}
+ */
+const isOpenAt = (schedule, date, minutes) => {
+  // Ranges that started today
+  if (getRangesForDate(schedule, date).some(range => minutes >= range.start && minutes < range.end)) {
+    return true;
+  }
+
+  // Ranges that started yesterday and run past midnight
+  const shifted = minutes + MINUTES_PER_DAY;
+  return getRangesForDate(schedule, addDays(date, -1)).some(range => shifted >= range.start && shifted < range.end);
+};
+
+/**
+ * Check if a schedule has any structured hours at all
+ * @param {object} schedule - { weekly: [rows], exceptions: [rows] }
+ * @returns {boolean}
+ */
+const hasSchedule = (schedule) => schedule.weekly.length > 0 || schedule.exceptions.length > 0;
+
+/**
+ * Validate the weekly ranges and exceptions sent by a venue owner
+ * @param {object} body - { hours: [{ day_of_week, opens_at, closes_at }], exceptions: [{ date, is_closed, opens_at, closes_at, note }] }
+ * @returns {object} - { hours, exceptions } ready to insert, or { error }
+ */
+const validateSchedule = (body) => {
+  const hours = [];
+  const exceptions = [];
+
+  if (body.hours !== undefined && !Array.isArray(body.hours)) {
+    return { error: 'hours must be an array' };
+  }
+  if (body.exceptions !== undefined && !Array.isArray(body.exceptions)) {
+    return { error: 'exceptions must be an array' };
+  }
+
+  for (const range of body.hours || []) {
+    const day = parseInt(range.day_of_week);
+    if (isNaN(day) || day < 0 || day > 6) {
+      return { error: 'day_of_week must be between 0 (Sunday) and 6 (Saturday)' };
+    }
+    if (timeToMinutes(range.opens_at) === null || timeToMinutes(range.closes_at) === null) {
+      return { error: 'opens_at and closes_at must be times in HH:MM format' };
+    }
+    hours.push({ day_of_week: day, opens_at: range.opens_at, closes_at: range.closes_at });
+  }
+
+  for (const exception of body.exceptions || []) {
+    if (!isValidDate(exception.date)) {
+      return { error: 'Exception date must be in YYYY-MM-DD format' };
+    }
+
+    const isClosed = !!exception.is_closed;
+    if (!isClosed && (timeToMinutes(exception.opens_at) === null || timeToMinutes(exception.closes_at) === null)) {
+      return { error: 'Exceptions that are not closed need opens_at and closes_at in HH:MM format' };
+    }
+
+    exceptions.push({
+      exception_date: exception.date,
+      is_closed: isClosed,
+      opens_at: isClosed ? null : exception.opens_at,
+      closes_at: isClosed ? null : exception.closes_at,
+      note: exception.note || null
+    });
+  }
+
+  return { hours, exceptions };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getLocalDateTime,
+  getInstant,
+  getRangesForDate,
+  isOpenAt,
+  hasSchedule,
+  validateSchedule
+};
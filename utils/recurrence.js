@@ -0,0 +1,349 @@
+/**
+ * Recurrence rules for repeating events.
+ *
+ * Supports the subset of iCalendar RRULE (RFC 5545) that venues need:
+ *
+ *   FREQ=DAILY|WEEKLY|MONTHLY     how often the event repeats
+ *   INTERVAL=n                    every n days/weeks/months (default 1)
+ *   BYDAY=MO,FR                   weekdays (WEEKLY/DAILY)
+ *   BYDAY=1FR / -1SA              nth weekday of the month (MONTHLY)
+ *   BYMONTHDAY=1,15,-1            days of the month (MONTHLY, -1 = last day)
+ *   UNTIL=20261231                last possible date
+ *   COUNT=n                       number of occurrences
+ *
+ * e.g. "FREQ=WEEKLY;BYDAY=TH" for a weekly quiz night or
+ * "FREQ=MONTHLY;BYDAY=-1SA;COUNT=6" for a party on the last Saturday.
+ * The event's own date is the first occurrence (DTSTART). Occurrences are
+ * identified by their "YYYY-MM-DD" date.
+ */
+
+const { addDays, daysBetween, getDayOfWeek, isValidDate } = require('./time');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Never expand a rule more than this many days past the requested range start
+const MAX_EXPANSION_DAYS = 366 * 5;
+
+/**
+ * Normalize a "YYYYMMDD" or "YYYY-MM-DD" date to "YYYY-MM-DD"
+ * @param {string} value - Date string
+ * @returns {string|null}
+ */
+const normalizeDate = (value) => {
+  const text = String(value || '').trim();
+  const date = /^\d{8}/.test(text) ? `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}` : text.slice(0, 10);
+  return isValidDate(date) ? date : null;
+};
+
+/**
+ * Parse a BYDAY entry like "FR", "1FR" or "-1SA"
+ * @param {string} value - BYDAY entry
+ * @returns {object|null} - { weekday, ordinal } with ordinal 0 for "every"
+ */
+const parseByDay = (value) => {
+  const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(String(value).trim().toUpperCase());
+  if (!match) return null;
+
+  const ordinal = match[1] ? parseInt(match[1]) : 0;
+  if (ordinal < -5 || ordinal > 5) return null;
+
+  return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+};
+
+/**
+ * Check a parsed rule for combinations that make no sense
+ * @param {object} rule - Parsed rule
+ * @returns {string|null} - Error message, or null if the rule is valid
+ */
+const validateRule = (rule) => {
+  if (!FREQUENCIES.includes(rule.freq)) {
+    return `FREQ must be one of ${FREQUENCIES.join(', ')}`;
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+    return 'INTERVAL must be a whole number between 1 and 365';
+  }
+  if (rule.until && rule.count) {
+    return 'UNTIL and COUNT cannot be used together';
+  }
+  if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 1000)) {
+    return 'COUNT must be a whole number between 1 and 1000';
+  }
+  if (rule.byDay.some(day => day.ordinal !== 0) && rule.freq !== 'MONTHLY') {
+    return 'Numbered weekdays (e.g. 1FR) are only allowed with FREQ=MONTHLY';
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq !== 'MONTHLY') {
+    return 'BYMONTHDAY is only allowed with FREQ=MONTHLY';
+  }
+  if (rule.byMonthDay.some(day => !Number.isInteger(day) || day === 0 || day < -31 || day > 31)) {
+    return 'BYMONTHDAY values must be between 1 and 31 or -31 and -1';
+  }
+  if (rule.byMonthDay.length > 0 && rule.byDay.length > 0) {
+    return 'BYDAY and BYMONTHDAY cannot be used together';
+  }
+
+  return null;
+};
+
+/**
+ * Parse an RRULE string
+ * @param {string} text - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;UNTIL=20261231"
+ * @returns {object} - { rule } or { error }
+ */
+const parseRule = (text) => {
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], until: null, count: null };
+
+  const parts = String(text || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  if (parts.length === 0) {
+    return { error: 'Recurrence rule is empty' };
+  }
+
+  for (const part of parts) {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim();
+
+    switch (key) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        break;
+      case 'BYDAY': {
+        const days = value.split(',').map(parseByDay);
+        if (days.some(day => day === null)) {
+          return { error: `Invalid BYDAY value: ${value}` };
+        }
+        rule.byDay = days;
+        break;
+      }
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(Number);
+        break;
+      case 'UNTIL':
+        rule.until = normalizeDate(value);
+        if (!rule.until) {
+          return { error: `Invalid UNTIL date: ${value}` };
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        break;
+      default:
+        return { error: `Unsupported recurrence rule part: ${key}` };
+    }
+  }
+
+  const error = validateRule(rule);
+  return error ? { error } : { rule };
+};
+
+/**
+ * Build a rule from the recurrence object sent by the app
+ * @param {object} recurrence - { freq, interval, by_weekday, by_month_day, until, count }
+ * @returns {object} - { rule } or { error }
+ */
+const ruleFromObject = (recurrence) => {
+  const parts = [`FREQ=${String(recurrence.freq || '').toUpperCase()}`];
+
+  if (recurrence.interval !== undefined) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (Array.isArray(recurrence.by_weekday) && recurrence.by_weekday.length > 0) {
+    parts.push(`BYDAY=${recurrence.by_weekday.join(',')}`);
+  }
+  if (Array.isArray(recurrence.by_month_day) && recurrence.by_month_day.length > 0) {
+    parts.push(`BYMONTHDAY=${recurrence.by_month_day.join(',')}`);
+  }
+  if (recurrence.until) parts.push(`UNTIL=${recurrence.until}`);
+  if (recurrence.count !== undefined && recurrence.count !== null) parts.push(`COUNT=${recurrence.count}`);
+
+  return parseRule(parts.join(';'));
+};
+
+/**
+ * Format a parsed rule as a canonical RRULE string
+ * @param {object} rule - Parsed rule
+ * @returns {string}
+ */
+const formatRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+  return parts.join(';');
+};
+
+/**
+ * Get the number of days in the month of a date
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {number}
+ */
+const daysInMonth = (date) => {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+};
+
+/**
+ * Check if a date is an occurrence of a rule, ignoring UNTIL and COUNT
+ * @param {object} rule - Parsed rule
+ * @param {string} start - First occurrence ("YYYY-MM-DD")
+ * @param {string} date - Date to check ("YYYY-MM-DD")
+ * @returns {boolean}
+ */
+const matchesPattern = (rule, start, date) => {
+  const weekday = getDayOfWeek(date);
+
+  if (rule.freq === 'DAILY') {
+    if (daysBetween(start, date) % rule.interval !== 0) return false;
+    return rule.byDay.length === 0 || rule.byDay.some(day => day.weekday === weekday);
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday, as in RRULE's default WKST
+    const startMonday = addDays(start, -((getDayOfWeek(start) + 6) % 7));
+    if (Math.floor(daysBetween(startMonday, date) / 7) % rule.interval !== 0) return false;
+
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [getDayOfWeek(start)];
+    return weekdays.includes(weekday);
+  }
+
+  // MONTHLY
+  const [startYear, startMonth] = start.split('-').map(Number);
+  const [year, month, dayOfMonth] = date.split('-').map(Number);
+  if (((year - startYear) * 12 + (month - startMonth)) % rule.interval !== 0) return false;
+
+  const monthLength = daysInMonth(date);
+
+  if (rule.byMonthDay.length > 0) {
+    return rule.byMonthDay.some(day => (day > 0 ? day : monthLength + day + 1) === dayOfMonth);
+  }
+
+  if (rule.byDay.length > 0) {
+    return rule.byDay.some(day => {
+      if (day.weekday !== weekday) return false;
+      if (day.ordinal > 0) return Math.ceil(dayOfMonth / 7) === day.ordinal;
+      if (day.ordinal < 0) return Math.ceil((monthLength - dayOfMonth + 1) / 7) === -day.ordinal;
+      return true;
+    });
+  }
+
+  return dayOfMonth === Number(start.split('-')[2]);
+};
+
+/**
+ * Get the first date from a date on that falls in a period (day, week or
+ * month) the rule repeats in, skipping the periods INTERVAL leaves out
+ * @param {object} rule - Parsed rule
+ * @param {string} start - First occurrence ("YYYY-MM-DD")
+ * @param {string} date - Date to start from, not before start ("YYYY-MM-DD")
+ * @returns {string} - date itself, or the first day of the next repeating period
+ */
+const skipToRepeatingPeriod = (rule, start, date) => {
+  if (rule.freq === 'DAILY') {
+    const offset = daysBetween(start, date) % rule.interval;
+    return offset === 0 ? date : addDays(date, rule.interval - offset);
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const startMonday = addDays(start, -((getDayOfWeek(start) + 6) % 7));
+    const week = Math.floor(daysBetween(startMonday, date) / 7);
+    const offset = week % rule.interval;
+    return offset === 0 ? date : addDays(startMonday, (week + rule.interval - offset) * 7);
+  }
+
+  // MONTHLY
+  const [startYear, startMonth] = start.split('-').map(Number);
+  const [year, month] = date.split('-').map(Number);
+  const months = (year - startYear) * 12 + (month - startMonth);
+  const offset = months % rule.interval;
+  if (offset === 0) return date;
+
+  const target = startMonth - 1 + months + rule.interval - offset;
+  return `${startYear + Math.floor(target / 12)}-${String((target % 12) + 1).padStart(2, '0')}-01`;
+};
+
+/**
+ * List the occurrences of a rule within a date range. COUNT series are
+ * walked from their start, as COUNT numbers occurrences from there; other
+ * series are walked from the range start.
+ * @param {object} rule - Parsed rule
+ * @param {string} start - First occurrence ("YYYY-MM-DD")
+ * @param {string} from - First date to return ("YYYY-MM-DD")
+ * @param {string} to - Last date to return ("YYYY-MM-DD"), or null to run until UNTIL/COUNT
+ *   (at most MAX_EXPANSION_DAYS past from for series without COUNT)
+ * @returns {Array<string>} - Occurrence dates
+ */
+const expandRule = (rule, start, from, to = null) => {
+  const dates = [];
+  let index = 0;
+
+  let date = rule.count || from < start ? start : from;
+
+  let end = rule.count ? null : addDays(date, MAX_EXPANSION_DAYS);
+  if (to && (!end || to < end)) end = to;
+  if (rule.until && (!end || rule.until < end)) end = rule.until;
+
+  // A COUNT series whose pattern stops matching (e.g. BYMONTHDAY=30 in February only)
+  // ends after MAX_EXPANSION_DAYS without an occurrence
+  let lastMatch = date;
+
+  while ((!end || date <= end) && daysBetween(lastMatch, date) <= MAX_EXPANSION_DAYS) {
+    const next = skipToRepeatingPeriod(rule, start, date);
+    if (next !== date) {
+      date = next;
+      continue;
+    }
+
+    // The first occurrence is always the event's own date
+    if (date === start || matchesPattern(rule, start, date)) {
+      index++;
+      if (rule.count && index > rule.count) break;
+      if (date >= from) dates.push(date);
+      lastMatch = date;
+    }
+
+    date = addDays(date, 1);
+  }
+
+  return dates;
+};
+
+/**
+ * Check if a date is an occurrence of a rule
+ * @param {object} rule - Parsed rule
+ * @param {string} start - First occurrence ("YYYY-MM-DD")
+ * @param {string} date - Date to check ("YYYY-MM-DD")
+ * @returns {boolean}
+ */
+const isOccurrence = (rule, start, date) => expandRule(rule, start, date, date).length === 1;
+
+/**
+ * Get the last date a rule can produce, for indexing
+ * @param {object} rule - Parsed rule
+ * @param {string} start - First occurrence ("YYYY-MM-DD")
+ * @returns {string|null} - null when the rule repeats forever
+ */
+const getLastDate = (rule, start) => {
+  if (rule.until) return rule.until;
+  if (!rule.count) return null;
+
+  const dates = expandRule(rule, start, start);
+  return dates.length > 0 ? dates[dates.length - 1] : start;
+};
+
+module.exports = {
+  MAX_EXPANSION_DAYS,
+  normalizeDate,
+  parseRule,
+  ruleFromObject,
+  formatRule,
+  expandRule,
+  isOccurrence,
+  getLastDate
+};
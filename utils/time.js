@@ -0,0 +1,85 @@
+/**
+ * Date and time-of-day helpers shared by the booking and opening hours code.
+ * Dates are "YYYY-MM-DD" strings and times of day are minutes since midnight,
+ * so no timezone conversion happens here.
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert a "HH:MM" or "HH:MM:SS" string to minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number|null} - Minutes since midnight, or null if the time is invalid
+ */
+const timeToMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(time || '').trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to a "HH:MM" string (wrapping past midnight)
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string}
+ */
+const minutesToTime = (minutes) => {
+  const wrapped = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = Math.floor(wrapped / 60);
+  return `${String(hours).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Shift a "YYYY-MM-DD" date string by a number of days
+ * @param {string} date - Date string
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string}
+ */
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+/**
+ * Get the number of days from one "YYYY-MM-DD" date to another
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @returns {number}
+ */
+const daysBetween = (from, to) => Math.round(
+  (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000
+);
+
+/**
+ * Get the day of week (0 = Sunday) of a "YYYY-MM-DD" date string
+ * @param {string} date - Date string
+ * @returns {number}
+ */
+const getDayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Check that a value is a real "YYYY-MM-DD" calendar date
+ * @param {string} date - Date string
+ * @returns {boolean}
+ */
+const isValidDate = (date) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) return false;
+
+  const d = new Date(`${date}T00:00:00Z`);
+  return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === date;
+};
+
+module.exports = {
+  MINUTES_PER_DAY,
+  timeToMinutes,
+  minutesToTime,
+  addDays,
+  daysBetween,
+  getDayOfWeek,
+  isValidDate
+};
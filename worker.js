@@ -0,0 +1,42 @@
+/**
+ * Background Worker
+ *
+ * Delivers the notifications queued in the notification_outbox table
+ * (push notifications and inbox entries), retrying failed ones with
+ * exponential backoff, and runs the scheduled jobs such as booking and
+ * event reminders. Several workers can run side by side.
+ *
+ * Usage:
+ *   npm run worker
+ *
+ * Environment:
+ *   OUTBOX_POLL_INTERVAL_MS         how often to poll when idle (default 2000)
+ *   OUTBOX_BATCH_SIZE               jobs claimed per batch (default 20)
+ *   REMINDER_INTERVAL_MS            how often due reminders are queued (default 60000)
+ *   WAITLIST_INTERVAL_MS            how often expired waitlist offers are passed on (default 60000)
+ *   WAITLIST_OFFER_MINUTES          how long a waitlist offer can be claimed (default 15)
+ *   IDEMPOTENCY_PURGE_INTERVAL_MS   how often expired Idempotency-Keys are deleted (default 3600000)
+ *   PAYMENT_INTERVAL_MS             how often unpaid deposits are cancelled and refunds retried (default 60000)
+ *   DEPOSIT_TIMEOUT_MINUTES         how long a booking's deposit can stay unpaid (default 30)
+ *   TICKET_INTERVAL_MS              how often unpaid ticket reservations are released (default 60000)
+ *   TICKET_HOLD_MINUTES             how long paid tickets are held while their payment is open (default 15)
+ *   PUSH_TRANSPORT=stub             record pushes in memory instead of using FCM
+ */
+
+const db = require('./config/db');
+const outboxWorker = require('./services/outboxWorker');
+const scheduler = require('./services/scheduler');
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down the worker...`);
+  await scheduler.stop();
+  await outboxWorker.stop();
+  await db.end();
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+outboxWorker.start();
+scheduler.start();